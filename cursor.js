@@ -0,0 +1,25 @@
+/**
+ * MedProSana pagination cursors (worker side)
+ * Cursors are opaque to clients: base64 of the JSON sort values of the last row sent, which the
+ * next page's keyset condition starts after.
+ */
+
+/**
+ * @param {Array<string|number|null>} values - The last row's values for the sort fields.
+ * @returns {string}
+ */
+export function encodeCursor(values) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(values))));
+}
+
+/**
+ * @param {string} cursor - A cursor from encodeCursor.
+ * @returns {Array<string|number|null>|null} - null when the cursor cannot be read.
+ */
+export function decodeCursor(cursor) {
+    try {
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(cursor), c => c.charCodeAt(0))));
+    } catch {
+        return null;
+    }
+}
@@ -1,46 +1,232 @@
-DROP TABLE IF EXISTS Protocols;
-DROP TABLE IF EXISTS Medications;
-DROP TABLE IF EXISTS LabResults;
-DROP TABLE IF EXISTS Patients;
+-- MedProSana schema: creates a new database at the latest schema version. Safe to run again on a
+-- database already at that version: it only creates the tables, indexes and catalog rows that are
+-- missing and never drops or empties anything. It does not upgrade an older database.
+-- Existing databases are upgraded with `node migrate.mjs <database>`, which applies the numbered
+-- files in migrations/ they have not had yet (a database from before migrations existed, with the
+-- original Patients, Protocols, Medications, LabResults and Sessions tables: add --baseline 0). A schema change is a new migration file, mirrored
+-- here for new databases and recorded at the end of this file; take a backup (GET /api/backup) first.
 
-CREATE TABLE Patients (
+CREATE TABLE IF NOT EXISTS Patients (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT NOT NULL,
     familyname TEXT NOT NULL,
     birthdate TEXT NOT NULL, 
+    sex TEXT CHECK (sex IN ('M', 'F')),
+    national_id TEXT,                       -- national ID / social security number
+    phone TEXT,
+    address TEXT,
+    emergency_contact_name TEXT,
+    emergency_contact_phone TEXT,
+    blood_group TEXT CHECK (blood_group IN ('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-')),
+    -- A positive serology puts the patient in the isolation room
+    hbv_status TEXT NOT NULL DEFAULT 'unknown' CHECK (hbv_status IN ('negative', 'positive', 'unknown')),
+    hcv_status TEXT NOT NULL DEFAULT 'unknown' CHECK (hcv_status IN ('negative', 'positive', 'unknown')),
+    hiv_status TEXT NOT NULL DEFAULT 'unknown' CHECK (hiv_status IN ('negative', 'positive', 'unknown')),
+    serology_date TEXT,
+    ckd_etiology TEXT,
+    dialysis_start_date TEXT,
+    allergies TEXT,
+    comorbidities TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE TABLE Protocols (
-    patient_id INTEGER PRIMARY KEY,
+CREATE INDEX IF NOT EXISTS idx_patients_name ON Patients(familyname COLLATE NOCASE, name COLLATE NOCASE);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_national_id ON Patients(national_id) WHERE national_id IS NOT NULL;
+
+-- One row per prescription version; the current protocol is the highest version.
+CREATE TABLE IF NOT EXISTS Protocols (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
     dialyzer TEXT,
     access TEXT,
     dialysateFlow TEXT,
     bloodFlow TEXT,
     duration TEXT,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    dry_weight REAL,      -- target dry weight, kg
+    dry_weight_date TEXT, -- date the dry weight was assessed, YYYY-MM-DD
+    reason TEXT,
+    prescribed_by INTEGER, -- Users.id
+    prescriber_name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(patient_id, version),
     FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
 );
 
-CREATE TABLE Medications (
+-- Structured prescriptions (codes: MEDICATION_CATEGORIES / MEDICATION_ROUTES in worker.js)
+CREATE TABLE IF NOT EXISTS Medications (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     patient_id INTEGER NOT NULL,
     name TEXT NOT NULL,
-    dosage TEXT NOT NULL,
+    drug_code TEXT,           -- drugs.json catalog code; NULL for off-catalog drugs
+    category TEXT NOT NULL DEFAULT 'other', -- esa, iron, anticoagulant, vitamin_d, ...
+    dose REAL NOT NULL,
+    unit TEXT NOT NULL,       -- UI, mg, µg, ...
+    route TEXT NOT NULL,      -- IV, SC, IM, PO
+    frequency TEXT NOT NULL,  -- e.g. "3x/week", "each session"
+    start_date TEXT NOT NULL, -- YYYY-MM-DD
+    stop_date TEXT,           -- first day no longer given; NULL while active
+    stop_reason TEXT,
+    notes TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- row version: offline edits are checked against it
     FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
 );
 
-CREATE TABLE LabResults (
+-- Lab test catalog. Reference ranges are the usual dialysis targets (KDIGO) where one exists,
+-- otherwise the adult reference interval. critical_* limits trigger the 'critical' flag.
+-- loinc identifies the test in HL7 v2 / FHIR lab messages.
+CREATE TABLE IF NOT EXISTS LabTests (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    unit TEXT NOT NULL,
+    ref_low REAL,
+    ref_high REAL,
+    critical_low REAL,
+    critical_high REAL,
+    loinc TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labtests_loinc ON LabTests(loinc) WHERE loinc IS NOT NULL;
+
+INSERT OR IGNORE INTO LabTests (code, name, unit, ref_low, ref_high, critical_low, critical_high, loinc) VALUES
+    ('K',     'Potassium',   'mmol/L', 3.5,  5.5,  2.5,  6.5,  '2823-3'),
+    ('UREA',  'Urea',        'mmol/L', 2.5,  7.5,  NULL, 50,   '22664-7'),
+    ('CREAT', 'Creatinine',  'µmol/L', 60,   110,  NULL, NULL, '14682-9'),
+    ('HB',    'Hemoglobin',  'g/dL',   10,   11.5, 7,    15,   '718-7'),
+    ('PHOS',  'Phosphorus',  'mmol/L', 1.13, 1.78, 0.3,  3.2,  '14879-1'),
+    ('CA',    'Calcium',     'mmol/L', 2.1,  2.5,  1.75, 3.0,  '2000-8'),
+    ('PTH',   'PTH',         'pg/mL',  150,  600,  NULL, NULL, '2731-8'),
+    ('ALB',   'Albumin',     'g/L',    35,   50,   20,   NULL, '1751-7'),
+    ('FERR',  'Ferritin',    'ng/mL',  200,  500,  NULL, NULL, '2276-4');
+
+CREATE TABLE IF NOT EXISTS LabResults (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     patient_id INTEGER NOT NULL,
+    test_code TEXT NOT NULL,
+    value REAL NOT NULL,
+    collected_at TEXT NOT NULL, -- sample collection date, YYYY-MM-DD
+    flag TEXT NOT NULL CHECK (flag IN ('normal', 'low', 'high', 'critical')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE,
+    FOREIGN KEY(test_code) REFERENCES LabTests(code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_labresults_patient ON LabResults(patient_id, test_code, collected_at);
+
+-- Free-text results from before the catalog that migration 0003 could not convert; empty in a
+-- new database. Kept in backups only: the application does not read it.
+CREATE TABLE IF NOT EXISTS LegacyLabResults (
+    id INTEGER PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
     name TEXT NOT NULL,
-    result TEXT NOT NULL, 
+    result TEXT NOT NULL,
+    created_at DATETIME,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+-- Lab interface review queue: inbound HL7 v2 / FHIR result messages that could not be filed
+-- automatically because no patient (or more than one) matched the identifiers they carry.
+CREATE TABLE IF NOT EXISTS LabInbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    format TEXT NOT NULL CHECK (format IN ('hl7v2', 'fhir')),
+    message_id TEXT,                 -- MSH-10 control ID or Bundle.id
+    sender TEXT,                     -- sending application / facility
+    patient_json TEXT NOT NULL,      -- identifiers, name and birthdate as sent
+    observations_json TEXT NOT NULL, -- the results, read into { code, value, unit, collected_at, ... }
+    reason TEXT NOT NULL,            -- why the message was not filed
+    raw TEXT NOT NULL,               -- the message as received
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'filed', 'dismissed')),
+    patient_id INTEGER,              -- the patient the results were filed to
+    resolved_by INTEGER,
+    resolved_by_name TEXT,
+    resolved_at DATETIME,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_labinbox_status ON LabInbox(status, received_at);
+
+-- Printed ordonnances and lab demands; items_json snapshots the lines as printed
+CREATE TABLE IF NOT EXISTS Prescriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('medications', 'labs')),
+    items_json TEXT NOT NULL,
+    notes TEXT,
+    issued_by INTEGER,
+    issued_by_name TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
 );
 
-CREATE TABLE Sessions (
+-- Hospital admissions, counted on the unit quality dashboard
+CREATE TABLE IF NOT EXISTS Hospitalizations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    admitted_on TEXT NOT NULL,  -- YYYY-MM-DD
+    discharged_on TEXT,         -- NULL while still admitted
+    reason TEXT NOT NULL,
+    hospital TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+-- Dialysis stations (chairs)
+CREATE TABLE IF NOT EXISTS Stations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    room TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring treatment slots: a patient in a chair on a shift, on the pattern's weekdays (see SCHEDULE_PATTERNS in worker.js)
+CREATE TABLE IF NOT EXISTS ScheduleAssignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    station_id INTEGER NOT NULL,
+    shift TEXT NOT NULL CHECK (shift IN ('morning', 'afternoon', 'evening')),
+    pattern TEXT NOT NULL CHECK (pattern IN ('MWF', 'TTS')),
+    start_date TEXT NOT NULL, -- YYYY-MM-DD
+    end_date TEXT,            -- NULL while ongoing
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE,
+    FOREIGN KEY(station_id) REFERENCES Stations(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_patient ON ScheduleAssignments(patient_id, start_date);
+
+-- Vascular access registry: each AVF, graft or catheter a patient has had, see ACCESS_TYPES in worker.js
+CREATE TABLE IF NOT EXISTS VascularAccesses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('avf', 'avg', 'tunneled_catheter', 'temporary_catheter')),
+    site TEXT NOT NULL,         -- e.g. "left radiocephalic", "right internal jugular"
+    placed_on TEXT NOT NULL,    -- creation (AVF/AVG) or insertion (catheter) date, YYYY-MM-DD
+    surgeon TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('maturing', 'active', 'abandoned', 'removed')),
+    ended_on TEXT,              -- set once abandoned or removed
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+-- Complications and interventions on an access
+CREATE TABLE IF NOT EXISTS AccessEvents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    access_id INTEGER NOT NULL,
+    patient_id INTEGER NOT NULL,
+    category TEXT NOT NULL CHECK (category IN ('complication', 'intervention')),
+    event_type TEXT NOT NULL,   -- see ACCESS_COMPLICATIONS / ACCESS_INTERVENTIONS in worker.js
+    occurred_on TEXT NOT NULL,  -- YYYY-MM-DD
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(access_id) REFERENCES VascularAccesses(id) ON DELETE CASCADE,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS Sessions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     patient_id INTEGER NOT NULL,
     date TEXT DEFAULT (strftime('%Y-%m-%d', 'now')),
@@ -50,8 +236,136 @@ CREATE TABLE Sessions (
     post_bp TEXT,    
     access_condition TEXT, 
     notes TEXT,      
+    duration_minutes INTEGER,
+    pre_urea REAL,   -- mmol/L
+    post_urea REAL,  -- mmol/L
+    urr REAL,        -- urea reduction ratio, %
+    ktv REAL,        -- single-pool Kt/V (Daugirdas II)
+    uf_goal_ml REAL, -- ultrafiltration goal set at session start
+    pre_pulse INTEGER,      -- bpm
+    post_pulse INTEGER,
+    pre_temperature REAL,   -- °C
+    post_temperature REAL,
+    complications TEXT,     -- comma-separated codes, see SESSION_COMPLICATIONS in worker.js
+    schedule_id INTEGER,    -- scheduled slot the session was attached to
+    access_id INTEGER,      -- vascular access used
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE,
+    FOREIGN KEY(schedule_id) REFERENCES ScheduleAssignments(id) ON DELETE SET NULL,
+    FOREIGN KEY(access_id) REFERENCES VascularAccesses(id) ON DELETE SET NULL
+);
+
+-- Medication administration record: what was done with each prescription at a session
+CREATE TABLE IF NOT EXISTS MedicationAdministrations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    medication_id INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('given', 'held', 'refused')),
+    dose_given REAL,          -- in the prescription's unit, when given
+    reason TEXT,              -- required when held or refused
+    recorded_by INTEGER,
+    recorded_by_name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(medication_id, session_id),
+    FOREIGN KEY(session_id) REFERENCES Sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY(medication_id) REFERENCES Medications(id) ON DELETE CASCADE
+);
+
+-- Intradialytic monitoring: readings taken during a session (see READING_RANGES in worker.js)
+CREATE TABLE IF NOT EXISTS SessionReadings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    recorded_at TEXT NOT NULL,  -- clock time, HH:MM
+    systolic INTEGER,           -- mmHg
+    diastolic INTEGER,
+    pulse INTEGER,              -- bpm
+    blood_flow INTEGER,         -- Qb, mL/min
+    venous_pressure INTEGER,    -- mmHg
+    arterial_pressure INTEGER,  -- mmHg
+    tmp INTEGER,                -- transmembrane pressure, mmHg
+    uf_volume REAL,             -- mL removed so far
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(session_id) REFERENCES Sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessionreadings_session ON SessionReadings(session_id, recorded_at);
+
+-- Intradialytic events and the intervention taken (codes: SESSION_COMPLICATIONS / SESSION_INTERVENTIONS)
+CREATE TABLE IF NOT EXISTS SessionEvents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    occurred_at TEXT NOT NULL,  -- clock time, HH:MM
+    event_type TEXT NOT NULL,
+    intervention TEXT NOT NULL DEFAULT 'none',
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(session_id) REFERENCES Sessions(id) ON DELETE CASCADE
 );
 
+CREATE INDEX IF NOT EXISTS idx_sessionevents_session ON SessionEvents(session_id, occurred_at);
+
+CREATE TABLE IF NOT EXISTS Users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL, -- PBKDF2-SHA256, hex
+    salt TEXT NOT NULL,          -- hex
+    role TEXT NOT NULL CHECK (role IN ('doctor', 'nurse', 'admin')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS AuthTokens (
+    token_hash TEXT PRIMARY KEY, -- SHA-256 of the bearer token
+    user_id INTEGER NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES Users(id) ON DELETE CASCADE
+);
+
+-- Append-only audit trail of clinical writes (see executeAudited in worker.js)
+CREATE TABLE IF NOT EXISTS AuditLog (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id INTEGER,
+    actor_username TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+    entity TEXT NOT NULL,
+    entity_id INTEGER NOT NULL,
+    patient_id INTEGER, -- no FK: history must survive patient deletion
+    before_json TEXT,
+    after_json TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditlog_patient ON AuditLog(patient_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_auditlog_entity ON AuditLog(entity, entity_id);
+
+CREATE TRIGGER IF NOT EXISTS AuditLog_no_update BEFORE UPDATE ON AuditLog
+BEGIN
+    SELECT RAISE(ABORT, 'AuditLog is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS AuditLog_no_delete BEFORE DELETE ON AuditLog
+BEGIN
+    SELECT RAISE(ABORT, 'AuditLog is append-only');
+END;
+
+-- Applied migrations (see migrate.mjs). The worker refuses to serve while the latest one it
+-- needs (SCHEMA_VERSION in worker.js) is missing.
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
 
+-- This file already includes these migrations' changes
+INSERT OR IGNORE INTO schema_migrations (version, name) VALUES
+    (1, '0001_users_and_audit'),
+    (2, '0002_protocol_versions'),
+    (3, '0003_lab_catalog'),
+    (4, '0004_session_records'),
+    (5, '0005_structured_medications'),
+    (6, '0006_prescriptions_and_admissions'),
+    (7, '0007_patient_demographics'),
+    (8, '0008_row_versions'),
+    (9, '0009_lab_interface');
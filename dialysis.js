@@ -0,0 +1,73 @@
+/**
+ * MedProSana dialysis calculations (worker side)
+ * Session durations, adequacy (URR, single-pool Kt/V) and ultrafiltration goals and rates. Kept
+ * free of database access so they can be checked on their own (test/dialysis.test.mjs).
+ */
+
+// --- Duration ---
+
+/**
+ * Parses a protocol duration such as "4 hours", "4h30", "3.5 h" or "240 min" into minutes.
+ * @returns {number|null}
+ */
+export function parseDurationMinutes(text) {
+    const value = String(text ?? '').toLowerCase().replace(',', '.');
+    const hm = /(\d+(?:\.\d+)?)\s*h(?:ours?)?\s*(\d+)?/.exec(value);
+    if (hm) return Math.round(parseFloat(hm[1]) * 60 + (hm[2] ? parseInt(hm[2]) : 0));
+    const min = /(\d+)\s*min/.exec(value);
+    return min ? parseInt(min[1]) : null;
+}
+
+// --- Adequacy ---
+
+/**
+ * URR and single-pool Kt/V (Daugirdas second generation):
+ *   Kt/V = -ln(R - 0.008 * t) + (4 - 3.5 * R) * UF / W
+ * with R = post/pre urea, t = session hours, UF = litres removed, W = post-dialysis weight (kg).
+ * Returns nulls when urea values are missing.
+ * @returns {{ urr: number|null, ktv: number|null }}
+ */
+export function computeAdequacy({ pre_urea, post_urea, pre_weight, post_weight, duration_minutes }) {
+    if (!pre_urea || post_urea === null || post_urea === undefined) return { urr: null, ktv: null };
+    const R = post_urea / pre_urea;
+    const urr = Math.round((1 - R) * 1000) / 10;
+    const t = (duration_minutes || 0) / 60;
+    const uf = pre_weight - post_weight;
+    if (!t || R - 0.008 * t <= 0 || !post_weight) return { urr, ktv: null };
+    const ktv = -Math.log(R - 0.008 * t) + (4 - 3.5 * R) * uf / post_weight;
+    return { urr, ktv: Math.round(ktv * 100) / 100 };
+}
+
+// --- Ultrafiltration ---
+
+/**
+ * Hourly UF rate (mL/kg/h) against the post-dialysis weight, taken as the pre-dialysis weight less
+ * the UF volume: the same basis whether the volume is the planned goal or what was removed.
+ */
+export function ufRate(ufMl, preWeightKg, minutes) {
+    const postWeightKg = preWeightKg - ufMl / 1000;
+    if (!ufMl || !preWeightKg || !minutes || postWeightKg <= 0) return null;
+    return Math.round((ufMl / postWeightKg / (minutes / 60)) * 10) / 10;
+}
+
+/**
+ * Suggested UF goal for a session starting at preWeight:
+ * (pre-weight - dry weight) + allowance, with the resulting hourly rate checked against the limit.
+ */
+export function suggestUfGoal(protocol, preWeight, previousSession, settings) {
+    const dryWeight = protocol?.dry_weight ?? null;
+    const durationMinutes = parseDurationMinutes(protocol?.duration);
+    const ufGoal = dryWeight !== null ? Math.max(0, Math.round((preWeight - dryWeight) * 1000 + settings.allowanceMl)) : null;
+    const rate = ufRate(ufGoal, preWeight, durationMinutes);
+    return {
+        dry_weight: dryWeight,
+        dry_weight_date: protocol?.dry_weight_date ?? null,
+        allowance_ml: settings.allowanceMl,
+        uf_goal_ml: ufGoal,
+        duration_minutes: durationMinutes,
+        uf_rate: rate,
+        max_uf_rate: settings.maxRate,
+        uf_rate_exceeded: rate !== null && rate > settings.maxRate,
+        idwg: previousSession?.post_weight ? Math.round((preWeight - previousSession.post_weight) * 10) / 10 : null,
+    };
+}
@@ -0,0 +1,117 @@
+/**
+ * MedProSana HL7 v2 messages (worker side)
+ * Reads and writes the pipe-delimited (ER7) encoding: enough for the lab interface to take in
+ * ORU^R01 result messages and answer them with an ACK. Delimiters are read from each message's
+ * MSH segment; MLLP framing characters around the message are ignored.
+ */
+
+const DEFAULT_DELIMITERS = { field: '|', component: '^', repetition: '~', escape: '\\', subcomponent: '&' };
+
+// --- Reading ---
+
+function unescapeHl7(value, d) {
+    if (!value.includes(d.escape)) return value;
+    const e = d.escape.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return value.replace(new RegExp(`${e}([^${e}]*)${e}`, 'g'), (sequence, code) => {
+        switch (code) {
+            case 'F': return d.field;
+            case 'S': return d.component;
+            case 'T': return d.subcomponent;
+            case 'R': return d.repetition;
+            case 'E': return d.escape;
+            case '.br': return '\n';
+            default: return /^X[0-9A-Fa-f]+$/.test(code)
+                ? code.substring(1).match(/../g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('')
+                : '';
+        }
+    });
+}
+
+/**
+ * Parses a message into its segments. Fields are numbered as in the HL7 specification for every
+ * segment, MSH included (MSH-1 is the field separator, MSH-2 the encoding characters); each field
+ * is a list of repetitions, each a list of unescaped components.
+ * @param {string} text - The message, segments separated by carriage returns (or newlines).
+ * @returns {{ delimiters: object, segments: { name: string, fields: string[][][] }[] }}
+ */
+export function parseHl7(text) {
+    const message = String(text).replace(/^[\s\x0b]+|[\s\x1c]+$/g, '');
+    if (!message.startsWith('MSH')) throw new Error('message must start with an MSH segment');
+    const encoding = message.substring(4, 8);
+    const delimiters = {
+        field: message[3],
+        component: encoding[0] || DEFAULT_DELIMITERS.component,
+        repetition: encoding[1] || DEFAULT_DELIMITERS.repetition,
+        escape: encoding[2] || DEFAULT_DELIMITERS.escape,
+        subcomponent: encoding[3] || DEFAULT_DELIMITERS.subcomponent,
+    };
+
+    const segments = message.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').map((line) => {
+        const raw = line.split(delimiters.field);
+        const name = raw[0];
+        // MSH-1 is the separator itself, so MSH field numbers are one ahead of the split positions
+        const values = name === 'MSH' ? [delimiters.field, encoding, ...raw.slice(2)] : raw.slice(1);
+        const fields = [null, ...values.map((value, i) => (name === 'MSH' && i < 2
+            ? [[value]]
+            : value.split(delimiters.repetition).map(repetition => repetition.split(delimiters.component).map(c => unescapeHl7(c, delimiters)))))];
+        return { name, fields };
+    });
+    return { delimiters, segments };
+}
+
+/**
+ * One component of a field, '' when absent.
+ * @param {{ fields: string[][][] }} segment - A parsed segment.
+ * @param {number} field - HL7 field number (PID-5 is 5).
+ * @param {number} [component] - 1-based component (PID-5.2, the given name, is 2).
+ * @param {number} [repetition] - 0-based repetition.
+ */
+export function hl7Value(segment, field, component = 1, repetition = 0) {
+    return segment?.fields[field]?.[repetition]?.[component - 1] ?? '';
+}
+
+/**
+ * Date part of an HL7 timestamp (YYYYMMDD[HHMM[SS]][+ZZZZ]) as YYYY-MM-DD, or null.
+ */
+export function hl7Date(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value));
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// --- Writing ---
+
+function escapeHl7(value, d = DEFAULT_DELIMITERS) {
+    return String(value ?? '').replace(/[|^~\\&\r\n]/g, char => ({
+        [d.escape]: `${d.escape}E${d.escape}`,
+        [d.field]: `${d.escape}F${d.escape}`,
+        [d.component]: `${d.escape}S${d.escape}`,
+        [d.repetition]: `${d.escape}R${d.escape}`,
+        [d.subcomponent]: `${d.escape}T${d.escape}`,
+        '\r': `${d.escape}.br${d.escape}`,
+        '\n': `${d.escape}.br${d.escape}`,
+    }[char]));
+}
+
+/**
+ * HL7 timestamp (YYYYMMDDHHMMSS, UTC) for MSH-7.
+ * @param {Date} [date]
+ */
+export function hl7Timestamp(date = new Date()) {
+    return date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+/**
+ * Writes a message with the default delimiters. Each segment is [name, field1, field2, ...];
+ * a field given as an array is written as its components. For MSH, the list starts at MSH-3.
+ * @param {Array<Array<string|number|null|Array<string|number|null>>>} segments
+ * @returns {string} - Segments separated by carriage returns.
+ */
+export function formatHl7(segments) {
+    const d = DEFAULT_DELIMITERS;
+    return segments.map(([name, ...fields]) => {
+        const values = fields.map(field => (Array.isArray(field) ? field.map(c => escapeHl7(c)).join(d.component) : escapeHl7(field)));
+        return name === 'MSH'
+            ? `MSH${d.field}${d.component}${d.repetition}${d.escape}${d.subcomponent}${d.field}${values.join(d.field)}`
+            : [name, ...values].join(d.field);
+    }).join('\r') + '\r';
+}
@@ -0,0 +1,32 @@
+/**
+ * MedProSana inbound patient matching (worker side)
+ * Decides whether a lab message (HL7 v2 or FHIR) can be filed to the patient its identifiers
+ * point to. Anything short of a single patient whose name and birthdate agree goes to the lab
+ * inbox for review, so a mistyped identifier does not file results to someone else.
+ */
+
+// Names compared without case, accents, spaces or punctuation ("Benali-Saïd" is "BENALI SAID").
+const nameKey = name => String(name ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * @param {object[]} candidates - Distinct patients found by the message's MedProSana patient ID or national ID.
+ * @param {string[]} identifiers - The identifier values that were looked up.
+ * @param {{ name?: string, familyname?: string, birthdate?: string|null }} sent - What the message says about the patient.
+ * @returns {{ patient: object|null, reason: string|null }} - The patient, or why the message needs review.
+ */
+export function confirmInboundPatient(candidates, identifiers, { name, familyname, birthdate }) {
+    if (candidates.length === 0) {
+        return { patient: null, reason: identifiers.length > 0
+            ? `No patient matches identifier(s) ${identifiers.join(', ')}`
+            : 'No MedProSana patient ID or national ID sent' };
+    }
+    if (candidates.length > 1) return { patient: null, reason: `The identifiers match several patients (IDs ${candidates.map(p => p.id).join(', ')})` };
+    const [patient] = candidates;
+    if (!birthdate || birthdate !== patient.birthdate) {
+        return { patient: null, reason: birthdate ? `Birthdate ${birthdate} differs from patient ID ${patient.id}'s` : 'No birthdate sent to confirm the patient' };
+    }
+    if (!nameKey(name) || !nameKey(familyname) || nameKey(name) !== nameKey(patient.name) || nameKey(familyname) !== nameKey(patient.familyname)) {
+        return { patient: null, reason: `Name ${[name, familyname].filter(Boolean).join(' ') || '(none sent)'} differs from patient ID ${patient.id}'s` };
+    }
+    return { patient, reason: null };
+}
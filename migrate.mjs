@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * MedProSana schema migrations (deploy script)
+ * Applies the numbered files in migrations/ (NNNN_description.sql) that the D1 database has not
+ * had yet, in order, through wrangler. Each applied file is recorded in schema_migrations together
+ * with its changes, so a file is never applied twice. The worker refuses to serve until the
+ * database has every migration it was written for (SCHEMA_VERSION in worker.js).
+ *
+ *   node migrate.mjs <database> [--remote | --local] [--dry-run] [--baseline <N>]
+ *
+ *   --dry-run       list the pending migrations and their SQL; change nothing
+ *   --baseline <N>  for a database created before schema_migrations existed: record migrations
+ *                   up to N as already applied (check its columns first), then apply the rest.
+ *                   A database still at the original schema (free-text medications and lab
+ *                   results, no Users table) takes --baseline 0: every migration is applied
+ *
+ * Requires Node 18+ and wrangler (run through npx). Take a backup (GET /api/backup) before migrating.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { readdirSync, readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = join(ROOT, 'migrations');
+const MIGRATION_FILE = /^(\d{4})_[\w-]+\.sql$/;
+
+const SCHEMA_MIGRATIONS_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);`;
+
+function usage(message) {
+    console.error(`${message}\nUsage: node migrate.mjs <database> [--remote | --local] [--dry-run] [--baseline <N>]`);
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { database: null, target: '--local', dryRun: false, baseline: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--remote' || arg === '--local') options.target = arg;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--baseline') {
+            options.baseline = parseInt(argv[++i]);
+            if (isNaN(options.baseline) || options.baseline < 0) usage('--baseline needs the number of the last migration already applied');
+        } else if (arg.startsWith('--')) usage(`Unknown option ${arg}`);
+        else if (!options.database) options.database = arg;
+        else usage(`Unexpected argument ${arg}`);
+    }
+    if (!options.database) usage('Missing the D1 database name (as in wrangler.toml)');
+    return options;
+}
+
+/**
+ * The migration files, by ascending version. Two files with the same number are an error.
+ * @returns {{ version: number, name: string, file: string }[]}
+ */
+function readMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = readdirSync(dir).filter(file => MIGRATION_FILE.test(file)).map(file => ({
+        version: parseInt(MIGRATION_FILE.exec(file)[1]),
+        name: file.replace(/\.sql$/, ''),
+        file: join(dir, file),
+    })).sort((a, b) => a.version - b.version);
+    const clash = migrations.find((m, i) => i > 0 && migrations[i - 1].version === m.version);
+    if (clash) throw new Error(`Two migrations are numbered ${clash.version}`);
+    return migrations;
+}
+
+// Runs SQL through `wrangler d1 execute` and returns the rows of the last statement.
+function d1(options, args) {
+    const output = execFileSync('npx', ['wrangler', 'd1', 'execute', options.database, options.target, '--json', ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] });
+    const results = JSON.parse(output);
+    return results[results.length - 1]?.results || [];
+}
+
+const query = (options, sql) => d1(options, ['--command', sql]);
+
+// Writes the statements to a file so wrangler sends them together: the migration is recorded
+// in schema_migrations only if its own statements went through.
+function executeFile(options, sql) {
+    const dir = mkdtempSync(join(tmpdir(), 'medprosana-migrate-'));
+    try {
+        const file = join(dir, 'migration.sql');
+        writeFileSync(file, sql);
+        d1(options, ['--file', file]);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const recordSql = ({ version, name }) => `INSERT INTO schema_migrations (version, name) VALUES (${version}, '${name}');`;
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const migrations = readMigrations();
+
+    let tables = query(options, "SELECT name FROM sqlite_master WHERE type = 'table'").map(t => t.name);
+    // A new database is created from db.sql, which is the latest schema and records the migrations it includes
+    if (!tables.includes('Patients')) {
+        console.log(`Database ${options.database} is empty: ${options.dryRun ? 'would create' : 'creating'} it from db.sql.`);
+        if (options.dryRun) return;
+        executeFile(options, readFileSync(join(ROOT, 'db.sql'), 'utf8'));
+        tables = query(options, "SELECT name FROM sqlite_master WHERE type = 'table'").map(t => t.name);
+    }
+    const tracked = tables.includes('schema_migrations');
+    const applied = tracked ? query(options, 'SELECT version FROM schema_migrations ORDER BY version').map(r => r.version) : [];
+
+    const unknown = applied.filter(version => !migrations.some(m => m.version === version));
+    if (unknown.length > 0) {
+        throw new Error(`The database has migration(s) ${unknown.join(', ')} that are not in migrations/: update this checkout first`);
+    }
+    // A database built before schema_migrations existed already has some of the changes; applying
+    // them again would fail half-way (ALTER TABLE ADD COLUMN cannot be repeated)
+    if (applied.length === 0 && options.baseline === null) {
+        throw new Error('The database has tables but no migration history. Check which migrations it already has and rerun with --baseline <N>');
+    }
+
+    const baselined = options.baseline === null ? [] : migrations.filter(m => m.version <= options.baseline && !applied.includes(m.version));
+    const pending = migrations.filter(m => !applied.includes(m.version) && !baselined.includes(m));
+    const latest = applied.length > 0 ? Math.max(...applied) : 0;
+    const late = pending.find(m => m.version < latest);
+    if (late) throw new Error(`${late.name} is older than migration ${latest}, which is already applied: renumber it`);
+
+    console.log(`Database ${options.database} (${options.target.substring(2)}): ${applied.length} migration(s) applied, ${pending.length} pending.`);
+    if (options.dryRun) {
+        if (!tracked) console.log('Would create schema_migrations.');
+        for (const m of baselined) console.log(`Would record ${m.name} as already applied (baseline).`);
+        for (const m of pending) console.log(`\n-- Would apply ${m.name}:\n${readFileSync(m.file, 'utf8').trim()}`);
+        return;
+    }
+
+    if (!tracked) executeFile(options, SCHEMA_MIGRATIONS_SQL);
+    if (baselined.length > 0) {
+        executeFile(options, baselined.map(recordSql).join('\n'));
+        for (const m of baselined) console.log(`Recorded ${m.name} (baseline).`);
+    }
+    for (const m of pending) {
+        console.log(`Applying ${m.name}...`);
+        executeFile(options, `${readFileSync(m.file, 'utf8').trim()}\n\n${recordSql(m)}\n`);
+    }
+    console.log(pending.length > 0 ? 'Schema up to date.' : 'Nothing to apply.');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Migration stopped: ${error.message}`);
+    process.exit(1);
+}
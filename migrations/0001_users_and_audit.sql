@@ -0,0 +1,46 @@
+-- Sign-in (user accounts and bearer tokens) and the append-only audit trail of clinical writes.
+-- db.sql creates these for new databases; `node migrate.mjs <database>` applies this to existing ones.
+-- A database still at the original schema is brought forward with `node migrate.mjs <database> --baseline 0`.
+
+CREATE TABLE IF NOT EXISTS Users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL, -- PBKDF2-SHA256, hex
+    salt TEXT NOT NULL,          -- hex
+    role TEXT NOT NULL CHECK (role IN ('doctor', 'nurse', 'admin')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS AuthTokens (
+    token_hash TEXT PRIMARY KEY, -- SHA-256 of the bearer token
+    user_id INTEGER NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES Users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS AuditLog (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id INTEGER,
+    actor_username TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+    entity TEXT NOT NULL,
+    entity_id INTEGER NOT NULL,
+    patient_id INTEGER, -- no FK: history must survive patient deletion
+    before_json TEXT,
+    after_json TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditlog_patient ON AuditLog(patient_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_auditlog_entity ON AuditLog(entity, entity_id);
+
+CREATE TRIGGER IF NOT EXISTS AuditLog_no_update BEFORE UPDATE ON AuditLog
+BEGIN
+    SELECT RAISE(ABORT, 'AuditLog is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS AuditLog_no_delete BEFORE DELETE ON AuditLog
+BEGIN
+    SELECT RAISE(ABORT, 'AuditLog is append-only');
+END;
@@ -0,0 +1,30 @@
+-- Versioned dialysis protocols with the prescribed dry weight: Protocols goes from one row per
+-- patient to one row per prescription version. Each existing protocol becomes version 1, dated
+-- when it was last updated; nobody is recorded as its prescriber.
+-- db.sql creates this table for new databases; `node migrate.mjs <database>` applies this to existing ones.
+
+CREATE TABLE Protocols_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    dialyzer TEXT,
+    access TEXT,
+    dialysateFlow TEXT,
+    bloodFlow TEXT,
+    duration TEXT,
+    dry_weight REAL,      -- target dry weight, kg
+    dry_weight_date TEXT, -- date the dry weight was assessed, YYYY-MM-DD
+    reason TEXT,
+    prescribed_by INTEGER, -- Users.id
+    prescriber_name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(patient_id, version),
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+INSERT INTO Protocols_new (patient_id, version, dialyzer, access, dialysateFlow, bloodFlow, duration, created_at)
+SELECT patient_id, 1, dialyzer, access, dialysateFlow, bloodFlow, duration, COALESCE(updated_at, CURRENT_TIMESTAMP)
+FROM Protocols ORDER BY patient_id;
+
+DROP TABLE Protocols;
+ALTER TABLE Protocols_new RENAME TO Protocols;
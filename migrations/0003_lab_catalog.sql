@@ -0,0 +1,88 @@
+-- Structured lab results against a catalog of tests with reference ranges. The free-text results
+-- (name, result) are converted where the name is a catalog test and the result a plain number:
+-- the value is flagged like flagLabValue in worker.js and dated on the day it was entered.
+-- The other rows are kept unchanged in LegacyLabResults, which the application does not read
+-- (backups carry it): check them and re-enter what is still needed as structured results.
+-- db.sql creates these for new databases; `node migrate.mjs <database>` applies this to existing ones.
+
+CREATE TABLE IF NOT EXISTS LabTests (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    unit TEXT NOT NULL,
+    ref_low REAL,
+    ref_high REAL,
+    critical_low REAL,
+    critical_high REAL
+);
+
+INSERT OR IGNORE INTO LabTests (code, name, unit, ref_low, ref_high, critical_low, critical_high) VALUES
+    ('K',     'Potassium',   'mmol/L', 3.5,  5.5,  2.5,  6.5),
+    ('UREA',  'Urea',        'mmol/L', 2.5,  7.5,  NULL, 50),
+    ('CREAT', 'Creatinine',  'µmol/L', 60,   110,  NULL, NULL),
+    ('HB',    'Hemoglobin',  'g/dL',   10,   11.5, 7,    15),
+    ('PHOS',  'Phosphorus',  'mmol/L', 1.13, 1.78, 0.3,  3.2),
+    ('CA',    'Calcium',     'mmol/L', 2.1,  2.5,  1.75, 3.0),
+    ('PTH',   'PTH',         'pg/mL',  150,  600,  NULL, NULL),
+    ('ALB',   'Albumin',     'g/L',    35,   50,   20,   NULL),
+    ('FERR',  'Ferritin',    'ng/mL',  200,  500,  NULL, NULL);
+
+CREATE TABLE LegacyLabResults (
+    id INTEGER PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    result TEXT NOT NULL,
+    created_at DATETIME,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+-- Old name -> catalog code, compared in upper case; value is the result with a decimal comma
+-- read as a point, set only when nothing but a number is left
+CREATE TABLE LabResultsConversion AS
+WITH aliases(alias, code) AS (VALUES
+    ('K', 'K'), ('POTASSIUM', 'K'), ('UREA', 'UREA'), ('CREAT', 'CREAT'), ('CREATININE', 'CREAT'),
+    ('HB', 'HB'), ('HGB', 'HB'), ('HEMOGLOBIN', 'HB'), ('HAEMOGLOBIN', 'HB'),
+    ('PHOS', 'PHOS'), ('PHOSPHORUS', 'PHOS'), ('PHOSPHATE', 'PHOS'), ('CA', 'CA'), ('CALCIUM', 'CA'),
+    ('PTH', 'PTH'), ('IPTH', 'PTH'), ('ALB', 'ALB'), ('ALBUMIN', 'ALB'), ('FERR', 'FERR'), ('FERRITIN', 'FERR')
+),
+results AS (
+    SELECT r.*, upper(trim(r.name)) AS alias, replace(trim(r.result), ',', '.') AS number FROM LabResults r
+)
+SELECT r.id, r.patient_id, a.code AS test_code, r.created_at,
+    CASE WHEN r.number GLOB '[0-9]*' AND r.number NOT GLOB '*[^0-9.]*' AND r.number NOT GLOB '*.*.*' THEN CAST(r.number AS REAL) END AS value
+FROM results r LEFT JOIN aliases a ON a.alias = r.alias;
+
+INSERT INTO LegacyLabResults (id, patient_id, name, result, created_at)
+SELECT r.id, r.patient_id, r.name, r.result, r.created_at FROM LabResults r
+JOIN LabResultsConversion c ON c.id = r.id
+WHERE c.test_code IS NULL OR c.value IS NULL;
+
+CREATE TABLE LabResults_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    test_code TEXT NOT NULL,
+    value REAL NOT NULL,
+    collected_at TEXT NOT NULL, -- sample collection date, YYYY-MM-DD
+    flag TEXT NOT NULL CHECK (flag IN ('normal', 'low', 'high', 'critical')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE,
+    FOREIGN KEY(test_code) REFERENCES LabTests(code)
+);
+
+INSERT INTO LabResults_new (id, patient_id, test_code, value, collected_at, flag, created_at)
+SELECT c.id, c.patient_id, c.test_code, c.value, date(COALESCE(c.created_at, CURRENT_TIMESTAMP)),
+    CASE
+        WHEN (t.critical_low IS NOT NULL AND c.value < t.critical_low) OR (t.critical_high IS NOT NULL AND c.value > t.critical_high) THEN 'critical'
+        WHEN t.ref_low IS NOT NULL AND c.value < t.ref_low THEN 'low'
+        WHEN t.ref_high IS NOT NULL AND c.value > t.ref_high THEN 'high'
+        ELSE 'normal'
+    END,
+    c.created_at
+FROM LabResultsConversion c JOIN LabTests t ON t.code = c.test_code
+WHERE c.value IS NOT NULL
+ORDER BY c.id;
+
+DROP TABLE LabResultsConversion;
+DROP TABLE LabResults;
+ALTER TABLE LabResults_new RENAME TO LabResults;
+
+CREATE INDEX IF NOT EXISTS idx_labresults_patient ON LabResults(patient_id, test_code, collected_at);
@@ -0,0 +1,99 @@
+-- Session records: adequacy (urea, URR, Kt/V), ultrafiltration goal, vitals and complications,
+-- intradialytic readings and events, stations and the treatment schedule, and the vascular
+-- access registry. Existing sessions keep their values; the new columns start empty.
+-- db.sql creates these for new databases; `node migrate.mjs <database>` applies this to existing ones.
+
+CREATE TABLE IF NOT EXISTS Stations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    room TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ScheduleAssignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    station_id INTEGER NOT NULL,
+    shift TEXT NOT NULL CHECK (shift IN ('morning', 'afternoon', 'evening')),
+    pattern TEXT NOT NULL CHECK (pattern IN ('MWF', 'TTS')),
+    start_date TEXT NOT NULL, -- YYYY-MM-DD
+    end_date TEXT,            -- NULL while ongoing
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE,
+    FOREIGN KEY(station_id) REFERENCES Stations(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_patient ON ScheduleAssignments(patient_id, start_date);
+
+CREATE TABLE IF NOT EXISTS VascularAccesses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('avf', 'avg', 'tunneled_catheter', 'temporary_catheter')),
+    site TEXT NOT NULL,
+    placed_on TEXT NOT NULL,    -- YYYY-MM-DD
+    surgeon TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('maturing', 'active', 'abandoned', 'removed')),
+    ended_on TEXT,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS AccessEvents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    access_id INTEGER NOT NULL,
+    patient_id INTEGER NOT NULL,
+    category TEXT NOT NULL CHECK (category IN ('complication', 'intervention')),
+    event_type TEXT NOT NULL,
+    occurred_on TEXT NOT NULL,  -- YYYY-MM-DD
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(access_id) REFERENCES VascularAccesses(id) ON DELETE CASCADE,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+ALTER TABLE Sessions ADD COLUMN duration_minutes INTEGER;
+ALTER TABLE Sessions ADD COLUMN pre_urea REAL;
+ALTER TABLE Sessions ADD COLUMN post_urea REAL;
+ALTER TABLE Sessions ADD COLUMN urr REAL;
+ALTER TABLE Sessions ADD COLUMN ktv REAL;
+ALTER TABLE Sessions ADD COLUMN uf_goal_ml REAL;
+ALTER TABLE Sessions ADD COLUMN pre_pulse INTEGER;
+ALTER TABLE Sessions ADD COLUMN post_pulse INTEGER;
+ALTER TABLE Sessions ADD COLUMN pre_temperature REAL;
+ALTER TABLE Sessions ADD COLUMN post_temperature REAL;
+ALTER TABLE Sessions ADD COLUMN complications TEXT;
+ALTER TABLE Sessions ADD COLUMN schedule_id INTEGER REFERENCES ScheduleAssignments(id) ON DELETE SET NULL;
+ALTER TABLE Sessions ADD COLUMN access_id INTEGER REFERENCES VascularAccesses(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS SessionReadings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    recorded_at TEXT NOT NULL,  -- clock time, HH:MM
+    systolic INTEGER,
+    diastolic INTEGER,
+    pulse INTEGER,
+    blood_flow INTEGER,
+    venous_pressure INTEGER,
+    arterial_pressure INTEGER,
+    tmp INTEGER,
+    uf_volume REAL,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(session_id) REFERENCES Sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessionreadings_session ON SessionReadings(session_id, recorded_at);
+
+CREATE TABLE IF NOT EXISTS SessionEvents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    occurred_at TEXT NOT NULL,  -- clock time, HH:MM
+    event_type TEXT NOT NULL,
+    intervention TEXT NOT NULL DEFAULT 'none',
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(session_id) REFERENCES Sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessionevents_session ON SessionEvents(session_id, occurred_at);
@@ -0,0 +1,64 @@
+-- Structured prescriptions (dose, unit, route, frequency, start and stop dates) and the
+-- medication administration record. The free-text "Dosage / Frequency" of each existing
+-- prescription is kept in notes; when it starts with a number, that number and the word after
+-- it become the dose and unit and the rest the frequency, otherwise the whole text is the
+-- frequency with a dose of 0. Route and category were never recorded: route is left empty and
+-- the category is 'other', so the form asks for them the next time the prescription is edited.
+-- Existing prescriptions stay active from the day they were entered.
+-- db.sql creates these for new databases; `node migrate.mjs <database>` applies this to existing ones.
+
+CREATE TABLE Medications_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    drug_code TEXT,           -- drugs.json catalog code; NULL for off-catalog drugs
+    category TEXT NOT NULL DEFAULT 'other',
+    dose REAL NOT NULL,
+    unit TEXT NOT NULL,
+    route TEXT NOT NULL,
+    frequency TEXT NOT NULL,
+    start_date TEXT NOT NULL, -- YYYY-MM-DD
+    stop_date TEXT,           -- first day no longer given; NULL while active
+    stop_reason TEXT,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+WITH dosages AS (
+    SELECT m.*, replace(trim(m.dosage), ',', '.') AS text FROM Medications m
+),
+numbers AS (
+    SELECT d.*, CASE WHEN d.text GLOB '[0-9]*' THEN CAST(d.text AS REAL) ELSE 0 END AS dose,
+        trim(ltrim(d.text, '0123456789.')) AS rest
+    FROM dosages d
+),
+parsed AS (
+    SELECT n.*,
+        CASE WHEN n.dose > 0 AND instr(n.rest, ' ') > 0 THEN substr(n.rest, 1, instr(n.rest, ' ') - 1)
+             WHEN n.dose > 0 THEN n.rest ELSE '' END AS unit,
+        CASE WHEN n.dose > 0 AND instr(n.rest, ' ') > 0 THEN trim(substr(n.rest, instr(n.rest, ' ') + 1)) ELSE '' END AS schedule
+    FROM numbers n
+)
+INSERT INTO Medications_new (id, patient_id, name, dose, unit, route, frequency, start_date, notes, created_at)
+SELECT id, patient_id, name, dose, unit, '', CASE WHEN schedule <> '' THEN schedule ELSE trim(dosage) END,
+    date(COALESCE(created_at, CURRENT_TIMESTAMP)), 'Dosage / frequency as first prescribed: ' || trim(dosage), created_at
+FROM parsed ORDER BY id;
+
+DROP TABLE Medications;
+ALTER TABLE Medications_new RENAME TO Medications;
+
+CREATE TABLE IF NOT EXISTS MedicationAdministrations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    medication_id INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('given', 'held', 'refused')),
+    dose_given REAL,          -- in the prescription's unit, when given
+    reason TEXT,              -- required when held or refused
+    recorded_by INTEGER,
+    recorded_by_name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(medication_id, session_id),
+    FOREIGN KEY(session_id) REFERENCES Sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY(medication_id) REFERENCES Medications(id) ON DELETE CASCADE
+);
@@ -0,0 +1,27 @@
+-- Printed ordonnances and lab demands, hospital admissions, and the patient name index used by search.
+-- db.sql creates these for new databases; `node migrate.mjs <database>` applies this to existing ones.
+
+CREATE TABLE IF NOT EXISTS Prescriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('medications', 'labs')),
+    items_json TEXT NOT NULL,
+    notes TEXT,
+    issued_by INTEGER,
+    issued_by_name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS Hospitalizations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_id INTEGER NOT NULL,
+    admitted_on TEXT NOT NULL,  -- YYYY-MM-DD
+    discharged_on TEXT,         -- NULL while still admitted
+    reason TEXT NOT NULL,
+    hospital TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_patients_name ON Patients(familyname COLLATE NOCASE, name COLLATE NOCASE);
@@ -0,0 +1,20 @@
+-- Extended demographics and clinical profile on Patients.
+-- db.sql creates these columns for new databases; `node migrate.mjs <database>` applies this to existing ones.
+
+ALTER TABLE Patients ADD COLUMN sex TEXT CHECK (sex IN ('M', 'F'));
+ALTER TABLE Patients ADD COLUMN national_id TEXT;
+ALTER TABLE Patients ADD COLUMN phone TEXT;
+ALTER TABLE Patients ADD COLUMN address TEXT;
+ALTER TABLE Patients ADD COLUMN emergency_contact_name TEXT;
+ALTER TABLE Patients ADD COLUMN emergency_contact_phone TEXT;
+ALTER TABLE Patients ADD COLUMN blood_group TEXT CHECK (blood_group IN ('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'));
+ALTER TABLE Patients ADD COLUMN hbv_status TEXT NOT NULL DEFAULT 'unknown' CHECK (hbv_status IN ('negative', 'positive', 'unknown'));
+ALTER TABLE Patients ADD COLUMN hcv_status TEXT NOT NULL DEFAULT 'unknown' CHECK (hcv_status IN ('negative', 'positive', 'unknown'));
+ALTER TABLE Patients ADD COLUMN hiv_status TEXT NOT NULL DEFAULT 'unknown' CHECK (hiv_status IN ('negative', 'positive', 'unknown'));
+ALTER TABLE Patients ADD COLUMN serology_date TEXT;
+ALTER TABLE Patients ADD COLUMN ckd_etiology TEXT;
+ALTER TABLE Patients ADD COLUMN dialysis_start_date TEXT;
+ALTER TABLE Patients ADD COLUMN allergies TEXT;
+ALTER TABLE Patients ADD COLUMN comorbidities TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_national_id ON Patients(national_id) WHERE national_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- Row versions for offline edits: PUTs carrying a stale updated_at are refused with 409.
+-- db.sql creates these columns for new databases; `node migrate.mjs <database>` applies this to existing ones.
+-- (ALTER TABLE cannot add a CURRENT_TIMESTAMP default; the worker stamps updated_at on every write.)
+
+ALTER TABLE Medications ADD COLUMN updated_at DATETIME;
+ALTER TABLE LabResults ADD COLUMN updated_at DATETIME;
+ALTER TABLE Sessions ADD COLUMN updated_at DATETIME;
+
+UPDATE Medications SET updated_at = created_at;
+UPDATE LabResults SET updated_at = created_at;
+UPDATE Sessions SET updated_at = created_at;
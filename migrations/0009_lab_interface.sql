@@ -0,0 +1,36 @@
+-- Lab interface (HL7 v2 / FHIR): LOINC codes on the lab test catalog and the review queue
+-- for result messages no patient could be matched to.
+-- db.sql creates these for new databases; `node migrate.mjs <database>` applies this to existing ones.
+
+ALTER TABLE LabTests ADD COLUMN loinc TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labtests_loinc ON LabTests(loinc) WHERE loinc IS NOT NULL;
+
+UPDATE LabTests SET loinc = '2823-3' WHERE code = 'K';
+UPDATE LabTests SET loinc = '22664-7' WHERE code = 'UREA';
+UPDATE LabTests SET loinc = '14682-9' WHERE code = 'CREAT';
+UPDATE LabTests SET loinc = '718-7' WHERE code = 'HB';
+UPDATE LabTests SET loinc = '14879-1' WHERE code = 'PHOS';
+UPDATE LabTests SET loinc = '2000-8' WHERE code = 'CA';
+UPDATE LabTests SET loinc = '2731-8' WHERE code = 'PTH';
+UPDATE LabTests SET loinc = '1751-7' WHERE code = 'ALB';
+UPDATE LabTests SET loinc = '2276-4' WHERE code = 'FERR';
+
+CREATE TABLE IF NOT EXISTS LabInbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    format TEXT NOT NULL CHECK (format IN ('hl7v2', 'fhir')),
+    message_id TEXT,
+    sender TEXT,
+    patient_json TEXT NOT NULL,
+    observations_json TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    raw TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'filed', 'dismissed')),
+    patient_id INTEGER,
+    resolved_by INTEGER,
+    resolved_by_name TEXT,
+    resolved_at DATETIME,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(patient_id) REFERENCES Patients(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_labinbox_status ON LabInbox(status, received_at);
@@ -0,0 +1,310 @@
+/**
+ * MedProSana PDF writer (worker side)
+ * Lays out simple A4 documents (text rows, rules, line charts, QR codes) with the standard Helvetica fonts,
+ * which every PDF viewer provides: nothing is embedded or fetched. Text is WinAnsi (Latin-1),
+ * so characters outside it print as '?'.
+ */
+
+const PAGE_WIDTH = 595.28; // A4, points
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_SIZE = 8;
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126, from the Adobe AFM files.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// WinAnsi code points above 127 that differ from Latin-1.
+const WIN_ANSI_EXTRAS = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+const REPLACEMENTS = { '≥': '>=', '≤': '<=', '→': '->', '\t': ' ' };
+
+function toWinAnsi(text) {
+    const codes = [];
+    for (const char of String(text ?? '').replace(/[≥≤→\t]/g, c => REPLACEMENTS[c])) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI_EXTRAS[char]) codes.push(WIN_ANSI_EXTRAS[char]);
+        else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) codes.push(code);
+        else codes.push(63); // '?'
+    }
+    return codes;
+}
+
+function textWidth(codes, size, bold) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    return codes.reduce((sum, code) => sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556), 0) * size / 1000;
+}
+
+// PDF literal string; bytes outside printable ASCII are octal-escaped so the file stays 7-bit.
+function pdfString(codes) {
+    return `(${codes.map(code => {
+        if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+        if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+        return String.fromCharCode(code);
+    }).join('')})`;
+}
+
+// Greedy word wrap; a word longer than the line is cut.
+function wrapText(text, width, size, bold) {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split('\n')) {
+        let line = [];
+        for (const word of toWinAnsi(paragraph).reduce((words, code) => {
+            if (code === 32) words.push([]);
+            else words[words.length - 1].push(code);
+            return words;
+        }, [[]])) {
+            const candidate = line.length ? [...line, 32, ...word] : word;
+            if (textWidth(candidate, size, bold) <= width || line.length === 0) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+            while (textWidth(line, size, bold) > width && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+const colorOperator = (hex, op) => {
+    const [r, g, b] = [1, 3, 5].map(i => (parseInt(hex.substring(i, i + 2), 16) / 255).toFixed(3));
+    return `${r} ${g} ${b} ${op}`;
+};
+
+/**
+ * Creates a document laid out top to bottom; content flows onto new pages as needed.
+ * Horizontal positions and widths are fractions of the content width (0-1).
+ * @param {{ title: string, footer?: string }} options - PDF title and the text printed at the
+ *   bottom of every page, next to the page number.
+ */
+export function createPdf({ title, footer = '' }) {
+    const pages = [];
+    let ops;
+    let y;
+
+    const addPage = () => {
+        ops = [];
+        pages.push(ops);
+        y = PAGE_HEIGHT - MARGIN;
+    };
+    addPage();
+
+    const drawLine = (codes, x, baseline, { size, bold, color }) => {
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${colorOperator(color, 'rg')} ${x.toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString(codes)} Tj ET`);
+    };
+
+    const doc = {
+        /** Starts a new page unless `height` points still fit on the current one. */
+        ensureSpace(height) {
+            if (y - height < MARGIN + 2 * FOOTER_SIZE) addPage();
+        },
+
+        /**
+         * Prints a row of wrapped text cells side by side and moves below the tallest one.
+         * @param {{ text: string, x?: number, width?: number, size?: number, bold?: boolean,
+         *   color?: string, align?: 'left'|'right'|'center' }[]} cells
+         */
+        row(cells, { gap = 4 } = {}) {
+            const laidOut = cells.map(({ text, x = 0, width = 1 - x, size = 10, bold = false, color = '#1f2937', align = 'left' }) => {
+                const left = MARGIN + x * CONTENT_WIDTH;
+                const boxWidth = width * CONTENT_WIDTH;
+                return { lines: wrapText(text, boxWidth - 4, size, bold), left, boxWidth, size, bold, color, align };
+            });
+            const height = Math.max(...laidOut.map(cell => cell.lines.length * cell.size * 1.25));
+            doc.ensureSpace(height);
+            for (const cell of laidOut) {
+                cell.lines.forEach((codes, i) => {
+                    const offset = cell.align === 'left' ? 0 : (cell.boxWidth - textWidth(codes, cell.size, cell.bold)) / (cell.align === 'right' ? 1 : 2);
+                    drawLine(codes, cell.left + offset, y - cell.size - i * cell.size * 1.25, cell);
+                });
+            }
+            y -= height + gap;
+        },
+
+        /** Prints one wrapped paragraph across the full width. */
+        text(text, style = {}) {
+            doc.row([{ text, ...style }], style);
+        },
+
+        /** Prints "label: value" pairs as two columns. */
+        fields(pairs, { labelWidth = 0.3 } = {}) {
+            for (const [label, value] of pairs) {
+                doc.row([
+                    { text: label, width: labelWidth, bold: true, color: '#4b5563' },
+                    { text: value ?? '-', x: labelWidth },
+                ], { gap: 3 });
+            }
+        },
+
+        /**
+         * Prints a table with a shaded header row, repeated on each page it spans.
+         * @param {{ label: string, width: number }[]} columns - Widths as fractions, summing to 1.
+         * @param {string[][]} rows - Cell texts.
+         */
+        table(columns, rows) {
+            const header = () => {
+                doc.ensureSpace(40);
+                ops.push(`${colorOperator('#f3f4f6', 'rg')} ${MARGIN} ${(y - 14).toFixed(2)} ${CONTENT_WIDTH.toFixed(2)} 16 re f`);
+                let x = 0;
+                doc.row(columns.map(column => ({ text: column.label, x: (x += column.width) - column.width, width: column.width, size: 9, bold: true })));
+            };
+            header();
+            for (const cells of rows) {
+                const pageBefore = pages.length;
+                let x = 0;
+                const row = columns.map((column, i) => ({ text: cells[i], x: (x += column.width) - column.width, width: column.width, size: 9 }));
+                doc.ensureSpace(12);
+                if (pages.length !== pageBefore) header();
+                doc.row(row, { gap: 2 });
+                doc.rule({ color: '#e5e7eb' });
+            }
+        },
+
+        /** Draws a horizontal rule from x to x + width. */
+        rule({ x = 0, width = 1 - x, color = '#9ca3af', thickness = 0.5, gap = 4 } = {}) {
+            doc.ensureSpace(gap);
+            ops.push(`${colorOperator(color, 'RG')} ${thickness} w ${(MARGIN + x * CONTENT_WIDTH).toFixed(2)} ${y.toFixed(2)} m ${(MARGIN + (x + width) * CONTENT_WIDTH).toFixed(2)} ${y.toFixed(2)} l S`);
+            y -= gap;
+        },
+
+        /**
+         * Draws a line chart of dated values, as the frontend's renderTrendChart does on screen: one
+         * line per series, flagged points in the flag's colour and the reference band shaded.
+         * @param {{ title: string, unit: string, band?: { low: number|null, high: number|null },
+         *   series: { label: string, color: string, points: { date: string, value: number, flag?: string }[] }[] }} chart
+         */
+        chart({ title, unit, series, band = null }, { height = 150, gap = 14 } = {}) {
+            const points = series.flatMap(s => s.points);
+            if (points.length === 0) return;
+            doc.ensureSpace(height + 20);
+            doc.row([
+                { text: `${title} (${unit})`, width: 0.5, bold: true },
+                ...(series.length > 1 ? series.map((s, i) => ({ text: `• ${s.label}`, x: 0.5 + i * 0.5 / series.length, width: 0.5 / series.length, size: 8, color: s.color })) : []),
+            ], { gap: 2 });
+
+            const times = points.map(pt => new Date(pt.date).getTime());
+            let minT = Math.min(...times), maxT = Math.max(...times);
+            if (minT === maxT) { minT -= 86400000; maxT += 86400000; }
+            const values = points.map(pt => pt.value);
+            if (band && band.low !== null) values.push(band.low);
+            if (band && band.high !== null) values.push(band.high);
+            let minV = Math.min(...values), maxV = Math.max(...values);
+            const margin = (maxV - minV) * 0.1 || Math.abs(maxV) * 0.1 || 1;
+            minV -= margin;
+            maxV += margin;
+
+            const left = MARGIN + 36, right = MARGIN + CONTENT_WIDTH - 4;
+            const top = y - 4, bottom = y - height + 14;
+            const px = t => left + ((t - minT) / (maxT - minT)) * (right - left);
+            const py = v => bottom + ((v - minV) / (maxV - minV)) * (top - bottom);
+            const fmt = v => String(Number.isInteger(v) ? v : v.toFixed(1));
+            const label = (text, x, baseline, align) => {
+                const codes = toWinAnsi(text);
+                drawLine(codes, align === 'right' ? x - textWidth(codes, 8, false) : x, baseline, { size: 8, bold: false, color: '#6b7280' });
+            };
+
+            if (band && (band.low !== null || band.high !== null)) {
+                const bandTop = py(band.high !== null ? band.high : maxV), bandBottom = py(band.low !== null ? band.low : minV);
+                ops.push(`${colorOperator('#d1fae5', 'rg')} ${left.toFixed(2)} ${bandBottom.toFixed(2)} ${(right - left).toFixed(2)} ${(bandTop - bandBottom).toFixed(2)} re f`);
+            }
+            ops.push(`${colorOperator('#9ca3af', 'RG')} 0.5 w ${left.toFixed(2)} ${top.toFixed(2)} m ${left.toFixed(2)} ${bottom.toFixed(2)} l ${right.toFixed(2)} ${bottom.toFixed(2)} l S`);
+            label(fmt(maxV), left - 4, py(maxV) - 3, 'right');
+            label(fmt(minV), left - 4, py(minV), 'right');
+            const dateLabel = t => new Date(t).toISOString().substring(0, 10);
+            label(dateLabel(minT), left, bottom - 10);
+            label(dateLabel(maxT), right, bottom - 10, 'right');
+
+            const flagColors = { low: '#1d4ed8', high: '#ea580c', critical: '#b91c1c' };
+            for (const s of series) {
+                const sorted = [...s.points].sort((a, b) => new Date(a.date) - new Date(b.date))
+                    .map(pt => ({ ...pt, x: px(new Date(pt.date).getTime()), y: py(pt.value) }));
+                if (sorted.length === 0) continue;
+                ops.push(`${colorOperator(s.color, 'RG')} 1.2 w ${sorted.map((pt, i) => `${pt.x.toFixed(2)} ${pt.y.toFixed(2)} ${i === 0 ? 'm' : 'l'}`).join(' ')} S`);
+                for (const pt of sorted) {
+                    ops.push(`${colorOperator(flagColors[pt.flag] || s.color, 'rg')} ${(pt.x - 2).toFixed(2)} ${(pt.y - 2).toFixed(2)} 4 4 re f`);
+                }
+            }
+            y -= height + gap;
+        },
+
+        /** Leaves vertical space. */
+        space(height) {
+            y -= height;
+        },
+
+        /**
+         * Draws a module matrix (see qrcode.js) as a square of `size` points at horizontal position x,
+         * without moving down, so text can be printed beside it.
+         */
+        qrCode(matrix, { x = 0, size = 80 } = {}) {
+            doc.ensureSpace(size);
+            const cell = size / matrix.length;
+            const left = MARGIN + x * CONTENT_WIDTH;
+            ops.push(colorOperator('#000000', 'rg'));
+            matrix.forEach((row, r) => row.forEach((dark, c) => {
+                if (dark) ops.push(`${(left + c * cell).toFixed(2)} ${(y - (r + 1) * cell).toFixed(2)} ${cell.toFixed(2)} ${cell.toFixed(2)} re`);
+            }));
+            ops.push('f');
+            return size;
+        },
+
+        /** Vertical position on the current page, to line up blocks printed side by side. */
+        get cursor() {
+            return y;
+        },
+
+        /** Serialises the document; the footer and page numbers are added here. */
+        render() {
+            const objects = [];
+            const add = body => objects.push(body) + 2; // object 1 is the catalog, 2 the page tree
+            const fonts = [add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+                add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')];
+            const pageIds = pages.map((pageOps, i) => {
+                const label = toWinAnsi(`${footer}${footer ? ' - ' : ''}Page ${i + 1} / ${pages.length}`);
+                const footerOp = `BT /F1 ${FOOTER_SIZE} Tf ${colorOperator('#6b7280', 'rg')} ${(PAGE_WIDTH - MARGIN - textWidth(label, FOOTER_SIZE, false)).toFixed(2)} ${MARGIN - 20} Td ${pdfString(label)} Tj ET`;
+                const stream = [...pageOps, footerOp].join('\n');
+                const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+                return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R >> >> /Contents ${contents} 0 R >>`);
+            });
+            const info = add(`<< /Title ${pdfString(toWinAnsi(title))} /Producer (MedProSana) >>`);
+            const all = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+                ...objects,
+            ];
+
+            let output = '%PDF-1.4\n';
+            const offsets = all.map((body, i) => {
+                const offset = output.length;
+                output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xref = output.length;
+            output += `xref\n0 ${all.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+            output += `trailer\n<< /Size ${all.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+            return new TextEncoder().encode(output);
+        },
+    };
+    return doc;
+}
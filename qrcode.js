@@ -0,0 +1,231 @@
+/**
+ * MedProSana QR code encoder (worker side)
+ * Byte mode, error correction level M, versions 1-5 (up to 84 bytes): enough for the
+ * prescription references printed on PDFs. Follows ISO/IEC 18004.
+ */
+
+// Error correction level M, per version: EC codewords per block and data codewords of each block.
+const VERSIONS_M = [
+    null,
+    { ec: 10, blocks: [16] },
+    { ec: 16, blocks: [28] },
+    { ec: 26, blocks: [44] },
+    { ec: 18, blocks: [32, 32] },
+    { ec: 24, blocks: [43, 43] },
+];
+const ALIGNMENT_CENTERS = [null, [], [6, 18], [6, 22], [6, 26], [6, 30]];
+const FORMAT_BITS_M = 0;
+
+// GF(256) arithmetic over the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+}
+for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+// Reed-Solomon generator polynomial of the given degree, highest coefficient first.
+function rsGenerator(degree) {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(poly.length + 1).fill(0);
+        poly.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, GF_EXP[i]);
+        });
+        poly = next;
+    }
+    return poly;
+}
+
+function rsRemainder(data, generator) {
+    const remainder = new Array(generator.length - 1).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < remainder.length; i++) remainder[i] ^= gfMultiply(generator[i + 1], factor);
+    }
+    return remainder;
+}
+
+/**
+ * Builds the final codeword sequence: data bits padded to capacity, split into blocks,
+ * each followed by its EC codewords, interleaved.
+ */
+function buildCodewords(bytes, version) {
+    const { ec, blocks } = VERSIONS_M[version];
+    const capacity = blocks.reduce((sum, n) => sum + n, 0);
+
+    const bits = [];
+    const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+    push(0b0100, 4); // byte mode
+    push(bytes.length, 8);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    const generator = rsGenerator(ec);
+    let offset = 0;
+    const dataBlocks = blocks.map(n => data.slice(offset, offset += n));
+    const ecBlocks = dataBlocks.map(block => rsRemainder(block, generator));
+
+    const codewords = [];
+    for (let i = 0; i < Math.max(...blocks); i++) dataBlocks.forEach(block => { if (i < block.length) codewords.push(block[i]); });
+    for (let i = 0; i < ec; i++) ecBlocks.forEach(block => codewords.push(block[i]));
+    return codewords;
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+// Penalty score used to pick the mask (rules N1-N4 of the standard).
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) score += run - 2;
+            run = 1;
+        }
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        score += 40 * (text.match(/(?=00001011101|10111010000)/g) || []).length;
+    }
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const dark = modules[y][x];
+            if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) score += 3;
+        }
+    }
+    const darkCount = modules.flat().filter(Boolean).length;
+    score += 10 * Math.floor(Math.abs(darkCount * 100 / (size * size) - 50) / 5);
+    return score;
+}
+
+/**
+ * Encodes text (as UTF-8) into a QR code.
+ * @param {string} text - The text to encode.
+ * @returns {boolean[][]} - Module matrix, rows top to bottom, true = dark. No quiet zone.
+ */
+export function encodeQrCode(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    const version = VERSIONS_M.findIndex(v => v && (v.blocks.reduce((sum, n) => sum + n, 0) * 8 - 12) >= bytes.length * 8);
+    if (version === -1) throw new Error(`QR payload too long (${bytes.length} bytes)`);
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        if (x < 0 || y < 0 || x >= size || y >= size) return;
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Finder patterns with their separators, timing patterns, alignment patterns
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const ring = Math.max(Math.abs(dx), Math.abs(dy));
+                set(cx + dx, cy + dy, ring !== 2 && ring !== 4);
+            }
+        }
+    }
+    for (let i = 8; i < size - 8; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    const centers = ALIGNMENT_CENTERS[version];
+    for (const cy of centers) {
+        for (const cx of centers) {
+            if (reserved[cy][cx]) continue; // overlaps a finder pattern
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    const drawFormat = (mask) => {
+        const data = (FORMAT_BITS_M << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true); // dark module
+    };
+    drawFormat(0); // reserves the format areas before the data is placed
+
+    // Data bits in the two-column zigzag, from the bottom-right corner
+    const codewords = buildCodewords(bytes, version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // skip the vertical timing pattern
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (const x of [right, right - 1]) {
+                if (reserved[y][x]) continue;
+                const byte = codewords[bitIndex >>> 3];
+                modules[y][x] = byte !== undefined && ((byte >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+        drawFormat(mask);
+    };
+
+    // Masking is an XOR, so applying a mask twice restores the data
+    let best = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(mask);
+        const score = penalty(modules);
+        if (score < bestScore) {
+            best = mask;
+            bestScore = score;
+        }
+        applyMask(mask);
+    }
+    applyMask(best);
+    return modules;
+}
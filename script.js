@@ -5,43 +5,72 @@ let state = {
     view: 'list',
     currentPatient: null,
     currentTab: 'info',
-    patientList: [],
+    labView: 'list', // 'list' | 'trends' in the Lab Results tab
+    patientList: [], // the roster pages loaded so far
+    // Roster search & filters (sent to the worker); nextCursor loads the following page
+    roster: { q: '', shift: '', access: '', status: '', abnormal: false, sort: 'name', nextCursor: null, total: 0 },
+    labTests: [],
+    drugs: [], // drug catalog (drugs.json, served by the worker)
+    stations: [],
+    // Unit schedule board: from = first day shown, days = 1 (daily) or 7 (weekly)
+    schedule: { from: new Date().toISOString().substring(0, 10), days: 1, board: [], missed: [] },
+    // Unit quality dashboard: `months` months ending with `to` (YYYY-MM); drilldown = { metric, month }
+    dashboard: { to: new Date().toISOString().substring(0, 7), months: 6, data: [], drilldown: null },
     isLoading: false,
+    // Offline support: online = last request reached the worker; pending/problems = queued writes
+    // waiting to be replayed / refused by the worker (conflicts, validation errors)
+    sync: { online: true, syncing: false, pending: 0, problems: 0, entries: [] },
+    // Bulk import being checked: the file as sent to /import, the column mapping and the last dry-run report
+    importJob: null, // { kind, format, content, mapping, report }
+    // Lab messages from the lab interface that matched no patient, waiting for a person to file or dismiss them
+    labInbox: [],
+    // Backup file picked for a restore and the worker's check of it (row counts per table, backup vs now)
+    restoreJob: null, // { archive, summary }
+    // { token, user: { id, username, role }, permissions: ['resource:METHOD', ...] }
+    auth: JSON.parse(localStorage.getItem('medprosana-auth') || 'null'),
 };
 
 // IMPORTANT: Keep your worker URL here
 // This is the endpoint your Cloudflare Worker is deployed to.
 const API_BASE = 'https://hdmedprosana-api.ferhathamza17.workers.dev/api'; 
-const statusIndicator = document.getElementById('api-status-indicator');
 
-// --- UTILITY FUNCTIONS ---
+// Offline support: GET responses are kept in IndexedDB and served when the worker cannot be reached;
+// writes to sessions, labs and medications are queued there and replayed in order once back online.
+const OFFLINE_DB_NAME = 'medprosana-offline';
+const QUEUED_WRITE_PATTERN = /^\/patients\/(\d+)\/(sessions|labs|medications)(?:\/(\d+))?$/;
+const REQUEST_TIMEOUT_MS = 15000; // a dropped Wi-Fi often hangs rather than fails
+const SYNC_INTERVAL_MS = 30000;
+
+// Delay before a roster search is sent, so typing does not fire one request per keystroke.
+const ROSTER_SEARCH_DELAY_MS = 300;
+let rosterSearchTimer = null;
+
+// Tailwind classes for the worker-computed lab result flags.
+const LAB_FLAG_STYLES = {
+    normal: 'text-gray-800',
+    low: 'text-blue-700',
+    high: 'text-orange-600',
+    critical: 'text-red-700 bg-red-100 px-1 rounded',
+};
 
-/**
- * Updates the API status indicator on the UI.
- * @param {string} message - The message to display.
- * @param {'info' | 'success' | 'error'} type - The type of message.
- */
-function updateStatusIndicator(message, type = 'info') {
-    const indicator = document.getElementById('api-status-indicator');
-    if (!indicator) return;
+const MEDICATION_CATEGORY_LABELS = {
+    esa: 'ESA',
+    iron: 'Iron',
+    anticoagulant: 'Anticoagulant',
+    vitamin_d: 'Vitamin D',
+    phosphate_binder: 'Phosphate binder',
+    antihypertensive: 'Antihypertensive',
+    other: 'Other',
+};
 
-    indicator.textContent = message;
-    indicator.className = 'p-2 mb-4 text-sm rounded-lg';
-    indicator.classList.remove('hidden');
+// Tailwind classes for per-session administration statuses.
+const MAR_STATUS_STYLES = {
+    given: 'bg-green-100 text-green-800',
+    held: 'bg-yellow-100 text-yellow-800',
+    refused: 'bg-red-100 text-red-800',
+};
 
-    switch (type) {
-        case 'success':
-            indicator.classList.add('text-green-700', 'bg-green-100');
-            break;
-        case 'error':
-            indicator.classList.add('text-red-700', 'bg-red-100', 'font-bold');
-            break;
-        case 'info':
-        default:
-            indicator.classList.add('text-blue-700', 'bg-blue-100');
-            break;
-    }
-}
+// --- UTILITY FUNCTIONS ---
 
 /**
  * Shows a temporary toast message.
@@ -83,6 +112,15 @@ function closeModal(modalId) {
     document.getElementById(modalId)?.classList.add('invisible', 'opacity-0');
 }
 
+/**
+ * Escapes text for use inside innerHTML markup.
+ * @param {*} value - Any value; null and undefined give ''.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 /**
  * Calculates the age from a birthdate string.
  * @param {string} birthdateString - Date of birth in 'YYYY-MM-DD' format.
@@ -100,11 +138,112 @@ function calculateAge(birthdateString) {
     return age;
 }
 
+/**
+ * Formats a structured prescription as one line, e.g. "4000 UI IV · 3x/week".
+ * @param {object} medication - A Medications row.
+ * @returns {string}
+ */
+function formatDosage(medication) {
+    return `${medication.dose} ${medication.unit} ${medication.route} · ${medication.frequency}`;
+}
+
+/**
+ * Checks whether the signed-in user's role may perform an action.
+ * Mirrors the worker's PERMISSIONS table, which remains the authority.
+ * @param {string} resource - e.g. 'protocol', 'medications', 'sessions'.
+ * @param {'GET' | 'POST' | 'PUT' | 'DELETE'} method - The HTTP method.
+ * @returns {boolean}
+ */
+function can(resource, method) {
+    return Boolean(state.auth && state.auth.permissions.includes(`${resource}:${method}`));
+}
+
+// --- AUTHENTICATION ---
+
+/**
+ * Stores (or clears, when null) the auth session and refreshes the header.
+ * @param {object|null} auth - The login response from the worker.
+ */
+function setAuth(auth) {
+    state.auth = auth;
+    if (auth) {
+        localStorage.setItem('medprosana-auth', JSON.stringify(auth));
+    } else {
+        localStorage.removeItem('medprosana-auth');
+    }
+    renderUserBadge();
+}
+
+/**
+ * Shows the login screen and resets the application state.
+ * @param {string} [reason] - Optional message explaining why login is required.
+ */
+function showLoginScreen(reason) {
+    setAuth(null);
+    state.view = 'list';
+    state.currentPatient = null;
+    state.patientList = [];
+    document.getElementById('login-form')?.reset();
+    const errorEl = document.getElementById('login-error');
+    if (errorEl) {
+        errorEl.textContent = reason || '';
+        errorEl.classList.toggle('hidden', !reason);
+    }
+    openModal('login-modal');
+}
+
+/**
+ * Signs in against the worker and loads the roster on success.
+ * @param {string} username
+ * @param {string} password
+ */
+async function login(username, password) {
+    try {
+        const response = await fetch(`${API_BASE}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password }),
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showLoginScreen(body.error || `Login failed (${response.status}).`);
+            return;
+        }
+        setAuth(body);
+        closeModal('login-modal');
+        showMessage(`Signed in as ${body.user.username} (${body.user.role}).`);
+        await Promise.all([fetchLabTests(), fetchDrugs(), fetchStations(), fetchPatients()]);
+        syncQueue(); // writes this user queued offline before signing out or losing the token
+    } catch (error) {
+        console.error("Login Failed:", error);
+        showLoginScreen(`Network error: ${error.message}`);
+    }
+}
+
+/**
+ * Revokes the current token on the worker and returns to the login screen.
+ */
+async function logout() {
+    if (state.auth) {
+        await fetch(`${API_BASE}/auth/logout`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${state.auth.token}` },
+        }).catch(() => {});
+        if (state.sync.entries.length > 0) {
+            showMessage(`${state.sync.entries.length} offline change(s) stay on this device until ${state.auth.user.username} signs in again.`, 'warning');
+        }
+    }
+    await clearOfflineResponses();
+    showLoginScreen();
+    renderApp();
+}
+
 // --- API HANDLERS ---
 
 /**
  * Generic function for fetching data from the worker API.
- * Includes loading state management and error handling.
+ * Includes loading state management and error handling. When the worker cannot be reached,
+ * GETs are answered from the offline copy and session/lab/medication writes are queued.
  */
 async function apiFetch(url, method = 'GET', data = null) {
     state.isLoading = true;
@@ -115,36 +254,53 @@ async function apiFetch(url, method = 'GET', data = null) {
             method,
             headers: { 'Content-Type': 'application/json' },
         };
+        if (state.auth) {
+            options.headers['Authorization'] = `Bearer ${state.auth.token}`;
+        }
         if (data) {
             options.body = JSON.stringify(data);
         }
 
         const fullUrl = `${API_BASE}${url}`;
-        const response = await fetch(fullUrl, options);
+        let response;
+        try {
+            response = await fetchWithTimeout(fullUrl, options);
+        } catch (networkError) {
+            return await handleOffline(url, method, data, networkError);
+        }
+        setOnline(true);
+
+        // Token missing or expired: send the user back to the login screen without an error toast.
+        if (response.status === 401) {
+            if (state.auth) showLoginScreen("Your session has expired. Please sign in again.");
+            else showLoginScreen();
+            return null;
+        }
         
         if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API Error ${response.status}.`);
+            const errorBody = await response.json().catch(() => ({}));
+            const details = errorBody.details ? `: ${errorBody.details.join('; ')}` : '';
+            throw new Error(`API Error ${response.status}${errorBody.error ? ` - ${errorBody.error}` : ''}${details}.`);
         }
 
-        if (url === '/patients' && method === 'GET') {
-            updateStatusIndicator(`Connection successful. Worker is responsive.`, 'success');
+        if (response.status === 204) {
+             return { success: true };
         }
 
-        if (response.status === 204 || method === 'PUT' || method === 'DELETE') {
-             return { success: true };
+        // Printable documents (PDF), exports (CSV, XLSX) and backups come back as files
+        if (!(response.headers.get('Content-Type') || '').startsWith('application/json')) {
+            return method === 'PUT' || method === 'DELETE' ? { success: true } : await response.blob();
         }
 
-        return await response.json();
+        const body = await response.json();
+        if (method === 'GET') saveOfflineResponse(url, body);
+        // Updates return the saved record: its new updated_at is the version the next edit must send
+        return method === 'PUT' || method === 'DELETE' ? { success: true, ...body } : body;
 
     } catch (error) {
         console.error("API Call Failed:", error);
         const errorMessage = error.message || `Network error.`;
         showMessage(errorMessage, 'error');
-        
-        if (url === '/patients' && method === 'GET') {
-            updateStatusIndicator(`API Connection FAILED: ${errorMessage}`, 'error');
-        }
         return null;
 
     } finally {
@@ -153,18 +309,392 @@ async function apiFetch(url, method = 'GET', data = null) {
 }
 
 /**
- * Fetches the list of all patients and updates the application state.
+ * fetch() that gives up after REQUEST_TIMEOUT_MS, or at once when the browser knows it is offline.
+ */
+async function fetchWithTimeout(url, options) {
+    if (navigator.onLine === false) throw new Error('The browser is offline.');
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * The worker could not be reached: answers a GET from the offline copy, queues a session,
+ * lab or medication write, and fails anything else.
+ * @returns {Promise<object|null>} - What apiFetch returns.
+ */
+async function handleOffline(url, method, data, networkError) {
+    console.warn(`Offline: ${method} ${url}`, networkError);
+    if (state.sync.online) showMessage('Connection lost: working offline with the data saved on this device.', 'warning');
+    setOnline(false);
+    if (method === 'GET') {
+        // Data never loaded on this device is simply missing; the sync status already says why
+        return readOfflineResponse(url);
+    }
+    if (QUEUED_WRITE_PATTERN.test(url) && await queueWrite(url, method, data)) {
+        showMessage('Offline: the change is saved on this device and will be sent when the connection is back.', 'warning');
+        return { success: true, queued: true };
+    }
+    showMessage('You are offline. This change cannot be saved until the connection is back.', 'error');
+    return null;
+}
+
+// --- OFFLINE STORAGE & SYNC ---
+
+const QUEUED_RECORD_LABELS = { sessions: 'session', labs: 'lab result', medications: 'medication' };
+const SYNC_STATUS_STYLES = {
+    synced: 'text-green-700 bg-green-100',
+    pending: 'text-yellow-800 bg-yellow-100',
+    syncing: 'text-blue-700 bg-blue-100',
+    problems: 'text-red-700 bg-red-100',
+};
+
+let offlineDb = null;
+
+/**
+ * Opens the IndexedDB database: `responses` (GET bodies keyed by API path) and `queue`
+ * (offline writes; the auto-increment id is the replay order).
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOfflineDb() {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available.'));
+    offlineDb = offlineDb || new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('responses', { keyPath: 'url' });
+            request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return offlineDb;
+}
+
+/**
+ * Runs one request against an object store and resolves with its result once the transaction completes.
+ * @param {'responses' | 'queue'} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ */
+async function offlineStore(storeName, mode, operation) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function saveOfflineResponse(url, body) {
+    offlineStore('responses', 'readwrite', store => store.put({ url, body, saved_at: new Date().toISOString() }))
+        .catch(error => console.warn('Could not keep an offline copy:', error));
+}
+
+async function readOfflineResponse(url) {
+    const entry = await offlineStore('responses', 'readonly', store => store.get(url)).catch(() => null);
+    return entry ? entry.body : null;
+}
+
+// Patient data must not stay on a shared ward computer after signing out.
+function clearOfflineResponses() {
+    return offlineStore('responses', 'readwrite', store => store.clear()).catch(() => {});
+}
+
+/**
+ * Queues a session, lab or medication write for replay. Edits keep the updated_at of the record
+ * as it was loaded, so the worker can refuse them if someone else saved it in between.
+ * @returns {Promise<boolean>} - Whether the write was stored.
+ */
+async function queueWrite(url, method, data) {
+    const [, patientId, type, recordId] = QUEUED_WRITE_PATTERN.exec(url);
+    const patient = state.currentPatient?.id === parseInt(patientId)
+        ? `${state.currentPatient.name} ${state.currentPatient.familyname}` : `patient ${patientId}`;
+    const action = method === 'POST' ? 'New' : method === 'PUT' ? 'Edited' : 'Deleted';
+    const entry = {
+        url,
+        method,
+        data,
+        username: state.auth.user.username,
+        label: `${action} ${QUEUED_RECORD_LABELS[type]}${recordId ? ` #${recordId}` : ''} for ${patient}`,
+        queued_at: new Date().toISOString(),
+        status: 'pending',
+    };
+    try {
+        await offlineStore('queue', 'readwrite', store => store.add(entry));
+        await loadSyncQueue();
+        return true;
+    } catch (error) {
+        console.error('Could not queue the offline write:', error);
+        return false;
+    }
+}
+
+/**
+ * Reloads the signed-in user's queued writes into state.sync and refreshes the sync status.
+ */
+async function loadSyncQueue() {
+    const entries = state.auth ? await offlineStore('queue', 'readonly', store => store.getAll()).catch(() => []) : [];
+    state.sync.entries = entries.filter(entry => entry.username === state.auth?.user.username);
+    state.sync.pending = state.sync.entries.filter(entry => entry.status === 'pending').length;
+    state.sync.problems = state.sync.entries.length - state.sync.pending;
+    renderSyncStatus();
+}
+
+/**
+ * Records whether the worker is reachable; coming back online starts a replay of the queue.
+ * @param {boolean} online
+ */
+function setOnline(online) {
+    const reconnected = online && !state.sync.online;
+    state.sync.online = online;
+    renderSyncStatus();
+    if (reconnected) syncQueue();
+}
+
+/**
+ * Replays the pending writes in the order they were made. Stops at the first network failure
+ * (the rest stays queued, in order); a refused write (conflict or validation error) is set aside
+ * for review and the replay goes on with the next one.
+ */
+async function syncQueue() {
+    if (state.sync.syncing || !state.auth) return;
+    await loadSyncQueue();
+    const pending = state.sync.entries.filter(entry => entry.status === 'pending');
+    if (pending.length === 0) return;
+
+    state.sync.syncing = true;
+    renderSyncStatus();
+    let synced = 0;
+    let refused = 0;
+    const patients = new Set();
+    try {
+        for (const entry of pending) {
+            let response;
+            try {
+                response = await fetchWithTimeout(`${API_BASE}${entry.url}`, {
+                    method: entry.method,
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${state.auth.token}` },
+                    body: entry.data ? JSON.stringify(entry.data) : undefined,
+                });
+            } catch {
+                state.sync.online = false;
+                break;
+            }
+            state.sync.online = true;
+            if (response.status === 401) {
+                showLoginScreen("Your session has expired. Sign in again to send the changes made offline.");
+                break;
+            }
+            patients.add(parseInt(QUEUED_WRITE_PATTERN.exec(entry.url)[1]));
+            // Deleting a record that is already gone is done, not an error
+            if (response.ok || (entry.method === 'DELETE' && response.status === 404)) {
+                await offlineStore('queue', 'readwrite', store => store.delete(entry.id));
+                synced++;
+                if (entry.method === 'PUT') await carrySavedVersion(entry, pending, await response.json().catch(() => ({})));
+                continue;
+            }
+            const body = await response.json().catch(() => ({}));
+            const details = body.details ? `: ${body.details.join('; ')}` : '';
+            await offlineStore('queue', 'readwrite', store => store.put({
+                ...entry,
+                status: response.status === 409 && body.current ? 'conflict' : 'rejected',
+                error: `${body.error || `Error ${response.status}`}${details}`,
+                current: body.current || null,
+            }));
+            refused++;
+        }
+    } finally {
+        state.sync.syncing = false;
+        await loadSyncQueue();
+    }
+
+    if (synced > 0) showMessage(`${synced} offline change${synced > 1 ? 's' : ''} sent to the server.`);
+    if (refused > 0) showMessage(`${refused} offline change${refused > 1 ? 's were' : ' was'} refused by the server: click the sync status to review.`, 'warning');
+    if (state.view === 'detail' && state.currentPatient && patients.has(state.currentPatient.id)) {
+        await fetchPatientDetail(state.currentPatient.id);
+    }
+}
+
+/**
+ * After a replayed edit is saved, later queued edits of the same record that started from the
+ * same version are moved onto the new one: they were made on top of that edit, not against it.
+ * @param {object} entry - The queue entry just saved.
+ * @param {object[]} pending - The entries of the current replay.
+ * @param {object} body - The worker's response, with the saved record.
+ */
+async function carrySavedVersion(entry, pending, body) {
+    const saved = body.medication || body.labResult || body.session;
+    if (!saved || !entry.data?.updated_at) return;
+    for (const later of pending) {
+        if (later.id === entry.id || later.url !== entry.url || later.method !== 'PUT' || later.data.updated_at !== entry.data.updated_at) continue;
+        later.data = { ...later.data, updated_at: saved.updated_at };
+        await offlineStore('queue', 'readwrite', store => store.put(later));
+    }
+}
+
+/**
+ * Settles a write the worker refused: 'overwrite' sends a conflicting edit again without its
+ * record version (the offline edit wins), 'discard' drops it.
+ * @param {number} entryId - The queue entry.
+ * @param {'overwrite' | 'discard'} action
+ */
+async function resolveSyncEntry(entryId, action) {
+    const entry = state.sync.entries.find(e => e.id === entryId);
+    if (!entry) return;
+    if (action === 'discard') {
+        if (!confirm(`Discard "${entry.label}"? This change will be lost.`)) return;
+        await offlineStore('queue', 'readwrite', store => store.delete(entryId));
+        await loadSyncQueue();
+        return;
+    }
+    const { updated_at, ...data } = entry.data;
+    await offlineStore('queue', 'readwrite', store => store.put({ ...entry, data, status: 'pending', error: null, current: null }));
+    await syncQueue();
+}
+
+/**
+ * Renders the sync status in the header and, when open, the list of queued writes in the sync modal.
  */
-async function fetchPatients() {
-    const result = await apiFetch('/patients');
+function renderSyncStatus() {
+    const { online, syncing, pending, problems, entries } = state.sync;
+    const button = document.getElementById('sync-status');
+    if (button) {
+        const status = syncing ? 'syncing' : problems > 0 ? 'problems' : pending > 0 || !online ? 'pending' : 'synced';
+        button.textContent = syncing ? `Syncing ${pending}...`
+            : problems > 0 ? `${problems} to review`
+            : `${online ? 'Online' : 'Offline'}${pending > 0 ? ` · ${pending} pending` : ' · synced'}`;
+        button.className = `text-xs font-semibold py-1 px-3 rounded-full ${SYNC_STATUS_STYLES[status]}`;
+        button.classList.toggle('hidden', !state.auth);
+    }
+
+    const list = document.getElementById('sync-entries');
+    if (!list) return;
+    if (entries.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500">No offline changes waiting.</p>';
+        return;
+    }
+    list.innerHTML = entries.map(entry => {
+        const differences = entry.current ? Object.keys(entry.data).filter(key => key !== 'updated_at' && key in entry.current
+            && String(entry.current[key] ?? '') !== String(entry.data[key] ?? '')) : [];
+        return `
+            <div class="border rounded-lg p-3 ${entry.status === 'pending' ? 'border-gray-200' : 'border-red-300 bg-red-50'}">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <p class="font-medium text-gray-800">${escapeHtml(entry.label)}</p>
+                        <p class="text-xs text-gray-500">Saved offline ${new Date(entry.queued_at).toLocaleString()} &middot; ${entry.status}</p>
+                    </div>
+                    <div class="space-x-2 text-sm whitespace-nowrap">
+                        ${entry.status === 'conflict' ? `<button data-sync-resolve="overwrite" data-entry-id="${entry.id}" class="text-blue-600 hover:underline">Keep mine</button>` : ''}
+                        ${entry.status !== 'pending' ? `<button data-sync-resolve="discard" data-entry-id="${entry.id}" class="text-red-600 hover:underline">Discard</button>` : ''}
+                    </div>
+                </div>
+                ${entry.error ? `<p class="text-sm text-red-700 mt-1">${escapeHtml(entry.error)}</p>` : ''}
+                ${differences.length > 0 ? `
+                    <table class="text-xs mt-2 w-full">
+                        <tr class="text-gray-500"><th class="text-left">Field</th><th class="text-left">On the server</th><th class="text-left">Offline change</th></tr>
+                        ${differences.map(key => `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(entry.current[key])}</td><td class="font-semibold">${escapeHtml(entry.data[key])}</td></tr>`).join('')}
+                    </table>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Loads the lab test catalog (names, units, reference ranges).
+ */
+async function fetchLabTests() {
+    const result = await apiFetch('/lab-tests');
+    if (result && result.labTests) {
+        state.labTests = result.labTests;
+    }
+}
+
+/**
+ * Fetches the drug catalog used for medication autocomplete and dosing notes.
+ */
+async function fetchDrugs() {
+    const result = await apiFetch('/drugs');
+    if (result && result.drugs) {
+        state.drugs = result.drugs;
+        const options = document.getElementById('drug-catalog-options');
+        if (options) options.innerHTML = state.drugs.map(d => `<option value="${d.name}">${d.aliases.join(', ')}</option>`).join('');
+    }
+}
+
+/**
+ * Fetches the dialysis stations (chairs) used by the schedule forms.
+ */
+async function fetchStations() {
+    const result = await apiFetch('/stations');
+    if (result && result.stations) {
+        state.stations = result.stations;
+    }
+}
+
+/**
+ * Fetches the unit schedule board for state.schedule.from/days, plus the missed-session report.
+ */
+async function fetchSchedule() {
+    const { from, days } = state.schedule;
+    const [boardRes, missedRes] = await Promise.all([
+        apiFetch(`/schedule?from=${from}&days=${days}`),
+        apiFetch('/schedule/missed'),
+        fetchStations(),
+    ]);
+    state.schedule.board = boardRes?.days || [];
+    state.schedule.missed = missedRes?.missed || [];
+    renderApp();
+}
+
+/**
+ * Adds a dialysis station.
+ * @param {object} stationData - { name, room }.
+ */
+async function addStation(stationData) {
+    const result = await apiFetch('/stations', 'POST', stationData);
+    if (result && result.success) {
+        showMessage(`Station ${result.station.name} added.`);
+        await fetchSchedule();
+    }
+}
+
+/**
+ * Fetches the unit quality indicators for the months in state.dashboard.
+ */
+async function fetchDashboard() {
+    const { to, months } = state.dashboard;
+    const result = await apiFetch(`/dashboard?to=${to}&months=${months}`);
+    state.dashboard.data = result?.months || [];
+    renderApp();
+}
+
+/**
+ * Fetches the first page of the roster for the current search & filters, or the next page.
+ * @param {boolean} [append] - Load the page after the last one instead of starting over.
+ */
+async function fetchPatients(append = false) {
+    const { q, shift, access, status, abnormal, sort, nextCursor } = state.roster;
+    const params = new URLSearchParams({ sort });
+    if (q) params.set('q', q);
+    if (shift) params.set('shift', shift);
+    if (access) params.set('access', access);
+    if (status) params.set('status', status);
+    if (abnormal) params.set('abnormal', '1');
+    if (append && nextCursor) params.set('cursor', nextCursor);
+
+    const result = await apiFetch(`/patients?${params}`);
     if (result && result.patients) {
-        state.patientList = result.patients.sort((a, b) => (a.familyname || '').localeCompare(b.familyname || ''));
-         if (state.view === 'detail' && state.currentPatient) {
+        state.patientList = append ? [...state.patientList, ...result.patients] : result.patients;
+        state.roster.nextCursor = result.next_cursor;
+        state.roster.total = result.total;
+        if (state.view === 'detail' && state.currentPatient) {
             // If viewing detail, refresh the detail view with the latest data
-            const updatedPatient = state.patientList.find(p => p.id === state.currentPatient.id);
-            if (updatedPatient) {
-                await fetchPatientDetail(updatedPatient.id);
-            }
+            await fetchPatientDetail(state.currentPatient.id);
         }
         renderApp();
     } else if (result) {
@@ -180,22 +710,42 @@ async function fetchPatients() {
  */
 async function fetchPatientDetail(patientId) {
     // Fetch all records concurrently for faster load time
-    const [patientRes, medsRes, labsRes, protocolRes, sessionsRes] = await Promise.all([
+    const [patientRes, medsRes, labsRes, protocolRes, sessionsRes, auditRes, protocolVersionsRes, adequacyRes, scheduleRes, marRes, prescriptionsRes, hospitalizationsRes, accessesRes] = await Promise.all([
         apiFetch(`/patients/${patientId}`),
         apiFetch(`/patients/${patientId}/medications`),
         apiFetch(`/patients/${patientId}/labs`),
         apiFetch(`/patients/${patientId}/protocol`),
         apiFetch(`/patients/${patientId}/sessions`), 
+        can('audit', 'GET') ? apiFetch(`/audit?patient_id=${patientId}`) : null,
+        apiFetch(`/patients/${patientId}/protocol/versions`),
+        apiFetch(`/patients/${patientId}/adequacy`),
+        apiFetch(`/patients/${patientId}/schedule`),
+        apiFetch(`/patients/${patientId}/mar`),
+        apiFetch(`/patients/${patientId}/prescriptions`),
+        apiFetch(`/patients/${patientId}/hospitalizations`),
+        apiFetch(`/patients/${patientId}/accesses`),
     ]);
 
     if (patientRes) {
         // Combine all fetched data into the currentPatient object
         state.currentPatient = {
             ...patientRes.patient,
-            medications: (medsRes?.medications || []).sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
-            labResults: (labsRes?.labResults || []).sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+            medications: medsRes?.medications || [],
+            mar: marRes?.administrations || [],
+            labResults: (labsRes?.labResults || []).sort((a, b) => new Date(b.collected_at) - new Date(a.collected_at)),
             protocol: protocolRes?.protocol || {},
-            sessions: (sessionsRes?.sessions || []).sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+            sessions: (sessionsRes?.sessions || []).sort((a, b) => new Date(b.date || b.created_at) - new Date(a.date || a.created_at)),
+            auditTrail: auditRes?.entries || [],
+            protocolVersions: protocolVersionsRes?.versions || [],
+            protocolDiff: null,
+            // Keep an open live session sheet across reloads of the same patient
+            sessionSheet: state.currentPatient?.id === patientRes.patient.id ? state.currentPatient.sessionSheet ?? null : null,
+            adequacy: adequacyRes || { targets: { ktv: 1.2, urr: 65 }, months: [] },
+            scheduleAssignments: scheduleRes?.assignments || [],
+            prescriptions: prescriptionsRes?.prescriptions || [],
+            hospitalizations: hospitalizationsRes?.hospitalizations || [],
+            accesses: accessesRes?.accesses || [],
+            catheterDays: accessesRes?.catheter_days || 0,
         };
         renderApp();
     } else {
@@ -219,17 +769,113 @@ async function addPatient(patientData) {
     }
 }
 
+/**
+ * Updates an existing patient's demographics.
+ * @param {number} patientId - The ID of the patient.
+ * @param {object} patientData - The updated patient data.
+ */
+async function updatePatient(patientId, patientData) {
+    const result = await apiFetch(`/patients/${patientId}`, 'PUT', patientData);
+    if (result && result.success) {
+        showMessage(`${patientData.name} ${patientData.familyname} updated.`);
+        closeModal('patient-modal');
+        await fetchPatients();
+    }
+}
+
+/**
+ * Deletes a patient and, through cascading deletes, all of their records.
+ * @param {number} patientId - The ID of the patient.
+ */
+async function deletePatient(patientId) {
+    const result = await apiFetch(`/patients/${patientId}`, 'DELETE');
+    if (result && result.success) {
+        showMessage("Patient deleted.");
+        state.view = 'list';
+        state.currentPatient = null;
+        state.currentTab = 'info';
+        await fetchPatients();
+    }
+}
+
 /**
  * Adds a new record (medication, lab, or session) for a patient.
  * @param {number} patientId - The ID of the patient.
- * @param {'medications' | 'labs' | 'sessions'} type - The type of record to add.
+ * @param {'medications' | 'labs' | 'sessions' | 'schedule' | 'mar'} type - The type of record to add.
  * @param {object} record - The record data.
+ * @returns {Promise<boolean>} - Whether the worker accepted the change.
  */
 async function addPatientRecord(patientId, type, record) {
     const url = `/patients/${patientId}/${type}`; 
     const result = await apiFetch(url, 'POST', record);
     if (result && result.success) {
-        showMessage(`New entry added to ${type}.`);
+        if (!result.queued) showMessage(`New entry added to ${type}.`);
+        await fetchPatientDetail(patientId);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Updates an existing record (medication, lab, or session) for a patient.
+ * @param {number} patientId - The ID of the patient.
+ * @param {'medications' | 'labs' | 'sessions' | 'schedule' | 'mar' | 'hospitalizations' | 'accesses'} type - The type of record to update.
+ * @param {number} recordId - The ID of the record.
+ * @param {object} record - The updated record data.
+ * @returns {Promise<boolean>} - Whether the worker accepted the change.
+ */
+async function updatePatientRecord(patientId, type, recordId, record) {
+    const result = await apiFetch(`/patients/${patientId}/${type}/${recordId}`, 'PUT', record);
+    if (result && result.success) {
+        if (!result.queued) showMessage(`Entry in ${type} updated.`);
+        // Keep the new version even if the reload below only reaches the offline copy
+        const saved = result.medication || result.labResult || result.session;
+        const loaded = saved && state.currentPatient?.id === patientId
+            ? (state.currentPatient[RECORD_LISTS[type]] || []).find(r => r.id === recordId) : null;
+        if (loaded) loaded.updated_at = saved.updated_at;
+        await fetchPatientDetail(patientId);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Deletes a record (medication, lab, or session) for a patient.
+ * @param {number} patientId - The ID of the patient.
+ * @param {'medications' | 'labs' | 'sessions' | 'schedule' | 'mar'} type - The type of record to delete.
+ * @param {number} recordId - The ID of the record.
+ */
+async function deletePatientRecord(patientId, type, recordId) {
+    const result = await apiFetch(`/patients/${patientId}/${type}/${recordId}`, 'DELETE');
+    if (result && result.success) {
+        if (!result.queued) showMessage(`Entry removed from ${type}.`);
+        await fetchPatientDetail(patientId);
+    }
+}
+
+/**
+ * Logs a complication or intervention on one of the open patient's vascular accesses.
+ * @param {number} accessId - The access.
+ * @param {object} entry - { category, event_type, occurred_on, notes }.
+ */
+async function addAccessEvent(accessId, entry) {
+    const patientId = state.currentPatient.id;
+    const result = await apiFetch(`/patients/${patientId}/accesses/${accessId}/events`, 'POST', entry);
+    if (result && result.success) {
+        showMessage(`${entry.category === 'complication' ? 'Complication' : 'Intervention'} recorded.`);
+        await fetchPatientDetail(patientId);
+    }
+}
+
+/**
+ * Removes a complication or intervention from a vascular access.
+ * @param {number} accessId - The access.
+ * @param {number} eventId - The entry to remove.
+ */
+async function deleteAccessEvent(accessId, eventId) {
+    const patientId = state.currentPatient.id;
+    const result = await apiFetch(`/patients/${patientId}/accesses/${accessId}/events/${eventId}`, 'DELETE');
+    if (result && result.success) {
         await fetchPatientDetail(patientId);
     }
 }
@@ -238,257 +884,975 @@ async function addPatientRecord(patientId, type, record) {
  * Updates the patient's hemodialysis protocol.
  * @param {number} patientId - The ID of the patient.
  * @param {object} protocolData - The new protocol data.
+ * @returns {Promise<boolean>} - Whether the worker accepted the change.
  */
 async function updatePatientProtocol(patientId, protocolData) {
     const result = await apiFetch(`/patients/${patientId}/protocol`, 'PUT', protocolData);
     if (result && result.success) {
-        showMessage("Hemodialysis Protocol updated.");
+        showMessage("Hemodialysis Protocol updated (new version saved).");
         await fetchPatientDetail(patientId);
+        return true;
     }
+    return false;
 }
 
-// --- PROMPT/INPUT FUNCTIONS ---
+/**
+ * Compares two protocol versions through the worker and shows the result in the HD Protocol tab.
+ * @param {number} patientId - The ID of the patient.
+ * @param {number} fromVersion - The older version number.
+ * @param {number} toVersion - The newer version number.
+ */
+async function compareProtocolVersions(patientId, fromVersion, toVersion) {
+    const result = await apiFetch(`/patients/${patientId}/protocol/diff?from=${fromVersion}&to=${toVersion}`);
+    if (result && state.currentPatient && state.currentPatient.id === patientId) {
+        state.currentPatient.protocolDiff = result;
+        renderApp();
+    }
+}
 
 /**
- * Prompts the user for data to add a new record.
- * @param {'meds' | 'labs' | 'sessions'} type - The record type.
+ * Loads the intradialytic readings and events of a session into the live session sheet.
+ * @param {number} patientId - The ID of the patient.
+ * @param {number} sessionId - The ID of the session.
  */
-function showAddRecordPrompt(type) {
-    if (!state.currentPatient) return;
+async function fetchSessionSheet(patientId, sessionId) {
+    const [readingsRes, eventsRes] = await Promise.all([
+        apiFetch(`/patients/${patientId}/sessions/${sessionId}/readings`),
+        apiFetch(`/patients/${patientId}/sessions/${sessionId}/events`),
+    ]);
+    if (readingsRes && eventsRes && state.currentPatient && state.currentPatient.id === patientId) {
+        state.currentPatient.sessionSheet = { sessionId, ...readingsRes, events: eventsRes.events };
+        renderApp();
+    }
+}
+
+/**
+ * Adds an intradialytic reading or event to the open session sheet.
+ * Warns when the worker flags the reading as intradialytic hypotension.
+ * @param {'readings' | 'events'} kind - The kind of entry.
+ * @param {object} entry - The reading or event data.
+ * @returns {Promise<boolean>} - Whether the worker accepted the entry.
+ */
+async function addSessionEntry(kind, entry) {
     const patientId = state.currentPatient.id;
+    const sessionId = state.currentPatient.sessionSheet.sessionId;
+    const result = await apiFetch(`/patients/${patientId}/sessions/${sessionId}/${kind}`, 'POST', entry);
+    if (!result || !result.success) return false;
 
-    if (type === 'meds') {
-        const medName = prompt("Medication Name (e.g., EPO, Heparin):");
-        const medDosage = prompt("Dosage/Frequency:");
-        if (medName && medDosage) {
-            addPatientRecord(patientId, 'medications', { name: medName, dosage: medDosage });
-        }
-    } else if (type === 'labs') {
-        const labName = prompt("Lab Test Name (e.g., Potassium, Urea):");
-        const labResult = prompt("Result Value:");
-        if (labName && labResult) {
-            addPatientRecord(patientId, 'labs', { name: labName, result: labResult });
-        }
-    } else if (type === 'sessions') {
-        // Note: Using prompt() for simplicity, in a production app a custom modal form would be used.
-        const preW = prompt("Poids AVANT (kg):");
-        if (preW === null) return;
-        const postW = prompt("Poids APRÈS (kg):");
-        if (postW === null) return;
-        const preBP = prompt("Tension AVANT (ex: 130/80):");
-        if (preBP === null) return;
-        const postBP = prompt("Tension APRÈS:");
-        if (postBP === null) return;
-        const access = prompt("État de l'abord (Fistule/KT):", "Bon état");
-        if (access === null) return;
-        const note = prompt("Observations / Incidents:");
-        if (note === null) return;
-
-        addPatientRecord(patientId, 'sessions', {
-            pre_weight: preW,
-            post_weight: postW,
-            pre_bp: preBP,
-            post_bp: postBP,
-            access_condition: access,
-            notes: note
-        });
+    if (result.reading?.hypotension_alert) {
+        showMessage(`Systolic ${result.reading.systolic} mmHg${result.reading.systolic_drop !== null ? ` (−${result.reading.systolic_drop} from pre-dialysis)` : ''}: intradialytic hypotension.`, 'warning');
+    } else {
+        showMessage(kind === 'readings' ? 'Reading recorded.' : 'Event recorded.');
     }
+    await fetchSessionSheet(patientId, sessionId);
+    return true;
 }
 
 /**
- * Prompts the user to edit the hemodialysis protocol.
+ * Removes a reading or event from the open session sheet.
+ * @param {'readings' | 'events'} kind - The kind of entry.
+ * @param {number} entryId - The ID of the reading or event.
+ */
+async function deleteSessionEntry(kind, entryId) {
+    const patientId = state.currentPatient.id;
+    const sessionId = state.currentPatient.sessionSheet.sessionId;
+    const result = await apiFetch(`/patients/${patientId}/sessions/${sessionId}/${kind}/${entryId}`, 'DELETE');
+    if (result && result.success) {
+        await fetchSessionSheet(patientId, sessionId);
+    }
+}
+
+// --- FORM FUNCTIONS ---
+
+const SESSION_COMPLICATION_LABELS = {
+    hypotension: 'Hypotension',
+    cramps: 'Cramps',
+    nausea: 'Nausea / vomiting',
+    headache: 'Headache',
+    chest_pain: 'Chest pain',
+    fever: 'Fever / chills',
+    access_bleeding: 'Access bleeding',
+    clotting: 'Circuit clotting',
+};
+
+const CKD_ETIOLOGY_LABELS = {
+    diabetic_nephropathy: 'Diabetic nephropathy',
+    hypertensive_nephrosclerosis: 'Hypertensive nephrosclerosis',
+    glomerulonephritis: 'Glomerulonephritis',
+    polycystic_kidney_disease: 'Polycystic kidney disease',
+    interstitial_nephritis: 'Interstitial nephritis',
+    obstructive_uropathy: 'Obstructive uropathy',
+    hereditary: 'Other hereditary disease',
+    other: 'Other',
+    unknown: 'Unknown',
+};
+const SEROLOGY_LABELS = { hbv_status: 'HBV', hcv_status: 'HCV', hiv_status: 'HIV' };
+const SEROLOGY_STYLES = { positive: 'text-red-700 font-semibold', negative: 'text-green-700', unknown: 'text-gray-500' };
+
+/**
+ * Badge for patients with a positive serology (the worker lists them in `isolation`).
+ * @param {object} p - A patient from the roster or the detail endpoint.
+ */
+function renderIsolationBadge(p) {
+    if (!p.isolation || p.isolation.length === 0) return '';
+    return `<span title="Dialysis in the isolation room" class="text-xs font-semibold inline-block py-1 px-3 uppercase rounded-full text-red-700 bg-red-100">Isolation ${p.isolation.join(' ')}</span>`;
+}
+
+const SHIFT_LABELS = { morning: 'Morning', afternoon: 'Afternoon', evening: 'Evening' };
+const SCHEDULE_PATTERN_LABELS = { MWF: 'Mon-Wed-Fri', TTS: 'Tue-Thu-Sat' };
+const SLOT_STATUS_STYLES = {
+    done: 'bg-green-100 text-green-800',
+    expected: 'bg-blue-50 text-blue-800',
+    missed: 'bg-red-100 text-red-800',
+};
+
+const SESSION_INTERVENTION_LABELS = {
+    none: 'None',
+    saline_bolus: 'Saline bolus',
+    uf_reduced: 'UF reduced',
+    uf_stopped: 'UF stopped',
+    blood_flow_reduced: 'Blood flow reduced',
+    trendelenburg: 'Trendelenburg',
+    medication: 'Medication given',
+    circuit_changed: 'Circuit changed',
+    session_stopped: 'Session stopped',
+};
+
+const ACCESS_TYPE_LABELS = { avf: 'AVF', avg: 'AV graft', tunneled_catheter: 'Tunneled catheter', temporary_catheter: 'Temporary catheter' };
+const ACCESS_STATUS_STYLES = {
+    maturing: 'bg-yellow-100 text-yellow-800',
+    active: 'bg-green-100 text-green-800',
+    abandoned: 'bg-gray-200 text-gray-700',
+    removed: 'bg-gray-200 text-gray-700',
+};
+const ACCESS_COMPLICATION_LABELS = {
+    thrombosis: 'Thrombosis',
+    infection: 'Infection',
+    stenosis: 'Stenosis',
+    poor_flow: 'Poor flow',
+    bleeding: 'Bleeding',
+    aneurysm: 'Aneurysm',
+    other: 'Other',
+};
+const ACCESS_INTERVENTION_LABELS = {
+    angioplasty: 'Angioplasty',
+    thrombectomy: 'Thrombectomy',
+    surgical_revision: 'Surgical revision',
+    catheter_exchange: 'Catheter exchange',
+    lock_therapy: 'Lock therapy',
+    antibiotics: 'Antibiotics',
+    other: 'Other',
+};
+
+function describeAccess(access) {
+    return `${ACCESS_TYPE_LABELS[access.type] || access.type} (${access.site})`;
+}
+
+/**
+ * Resets a modal form, then fills it from a record (by input name).
+ * Checkbox groups are ticked from an array or a comma-separated string.
+ * @param {HTMLFormElement} form - The form to fill.
+ * @param {object} values - Field values keyed by input name.
+ */
+function fillForm(form, values = {}) {
+    form.reset();
+    for (const el of form.elements) {
+        if (!el.name || !(el.name in values)) continue;
+        const value = values[el.name];
+        if (el.type === 'checkbox') {
+            const checked = Array.isArray(value) ? value : String(value || '').split(',');
+            el.checked = checked.includes(el.value);
+        } else {
+            el.value = value ?? '';
+        }
+    }
+}
+
+/**
+ * Shows validation errors in a form's error box, or hides the box when there are none.
+ * @param {string} boxId - The ID of the error box.
+ * @param {string[]} errors - The messages to list.
+ */
+function showFormErrors(boxId, errors) {
+    const box = document.getElementById(boxId);
+    if (!box) return;
+    box.innerHTML = errors.map(err => `<div>${err}</div>`).join('');
+    box.classList.toggle('hidden', errors.length === 0);
+}
+
+/**
+ * Client-side check of a form against its inputs' required/min/max/step attributes.
+ * The worker re-validates everything; this only saves a round trip.
+ * @param {HTMLFormElement} form - The form to check.
+ * @returns {string[]} - One message per invalid field, prefixed with its label.
+ */
+function validateForm(form) {
+    const errors = [];
+    for (const el of form.elements) {
+        if (!el.name || el.type === 'hidden' || el.validity.valid) continue;
+        const label = form.querySelector(`label[for="${el.id}"]`)?.textContent.trim() || el.name;
+        errors.push(`${label}: ${el.validationMessage}`);
+    }
+    return errors;
+}
+
+/**
+ * Opens the session form, pre-filled when editing.
+ * @param {object} [record] - The session to edit; omitted for a new session.
+ */
+function openSessionForm(record = null) {
+    const form = document.getElementById('session-form');
+    if (!form) return;
+    const values = record ? { ...record } : { date: new Date().toISOString().substring(0, 10) };
+    // Accesses still in place, plus the one an edited session was done with
+    const select = document.getElementById('session-access');
+    const accesses = (state.currentPatient?.accesses || []).filter(a => !a.ended_on || a.id === record?.access_id);
+    select.innerHTML = `<option value="">Access in use on that date</option>${accesses.map(a => `<option value="${a.id}">${describeAccess(a)}</option>`).join('')}`;
+    for (const prefix of ['pre', 'post']) {
+        const [systolic, diastolic] = String(values[`${prefix}_bp`] || '').split('/');
+        values[`${prefix}_systolic`] = systolic;
+        values[`${prefix}_diastolic`] = diastolic;
+    }
+    fillForm(form, values);
+    document.getElementById('session-modal-title').textContent = record ? 'Edit Dialysis Session' : 'New Dialysis Session';
+    document.getElementById('uf-goal-hint').textContent = '';
+    showFormErrors('session-form-errors', []);
+    openModal('session-modal');
+}
+
+/**
+ * Asks the worker for the UF goal suggested by the pre-weight and the protocol dry weight,
+ * shows the reasoning under the UF goal field and pre-fills it if still empty.
+ * @param {number} patientId - The ID of the patient.
+ * @param {string} preWeight - The pre-dialysis weight just entered.
  */
-function showProtocolEditPrompt() {
+async function refreshUfGoalHint(patientId, preWeight) {
+    const hint = document.getElementById('uf-goal-hint');
+    const input = document.getElementById('session-uf-goal');
+    if (!hint || !input || !preWeight) return;
+
+    const goal = await apiFetch(`/patients/${patientId}/sessions/uf-goal?pre_weight=${encodeURIComponent(preWeight)}`);
+    if (!goal) return;
+    if (goal.dry_weight === null) {
+        hint.className = 'text-xs text-yellow-700 self-end pb-2';
+        hint.textContent = 'No target dry weight in the protocol: UF goal cannot be suggested.';
+        return;
+    }
+
+    hint.className = `text-xs self-end pb-2 ${goal.uf_rate_exceeded ? 'text-red-600 font-semibold' : 'text-gray-500'}`;
+    hint.textContent = [
+        `Dry weight ${goal.dry_weight} kg`,
+        goal.idwg !== null ? `IDWG ${goal.idwg} kg` : null,
+        `suggested ${goal.uf_goal_ml} mL (incl. ${goal.allowance_ml} mL allowance)`,
+        goal.uf_rate !== null ? `${goal.uf_rate} mL/kg/h (max ${goal.max_uf_rate})` : null,
+    ].filter(Boolean).join(' · ');
+    if (!input.value) input.value = goal.uf_goal_ml;
+}
+
+/**
+ * Validates the session form and returns the payload for the worker.
+ * @param {HTMLFormElement} form - The session form.
+ * @returns {{ errors: string[], values: object }}
+ */
+function readSessionForm(form) {
+    const errors = validateForm(form);
+    const formData = new FormData(form);
+    const values = Object.fromEntries(formData.entries());
+    values.complications = formData.getAll('complications');
+
+    for (const prefix of ['pre', 'post']) {
+        const systolic = parseFloat(values[`${prefix}_systolic`]);
+        const diastolic = parseFloat(values[`${prefix}_diastolic`]);
+        if (systolic <= diastolic) errors.push(`${prefix === 'pre' ? 'Pre' : 'Post'} BP: systolic must be higher than diastolic.`);
+    }
+    // Post-dialysis values are entered at the end of the session; once any is, weight and BP are needed
+    const completed = ['post_weight', 'post_systolic', 'post_diastolic', 'post_pulse', 'post_temperature', 'post_urea'].some(field => values[field]);
+    if (completed && !(values.post_weight && values.post_systolic && values.post_diastolic)) {
+        errors.push('To complete the session, enter the post-dialysis weight and blood pressure.');
+    }
+    if (Boolean(values.pre_urea) !== Boolean(values.post_urea)) {
+        errors.push('Pre and post urea must be entered together.');
+    } else if (values.pre_urea && parseFloat(values.post_urea) >= parseFloat(values.pre_urea)) {
+        errors.push('Post urea must be lower than pre urea.');
+    }
+    return { errors, values };
+}
+
+/**
+ * Opens the medication form, pre-filled when editing.
+ * @param {object} [record] - The medication to edit.
+ */
+function openMedicationForm(record = null) {
+    const form = document.getElementById('medication-form');
+    if (!form) return;
+    fillForm(form, record || { start_date: new Date().toISOString().substring(0, 10) });
+    document.getElementById('medication-modal-title').textContent = record ? 'Edit Medication' : 'Add Medication';
+    showFormErrors('medication-form-errors', []);
+    resetPrescriptionWarnings();
+    applyCatalogDrug(false);
+    openModal('medication-modal');
+}
+
+/**
+ * Matches the typed medication name against the catalog (name or brand alias) and shows its
+ * dialysis dosing notes and standard strengths. With fillDefaults, also sets category, unit and route.
+ * @param {boolean} fillDefaults - Whether to overwrite category/unit/route with the catalog's.
+ */
+function applyCatalogDrug(fillDefaults = true) {
+    const form = document.getElementById('medication-form');
+    const key = form.elements.name.value.trim().toLowerCase();
+    const drug = state.drugs.find(d => d.name.toLowerCase() === key || d.aliases.some(a => a.toLowerCase() === key));
+    const notes = document.getElementById('medication-drug-notes');
+
+    form.elements.drug_code.value = drug ? drug.code : '';
+    document.getElementById('medication-dose-options').innerHTML = drug ? drug.strengths.map(v => `<option value="${v}"></option>`).join('') : '';
+    notes.textContent = drug ? `${drug.name}${drug.esrd !== 'ok' ? ` (ESRD: ${drug.esrd})` : ''}: ${drug.dialysis_notes}` : '';
+    notes.classList.toggle('hidden', !drug);
+    if (drug && fillDefaults) {
+        form.elements.category.value = drug.category;
+        form.elements.unit.value = drug.unit;
+        form.elements.route.value = drug.route;
+    }
+}
+
+/**
+ * Clears the prescription warnings so the next submit checks again.
+ */
+function resetPrescriptionWarnings() {
+    const form = document.getElementById('medication-form');
+    if (form) delete form.dataset.acknowledged;
+    document.getElementById('medication-form-warnings')?.classList.add('hidden');
+    const submitBtn = document.getElementById('medication-submit-btn');
+    if (submitBtn) submitBtn.textContent = 'Save Medication';
+}
+
+/**
+ * Runs the worker's prescription checks for a new or edited medication. Warnings are listed in the
+ * modal and the prescriber has to submit a second time ("Save anyway") to acknowledge them.
+ * @param {HTMLFormElement} form - The medication form.
+ * @param {object} medication - The medication data.
+ * @param {string} [id] - The medication being edited, left out of the interaction check.
+ * @returns {Promise<boolean>} - Whether the prescription may be saved now.
+ */
+async function confirmPrescriptionWarnings(form, medication, id) {
+    if (form.dataset.acknowledged) return true;
+    // Offline the check cannot run: the worker runs it when the queued medication is sent, and refuses it on warnings
+    if (!state.sync.online) return true;
+    const result = await apiFetch(`/patients/${state.currentPatient.id}/medications/check`, 'POST', id ? { ...medication, id } : medication);
+    if (!result) return false;
+    if (result.warnings.length === 0) return true;
+
+    const box = document.getElementById('medication-form-warnings');
+    box.innerHTML = result.warnings.map(w => `<div><b class="uppercase text-xs">${w.severity}</b> ${w.message}</div>`).join('');
+    box.classList.remove('hidden');
+    form.dataset.acknowledged = 'true';
+    document.getElementById('medication-submit-btn').textContent = 'Save anyway';
+    return false;
+}
+
+/**
+ * Shows the unit and reference range of the selected catalog test next to the value input.
+ */
+function updateLabTestHint() {
+    const code = document.getElementById('lab-test-code')?.value;
+    const test = state.labTests.find(t => t.code === code);
+    document.getElementById('lab-unit').textContent = test ? `(${test.unit})` : '';
+    document.getElementById('lab-reference').textContent = test ? `Reference: ${formatReferenceRange(test)}` : '';
+}
+
+/**
+ * Opens the lab result form with the test catalog as options, pre-filled when editing.
+ * @param {object} [record] - The lab result to edit.
+ */
+function openLabForm(record = null) {
+    const form = document.getElementById('lab-form');
+    if (!form) return;
+    document.getElementById('lab-test-code').innerHTML = state.labTests
+        .map(t => `<option value="${t.code}">${t.name} (${t.code})</option>`)
+        .join('');
+    fillForm(form, record || { collected_at: new Date().toISOString().substring(0, 10) });
+    updateLabTestHint();
+    document.getElementById('lab-modal-title').textContent = record ? 'Edit Lab Result' : 'Add Lab Result';
+    showFormErrors('lab-form-errors', []);
+    openModal('lab-modal');
+}
+
+/**
+ * Opens the protocol form pre-filled with the current version. The reason is always blank.
+ */
+function openProtocolForm() {
+    const form = document.getElementById('protocol-form');
+    if (!form || !state.currentPatient) return;
     const p = state.currentPatient.protocol || {};
+    fillForm(form, {
+        dialyzer: p.dialyzer || "F8HPS",
+        access: p.access || "Fistula",
+        dialysateFlow: p.dialysateFlow || "500 ml/min",
+        bloodFlow: p.bloodFlow || "300 ml/min",
+        duration: p.duration || "4 hours",
+        dry_weight: p.dry_weight,
+    });
+    showFormErrors('protocol-form-errors', []);
+    openModal('protocol-modal');
+}
+
+/**
+ * Opens the prescription form: the active medications with a duration and quantity each
+ * for an ordonnance, or the lab test catalog to pick from for a lab demand.
+ * @param {'medications' | 'labs'} type - The kind of prescription.
+ */
+function openPrescriptionForm(type) {
+    const form = document.getElementById('prescription-form');
+    if (!form || !state.currentPatient) return;
+    fillForm(form, { type });
+    const activeMeds = state.currentPatient.medications.filter(m => m.active);
+    if (type === 'medications' && activeMeds.length === 0) {
+        showMessage('No active medications to prescribe.', 'error');
+        return;
+    }
+
+    document.getElementById('prescription-modal-title').textContent = type === 'labs' ? 'New Lab Demand' : 'New Ordonnance';
+    document.getElementById('prescription-items').innerHTML = type === 'labs'
+        ? `
+            <p class="text-sm font-medium text-gray-700 mb-2">Tests requested</p>
+            <div class="grid grid-cols-2 gap-2">
+                ${state.labTests.map(t => `
+                    <label class="flex items-center space-x-2 text-sm">
+                        <input type="checkbox" name="test_code" value="${t.code}" class="rounded text-emerald-600">
+                        <span>${t.name} <span class="text-gray-400">(${t.code})</span></span>
+                    </label>
+                `).join('')}
+            </div>
+        `
+        : `
+            <p class="text-sm font-medium text-gray-700 mb-2">Active medications</p>
+            <div class="space-y-2">
+                ${activeMeds.map(m => `
+                    <div class="grid grid-cols-6 gap-2 items-center border-b pb-2">
+                        <label class="col-span-3 flex items-start space-x-2 text-sm">
+                            <input type="checkbox" name="medication_id" value="${m.id}" checked data-prescription-line class="mt-1 rounded text-emerald-600">
+                            <span><span class="font-medium">${m.name}</span><br><span class="text-xs text-gray-500">${formatDosage(m)}</span></span>
+                        </label>
+                        <div>
+                            <label class="sr-only" for="prescription-duration-${m.id}">${m.name} duration (days)</label>
+                            <input type="number" id="prescription-duration-${m.id}" name="duration_${m.id}" value="30" required min="1" max="365" step="1" title="Duration (days)" class="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm">
+                        </div>
+                        <div class="col-span-2">
+                            <label class="sr-only" for="prescription-quantity-${m.id}">${m.name} quantity</label>
+                            <input type="text" id="prescription-quantity-${m.id}" name="quantity_${m.id}" maxlength="50" placeholder="Quantity, e.g. 3 boxes" class="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm">
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="text-xs text-gray-500 mt-2">Duration in days. Untick a medication to leave it off this ordonnance.</p>
+        `;
+    showFormErrors('prescription-form-errors', []);
+    openModal('prescription-modal');
+}
+
+/**
+ * Reads the prescription form into the worker payload ({ type, items, notes }).
+ * Unticked medication rows are disabled, so their inputs are neither validated nor sent.
+ * @param {HTMLFormElement} form - The prescription form.
+ * @returns {{ errors: string[], values: object }}
+ */
+function readPrescriptionForm(form) {
+    const errors = validateForm(form);
+    const data = new FormData(form);
+    const type = data.get('type');
+    const items = type === 'labs'
+        ? data.getAll('test_code').map(test_code => ({ test_code }))
+        : data.getAll('medication_id').map(id => ({ medication_id: parseInt(id), duration_days: data.get(`duration_${id}`), quantity: data.get(`quantity_${id}`) }));
+    if (items.length === 0) errors.push(type === 'labs' ? 'Select at least one test.' : 'Select at least one medication.');
+    return { errors, values: { type, items, notes: data.get('notes') } };
+}
+
+/**
+ * Saves a prescription, then opens its PDF: the printout carries the ID the worker assigned.
+ * @param {object} prescription - { type, items, notes }.
+ * @returns {Promise<boolean>} - Whether the worker accepted it.
+ */
+async function issuePrescription(prescription) {
     const patientId = state.currentPatient.id;
+    const result = await apiFetch(`/patients/${patientId}/prescriptions`, 'POST', prescription);
+    if (!result || !result.success) return false;
+    await fetchPatientDetail(patientId);
+    openDocumentPdf(prescription.type === 'labs' ? 'lab-demand' : 'prescription', { id: result.prescription.id });
+    return true;
+}
 
-    const newDialyzer = prompt(`Edit Dialyzer:`, p.dialyzer || "F8HPS");
-    if (newDialyzer === null) return;
-    const newAccess = prompt(`Edit Vascular Access:`, p.access || "Fistula");
-    if (newAccess === null) return;
-    const newDialysateFlow = prompt(`Edit Dialysate Flow:`, p.dialysateFlow || "500 ml/min");
-    if (newDialysateFlow === null) return;
-    const newBloodFlow = prompt(`Edit Blood Flow:`, p.bloodFlow || "300 ml/min");
-    if (newBloodFlow === null) return;
-    const newDuration = prompt(`Edit Duration:`, p.duration || "4 hours");
-    if (newDuration === null) return;
-
-    updatePatientProtocol(patientId, {
-        dialyzer: newDialyzer,
-        access: newAccess,
-        dialysateFlow: newDialysateFlow,
-        bloodFlow: newBloodFlow,
-        duration: newDuration
+// Where openRecordForm/submitRecordForm find a record type in state.currentPatient.
+const RECORD_LISTS = { meds: 'medications', medications: 'medications', labs: 'labResults', sessions: 'sessions' };
+
+/**
+ * Opens the matching form for a record type, pre-filled when a record ID is given.
+ * @param {'meds' | 'medications' | 'labs' | 'sessions'} type - The record type.
+ * @param {number} [recordId] - The ID of the record to edit.
+ */
+function openRecordForm(type, recordId = null) {
+    if (!state.currentPatient) return;
+    const listKey = RECORD_LISTS[type];
+    const record = recordId !== null ? (state.currentPatient[listKey] || []).find(r => r.id === recordId) : null;
+    if (recordId !== null && !record) return;
+
+    if (listKey === 'medications') openMedicationForm(record);
+    else if (listKey === 'labResults') openLabForm(record);
+    else if (listKey === 'sessions') openSessionForm(record);
+}
+
+/**
+ * Submits a record form: creates the record when the hidden ID is empty, updates it otherwise,
+ * and closes the modal once the worker accepted it.
+ * @param {'medications' | 'labs' | 'sessions'} type - The record type.
+ * @param {string} modalId - The modal holding the form.
+ * @param {string} id - The hidden record ID ('' for a new record).
+ * @param {object} record - The record data.
+ */
+async function submitRecordForm(type, modalId, id, record) {
+    const patientId = state.currentPatient.id;
+    // The version the edit started from: the worker refuses the update if the record changed since
+    const loaded = id ? (state.currentPatient[RECORD_LISTS[type]] || []).find(r => r.id === parseInt(id)) : null;
+    const saved = id
+        ? await updatePatientRecord(patientId, type, parseInt(id), { ...record, updated_at: loaded?.updated_at })
+        : await addPatientRecord(patientId, type, record);
+    if (saved) closeModal(modalId);
+}
+
+// --- CHART FUNCTIONS ---
+
+/**
+ * Renders a time-series line chart as an inline SVG string (no external chart library,
+ * so it also renders inside the print window).
+ * @param {object} chart
+ * @param {string} chart.title - Chart title.
+ * @param {string} chart.unit - Unit shown on the y axis.
+ * @param {{ label: string, color: string, points: { date: string, value: number, flag?: string }[] }[]} chart.series
+ * @param {{ low: number|null, high: number|null }} [chart.band] - Reference range, drawn as a shaded band.
+ * @returns {string} - SVG markup.
+ */
+function renderTrendChart({ title, unit, series, band }) {
+    const width = 640, height = 220;
+    const pad = { top: 28, right: 16, bottom: 28, left: 48 };
+    const points = series.flatMap(s => s.points);
+    if (points.length === 0) return '';
+
+    const times = points.map(pt => new Date(pt.date).getTime());
+    let minT = Math.min(...times), maxT = Math.max(...times);
+    if (minT === maxT) { minT -= 86400000; maxT += 86400000; } // one-day padding for a single sample
+
+    const values = points.map(pt => pt.value);
+    if (band && band.low !== null) values.push(band.low);
+    if (band && band.high !== null) values.push(band.high);
+    let minV = Math.min(...values), maxV = Math.max(...values);
+    const margin = (maxV - minV) * 0.1 || Math.abs(maxV) * 0.1 || 1;
+    minV -= margin;
+    maxV += margin;
+
+    const x = t => pad.left + ((t - minT) / (maxT - minT)) * (width - pad.left - pad.right);
+    const y = v => height - pad.bottom - ((v - minV) / (maxV - minV)) * (height - pad.top - pad.bottom);
+    const fmt = v => Number.isInteger(v) ? v : v.toFixed(1);
+
+    let bandSvg = '';
+    if (band && (band.low !== null || band.high !== null)) {
+        const top = y(band.high !== null ? band.high : maxV);
+        const bottom = y(band.low !== null ? band.low : minV);
+        bandSvg = `<rect x="${pad.left}" y="${top.toFixed(1)}" width="${width - pad.left - pad.right}" height="${(bottom - top).toFixed(1)}" fill="#d1fae5" opacity="0.7"/>`;
+    }
+
+    const flagColors = { low: '#1d4ed8', high: '#ea580c', critical: '#b91c1c' };
+    const seriesSvg = series.map(s => {
+        const sorted = [...s.points].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const path = sorted.map((pt, i) => `${i === 0 ? 'M' : 'L'}${x(new Date(pt.date).getTime()).toFixed(1)},${y(pt.value).toFixed(1)}`).join(' ');
+        const dots = sorted.map(pt => `<circle cx="${x(new Date(pt.date).getTime()).toFixed(1)}" cy="${y(pt.value).toFixed(1)}" r="3.5" fill="${flagColors[pt.flag] || s.color}"><title>${pt.date}: ${pt.value} ${unit}</title></circle>`).join('');
+        return `<path d="${path}" fill="none" stroke="${s.color}" stroke-width="2"/>${dots}`;
+    }).join('');
+
+    const legend = series.length > 1
+        ? series.map((s, i) => `<text x="${width - pad.right - (series.length - i) * 90}" y="16" font-size="11" fill="${s.color}">&#9679; ${s.label}</text>`).join('')
+        : '';
+    const dateLabel = t => new Date(t).toISOString().substring(0, 10);
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto bg-white border border-gray-200 rounded-lg" xmlns="http://www.w3.org/2000/svg" font-family="Inter, sans-serif">
+            <text x="${pad.left}" y="16" font-size="13" font-weight="600" fill="#1f2937">${title} (${unit})</text>
+            ${legend}
+            ${bandSvg}
+            <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#9ca3af"/>
+            <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#9ca3af"/>
+            <text x="${pad.left - 6}" y="${(y(maxV) + 4).toFixed(1)}" font-size="10" text-anchor="end" fill="#6b7280">${fmt(maxV)}</text>
+            <text x="${pad.left - 6}" y="${y(minV).toFixed(1)}" font-size="10" text-anchor="end" fill="#6b7280">${fmt(minV)}</text>
+            <text x="${pad.left}" y="${height - 8}" font-size="10" fill="#6b7280">${dateLabel(minT)}</text>
+            <text x="${width - pad.right}" y="${height - 8}" font-size="10" text-anchor="end" fill="#6b7280">${dateLabel(maxT)}</text>
+            ${seriesSvg}
+        </svg>`;
+}
+
+/**
+ * Builds the chart definitions for a patient: one per analyte with results, plus
+ * session weights and blood pressures.
+ * @param {object} patient - state.currentPatient.
+ * @returns {object[]} - Arguments for renderTrendChart.
+ */
+function buildTrendCharts(patient) {
+    const charts = [];
+    const byTest = {};
+    (patient.labResults || []).forEach(l => {
+        (byTest[l.test_code] = byTest[l.test_code] || []).push(l);
+    });
+    Object.values(byTest).forEach(results => {
+        const test = results[0];
+        charts.push({
+            title: test.name,
+            unit: test.unit,
+            band: { low: test.ref_low, high: test.ref_high },
+            series: [{ label: test.name, color: '#10b981', points: results.map(l => ({ date: l.collected_at, value: l.value, flag: l.flag })) }],
+        });
     });
+
+    const sessions = (patient.sessions || []).filter(s => s.date);
+    const sessionPoints = (field, parse = parseFloat) => sessions
+        .map(s => ({ date: s.date, value: parse(s[field]) }))
+        .filter(pt => pt.value !== null && !isNaN(pt.value));
+    const systolic = bp => bp ? parseInt(String(bp).split('/')[0]) : null;
+    const diastolic = bp => bp ? parseInt(String(bp).split('/')[1]) : null;
+
+    if (sessions.length > 0) {
+        charts.push({
+            title: 'Session Weight',
+            unit: 'kg',
+            series: [
+                { label: 'Pre', color: '#2563eb', points: sessionPoints('pre_weight') },
+                { label: 'Post', color: '#10b981', points: sessionPoints('post_weight') },
+            ],
+        });
+        charts.push({
+            title: 'Blood Pressure',
+            unit: 'mmHg',
+            series: [
+                { label: 'Pre SBP', color: '#dc2626', points: sessionPoints('pre_bp', systolic) },
+                { label: 'Post SBP', color: '#f97316', points: sessionPoints('post_bp', systolic) },
+                { label: 'Pre DBP', color: '#2563eb', points: sessionPoints('pre_bp', diastolic) },
+                { label: 'Post DBP', color: '#06b6d4', points: sessionPoints('post_bp', diastolic) },
+            ],
+        });
+    }
+    return charts;
 }
 
 // --- PRINTING FUNCTIONS ---
 
 /**
- * Prints the document. Creates an isolated window with the printable content.
- * @param {string} title - Title for the print document.
- * @param {string} contentHtml - HTML content to print.
+ * Formats a lab test's reference range, e.g. "3.5 - 5.5 mmol/L" or "≥ 35 g/L".
+ * @param {object} test - A catalog entry or a lab result joined with its catalog entry.
+ * @returns {string}
  */
-function executePrint(title, contentHtml) {
-    const printWindow = window.open('', '', 'height=600,width=800');
-    if (!printWindow) {
-        showMessage("Printer popup blocked. Please allow popups for this site.", 'error');
-        return;
-    }
+function formatReferenceRange(test) {
+    if (test.ref_low !== null && test.ref_high !== null) return `${test.ref_low} - ${test.ref_high} ${test.unit}`;
+    if (test.ref_low !== null) return `≥ ${test.ref_low} ${test.unit}`;
+    if (test.ref_high !== null) return `≤ ${test.ref_high} ${test.unit}`;
+    return '-';
+}
 
-    // Include the main stylesheet link to inherit styles, especially print media queries
-    const link = document.createElement('link');
-    link.rel = 'stylesheet';
-    link.href = document.querySelector('link[rel="stylesheet"]').href || ''; // If using an external stylesheet
-    
-    // Fallback for Tailwind classes (re-importing Tailwind is easiest)
-    const twScript = '<script src="https://cdn.tailwindcss.com"></script>';
-
-    printWindow.document.write(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>${title}</title>
-            ${twScript}
-            <style>
-                @media print {
-                    /* Ensure clean print layout in the new window */
-                    @page { margin: 1cm; }
-                    body { font-family: 'Inter', sans-serif; }
-                }
-            </style>
-        </head>
-        <body class="p-8">
-            ${contentHtml}
-        </body>
-        </html>
-    `);
-
-    printWindow.document.close();
-    
-    // Wait for content (and potentially Tailwind/CSS) to load before printing
-    setTimeout(() => {
-        printWindow.focus();
-        printWindow.print();
-        printWindow.close();
-    }, 500); // 500ms delay to ensure rendering is complete
+/**
+ * Reference printed on (and encoded in the QR code of) a prescription, e.g. "RX-000042".
+ * @param {object} prescription - A Prescriptions row.
+ * @returns {string}
+ */
+function prescriptionReference(prescription) {
+    return `${prescription.type === 'labs' ? 'LAB' : 'RX'}-${String(prescription.id).padStart(6, '0')}`;
 }
 
 /**
- * Generates the HTML content for various printable documents.
- * @param {'demographics' | 'protocol' | 'medications' | 'labs'} type - The type of document to generate.
+ * Fetches a printable document rendered by the worker (/patients/:id/documents/<type>.pdf)
+ * and hands it to the browser as a download.
+ * @param {'demographics' | 'protocol' | 'labs' | 'trends' | 'prescription' | 'lab-demand' | 'session' | 'monthly'} type - The document.
+ * @param {{ id?: number, month?: string }} [params] - The prescription or session to print, or the report month (YYYY-MM).
+ * @param {{ id: number, familyname: string }} [patient] - Defaults to the open patient; the dashboard drill-down passes its row.
  */
-function generatePrintableDocument(type) {
-    const p = state.currentPatient;
-    if (!p) return;
-    
-    const fullName = `${p.name} ${p.familyname}`;
-    let title = `MedProSana - Print Document`;
-    let content = '';
-
-    // Header shared by all printouts
-    const printHeader = (docTitle) => `
-        <div class="mb-8 border-b border-gray-300 pb-4">
-            <h1 class="text-3xl font-extrabold text-emerald-600 mb-2">MedProSana Clinic</h1>
-            <h2 class="text-xl font-semibold text-gray-700">${docTitle}</h2>
-            <p class="text-sm text-gray-500 mt-1">Patient: ${fullName} (ID: ${p.id}) | Date: ${new Date().toLocaleDateString()}</p>
+async function openDocumentPdf(type, params = {}, patient = state.currentPatient) {
+    if (!patient) return;
+    const query = new URLSearchParams(params).toString();
+    const pdf = await apiFetch(`/patients/${patient.id}/documents/${type}.pdf${query ? `?${query}` : ''}`);
+    if (!(pdf instanceof Blob)) return;
+    saveBlob(pdf, `${type}${Object.values(params).map(value => `-${value}`).join('')}-${patient.familyname}.pdf`);
+}
+
+/**
+ * Hands a file returned by apiFetch to the browser as a download.
+ * @param {Blob} blob - The file.
+ * @param {string} filename - The suggested file name.
+ */
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+// --- BULK IMPORT & EXPORT ---
+
+/**
+ * Downloads a spreadsheet export (/export/<dataset>.<format>) of the whole unit or of one patient.
+ * @param {'patients.csv' | 'labs.csv' | 'sessions.csv' | 'all.xlsx'} file - all.xlsx has one sheet per dataset.
+ * @param {{ id: number, familyname: string }} [patient] - Limits the export to this patient.
+ */
+async function downloadExport(file, patient = null) {
+    const blob = await apiFetch(`/export/${file}${patient ? `?patient_id=${patient.id}` : ''}`);
+    if (!(blob instanceof Blob)) return;
+    saveBlob(blob, `${patient ? patient.familyname : 'unit'}-${new Date().toISOString().substring(0, 10)}-${file}`);
+}
+
+/**
+ * Reads the file picked for an import: CSV as text, XLSX base64-encoded (the worker unzips it).
+ * @param {File} file - The picked file.
+ * @returns {Promise<{ format: 'csv' | 'xlsx', content: string }>}
+ */
+function readImportFile(file) {
+    const format = /\.xlsx$/i.test(file.name) ? 'xlsx' : 'csv';
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve({ format, content: format === 'xlsx' ? reader.result.split(',')[1] : reader.result });
+        reader.onerror = () => reject(reader.error);
+        if (format === 'xlsx') reader.readAsDataURL(file);
+        else reader.readAsText(file);
+    });
+}
+
+/**
+ * Dry run of state.importJob: the worker maps the columns, validates every row and flags
+ * duplicates without saving anything. Its mapping is kept so the user can correct it.
+ */
+async function previewImport() {
+    const job = state.importJob;
+    if (!job) return;
+    const report = await apiFetch(`/import/${job.kind}`, 'POST', { format: job.format, content: job.content, mapping: job.mapping, dry_run: true });
+    job.report = report && report.rows ? report : null;
+    if (job.report) job.mapping = job.report.mapping;
+    renderImportPreview();
+}
+
+/**
+ * Saves the checked import. The worker re-validates and writes every row or none.
+ */
+async function submitImport() {
+    const job = state.importJob;
+    if (!job?.report) return;
+    const skipDuplicates = document.getElementById('import-skip-duplicates').checked;
+    const result = await apiFetch(`/import/${job.kind}`, 'POST', { format: job.format, content: job.content, mapping: job.mapping, skip_duplicates: skipDuplicates });
+    if (!result?.success) return;
+    state.importJob = null;
+    closeModal('import-modal');
+    showMessage(`${result.imported} row(s) imported${result.skipped > 0 ? `, ${result.skipped} duplicate(s) skipped` : ''}.`);
+    fetchPatients(); // also refreshes the open patient
+}
+
+/**
+ * Renders the dry-run report in the import modal: one column-mapping select per field, then every
+ * row with its errors or duplicate notice. Import stays disabled while a row would be rejected.
+ */
+function renderImportPreview() {
+    const box = document.getElementById('import-preview');
+    const commitBtn = document.getElementById('import-commit-btn');
+    if (!box || !commitBtn) return;
+    const report = state.importJob?.report;
+    if (!report) {
+        box.innerHTML = '';
+        commitBtn.disabled = true;
+        return;
+    }
+
+    const { headers, columns, required, mapping, rows, summary } = report;
+    const skipDuplicates = document.getElementById('import-skip-duplicates').checked;
+    const blocked = rows.some(r => r.errors.length > 0 || (r.duplicate && !skipDuplicates));
+    commitBtn.disabled = blocked || rows.every(r => r.duplicate);
+    const mapped = columns.filter(column => mapping[column] !== null);
+
+    box.innerHTML = `
+        <h3 class="text-sm font-semibold text-gray-700 mb-2">Columns <span class="font-normal text-gray-500">(* required)</span></h3>
+        <div class="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+            ${columns.map(column => `
+                <label class="text-xs text-gray-600">${column}${required.includes(column) ? ' *' : ''}
+                    <select data-import-column="${column}" class="w-full mt-1 px-2 py-1 border border-gray-300 rounded text-sm">
+                        <option value="">(not imported)</option>
+                        ${headers.map((header, i) => `<option value="${i}" ${mapping[column] === i ? 'selected' : ''}>${header || `Column ${i + 1}`}</option>`).join('')}
+                    </select>
+                </label>`).join('')}
+        </div>
+        <p class="text-sm text-gray-700 mb-2">${summary.total} rows: <b class="text-green-700">${summary.valid} valid</b>,
+            <b class="text-red-700">${summary.invalid} with errors</b>, <b class="text-yellow-700">${summary.duplicates} duplicates</b>.
+            ${blocked ? 'Correct the file or the column mapping, or skip duplicates, before importing.' : ''}</p>
+        <div class="overflow-x-auto border border-gray-200 rounded-lg">
+            <table class="text-xs w-full">
+                <tr class="text-left text-gray-500 bg-gray-50"><th class="p-1">Row</th>${mapped.map(column => `<th class="p-1">${column}</th>`).join('')}<th class="p-1">Check</th></tr>
+                ${rows.map(r => `
+                    <tr class="border-t ${r.errors.length > 0 ? 'bg-red-50' : r.duplicate ? 'bg-yellow-50' : ''}">
+                        <td class="p-1 text-gray-500">${r.row}</td>
+                        ${mapped.map(column => `<td class="p-1">${r.data[column]}</td>`).join('')}
+                        <td class="p-1 ${r.errors.length > 0 ? 'text-red-700' : r.duplicate ? 'text-yellow-700' : 'text-green-700'}">${r.errors.length > 0 ? r.errors.join('; ') : r.duplicate || 'OK'}</td>
+                    </tr>`).join('')}
+            </table>
         </div>
     `;
+}
 
-    switch (type) {
-        case 'demographics':
-            title = `Demographics - ${fullName}`;
-            content = printHeader('Patient Demographics & Basic Information');
-            content += `
-                <div class="space-y-4">
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium">Full Name:</p><p class="w-2/3">${fullName}</p></div>
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium">Date of Birth:</p><p class="w-2/3">${p.birthdate}</p></div>
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium">Age:</p><p class="w-2/3">${calculateAge(p.birthdate)} years</p></div>
-                </div>
-                <div class="mt-8">
-                    <h3 class="text-lg font-semibold border-b pb-1 mb-3">Hemodialysis Protocol Summary</h3>
-                    <div class="space-y-2 text-sm">
-                        <p><strong>Dialyzer:</strong> ${p.protocol.dialyzer || 'N/A'}</p>
-                        <p><strong>Vascular Access:</strong> ${p.protocol.access || 'N/A'}</p>
-                        <p><strong>Duration:</strong> ${p.protocol.duration || 'N/A'}</p>
-                    </div>
-                </div>
-            `;
-            break;
+// --- LAB INBOX ---
 
-        case 'protocol':
-            title = `HD Protocol - ${fullName}`;
-            content = printHeader('Hemodialysis Prescription Protocol');
-            const protocol = p.protocol || {};
-            content += `
-                <div class="space-y-4 text-base">
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium text-blue-700">Dialyzer Model:</p><p class="w-2/3">${protocol.dialyzer || 'N/A'}</p></div>
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium text-blue-700">Vascular Access:</p><p class="w-2/3">${protocol.access || 'N/A'}</p></div>
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium">Dialysate Flow Rate:</p><p class="w-2/3">${protocol.dialysateFlow || 'N/A'}</p></div>
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium">Blood Flow Rate:</p><p class="w-2/3">${protocol.bloodFlow || 'N/A'}</p></div>
-                    <div class="flex border-b pb-2"><p class="w-1/3 font-medium">Duration per Session:</p><p class="w-2/3">${protocol.duration || 'N/A'}</p></div>
+/**
+ * Loads the lab messages waiting for review (no patient matched, or the birthdate did not agree).
+ */
+async function fetchLabInbox() {
+    const data = await apiFetch('/lab-inbox?status=pending');
+    state.labInbox = data?.messages || [];
+    renderLabInbox();
+}
+
+/**
+ * Files a queued lab message's results under the patient ID typed next to it. Results the
+ * worker still refuses (unknown test, unit, non-final status) are reported and not saved.
+ */
+async function fileInboxMessage(id, patientId) {
+    if (!patientId) {
+        showMessage('Enter the ID of the patient these results belong to.', 'error');
+        return;
+    }
+    const result = await apiFetch(`/lab-inbox/${id}/file`, 'POST', { patient_id: patientId });
+    if (!result?.success) return;
+    const created = result.results.filter(r => r.status === 'created').length;
+    const rejected = result.results.filter(r => r.status === 'rejected');
+    showMessage(`${created} result(s) filed for patient ${result.patient_id}${rejected.length > 0 ? `; not filed: ${rejected.map(r => `${r.code} (${r.reason})`).join(', ')}` : ''}.`,
+        rejected.length > 0 ? 'error' : 'success');
+    fetchLabInbox();
+    if (state.currentPatient?.id === result.patient_id) fetchPatientDetail(result.patient_id);
+}
+
+/**
+ * Drops a queued lab message without filing anything.
+ */
+async function dismissInboxMessage(id) {
+    if (!confirm('Dismiss this lab message? Its results will not be filed.')) return;
+    const result = await apiFetch(`/lab-inbox/${id}/dismiss`, 'POST');
+    if (!result?.success) return;
+    showMessage('Lab message dismissed.');
+    fetchLabInbox();
+}
+
+/**
+ * Renders the lab inbox modal and the count on its header button: for each message, the patient
+ * as the lab sent it, why it was not filed, its results, and (for roles allowed to) file/dismiss.
+ */
+function renderLabInbox() {
+    const btn = document.getElementById('lab-inbox-btn');
+    if (btn) btn.textContent = `Lab Inbox${state.labInbox.length > 0 ? ` (${state.labInbox.length})` : ''}`;
+    const box = document.getElementById('lab-inbox-entries');
+    if (!box) return;
+    if (state.labInbox.length === 0) {
+        box.innerHTML = '<p class="text-sm text-gray-500">No lab messages waiting for review.</p>';
+        return;
+    }
+    const canResolve = can('lab-inbox', 'POST');
+    box.innerHTML = state.labInbox.map(m => `
+        <div class="border border-gray-200 rounded-lg p-4">
+            <div class="flex justify-between items-start">
+                <div>
+                    <p class="font-semibold text-gray-800">${[m.patient.familyname, m.patient.name].filter(Boolean).join(' ') || 'Unnamed patient'}
+                        <span class="text-sm font-normal text-gray-500">${m.patient.birthdate ? `born ${m.patient.birthdate}` : ''}</span></p>
+                    <p class="text-xs text-gray-500">IDs sent: ${(m.patient.identifiers || []).map(i => i.value).join(', ') || 'none'}
+                        &middot; ${m.format === 'fhir' ? 'FHIR' : 'HL7 v2'} from ${m.sender || 'unknown sender'} &middot; received ${m.received_at}</p>
                 </div>
-            `;
-            break;
+                <span class="text-xs text-gray-400">#${m.id}</span>
+            </div>
+            <p class="text-sm text-yellow-700 mt-2">${m.reason}</p>
+            <table class="text-xs w-full mt-2">
+                <tr class="text-left text-gray-500"><th class="p-1">Test</th><th class="p-1">Value</th><th class="p-1">Collected</th><th class="p-1">Status</th></tr>
+                ${m.observations.map(o => `
+                    <tr class="border-t">
+                        <td class="p-1">${o.display || o.code} <span class="text-gray-400">${o.code}</span></td>
+                        <td class="p-1">${o.value} ${o.unit || ''}</td>
+                        <td class="p-1">${o.collected_at || '-'}</td>
+                        <td class="p-1">${o.status}</td>
+                    </tr>`).join('')}
+            </table>
+            ${canResolve ? `
+                <div class="flex justify-end items-center space-x-2 mt-3">
+                    <input type="number" min="1" placeholder="Patient ID" data-inbox-patient="${m.id}" class="w-32 px-2 py-1 border border-gray-300 rounded text-sm">
+                    <button data-inbox-file="${m.id}" class="px-3 py-1 bg-emerald-500 text-white rounded text-sm hover:bg-emerald-600 transition">File</button>
+                    <button data-inbox-dismiss="${m.id}" class="px-3 py-1 bg-gray-200 text-gray-700 rounded text-sm hover:bg-gray-300 transition">Dismiss</button>
+                </div>` : ''}
+        </div>
+    `).join('');
+}
 
-        case 'medications':
-            title = `Medication List - ${fullName}`;
-            content = printHeader('Current Medication Ordinance');
-            if (p.medications.length === 0) {
-                content += '<p class="text-gray-500">No medications recorded.</p>';
-            } else {
-                const medsHtml = p.medications.map(m => `
-                    <tr class="border-b">
-                        <td class="px-4 py-2">${new Date(m.created_at).toISOString().substring(0, 10)}</td>
-                        <td class="px-4 py-2 font-medium">${m.name}</td>
-                        <td class="px-4 py-2">${m.dosage}</td>
-                    </tr>
-                `).join('');
-                content += `
-                    <table class="min-w-full bg-white border border-gray-200 shadow-md rounded-lg">
-                        <thead class="bg-gray-100">
-                            <tr>
-                                <th class="px-4 py-2 text-left text-sm font-semibold">Date Added</th>
-                                <th class="px-4 py-2 text-left text-sm font-semibold">Medication Name</th>
-                                <th class="px-4 py-2 text-left text-sm font-semibold">Dosage / Frequency</th>
-                            </tr>
-                        </thead>
-                        <tbody>${medsHtml}</tbody>
-                    </table>
-                `;
-            }
-            break;
+// --- BACKUP & RESTORE ---
 
-        case 'labs':
-            title = `Lab Demand/Results - ${fullName}`;
-            content = printHeader('Lab Analysis Demand & Results History');
-            if (p.labResults.length === 0) {
-                content += '<p class="text-gray-500">No lab results recorded.</p>';
-            } else {
-                const labsHtml = p.labResults.map(l => `
-                    <tr class="border-b">
-                        <td class="px-4 py-2">${new Date(l.created_at).toISOString().substring(0, 10)}</td>
-                        <td class="px-4 py-2 font-medium">${l.name}</td>
-                        <td class="px-4 py-2 text-blue-700 font-bold">${l.result}</td>
-                    </tr>
-                `).join('');
-                content += `
-                    <table class="min-w-full bg-white border border-gray-200 shadow-md rounded-lg">
-                        <thead class="bg-gray-100">
-                            <tr>
-                                <th class="px-4 py-2 text-left text-sm font-semibold">Date</th>
-                                <th class="px-4 py-2 text-left text-sm font-semibold">Test Name</th>
-                                <th class="px-4 py-2 text-left text-sm font-semibold">Result Value</th>
-                            </tr>
-                        </thead>
-                        <tbody>${labsHtml}</tbody>
-                    </table>
-                `;
-            }
-            break;
+/**
+ * Downloads the whole database as a checksummed JSON archive (admin only).
+ */
+async function downloadBackup() {
+    const blob = await apiFetch('/backup');
+    if (!(blob instanceof Blob)) return;
+    saveBlob(blob, `medprosana-backup-${new Date().toISOString().substring(0, 10)}.json`);
+}
+
+/**
+ * Reads the picked backup file and has the worker check it (format, checksum, columns) without
+ * changing anything. The summary shows what a restore would replace.
+ * @param {File} file - The picked .json backup.
+ */
+async function checkRestoreFile(file) {
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+    } catch (error) {
+        showMessage('This file is not a MedProSana backup.', 'error');
+        return;
     }
+    const summary = await apiFetch('/restore?dry_run=1', 'POST', archive);
+    state.restoreJob = summary?.backup ? { archive, summary } : null;
+    renderRestorePreview();
+}
+
+/**
+ * Replaces the database with the checked backup. Every session is ended by the restore, so the
+ * admin signs in again afterwards (with an account from the backup).
+ */
+async function submitRestore() {
+    const job = state.restoreJob;
+    if (!job) return;
+    if (!confirm(`Replace ALL current data with the backup of ${job.summary.created_at}? This cannot be undone.`)) return;
+    const result = await apiFetch('/restore', 'POST', job.archive);
+    if (!result?.success) return;
+    state.restoreJob = null;
+    closeModal('backup-modal');
+    await clearOfflineResponses();
+    showLoginScreen('The database was restored from the backup. Please sign in again.');
+}
 
-    executePrint(title, content);
+/**
+ * Renders the restore check: rows per table in the backup next to the current ones.
+ */
+function renderRestorePreview() {
+    const box = document.getElementById('restore-preview');
+    const restoreBtn = document.getElementById('restore-commit-btn');
+    if (!box || !restoreBtn) return;
+    const summary = state.restoreJob?.summary;
+    restoreBtn.disabled = !summary;
+    if (!summary) {
+        box.innerHTML = '';
+        return;
+    }
+    box.innerHTML = `
+        <p class="text-sm text-gray-700 mb-2">Backup taken ${summary.created_at} by ${summary.created_by}. Restoring replaces the current data with:</p>
+        <table class="text-xs w-full border border-gray-200 rounded-lg">
+            <tr class="text-left text-gray-500 bg-gray-50"><th class="p-1">Table</th><th class="p-1 text-right">Backup</th><th class="p-1 text-right">Now</th></tr>
+            ${Object.entries(summary.backup).map(([table, count]) => `
+                <tr class="border-t ${count < summary.current[table] ? 'text-yellow-800 bg-yellow-50' : ''}">
+                    <td class="p-1">${table}</td><td class="p-1 text-right">${count}</td><td class="p-1 text-right">${summary.current[table]}</td>
+                </tr>`).join('')}
+        </table>
+        <p class="text-xs text-gray-500 mt-2">The audit log is never shortened: entries missing from the backup are kept.</p>
+    `;
 }
 
 
@@ -501,8 +1865,20 @@ function renderApp() {
     const container = document.getElementById('content-container');
     if (!container) return; 
 
-    // Show loading state if data is being fetched and we are not in a detail view refresh
-    if (state.isLoading && !state.currentPatient) { 
+    if (!state.auth) {
+        container.innerHTML = `
+            <div class="text-center p-12 text-gray-500 border border-dashed border-gray-300 rounded-xl mt-8">
+                <h3 class="mt-2 text-xl font-semibold text-gray-900">Sign in required</h3>
+                <p class="mt-1 text-base text-gray-500">Patient data is only available to authorized staff.</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Show loading state if data is being fetched and we are not in a detail view refresh,
+    // nor searching the roster (replacing it would take the focus away from the search box)
+    const searching = state.view === 'list' && container.querySelector('#roster-toolbar');
+    if (state.isLoading && !state.currentPatient && !searching) { 
         container.innerHTML = `
             <div class="text-center p-12 text-gray-500">
                 <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-emerald-500 mx-auto"></div>
@@ -516,15 +1892,67 @@ function renderApp() {
         renderPatientList(container);
     } else if (state.view === 'detail' && state.currentPatient) {
         renderPatientDetail(container);
+    } else if (state.view === 'schedule') {
+        renderScheduleBoard(container);
+    } else if (state.view === 'dashboard') {
+        renderDashboard(container);
     }
 }
 
 /**
- * Renders the list of all patients.
+ * Renders the signed-in user and logout button in the header, and shows
+ * the "New Patient", "Schedule", "Dashboard", "Import", "Lab Inbox" and "Backup" buttons only to roles allowed to use them.
+ */
+function renderUserBadge() {
+    const badge = document.getElementById('user-badge');
+    if (badge) {
+        badge.innerHTML = state.auth ? `
+            <span class="text-sm text-gray-600">${state.auth.user.username} <span class="text-xs uppercase text-gray-400">(${state.auth.user.role})</span></span>
+            <button id="logout-btn" class="text-sm text-gray-500 hover:text-red-600 transition">Sign out</button>
+        ` : '';
+    }
+    document.getElementById('add-patient-btn')?.classList.toggle('hidden', !can('patients', 'POST'));
+    document.getElementById('schedule-btn')?.classList.toggle('hidden', !can('schedule', 'GET'));
+    document.getElementById('dashboard-btn')?.classList.toggle('hidden', !can('dashboard', 'GET'));
+    document.getElementById('import-btn')?.classList.toggle('hidden', !can('import', 'POST'));
+    document.getElementById('lab-inbox-btn')?.classList.toggle('hidden', !can('lab-inbox', 'GET'));
+    document.getElementById('backup-btn')?.classList.toggle('hidden', !can('backup', 'GET'));
+    renderSyncStatus();
+}
+
+/**
+ * Renders the roster: search box and filters, then the loaded pages of patient cards.
+ * The toolbar is kept across re-renders so the search box does not lose focus while typing.
  */
 function renderPatientList(container) {
+    const { roster } = state;
+    if (!container.querySelector('#roster-toolbar')) {
+        const input = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-emerald-500 focus:border-emerald-500';
+        const select = (name, options) => `
+            <select data-roster-filter="${name}" class="${input}">${options.map(([value, label]) => `<option value="${value}" ${roster[name] === value ? 'selected' : ''}>${label}</option>`).join('')}</select>`;
+        container.innerHTML = `
+            <h2 class="text-2xl font-semibold text-gray-800 mb-4">Patient Roster</h2>
+            <div id="roster-toolbar" class="flex flex-wrap items-center gap-2 mb-6">
+                <input id="roster-search" type="search" value="${roster.q}" placeholder="Search name, family name or ID" class="${input} flex-grow sm:flex-grow-0 sm:w-72">
+                ${select('shift', [['', 'Any shift'], ...Object.entries(SHIFT_LABELS)])}
+                ${select('access', [['', 'Any access'], ...Object.entries(ACCESS_TYPE_LABELS)])}
+                ${select('status', [['', 'Active & inactive'], ['active', 'Active (scheduled)'], ['inactive', 'Inactive']])}
+                <label class="text-sm text-gray-600 flex items-center"><input type="checkbox" data-roster-filter="abnormal" ${roster.abnormal ? 'checked' : ''} class="mr-1">Abnormal latest labs</label>
+                ${select('sort', [['name', 'Sort: name'], ['recent', 'Sort: newest'], ['id', 'Sort: ID']])}
+                ${can('export', 'GET') ? `
+                    <button data-export="patients.csv" class="ml-auto px-3 py-2 text-sm text-emerald-700 border border-emerald-500 rounded-lg hover:bg-emerald-50">Export CSV</button>
+                    <button data-export="all.xlsx" class="px-3 py-2 text-sm text-emerald-700 border border-emerald-500 rounded-lg hover:bg-emerald-50" title="Patients, lab results and sessions">Export XLSX</button>` : ''}
+            </div>
+            <div id="roster-results"></div>
+        `;
+    }
+
+    const filtered = roster.q || roster.shift || roster.access || roster.status || roster.abnormal;
+    const results = container.querySelector('#roster-results');
     if (state.patientList.length === 0) {
-        container.innerHTML = `<div class="text-center p-12 text-gray-500 border border-dashed border-gray-300 rounded-xl mt-8">
+        results.innerHTML = filtered
+            ? '<p class="text-center p-12 text-gray-500 border border-dashed border-gray-300 rounded-xl">No patients match this search.</p>'
+            : `<div class="text-center p-12 text-gray-500 border border-dashed border-gray-300 rounded-xl mt-8">
             <h3 class="mt-2 text-xl font-semibold text-gray-900">No Patients Registered</h3>
             <p class="mt-1 text-base text-gray-500">Add your first patient to begin.</p>
         </div>`;
@@ -534,23 +1962,176 @@ function renderPatientList(container) {
     const listHtml = state.patientList.map(p => {
         const age = calculateAge(p.birthdate);
         return `
-            <div data-patient-id="${p.id}" class="bg-white p-4 rounded-xl shadow-md hover:shadow-lg transition cursor-pointer border-l-4 border-emerald-500">
+            <div data-patient-id="${p.id}" class="bg-white p-4 rounded-xl shadow-md hover:shadow-lg transition cursor-pointer border-l-4 ${p.current_shift ? 'border-emerald-500' : 'border-gray-300'}">
                 <div class="flex justify-between items-start">
                     <div>
                         <p class="text-lg font-bold text-gray-800">${p.name} ${p.familyname}</p>
-                        <p class="text-sm text-gray-500">DOB: ${p.birthdate} (${age} yrs)</p>
+                        <p class="text-sm text-gray-500">DOB: ${p.birthdate} (${age} yrs) &middot; ID ${p.id}</p>
                     </div>
-                    <div class="text-right">
-                        <span class="text-xs font-semibold inline-block py-1 px-3 uppercase rounded-full text-blue-600 bg-blue-100">Dialysis</span>
+                    <div class="text-right space-y-1">
+                        <span class="text-xs font-semibold inline-block py-1 px-3 uppercase rounded-full ${p.current_shift ? 'text-blue-600 bg-blue-100' : 'text-gray-500 bg-gray-100'}">${p.current_shift ? SHIFT_LABELS[p.current_shift] : 'Inactive'}</span>
+                        ${renderIsolationBadge(p)}
+                        ${p.access_type ? `<p class="text-xs text-gray-500">${ACCESS_TYPE_LABELS[p.access_type]}</p>` : ''}
+                        ${p.abnormal_labs > 0 ? `<p class="text-xs font-semibold text-orange-600">${p.abnormal_labs} abnormal lab${p.abnormal_labs > 1 ? 's' : ''}</p>` : ''}
                     </div>
                 </div>
             </div>
         `;
     }).join('');
 
-    container.innerHTML = `
-        <h2 class="text-2xl font-semibold text-gray-800 mb-6">Patient Roster</h2>
+    results.innerHTML = `
+        <p class="text-sm text-gray-500 mb-3">Showing ${state.patientList.length} of ${roster.total} patients</p>
         <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">${listHtml}</div>
+        ${roster.nextCursor ? '<div class="text-center mt-6"><button data-roster-more class="px-4 py-2 bg-white border border-emerald-500 text-emerald-600 rounded-lg hover:bg-gray-100 text-sm font-medium">Load more</button></div>' : ''}
+    `;
+}
+
+/**
+ * Renders the unit schedule: who is expected in which chair per day and shift,
+ * the missed-session report and, for admins, the station list.
+ */
+function renderScheduleBoard(container) {
+    const { board, missed, days } = state.schedule;
+    const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const toggle = (value, label) => `<button data-schedule-days="${value}" class="px-3 py-1 text-sm rounded-lg ${days === value ? 'bg-emerald-500 text-white' : 'bg-gray-200 text-gray-700'}">${label}</button>`;
+
+    const columns = board.map(day => `
+        <div class="bg-white rounded-lg shadow-sm border border-gray-200 p-3">
+            <p class="font-semibold text-gray-800 border-b pb-1 mb-2">${weekdayNames[day.weekday]} ${day.date}</p>
+            ${Object.entries(SHIFT_LABELS).map(([shift, label]) => {
+                const slots = day.slots.filter(slot => slot.shift === shift);
+                if (slots.length === 0) return '';
+                return `
+                <p class="text-xs uppercase text-gray-500 mt-2">${label}</p>
+                ${slots.map(slot => `
+                <div data-patient-id="${slot.patient_id}" class="cursor-pointer text-sm px-2 py-1 rounded mt-1 ${SLOT_STATUS_STYLES[slot.status]}">
+                    <b>${slot.station_name}</b> &middot; ${slot.patient_name} <span class="text-xs">(${slot.status})</span>
+                </div>`).join('')}`;
+            }).join('') || '<p class="text-sm text-gray-400">No treatments scheduled.</p>'}
+        </div>`).join('');
+
+    const missedRows = missed.map(m => `
+        <tr data-patient-id="${m.patient_id}" class="cursor-pointer hover:bg-gray-50">
+            <td class="px-3 py-1">${m.date}</td>
+            <td class="px-3 py-1">${m.patient_name}</td>
+            <td class="px-3 py-1">${m.station_name}</td>
+            <td class="px-3 py-1">${SHIFT_LABELS[m.shift] || m.shift}</td>
+        </tr>`).join('');
+
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-6">
+            <div>
+                <button id="back-to-list" class="text-emerald-600 hover:text-emerald-800 text-sm">&larr; Back to Patient Roster</button>
+                <h2 class="text-2xl font-semibold text-gray-800">Unit Schedule</h2>
+            </div>
+            <div class="flex items-center space-x-2">
+                <button data-schedule-nav="-1" class="px-3 py-1 text-sm rounded-lg bg-gray-200 text-gray-700">&larr;</button>
+                <button data-schedule-nav="0" class="px-3 py-1 text-sm rounded-lg bg-gray-200 text-gray-700">Today</button>
+                <button data-schedule-nav="1" class="px-3 py-1 text-sm rounded-lg bg-gray-200 text-gray-700">&rarr;</button>
+                ${toggle(1, 'Day')}
+                ${toggle(7, 'Week')}
+            </div>
+        </div>
+        <div class="grid grid-cols-1 ${days === 7 ? 'md:grid-cols-4 lg:grid-cols-7' : ''} gap-3 mb-8">${columns}</div>
+
+        <h3 class="text-lg font-semibold text-gray-800 mb-2">Missed Sessions (last 30 days)</h3>
+        ${missed.length === 0 ? '<p class="text-sm text-gray-500 mb-8">No missed sessions.</p>' : `
+        <table class="min-w-full text-sm bg-white rounded-lg shadow-sm mb-8">
+            <thead class="text-xs text-gray-500 uppercase"><tr><th class="px-3 py-1 text-left">Date</th><th class="px-3 py-1 text-left">Patient</th><th class="px-3 py-1 text-left">Station</th><th class="px-3 py-1 text-left">Shift</th></tr></thead>
+            <tbody>${missedRows}</tbody>
+        </table>`}
+
+        <h3 class="text-lg font-semibold text-gray-800 mb-2">Stations</h3>
+        <p class="text-sm text-gray-600 mb-2">${state.stations.map(st => `${st.name}${st.room ? ` (${st.room})` : ''}`).join(', ') || 'No stations configured.'}</p>
+        ${can('stations', 'POST') ? `
+        <form id="station-form" class="flex flex-wrap gap-2">
+            <input name="name" required placeholder="Station name" class="px-2 py-1 border border-gray-300 rounded text-sm">
+            <input name="room" placeholder="Room" class="px-2 py-1 border border-gray-300 rounded text-sm">
+            <button type="submit" class="px-3 py-1 bg-emerald-500 text-white rounded hover:bg-emerald-600 text-sm">+ Add Station</button>
+        </form>` : ''}
+    `;
+}
+
+// Dashboard rows: label, how a month's cell reads, and the details shown per patient when drilling down.
+const DASHBOARD_METRICS = [
+    { key: 'ktv', label: 'spKt/V at target', cell: rateCell, detail: r => `mean ${r.value}` },
+    { key: 'hb', label: 'Hemoglobin in range', cell: rateCell, detail: labDetail('HB') },
+    { key: 'phos', label: 'Phosphorus in range', cell: rateCell, detail: labDetail('PHOS') },
+    { key: 'alb', label: 'Albumin in range', cell: rateCell, detail: labDetail('ALB') },
+    { key: 'idwg', label: 'Mean IDWG', cell: m => (m.idwg.average !== null ? `${m.idwg.average} kg` : '-'), detail: r => `${r.value} kg over ${r.sessions} sessions` },
+    { key: 'access', label: 'Access (AVF / graft / CVC)', cell: m => `${m.access.counts.fistula} / ${m.access.counts.graft} / ${m.access.counts.catheter}`, detail: r => `${r.value || 'Not recorded'} (${r.type})` },
+    { key: 'hospitalizations', label: 'Hospitalizations', cell: m => String(m.hospitalizations.count), detail: r => `${r.admitted_on} &rarr; ${r.discharged_on || 'ongoing'}: ${r.value}` },
+    { key: 'missed', label: 'Missed sessions', cell: m => String(m.missed.count), detail: r => `${r.value} missed` },
+];
+
+function labDetail(code) {
+    return r => `${r.value} ${state.labTests.find(t => t.code === code)?.unit || ''} (${r.collected_at})`;
+}
+
+function rateCell(month, key) {
+    const { met, total, rate } = month[key];
+    return total === 0 ? '-' : `${rate}% <span class="text-xs text-gray-500">(${met}/${total})</span>`;
+}
+
+/**
+ * Renders the unit quality dashboard: one column per month, one row per indicator.
+ * Clicking a cell lists the patients behind it, each with a link to their monthly report.
+ */
+function renderDashboard(container) {
+    const { data, drilldown } = state.dashboard;
+    const header = data.map(m => `<th class="px-3 py-2 text-right">${m.month}</th>`).join('');
+    const rows = [
+        `<tr class="border-b"><td class="px-3 py-2 font-medium">Patients treated</td>${data.map(m => `<td class="px-3 py-2 text-right">${m.patients}</td>`).join('')}</tr>`,
+        ...DASHBOARD_METRICS.map(metric => `
+        <tr class="border-b">
+            <td class="px-3 py-2 font-medium">${metric.label}</td>
+            ${data.map(m => {
+                const selected = drilldown?.metric === metric.key && drilldown.month === m.month;
+                return `<td class="px-3 py-2 text-right"><button data-dashboard-cell="${metric.key}" data-month="${m.month}" class="hover:underline ${selected ? 'font-bold text-emerald-700' : 'text-gray-800'}">${metric.cell(m, metric.key)}</button></td>`;
+            }).join('')}
+        </tr>`),
+    ].join('');
+
+    let drilldownHtml = '';
+    const month = drilldown && data.find(m => m.month === drilldown.month);
+    if (month) {
+        const metric = DASHBOARD_METRICS.find(m => m.key === drilldown.metric);
+        const patientRows = month[metric.key].patients.map(r => `
+            <tr class="border-b">
+                <td class="px-3 py-1"><span data-patient-id="${r.patient_id}" class="cursor-pointer text-emerald-700 hover:underline">${r.patient_name}</span></td>
+                <td class="px-3 py-1">${metric.detail(r)}</td>
+                <td class="px-3 py-1">${r.met === null ? '' : `<span class="text-xs font-semibold ${r.met ? 'text-green-700' : 'text-red-700'}">${r.met ? 'On target' : 'Off target'}</span>`}</td>
+                <td class="px-3 py-1 text-right"><button data-monthly-report="${r.patient_id}" data-patient-name="${r.patient_name}" data-month="${month.month}" class="text-xs text-blue-600 hover:underline">Monthly report</button></td>
+            </tr>`).join('');
+        drilldownHtml = `
+            <h3 class="text-lg font-semibold text-gray-800 mb-2">${metric.label} &middot; ${month.month}</h3>
+            ${patientRows ? `
+            <table class="min-w-full text-sm bg-white rounded-lg shadow-sm">
+                <thead class="text-xs text-gray-500 uppercase"><tr><th class="px-3 py-1 text-left">Patient</th><th class="px-3 py-1 text-left">Value</th><th class="px-3 py-1 text-left">Status</th><th></th></tr></thead>
+                <tbody>${patientRows}</tbody>
+            </table>` : '<p class="text-sm text-gray-500">No patients for this indicator.</p>'}`;
+    }
+
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-6">
+            <div>
+                <button id="back-to-list" class="text-emerald-600 hover:text-emerald-800 text-sm">&larr; Back to Patient Roster</button>
+                <h2 class="text-2xl font-semibold text-gray-800">Unit Quality Dashboard</h2>
+            </div>
+            <div class="flex items-center space-x-2">
+                <button data-dashboard-nav="-1" class="px-3 py-1 text-sm rounded-lg bg-gray-200 text-gray-700">&larr;</button>
+                <button data-dashboard-nav="0" class="px-3 py-1 text-sm rounded-lg bg-gray-200 text-gray-700">This month</button>
+                <button data-dashboard-nav="1" class="px-3 py-1 text-sm rounded-lg bg-gray-200 text-gray-700">&rarr;</button>
+            </div>
+        </div>
+        <p class="text-sm text-gray-500 mb-2">Patients treated: a session or a scheduled slot in the month. Lab targets use the latest result of the month against the reference range; spKt/V target &ge; ${data[0]?.targets.ktv ?? 1.2}. Click a cell to list its patients.</p>
+        <div class="overflow-x-auto mb-8">
+            <table class="min-w-full text-sm bg-white rounded-lg shadow-sm">
+                <thead class="text-xs text-gray-500 uppercase"><tr><th class="px-3 py-2 text-left">Indicator</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${drilldownHtml}
     `;
 }
 
@@ -567,7 +2148,9 @@ function renderPatientDetail(container) {
         { id: 'sessions', name: 'Dialysis Sessions' },
         { id: 'meds', name: 'Medications' },
         { id: 'labs', name: 'Lab Results' },
-        { id: 'protocol', name: 'HD Protocol' }
+        { id: 'protocol', name: 'HD Protocol' },
+        { id: 'access', name: 'Vascular Access' },
+        ...(can('audit', 'GET') ? [{ id: 'history', name: 'History' }] : []),
     ];
 
     let tabContentHtml = '';
@@ -576,74 +2159,524 @@ function renderPatientDetail(container) {
     const sessions = p.sessions || [];
     const protocol = p.protocol || {};
 
+    const infoCard = (label, value) => `
+        <div class="bg-gray-50 p-4 rounded-lg">
+            <p class="text-sm text-gray-500">${label}</p>
+            <p class="text-base font-medium text-gray-800 break-words">${value || '<span class="text-gray-400">Not recorded</span>'}</p>
+        </div>
+    `;
+
+    const recordActions = (type, recordId) => `
+        <div class="flex space-x-2 print-hidden">
+            ${can(type, 'PUT') ? `<button data-edit-record="${type}" data-record-id="${recordId}" class="text-xs text-blue-600 hover:underline">Edit</button>` : ''}
+            ${can(type, 'DELETE') ? `<button data-delete-record="${type}" data-record-id="${recordId}" class="text-xs text-red-600 hover:underline">Delete</button>` : ''}
+        </div>
+    `;
+
     const renderRecords = (records, type) => {
          if (records.length === 0) return `<p class="text-center text-gray-500 p-8 bg-white rounded-lg">No records found.</p>`;
          return records.map(r => `
              <div class="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
                  <div class="flex justify-between items-center">
-                     <p class="text-base font-semibold text-gray-800">${r.name}</p>
-                     <span class="text-xs text-gray-500">${r.date || new Date(r.created_at).toISOString().substring(0, 10)}</span>
+                     <p class="text-base font-semibold text-gray-800">${r.name}
+                         ${type === 'medications' ? `<span class="text-xs font-normal text-gray-500 ml-1">${MEDICATION_CATEGORY_LABELS[r.category] || r.category}</span>` : ''}</p>
+                     <span class="text-xs text-gray-500">${type === 'medications'
+                         ? `${r.start_date} &rarr; ${r.stop_date || 'ongoing'}`
+                         : r.collected_at || r.date || new Date(r.created_at).toISOString().substring(0, 10)}</span>
+                 </div>
+                 <div class="flex justify-between items-center mt-1">
+                     <p class="text-sm text-gray-600">${type === 'medications'
+                         ? `Dosage: <b>${formatDosage(r)}</b>${r.stop_reason ? ` <span class="text-xs text-gray-500">(stopped: ${r.stop_reason})</span>` : ''}`
+                         : `Result: <b class="${LAB_FLAG_STYLES[r.flag] || ''}">${r.value} ${r.unit}</b>
+                            ${r.flag !== 'normal' ? `<span class="text-xs font-semibold uppercase ${LAB_FLAG_STYLES[r.flag]}">${r.flag}</span>` : ''}
+                            <span class="text-xs text-gray-400 ml-2">Ref: ${formatReferenceRange(r)}</span>`}</p>
+                     ${recordActions(type, r.id)}
                  </div>
-                 <p class="text-sm text-gray-600 mt-1">${type === 'medications' ? `Dosage: <b>${r.dosage}</b>` : `Result: <b class="text-blue-600">${r.result}</b>`}</p>
              </div>
          `).join('');
     };
 
+    // ESA dose given per session against hemoglobin, charted and summarised by month
+    const renderEsaResponse = (mar, labResults) => {
+        const esa = mar.filter(a => a.category === 'esa' && a.status === 'given');
+        const hb = labResults.filter(l => l.test_code === 'HB');
+        if (esa.length === 0) return '';
+
+        // Doses of different agents (epoetin in UI, darbepoetin in µg...) are not comparable: each agent
+        // and unit is totalled on its own, and charted on its own axis per unit
+        const agentOf = a => `${a.name} (${a.unit})`;
+        const byAgent = {};
+        esa.forEach(a => (byAgent[agentOf(a)] = byAgent[agentOf(a)] || []).push(a));
+        const agents = Object.values(byAgent);
+        const units = [...new Set(esa.map(a => a.unit))];
+        const colors = ['#7c3aed', '#2563eb', '#db2777', '#0d9488'];
+        const months = {};
+        esa.forEach(a => {
+            const month = a.session_date.substring(0, 7);
+            const m = months[month] = months[month] || { agents: {}, hb: [] };
+            const total = m.agents[agentOf(a)] = m.agents[agentOf(a)] || { name: a.name, unit: a.unit, dose: 0, doses: 0 };
+            total.dose += a.dose_given;
+            total.doses++;
+        });
+        hb.forEach(l => months[l.collected_at.substring(0, 7)]?.hb.push(l.value));
+        const rows = Object.entries(months).sort(([a], [b]) => b.localeCompare(a)).map(([month, m]) => `
+            <tr class="border-b">
+                <td class="px-3 py-1">${month}</td>
+                <td class="px-3 py-1">${Object.values(m.agents).map(t => `${agents.length > 1 ? `${t.name}: ` : ''}${t.dose} ${t.unit} (${t.doses} doses)`).join('<br>')}</td>
+                <td class="px-3 py-1">${m.hb.length ? (m.hb.reduce((sum, v) => sum + v, 0) / m.hb.length).toFixed(1) : '-'}</td>
+            </tr>`).join('');
+        const doseCharts = units.map(unit => renderTrendChart({
+            title: 'ESA dose given',
+            unit,
+            series: agents.map((doses, i) => ({
+                label: doses[0].name,
+                color: colors[i % colors.length],
+                points: doses.map(a => ({ date: a.session_date, value: a.dose_given })),
+            })).filter((_, i) => agents[i][0].unit === unit),
+        })).join('');
+
+        return `
+            <div class="mb-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">ESA Dose vs Hemoglobin</h3>
+                <div class="grid grid-cols-1 lg:grid-cols-2 gap-3 mb-3">
+                    ${doseCharts}
+                    ${hb.length ? renderTrendChart({
+                        title: 'Hemoglobin',
+                        unit: hb[0].unit,
+                        band: { low: hb[0].ref_low, high: hb[0].ref_high },
+                        series: [{ label: 'Hb', color: '#dc2626', points: hb.map(l => ({ date: l.collected_at, value: l.value, flag: l.flag })) }],
+                    }) : '<p class="text-sm text-gray-500 p-4">No hemoglobin results recorded.</p>'}
+                </div>
+                <table class="min-w-full text-sm bg-white rounded-lg shadow-sm">
+                    <thead class="text-xs text-gray-500 uppercase"><tr><th class="px-3 py-1 text-left">Month</th><th class="px-3 py-1 text-left">ESA given</th><th class="px-3 py-1 text-left">Mean Hb</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    };
+
+    // Live intradialytic sheet: readings table (hypotension alerts in red), events, and entry forms
+    const renderSessionSheet = (sheet, session) => {
+        const input = 'w-full px-2 py-1 border border-gray-300 rounded text-sm';
+        const now = new Date().toTimeString().substring(0, 5);
+        const cell = v => v ?? '-';
+        const canWrite = can('sessions', 'POST');
+        const canDelete = can('sessions', 'DELETE');
+        const readingRows = sheet.readings.map(r => `
+            <tr class="${r.hypotension_alert ? 'bg-red-50 text-red-700 font-semibold' : ''}">
+                <td class="px-2 py-1">${r.recorded_at}</td>
+                <td class="px-2 py-1">${r.systolic !== null ? `${r.systolic}/${r.diastolic}` : '-'}${r.hypotension_alert ? ' ⚠' : ''}</td>
+                <td class="px-2 py-1">${cell(r.pulse)}</td>
+                <td class="px-2 py-1">${cell(r.blood_flow)}</td>
+                <td class="px-2 py-1">${cell(r.venous_pressure)}</td>
+                <td class="px-2 py-1">${cell(r.arterial_pressure)}</td>
+                <td class="px-2 py-1">${cell(r.tmp)}</td>
+                <td class="px-2 py-1">${cell(r.uf_volume)}</td>
+                <td class="px-2 py-1 text-right">${canDelete ? `<button data-delete-monitoring="readings" data-entry-id="${r.id}" class="text-xs text-red-600 hover:underline">Delete</button>` : ''}</td>
+            </tr>`).join('');
+        const eventItems = sheet.events.map(e => `
+            <li class="flex justify-between items-center py-1">
+                <span><b>${e.occurred_at}</b> ${SESSION_COMPLICATION_LABELS[e.event_type] || e.event_type} &rarr; ${SESSION_INTERVENTION_LABELS[e.intervention] || e.intervention}${e.notes ? ` <span class="text-gray-500">(${e.notes})</span>` : ''}</span>
+                ${canDelete ? `<button data-delete-monitoring="events" data-entry-id="${e.id}" class="text-xs text-red-600 hover:underline">Delete</button>` : ''}
+            </li>`).join('');
+
+        return `
+            <div class="mt-3 border-t pt-3">
+                <p class="text-xs text-gray-500 mb-2">Hypotension alert: systolic drop &ge; ${sheet.sbp_drop_alert} mmHg from pre-dialysis or systolic &lt; ${sheet.sbp_nadir_alert} mmHg.</p>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full text-sm">
+                        <thead class="text-xs text-gray-500 uppercase">
+                            <tr><th class="px-2 py-1 text-left">Time</th><th class="px-2 py-1 text-left">BP</th><th class="px-2 py-1 text-left">Pulse</th><th class="px-2 py-1 text-left">Qb</th><th class="px-2 py-1 text-left">PV</th><th class="px-2 py-1 text-left">PA</th><th class="px-2 py-1 text-left">TMP</th><th class="px-2 py-1 text-left">UF (mL)</th><th></th></tr>
+                        </thead>
+                        <tbody>${readingRows || '<tr><td colspan="9" class="px-2 py-2 text-center text-gray-500">No readings yet.</td></tr>'}</tbody>
+                    </table>
+                </div>
+                ${canWrite ? `
+                <form id="reading-form" class="grid grid-cols-3 sm:grid-cols-9 gap-2 mt-2 print-hidden">
+                    <input name="recorded_at" type="time" required value="${now}" class="${input}" title="Time">
+                    <input name="systolic" type="number" min="50" max="260" placeholder="Sys" class="${input}">
+                    <input name="diastolic" type="number" min="20" max="160" placeholder="Dia" class="${input}">
+                    <input name="pulse" type="number" min="30" max="200" placeholder="Pulse" class="${input}">
+                    <input name="blood_flow" type="number" min="0" max="600" placeholder="Qb" class="${input}">
+                    <input name="venous_pressure" type="number" min="-100" max="500" placeholder="PV" class="${input}">
+                    <input name="arterial_pressure" type="number" min="-400" max="100" placeholder="PA" class="${input}">
+                    <input name="tmp" type="number" min="-100" max="600" placeholder="TMP" class="${input}">
+                    <input name="uf_volume" type="number" min="0" max="6000" placeholder="UF mL" class="${input}">
+                    <button type="submit" class="col-span-3 sm:col-span-9 px-3 py-1 bg-emerald-500 text-white rounded hover:bg-emerald-600 text-sm">+ Add Reading</button>
+                </form>` : ''}
+                <h4 class="text-sm font-semibold text-gray-700 mt-4 mb-1">Intradialytic Events</h4>
+                <ul class="text-sm divide-y">${eventItems || '<li class="py-1 text-gray-500">No events recorded.</li>'}</ul>
+                ${canWrite ? `
+                <form id="event-form" class="grid grid-cols-2 sm:grid-cols-5 gap-2 mt-2 print-hidden">
+                    <input name="occurred_at" type="time" required value="${now}" class="${input}" title="Time">
+                    <select name="event_type" class="${input}">${Object.entries(SESSION_COMPLICATION_LABELS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('')}</select>
+                    <select name="intervention" class="${input}">${Object.entries(SESSION_INTERVENTION_LABELS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('')}</select>
+                    <input name="notes" type="text" placeholder="Details" class="${input}">
+                    <button type="submit" class="px-3 py-1 bg-orange-500 text-white rounded hover:bg-orange-600 text-sm">+ Add Event</button>
+                </form>` : ''}
+                ${renderSessionMar(session)}
+            </div>`;
+    };
+
+    // Medications given/held/refused at this session, with the prescriptions still to record
+    const renderSessionMar = (session) => {
+        const input = 'px-2 py-1 border border-gray-300 rounded text-sm';
+        const recorded = (p.mar || []).filter(a => a.session_id === session.id);
+        const pending = meds.filter(m => m.start_date <= session.date && (!m.stop_date || m.stop_date > session.date) && !recorded.some(a => a.medication_id === m.id));
+        const items = recorded.map(a => `
+            <li class="flex justify-between items-center py-1">
+                <span><span class="text-xs px-2 py-0.5 rounded-full ${MAR_STATUS_STYLES[a.status]}">${a.status}</span>
+                    ${a.name} ${a.status === 'given' ? `${a.dose_given} ${a.unit} ${a.route}` : `<span class="text-gray-500">(${a.reason})</span>`}
+                    <span class="text-xs text-gray-400">by ${a.recorded_by_name}</span></span>
+                ${can('mar', 'DELETE') ? `<button data-delete-record="mar" data-record-id="${a.id}" class="text-xs text-red-600 hover:underline">Delete</button>` : ''}
+            </li>`).join('');
+
+        return `
+            <h4 class="text-sm font-semibold text-gray-700 mt-4 mb-1">Medications Administered</h4>
+            <ul class="text-sm divide-y">${items || '<li class="py-1 text-gray-500">Nothing recorded.</li>'}</ul>
+            ${can('mar', 'POST') && pending.length > 0 ? `
+            <form id="mar-form" data-session-id="${session.id}" class="flex flex-wrap gap-2 mt-2 print-hidden">
+                <select name="medication_id" class="${input}">${pending.map(m => `<option value="${m.id}">${m.name} — ${formatDosage(m)}</option>`).join('')}</select>
+                <select name="status" class="${input}">
+                    <option value="given">Given</option>
+                    <option value="held">Held</option>
+                    <option value="refused">Refused</option>
+                </select>
+                <input name="dose_given" type="number" min="0" step="any" placeholder="Dose (default: prescribed)" class="${input}">
+                <input name="reason" type="text" placeholder="Reason if held/refused" class="${input}">
+                <button type="submit" class="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 text-sm">Record</button>
+            </form>` : ''}`;
+    };
+
     const renderSessions = (sessions) => {
         if (sessions.length === 0) return `<p class="text-center text-gray-500 p-8 bg-white rounded-lg">No dialysis sessions recorded yet.</p>`;
+        const sheet = p.sessionSheet;
         return sessions.map(s => {
-            const preW = parseFloat(s.pre_weight);
-            const postW = parseFloat(s.post_weight);
-            const loss = (preW && postW) ? (preW - postW).toFixed(2) : 'N/A';
+            // weight_loss and ultrafiltration are computed by the worker
+            const loss = s.weight_loss !== null && s.weight_loss !== undefined ? s.weight_loss.toFixed(2) : 'N/A';
+            const uf = s.ultrafiltration !== null && s.ultrafiltration !== undefined ? `${s.ultrafiltration} mL` : 'N/A';
             return `
             <div class="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-3">
                 <div class="flex justify-between items-center border-b pb-2 mb-2">
-                    <span class="font-bold text-gray-800">Date: ${s.date || new Date(s.created_at).toISOString().substring(0, 10)}</span>
-                    <span class="text-xs bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full">${s.access_condition || 'Access OK'}</span>
+                    <span class="font-bold text-gray-800">Date: ${s.date || new Date(s.created_at).toISOString().substring(0, 10)}${s.post_weight === null ? ' <span class="ml-2 text-xs font-medium bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full">In progress</span>' : ''}</span>
+                    <span class="text-xs bg-emerald-100 text-emerald-800 px-2 py-1 rounded-full">${[accessLabel(s.access_id), s.access_condition || 'Access OK'].filter(Boolean).join(' &middot; ')}</span>
                 </div>
                 <div class="grid grid-cols-2 gap-4 text-sm">
                     <div>
                         <p class="text-gray-500">Weight (Pre/Post)</p>
                         <p class="font-medium">${s.pre_weight || '-'} kg / ${s.post_weight || '-'} kg</p>
-                        <p class="text-xs text-blue-600">Loss: ${loss} kg</p>
+                        <p class="text-xs text-blue-600">Loss: ${loss} kg | UF: ${uf}${s.uf_goal_ml ? ` (goal ${s.uf_goal_ml} mL)` : ''}</p>
+                        ${s.uf_rate !== null && s.uf_rate !== undefined ? `<p class="text-xs ${s.uf_rate_exceeded ? 'text-red-700 font-bold' : 'text-gray-500'}">UF rate: ${s.uf_rate} mL/kg/h${s.uf_rate_exceeded ? ' (above limit)' : ''}</p>` : ''}
+                        ${s.idwg !== null && s.idwg !== undefined ? `<p class="text-xs text-gray-500">IDWG vs previous: ${s.idwg > 0 ? '+' : ''}${s.idwg} kg</p>` : ''}
                     </div>
                     <div>
                         <p class="text-gray-500">Blood Pressure</p>
                         <p class="font-medium">${s.pre_bp || '-'} / ${s.post_bp || '-'}</p>
+                        ${s.pre_pulse || s.post_pulse ? `<p class="text-xs text-gray-500">Pulse: ${s.pre_pulse ?? '-'} / ${s.post_pulse ?? '-'} bpm</p>` : ''}
+                        ${s.pre_temperature || s.post_temperature ? `<p class="text-xs text-gray-500">Temp.: ${s.pre_temperature ?? '-'} / ${s.post_temperature ?? '-'} °C</p>` : ''}
                     </div>
                 </div>
+                ${s.complications ? `
+                <div class="mt-2 flex flex-wrap gap-1">
+                    ${s.complications.split(',').map(c => `<span class="text-xs bg-orange-100 text-orange-800 px-2 py-0.5 rounded-full">${SESSION_COMPLICATION_LABELS[c] || c}</span>`).join('')}
+                </div>` : ''}
+                ${s.urr !== null && s.urr !== undefined ? `
+                <div class="mt-2 text-sm ${s.below_target ? 'text-red-700 bg-red-50' : 'text-emerald-800 bg-emerald-50'} p-2 rounded">
+                    Urea ${s.pre_urea} &rarr; ${s.post_urea} mmol/L &middot; URR <b>${s.urr}%</b> &middot; spKt/V <b>${s.ktv ?? 'N/A'}</b>
+                    ${s.duration_minutes ? ` &middot; ${s.duration_minutes} min` : ''}
+                    ${s.below_target ? ' &middot; <b>below target</b>' : ''}
+                </div>` : ''}
                 ${s.notes ? `<div class="mt-2 text-xs text-gray-500 bg-gray-50 p-2 rounded">Note: ${s.notes}</div>` : ''}
+                <div class="flex justify-between mt-2">
+                    <span class="space-x-3">
+                        <button data-session-sheet="${s.id}" class="text-xs text-emerald-700 hover:underline print-hidden">${sheet?.sessionId === s.id ? 'Hide session sheet' : 'Session sheet'}</button>
+                        <button data-print-type="session" data-record-id="${s.id}" class="text-xs text-blue-600 hover:underline print-hidden">Print sheet</button>
+                    </span>
+                    ${recordActions('sessions', s.id)}
+                </div>
+                ${sheet?.sessionId === s.id ? renderSessionSheet(sheet, s) : ''}
+            </div>`;
+        }).join('');
+    };
+
+    const accessLabel = accessId => {
+        const access = (p.accesses || []).find(a => a.id === accessId);
+        return access ? describeAccess(access) : null;
+    };
+
+    // Access history, newest first: each access with its status, catheter days and complication/intervention timeline
+    const renderAccessRegistry = (accesses) => {
+        const input = 'px-2 py-1 border border-gray-300 rounded text-sm';
+        const today = new Date().toISOString().substring(0, 10);
+        const inUse = accesses.filter(a => a.status === 'active');
+        const eventOptions = (category, labels) => `<optgroup label="${category === 'complication' ? 'Complications' : 'Interventions'}">
+            ${Object.entries(labels).map(([code, label]) => `<option value="${category}:${code}">${label}</option>`).join('')}</optgroup>`;
+
+        const cards = [...accesses].reverse().map(a => {
+            const ongoing = !a.ended_on;
+            const events = [...a.events].reverse().map(e => `
+                <li class="flex justify-between items-center py-1">
+                    <span><b>${e.occurred_on}</b>
+                        <span class="text-xs font-semibold uppercase ${e.category === 'complication' ? 'text-red-700' : 'text-blue-700'}">${e.category}</span>
+                        ${(e.category === 'complication' ? ACCESS_COMPLICATION_LABELS : ACCESS_INTERVENTION_LABELS)[e.event_type] || e.event_type}${e.notes ? ` <span class="text-gray-500">(${e.notes})</span>` : ''}</span>
+                    ${can('accesses', 'DELETE') ? `<button data-delete-access-event="${e.id}" data-access-id="${a.id}" class="text-xs text-red-600 hover:underline print-hidden">Delete</button>` : ''}
+                </li>`).join('');
+            return `
+            <div class="relative pl-6 pb-6 border-l-2 ${ongoing ? 'border-emerald-400' : 'border-gray-300'}">
+                <span class="absolute -left-2 top-1 w-3.5 h-3.5 rounded-full ${ongoing ? 'bg-emerald-500' : 'bg-gray-400'}"></span>
+                <div class="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                    <div class="flex justify-between items-center">
+                        <p class="text-base font-semibold text-gray-800">${describeAccess(a)}
+                            <span class="text-xs font-semibold px-2 py-0.5 rounded-full ${ACCESS_STATUS_STYLES[a.status] || ''}">${a.status}</span></p>
+                        <span class="text-xs text-gray-500">${a.placed_on} &rarr; ${a.ended_on || 'in place'}</span>
+                    </div>
+                    <p class="text-sm text-gray-600 mt-1">${a.surgeon ? `Surgeon: ${a.surgeon}` : ''}${a.catheter_days !== null ? `${a.surgeon ? ' &middot; ' : ''}<b>${a.catheter_days}</b> catheter days` : ''}${a.notes ? ` &middot; ${a.notes}` : ''}</p>
+                    <ul class="text-sm divide-y mt-2">${events || '<li class="py-1 text-gray-500">No complications or interventions recorded.</li>'}</ul>
+                    <div class="flex flex-wrap items-center gap-2 mt-2 print-hidden">
+                        ${can('accesses', 'POST') ? `
+                        <form data-access-event-form="${a.id}" class="flex flex-wrap gap-2">
+                            <select name="event" class="${input}">${eventOptions('complication', ACCESS_COMPLICATION_LABELS)}${eventOptions('intervention', ACCESS_INTERVENTION_LABELS)}</select>
+                            <input name="occurred_on" type="date" required value="${today}" min="${a.placed_on}" class="${input}">
+                            <input name="notes" maxlength="500" placeholder="Notes" class="${input}">
+                            <button type="submit" class="px-3 py-1 bg-emerald-500 text-white rounded hover:bg-emerald-600 text-sm">+ Log</button>
+                        </form>` : ''}
+                        ${can('accesses', 'PUT') && a.status === 'maturing' ? `<button data-access-status="active" data-access-id="${a.id}" class="text-xs text-blue-600 hover:underline">Mark in use</button>` : ''}
+                        ${can('accesses', 'PUT') && ongoing ? `
+                        <button data-access-status="${a.type.endsWith('catheter') ? 'removed' : 'abandoned'}" data-access-id="${a.id}" class="text-xs text-blue-600 hover:underline">${a.type.endsWith('catheter') ? 'Removed today' : 'Abandoned today'}</button>` : ''}
+                        ${can('accesses', 'DELETE') ? `<button data-delete-record="accesses" data-record-id="${a.id}" class="text-xs text-red-600 hover:underline">Delete</button>` : ''}
+                    </div>
+                </div>
+            </div>`;
+        }).join('');
+
+        return `
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">In Use</p><p class="text-lg font-medium text-gray-800">${inUse.map(describeAccess).join(', ') || 'None recorded'}</p></div>
+                <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">Catheter Days (all catheters)</p><p class="text-lg font-medium text-gray-800">${p.catheterDays}</p></div>
+            </div>
+            ${can('accesses', 'POST') ? `
+            <form id="access-form" class="flex flex-wrap gap-2 mb-6 print-hidden">
+                <select name="type" class="${input}">${Object.entries(ACCESS_TYPE_LABELS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('')}</select>
+                <input name="site" required maxlength="100" placeholder="Site (e.g. left radiocephalic)" class="${input}">
+                <input name="placed_on" type="date" required value="${today}" class="${input}" title="Creation / insertion date">
+                <input name="surgeon" maxlength="100" placeholder="Surgeon" class="${input}">
+                <select name="status" class="${input}"><option value="active">In use</option><option value="maturing">Maturing</option></select>
+                <button type="submit" class="px-3 py-1 bg-emerald-500 text-white rounded hover:bg-emerald-600 text-sm">+ Add Access</button>
+            </form>` : ''}
+            <h3 class="text-lg font-semibold text-gray-800 mb-3">Access History</h3>
+            ${cards || '<p class="text-center text-gray-500 p-8 bg-white rounded-lg">No vascular access recorded yet.</p>'}`;
+    };
+
+    // Hospital admissions (counted on the unit dashboard), with an inline form
+    const renderHospitalizations = (hospitalizations) => {
+        const input = 'px-2 py-1 border border-gray-300 rounded text-sm';
+        const today = new Date().toISOString().substring(0, 10);
+        const rows = hospitalizations.map(h => `
+            <li class="flex justify-between items-center py-1">
+                <span><b>${h.admitted_on}</b> &rarr; ${h.discharged_on || 'ongoing'} &middot; ${h.reason}${h.hospital ? ` <span class="text-xs text-gray-500">(${h.hospital})</span>` : ''}</span>
+                <span class="flex space-x-2 print-hidden">
+                    ${!h.discharged_on && can('hospitalizations', 'PUT') ? `<button data-discharge-hospitalization="${h.id}" class="text-xs text-blue-600 hover:underline">Discharged today</button>` : ''}
+                    ${can('hospitalizations', 'DELETE') ? `<button data-delete-record="hospitalizations" data-record-id="${h.id}" class="text-xs text-red-600 hover:underline">Delete</button>` : ''}
+                </span>
+            </li>`).join('');
+        return `
+            <div class="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mt-6">
+                <h4 class="text-sm font-semibold text-gray-700 mb-1">Hospitalizations</h4>
+                <ul class="text-sm divide-y">${rows || '<li class="py-1 text-gray-500">No hospitalizations recorded.</li>'}</ul>
+                ${can('hospitalizations', 'POST') ? `
+                <form id="hospitalization-form" class="flex flex-wrap gap-2 mt-2 print-hidden">
+                    <input name="admitted_on" type="date" required value="${today}" class="${input}" title="Admitted on">
+                    <input name="discharged_on" type="date" class="${input}" title="Discharged on (leave empty if still admitted)">
+                    <input name="reason" required maxlength="200" placeholder="Reason" class="${input}">
+                    <input name="hospital" maxlength="100" placeholder="Hospital" class="${input}">
+                    <button type="submit" class="px-3 py-1 bg-emerald-500 text-white rounded hover:bg-emerald-600 text-sm">+ Add Hospitalization</button>
+                </form>` : ''}
+            </div>`;
+    };
+
+    // Recurring chair/shift assignments, with an inline form for schedulers
+    const renderScheduleAssignments = (assignments) => {
+        const input = 'px-2 py-1 border border-gray-300 rounded text-sm';
+        const today = new Date().toISOString().substring(0, 10);
+        const rows = assignments.map(a => {
+            const active = !a.end_date || a.end_date >= today;
+            return `
+            <li class="flex justify-between items-center py-1 ${active ? '' : 'text-gray-400'}">
+                <span>${a.station_name} &middot; ${SHIFT_LABELS[a.shift] || a.shift} &middot; ${SCHEDULE_PATTERN_LABELS[a.pattern] || a.pattern}
+                    <span class="text-xs">(${a.start_date} &rarr; ${a.end_date || 'ongoing'})</span></span>
+                <span class="flex space-x-2 print-hidden">
+                    ${active && can('schedule', 'PUT') ? `<button data-end-assignment="${a.id}" class="text-xs text-blue-600 hover:underline">End today</button>` : ''}
+                    ${can('schedule', 'DELETE') ? `<button data-delete-record="schedule" data-record-id="${a.id}" class="text-xs text-red-600 hover:underline">Delete</button>` : ''}
+                </span>
+            </li>`;
+        }).join('');
+        return `
+            <div class="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-6">
+                <h4 class="text-sm font-semibold text-gray-700 mb-1">Treatment Schedule</h4>
+                <ul class="text-sm divide-y">${rows || '<li class="py-1 text-gray-500">Not scheduled.</li>'}</ul>
+                ${can('schedule', 'POST') ? (state.stations.length === 0
+                    ? '<p class="text-xs text-gray-500 mt-2">No stations configured yet (see the unit schedule).</p>'
+                    : `
+                <form id="assignment-form" class="flex flex-wrap gap-2 mt-2 print-hidden">
+                    <select name="station_id" class="${input}">${state.stations.map(st => `<option value="${st.id}">${st.name}</option>`).join('')}</select>
+                    <select name="shift" class="${input}">${Object.entries(SHIFT_LABELS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('')}</select>
+                    <select name="pattern" class="${input}">${Object.entries(SCHEDULE_PATTERN_LABELS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('')}</select>
+                    <input name="start_date" type="date" required value="${today}" class="${input}" title="Start date">
+                    <button type="submit" class="px-3 py-1 bg-emerald-500 text-white rounded hover:bg-emerald-600 text-sm">+ Assign Slot</button>
+                </form>`) : ''}
+            </div>`;
+    };
+
+    const renderAdequacyTrend = (adequacy) => {
+        const months = (adequacy?.months || []).filter(m => m.avg_ktv !== null);
+        if (months.length === 0) return '';
+        return `
+            <div class="mb-6">
+                ${renderTrendChart({
+                    title: 'Monthly Adequacy (mean spKt/V)',
+                    unit: 'Kt/V',
+                    band: { low: adequacy.targets.ktv, high: null },
+                    series: [{ label: 'Kt/V', color: '#10b981', points: months.map(m => ({ date: `${m.month}-15`, value: m.avg_ktv, flag: m.avg_ktv < adequacy.targets.ktv ? 'low' : undefined })) }],
+                })}
+                <p class="text-xs text-gray-500 mt-1">Target: spKt/V &ge; ${adequacy.targets.ktv}, URR &ge; ${adequacy.targets.urr}%</p>
+            </div>`;
+    };
+
+    // Header warning when the most recent session with urea values missed the adequacy target
+    const renderAdequacyBadge = (sessions) => {
+        const measured = sessions.filter(s => s.urr !== null && s.urr !== undefined);
+        if (measured.length === 0 || !measured[0].below_target) return '';
+        const belowCount = measured.filter(s => s.below_target).length;
+        return `<span class="inline-block mt-2 text-xs font-semibold py-1 px-3 rounded-full text-red-700 bg-red-100">
+            Dialysis below adequacy target (last Kt/V ${measured[0].ktv ?? 'N/A'}, URR ${measured[0].urr}%) &middot; ${belowCount}/${measured.length} sessions
+        </span>`;
+    };
+
+    const renderAuditTrail = (entries) => {
+        if (entries.length === 0) return `<p class="text-center text-gray-500 p-8 bg-white rounded-lg">No changes recorded yet.</p>`;
+        const actionColors = { INSERT: 'bg-emerald-100 text-emerald-800', UPDATE: 'bg-blue-100 text-blue-800', DELETE: 'bg-red-100 text-red-800' };
+        const ignoredFields = ['created_at', 'updated_at'];
+        return entries.map(entry => {
+            // Only list the fields whose value actually changed
+            const before = entry.before || {};
+            const after = entry.after || {};
+            const changes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(key => !ignoredFields.includes(key) && before[key] !== after[key])
+                .map(key => `<li><span class="font-medium">${key}</span>: <span class="text-red-600 line-through">${before[key] ?? '-'}</span> &rarr; <span class="text-emerald-700">${after[key] ?? '-'}</span></li>`)
+                .join('');
+            return `
+            <div class="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                <div class="flex justify-between items-center">
+                    <p class="text-sm font-semibold text-gray-800">
+                        <span class="text-xs px-2 py-1 rounded-full ${actionColors[entry.action] || ''}">${entry.action}</span>
+                        ${entry.entity} #${entry.entity_id}
+                    </p>
+                    <span class="text-xs text-gray-500">${entry.created_at} &middot; ${entry.actor_username}</span>
+                </div>
+                ${changes ? `<ul class="mt-2 text-xs text-gray-600 space-y-1">${changes}</ul>` : ''}
             </div>`;
         }).join('');
     };
 
+    const protocolFieldLabels = { dialyzer: 'Dialyzer', access: 'Access', dialysateFlow: 'Dialysate Flow', bloodFlow: 'Blood Flow', duration: 'Duration', dry_weight: 'Dry Weight', dry_weight_date: 'Dry Weight Date' };
+    const renderProtocolChanges = (changes) => changes.map(c =>
+        `<li><span class="font-medium">${protocolFieldLabels[c.field] || c.field}</span>: <span class="text-red-600 line-through">${c.from ?? '-'}</span> &rarr; <span class="text-emerald-700">${c.to ?? '-'}</span></li>`
+    ).join('');
+
+    const renderProtocolTimeline = (versions) => {
+        if (versions.length === 0) return '';
+        const options = versions.map(v => `<option value="${v.version}">v${v.version} (${v.created_at.substring(0, 10)})</option>`).join('');
+        const diff = p.protocolDiff;
+        return `
+            <h3 class="text-lg font-semibold text-gray-800 mt-8 mb-3">Prescription History</h3>
+            <div class="flex items-center space-x-2 mb-4 text-sm print-hidden">
+                <span class="text-gray-500">Compare</span>
+                <select id="protocol-diff-from" class="border border-gray-300 rounded-lg px-2 py-1">${options}</select>
+                <span class="text-gray-500">with</span>
+                <select id="protocol-diff-to" class="border border-gray-300 rounded-lg px-2 py-1">${options}</select>
+                <button id="protocol-diff-btn" class="px-3 py-1 bg-gray-200 rounded-lg hover:bg-gray-300 transition">Compare</button>
+            </div>
+            ${diff ? `
+                <div class="bg-blue-50 p-4 rounded-lg mb-4 text-sm">
+                    <p class="font-semibold text-blue-800 mb-1">v${diff.from.version} &rarr; v${diff.to.version}</p>
+                    ${diff.changes.length ? `<ul class="space-y-1">${renderProtocolChanges(diff.changes)}</ul>` : '<p class="text-gray-500">No differences.</p>'}
+                </div>` : ''}
+            <ol class="border-l-2 border-emerald-200 ml-2 space-y-4">
+                ${versions.map(v => `
+                    <li class="ml-4">
+                        <div class="flex justify-between items-center">
+                            <p class="text-sm font-semibold text-gray-800">Version ${v.version}${v.version === protocol.version ? ' <span class="text-xs text-emerald-700 bg-emerald-100 px-2 py-0.5 rounded-full">current</span>' : ''}</p>
+                            <span class="text-xs text-gray-500">${v.created_at} &middot; ${v.prescriber_name || 'unknown'}</span>
+                        </div>
+                        <p class="text-xs text-gray-600 italic">${v.reason || ''}</p>
+                        ${v.changes.length ? `<ul class="mt-1 text-xs text-gray-600 space-y-1">${renderProtocolChanges(v.changes)}</ul>` : ''}
+                    </li>
+                `).join('')}
+            </ol>`;
+    };
+
+    // Ordonnances / lab demands already issued, newest first, each reprintable as handed out
+    const renderPrescriptionHistory = (type) => {
+        const issued = (p.prescriptions || []).filter(rx => rx.type === type);
+        if (issued.length === 0) return '';
+        return `
+            <div class="mt-6 print-hidden">
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">${type === 'labs' ? 'Issued Lab Demands' : 'Issued Ordonnances'}</h3>
+                <ul class="divide-y divide-gray-100 bg-white rounded-lg border border-gray-200 text-sm">
+                    ${issued.map(rx => `
+                        <li class="flex justify-between items-center px-4 py-2">
+                            <span>
+                                <span class="font-mono font-medium">${prescriptionReference(rx)}</span>
+                                <span class="text-gray-500">&middot; ${rx.created_at.substring(0, 10)} &middot; ${rx.issued_by_name} &middot; ${rx.items.map(item => item.name).join(', ')}</span>
+                            </span>
+                            <button data-reprint-prescription="${rx.id}" class="text-blue-600 hover:underline">Reprint</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>`;
+    };
+
     switch (state.currentTab) {
         case 'info':
             tabContentHtml = `
                 <div class="flex justify-end mb-4 print-hidden space-x-2">
-                    <button data-print-type="medications" class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition font-medium text-sm shadow-md">Print Ordinance</button>
+                    <button data-prescription-type="medications" ${can('prescriptions', 'POST') ? '' : 'hidden'} class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition font-medium text-sm shadow-md">Print Ordinance</button>
                     <button data-print-type="demographics" class="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition font-medium text-sm shadow-md">Print Info</button>
                 </div>
-                <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                    <div class="bg-gray-50 p-4 rounded-lg">
-                        <p class="text-sm text-gray-500">Full Name</p>
-                        <p class="text-lg font-medium text-gray-800">${fullName}</p>
-                    </div>
-                    <div class="bg-gray-50 p-4 rounded-lg">
-                        <p class="text-sm text-gray-500">Age / DOB</p>
-                        <p class="text-lg font-medium text-gray-800">${age} yrs (${p.birthdate})</p>
-                    </div>
-                    <div class="bg-gray-50 p-4 rounded-lg">
-                        <p class="text-sm text-gray-500">ID</p>
-                        <p class="text-sm font-medium text-gray-800 break-all">${p.id}</p>
-                    </div>
-                </div>`;
+                <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    ${infoCard('Full Name', fullName)}
+                    ${infoCard('Age / DOB', `${age} yrs (${p.birthdate})`)}
+                    ${infoCard('Sex', { M: 'Male', F: 'Female' }[p.sex])}
+                    ${infoCard('ID', p.id)}
+                    ${infoCard('National ID', p.national_id)}
+                    ${infoCard('Phone', p.phone)}
+                    ${infoCard('Address', p.address)}
+                    ${infoCard('Emergency Contact', [p.emergency_contact_name, p.emergency_contact_phone].filter(Boolean).join(' &middot; '))}
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mt-6 mb-2">Clinical Profile</h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    ${infoCard('Blood Group', p.blood_group)}
+                    ${infoCard('Serologies', `${Object.entries(SEROLOGY_LABELS).map(([column, label]) =>
+                        `<span class="${SEROLOGY_STYLES[p[column]] || ''}">${label} ${p[column] === 'positive' ? '+' : p[column] === 'negative' ? '-' : '?'}</span>`).join(' &middot; ')}
+                        ${p.serology_date ? `<span class="text-xs text-gray-500">(${p.serology_date})</span>` : ''} ${renderIsolationBadge(p)}`)}
+                    ${infoCard('Kidney Disease Etiology', CKD_ETIOLOGY_LABELS[p.ckd_etiology])}
+                    ${infoCard('On Dialysis Since', p.dialysis_start_date)}
+                    ${infoCard('Allergies', p.allergies ? `<span class="text-red-700">${p.allergies}</span>` : 'None known')}
+                    ${infoCard('Comorbidities', p.comorbidities)}
+                </div>
+                <form id="monthly-report-form" class="flex flex-wrap items-center gap-2 mt-6 print-hidden">
+                    <label class="text-sm text-gray-600" for="monthly-report-month">Monthly report</label>
+                    <input id="monthly-report-month" name="month" type="month" required value="${new Date().toISOString().substring(0, 7)}" class="px-2 py-1 border border-gray-300 rounded text-sm">
+                    <button type="submit" class="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 text-sm">Print Report</button>
+                </form>
+                ${renderHospitalizations(p.hospitalizations || [])}`;
             break;
         case 'sessions':
             tabContentHtml = `
                 <div class="flex justify-end mb-4 print-hidden">
-                    <button data-add-record="sessions" class="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition font-medium text-sm shadow-md">+ New Session</button>
+                    <button data-add-record="sessions" ${can('sessions', 'POST') ? '' : 'hidden'} class="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition font-medium text-sm shadow-md">+ New Session</button>
                 </div>
+                ${renderScheduleAssignments(p.scheduleAssignments || [])}
+                ${renderAdequacyTrend(p.adequacy)}
                 <div class="space-y-3">
                     ${renderSessions(sessions)}
                 </div>`;
@@ -651,32 +2684,57 @@ function renderPatientDetail(container) {
         case 'meds':
             tabContentHtml = `
                 <div class="flex justify-end mb-4 print-hidden space-x-2">
-                    <button data-print-type="medications" class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition font-medium text-sm shadow-md">Print Ordinance</button>
-                    <button data-add-record="meds" class="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition font-medium text-sm shadow-md">+ Add Medication</button>
+                    <button data-prescription-type="medications" ${can('prescriptions', 'POST') ? '' : 'hidden'} class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition font-medium text-sm shadow-md">Print Ordinance</button>
+                    <button data-add-record="meds" ${can('medications', 'POST') ? '' : 'hidden'} class="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition font-medium text-sm shadow-md">+ Add Medication</button>
                 </div>
-                <div class="space-y-3">${renderRecords(meds, 'medications')}</div>`;
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Active</h3>
+                <div class="space-y-3 mb-6">${renderRecords(meds.filter(m => m.active), 'medications')}</div>
+                ${renderEsaResponse(p.mar || [], labs)}
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Discontinued / Not Started</h3>
+                <div class="space-y-3 opacity-75">${renderRecords(meds.filter(m => !m.active), 'medications')}</div>
+                ${renderPrescriptionHistory('medications')}`;
             break;
         case 'labs':
             tabContentHtml = `
                 <div class="flex justify-end mb-4 print-hidden space-x-2">
-                    <button data-print-type="labs" class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition font-medium text-sm shadow-md">Print Lab Demand</button>
-                    <button data-add-record="labs" class="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition font-medium text-sm shadow-md">+ Add Lab Result</button>
+                    <button data-prescription-type="labs" ${can('prescriptions', 'POST') ? '' : 'hidden'} class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition font-medium text-sm shadow-md">Print Lab Demand</button>
+                    <button data-print-type="labs" class="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition font-medium text-sm shadow-md">Print Results</button>
+                    <button data-add-record="labs" ${can('labs', 'POST') ? '' : 'hidden'} class="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition font-medium text-sm shadow-md">+ Add Lab Result</button>
+                </div>
+                <div class="flex justify-between items-center mb-4 print-hidden">
+                    <div class="inline-flex rounded-lg border border-gray-200 overflow-hidden text-sm">
+                        <button data-lab-view="list" class="px-3 py-1 ${state.labView === 'list' ? 'bg-emerald-500 text-white' : 'bg-white text-gray-600'}">List</button>
+                        <button data-lab-view="trends" class="px-3 py-1 ${state.labView === 'trends' ? 'bg-emerald-500 text-white' : 'bg-white text-gray-600'}">Trends</button>
+                    </div>
+                    ${state.labView === 'trends' ? '<button data-print-type="trends" class="text-sm text-blue-600 hover:underline">Print Trends</button>' : ''}
                 </div>
-                <div class="space-y-3">${renderRecords(labs, 'labs')}</div>`;
+                ${state.labView === 'trends'
+                    ? `<div class="space-y-4">${buildTrendCharts(p).map(renderTrendChart).join('') || '<p class="text-center text-gray-500 p-8 bg-white rounded-lg">No data to chart yet.</p>'}</div>`
+                    : `<div class="space-y-3">${renderRecords(labs, 'labs')}</div>`}
+                ${renderPrescriptionHistory('labs')}`;
+            break;
+        case 'access':
+            tabContentHtml = renderAccessRegistry(p.accesses || []);
             break;
         case 'protocol':
             tabContentHtml = `
                 <div class="flex justify-end mb-4 print-hidden space-x-2">
                     <button data-print-type="protocol" class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition font-medium text-sm shadow-md">Print Protocol</button>
-                    <button id="edit-protocol-btn" class="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition font-medium text-sm shadow-md">Edit Protocol</button>
+                    <button id="edit-protocol-btn" ${can('protocol', 'PUT') ? '' : 'hidden'} class="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition font-medium text-sm shadow-md">Edit Protocol</button>
                 </div>
+                ${protocol.version ? `<p class="text-sm text-gray-500 mb-4">Version ${protocol.version} &middot; since ${protocol.created_at.substring(0, 10)} &middot; ${protocol.prescriber_name || 'unknown prescriber'}</p>` : ''}
                 <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
                     <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">Dialyzer</p><p class="text-xl font-bold text-gray-800">${protocol.dialyzer || 'N/A'}</p></div>
                     <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">Access</p><p class="text-xl font-bold text-gray-800">${protocol.access || 'N/A'}</p></div>
                     <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">Dialysate Flow</p><p class="text-lg font-medium text-gray-800">${protocol.dialysateFlow || 'N/A'}</p></div>
                     <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">Blood Flow</p><p class="text-lg font-medium text-gray-800">${protocol.bloodFlow || 'N/A'}</p></div>
                     <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">Duration</p><p class="text-lg font-medium text-gray-800">${protocol.duration || 'N/A'}</p></div>
-                </div>`;
+                    <div class="bg-gray-50 p-4 rounded-lg"><p class="text-sm text-gray-500">Target Dry Weight</p><p class="text-lg font-medium text-gray-800">${protocol.dry_weight ? `${protocol.dry_weight} kg <span class="text-xs text-gray-500">(${protocol.dry_weight_date || 'undated'})</span>` : 'N/A'}</p></div>
+                </div>
+                ${renderProtocolTimeline(p.protocolVersions || [])}`;
+            break;
+        case 'history':
+            tabContentHtml = `<div class="space-y-3">${renderAuditTrail(p.auditTrail || [])}</div>`;
             break;
     }
 
@@ -686,9 +2744,18 @@ function renderPatientDetail(container) {
             Back to Patient Roster
         </button>
 
-        <div class="bg-white rounded-xl shadow-xl p-6 mb-6">
-            <h2 class="text-3xl font-extrabold text-gray-800">${fullName}</h2>
-            <p class="text-xl text-gray-600 mt-1">Age ${age} | HD Patient</p>
+        <div class="bg-white rounded-xl shadow-xl p-6 mb-6 flex justify-between items-start">
+            <div>
+                <h2 class="text-3xl font-extrabold text-gray-800">${fullName}</h2>
+                <p class="text-xl text-gray-600 mt-1">Age ${age} | HD Patient</p>
+                ${renderIsolationBadge(p)}
+                ${renderAdequacyBadge(sessions)}
+            </div>
+            <div class="flex space-x-2 print-hidden">
+                <button data-export="all.xlsx" data-export-patient ${can('export', 'GET') ? '' : 'hidden'} class="px-4 py-2 bg-white text-emerald-700 border border-emerald-500 rounded-lg hover:bg-emerald-50 transition font-medium text-sm shadow-md" title="Demographics, lab results and sessions">Export</button>
+                <button id="edit-patient-btn" ${can('patients', 'PUT') ? '' : 'hidden'} class="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition font-medium text-sm shadow-md">Edit Patient</button>
+                <button id="delete-patient-btn" ${can('patients', 'DELETE') ? '' : 'hidden'} class="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition font-medium text-sm shadow-md">Delete</button>
+            </div>
         </div>
 
         <div class="flex border-b border-gray-200 overflow-x-auto whitespace-nowrap mb-6 bg-white rounded-t-xl shadow-md p-2 print-hidden">
@@ -728,31 +2795,206 @@ function setupEventListeners() {
     document.getElementById('patient-form')?.addEventListener('submit', (e) => {
         e.preventDefault();
         const formData = new FormData(e.target);
-        const patientData = Object.fromEntries(formData.entries());
+        const { id, ...patientData } = Object.fromEntries(formData.entries());
         
         if (patientData.name && patientData.familyname && patientData.birthdate) {
-            addPatient(patientData);
+            if (id) {
+                updatePatient(parseInt(id), patientData);
+            } else {
+                addPatient(patientData);
+            }
         } else {
             showMessage("Please fill in all required patient fields.", 'error');
         }
     });
 
-    // 3. Delegation for dynamic content (Patient list cards, tabs, print buttons, etc.)
+    // 3. Record Form Submissions (sessions, medications, labs, protocol)
+    document.getElementById('session-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const { errors, values } = readSessionForm(e.target);
+        showFormErrors('session-form-errors', errors);
+        if (errors.length > 0) return;
+        const { id, ...session } = values;
+        submitRecordForm('sessions', 'session-modal', id, session);
+    });
+
+    document.getElementById('session-pre-weight')?.addEventListener('change', (e) => {
+        if (state.currentPatient && e.target.validity.valid) refreshUfGoalHint(state.currentPatient.id, e.target.value);
+    });
+
+    document.getElementById('medication-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errors = validateForm(e.target);
+        showFormErrors('medication-form-errors', errors);
+        if (errors.length > 0) return;
+        const { id, ...medication } = Object.fromEntries(new FormData(e.target).entries());
+        if (await confirmPrescriptionWarnings(e.target, medication, id)) {
+            submitRecordForm('medications', 'medication-modal', id, { ...medication, acknowledge_warnings: Boolean(e.target.dataset.acknowledged) });
+        }
+    });
+
+    document.getElementById('medication-name')?.addEventListener('change', () => applyCatalogDrug());
+    // Any change after the warnings were shown needs a fresh check
+    document.getElementById('medication-form')?.addEventListener('input', resetPrescriptionWarnings);
+
+    document.getElementById('lab-test-code')?.addEventListener('change', updateLabTestHint);
+
+    document.getElementById('lab-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const errors = validateForm(e.target);
+        showFormErrors('lab-form-errors', errors);
+        if (errors.length > 0) return;
+        const { id, ...labResult } = Object.fromEntries(new FormData(e.target).entries());
+        submitRecordForm('labs', 'lab-modal', id, labResult);
+    });
+
+    document.getElementById('protocol-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errors = validateForm(e.target);
+        showFormErrors('protocol-form-errors', errors);
+        if (errors.length > 0 || !state.currentPatient) return;
+        const protocolData = Object.fromEntries(new FormData(e.target).entries());
+        if (await updatePatientProtocol(state.currentPatient.id, protocolData)) closeModal('protocol-modal');
+    });
+
+    document.getElementById('prescription-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { errors, values } = readPrescriptionForm(e.target);
+        showFormErrors('prescription-form-errors', errors);
+        if (errors.length > 0 || !state.currentPatient) return;
+        if (await issuePrescription(values)) closeModal('prescription-modal');
+    });
+
+    // Unticked medications are left off the ordonnance: disable their duration/quantity inputs
+    document.getElementById('prescription-form')?.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-prescription-line]')) return;
+        const id = e.target.value;
+        for (const name of [`duration_${id}`, `quantity_${id}`]) e.target.form.elements[name].disabled = !e.target.checked;
+    });
+
+    // 4. Login Form Submission
+    document.getElementById('login-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const { username, password } = Object.fromEntries(new FormData(e.target).entries());
+        login(username, password);
+    });
+
+    // 5. Logout (the badge is re-rendered, so delegate from the header)
+    document.querySelector('header')?.addEventListener('click', (e) => {
+        if (e.target.closest('#logout-btn')) logout();
+    });
+
+    // 5b. Unit Schedule Button
+    document.getElementById('schedule-btn')?.addEventListener('click', () => {
+        state.view = 'schedule';
+        state.currentPatient = null;
+        fetchSchedule();
+    });
+
+    // 5c. Unit Quality Dashboard Button
+    document.getElementById('dashboard-btn')?.addEventListener('click', () => {
+        state.view = 'dashboard';
+        state.currentPatient = null;
+        fetchDashboard();
+    });
+
+    // 5d. Bulk Import: pick a file, check it (dry run), correct the mapping, then import
+    document.getElementById('import-btn')?.addEventListener('click', () => {
+        state.importJob = null;
+        document.getElementById('import-form')?.reset();
+        renderImportPreview();
+        openModal('import-modal');
+    });
+    document.getElementById('import-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { kind, file } = Object.fromEntries(new FormData(e.target).entries());
+        if (!file || !file.name) {
+            showMessage('Choose a CSV or XLSX file to import.', 'error');
+            return;
+        }
+        state.importJob = { kind, ...(await readImportFile(file)), mapping: null, report: null };
+        previewImport();
+    });
+    // A different file or record type needs a new check
+    document.getElementById('import-form')?.addEventListener('change', (e) => {
+        if (e.target.matches('[data-import-column]') && state.importJob) {
+            state.importJob.mapping = { ...state.importJob.mapping, [e.target.dataset.importColumn]: e.target.value === '' ? null : parseInt(e.target.value) };
+            previewImport();
+        } else if (e.target.id === 'import-skip-duplicates') {
+            renderImportPreview();
+        } else if (['import-kind', 'import-file'].includes(e.target.id)) {
+            state.importJob = null;
+            renderImportPreview();
+        }
+    });
+    document.getElementById('import-commit-btn')?.addEventListener('click', submitImport);
+
+    // 5e. Lab Inbox: results from the lab interface that could not be matched to a patient
+    document.getElementById('lab-inbox-btn')?.addEventListener('click', () => {
+        openModal('lab-inbox-modal');
+        fetchLabInbox();
+    });
+    document.getElementById('lab-inbox-entries')?.addEventListener('click', (e) => {
+        const fileBtn = e.target.closest('[data-inbox-file]');
+        const dismissBtn = e.target.closest('[data-inbox-dismiss]');
+        if (fileBtn) {
+            const id = fileBtn.dataset.inboxFile;
+            fileInboxMessage(id, parseInt(document.querySelector(`[data-inbox-patient="${id}"]`).value));
+        } else if (dismissBtn) {
+            dismissInboxMessage(dismissBtn.dataset.inboxDismiss);
+        }
+    });
+
+    // 5f. Backup & Restore (admin): download an archive, or check a backup file and restore it
+    document.getElementById('backup-btn')?.addEventListener('click', () => {
+        state.restoreJob = null;
+        document.getElementById('restore-file').value = '';
+        renderRestorePreview();
+        openModal('backup-modal');
+    });
+    document.getElementById('backup-download-btn')?.addEventListener('click', downloadBackup);
+    document.getElementById('restore-file')?.addEventListener('change', (e) => {
+        state.restoreJob = null;
+        renderRestorePreview();
+        if (e.target.files[0]) checkRestoreFile(e.target.files[0]);
+    });
+    document.getElementById('restore-commit-btn')?.addEventListener('click', submitRestore);
+
+    // Sync status: lists the changes made offline, with conflict resolution
+    document.getElementById('sync-status')?.addEventListener('click', async () => {
+        await loadSyncQueue();
+        openModal('sync-modal');
+        syncQueue();
+    });
+    document.getElementById('sync-modal')?.addEventListener('click', (e) => {
+        const resolveBtn = e.target.closest('[data-sync-resolve]');
+        if (resolveBtn) resolveSyncEntry(parseInt(resolveBtn.dataset.entryId), resolveBtn.dataset.syncResolve);
+    });
+
+    // 6. Delegation for dynamic content (Patient list cards, tabs, print buttons, etc.)
     document.getElementById('content-container')?.addEventListener('click', async (e) => {
         // Patient Card Click (View Detail)
         const patientCard = e.target.closest('[data-patient-id]');
         if (patientCard) {
             const id = patientCard.getAttribute('data-patient-id');
+            // Patients linked from the schedule or dashboard may not be on the loaded roster pages
             const patient = state.patientList.find(p => p.id === parseInt(id));
+            state.view = 'detail';
+            state.currentTab = 'info';
             if (patient) {
                 state.currentPatient = patient;
-                state.view = 'detail';
-                state.currentTab = 'info';
                 renderApp(); 
-                await fetchPatientDetail(id);
             }
+            await fetchPatientDetail(id);
         }
 
+        // Roster: next page
+        if (e.target.closest('[data-roster-more]')) fetchPatients(true);
+
+        // Spreadsheet export of the unit (roster toolbar) or of the open patient
+        const exportBtn = e.target.closest('[data-export]');
+        if (exportBtn) downloadExport(exportBtn.getAttribute('data-export'), exportBtn.hasAttribute('data-export-patient') ? state.currentPatient : null);
+
         // Tab Click (Change View)
         const tabBtn = e.target.closest('.tab-btn');
         if (tabBtn) {
@@ -760,6 +3002,13 @@ function setupEventListeners() {
             renderApp();
         }
 
+        // Lab Results List/Trends Toggle
+        const labViewBtn = e.target.closest('[data-lab-view]');
+        if (labViewBtn) {
+            state.labView = labViewBtn.getAttribute('data-lab-view');
+            renderApp();
+        }
+
         // Back Button Click (Return to List)
         const backBtn = e.target.closest('#back-to-list');
         if (backBtn) {
@@ -772,29 +3021,249 @@ function setupEventListeners() {
         // Add Record Button Click
         const addRecordBtn = e.target.closest('[data-add-record]');
         if (addRecordBtn) {
-            showAddRecordPrompt(addRecordBtn.getAttribute('data-add-record'));
+            openRecordForm(addRecordBtn.getAttribute('data-add-record'));
         }
 
         // Edit Protocol Button Click
         const editProtocolBtn = e.target.closest('#edit-protocol-btn');
         if (editProtocolBtn) {
-            showProtocolEditPrompt();
+            openProtocolForm();
+        }
+
+        // Edit Patient Button Click (re-uses the patient modal in edit mode)
+        const editPatientBtn = e.target.closest('#edit-patient-btn');
+        if (editPatientBtn && state.currentPatient) {
+            document.getElementById('modal-title').textContent = 'Edit Patient';
+            fillForm(document.getElementById('patient-form'), state.currentPatient);
+            openModal('patient-modal');
+        }
+
+        // Delete Patient Button Click
+        const deletePatientBtn = e.target.closest('#delete-patient-btn');
+        if (deletePatientBtn && state.currentPatient) {
+            const p = state.currentPatient;
+            if (confirm(`Delete ${p.name} ${p.familyname} and ALL of their records? This cannot be undone.`)) {
+                deletePatient(p.id);
+            }
+        }
+
+        // Edit Record Button Click
+        const editRecordBtn = e.target.closest('[data-edit-record]');
+        if (editRecordBtn) {
+            openRecordForm(editRecordBtn.getAttribute('data-edit-record'), parseInt(editRecordBtn.getAttribute('data-record-id')));
+        }
+
+        // Delete Record Button Click
+        const deleteRecordBtn = e.target.closest('[data-delete-record]');
+        if (deleteRecordBtn && state.currentPatient && confirm("Delete this entry?")) {
+            deletePatientRecord(state.currentPatient.id, deleteRecordBtn.getAttribute('data-delete-record'), parseInt(deleteRecordBtn.getAttribute('data-record-id')));
+        }
+
+        // Schedule Board Navigation (previous/next period, today) and Day/Week toggle
+        const scheduleNavBtn = e.target.closest('[data-schedule-nav]');
+        if (scheduleNavBtn) {
+            const step = parseInt(scheduleNavBtn.getAttribute('data-schedule-nav'));
+            const from = new Date(`${state.schedule.from}T00:00:00Z`);
+            from.setUTCDate(from.getUTCDate() + step * state.schedule.days);
+            state.schedule.from = step === 0 ? new Date().toISOString().substring(0, 10) : from.toISOString().substring(0, 10);
+            fetchSchedule();
+        }
+        const scheduleDaysBtn = e.target.closest('[data-schedule-days]');
+        if (scheduleDaysBtn) {
+            state.schedule.days = parseInt(scheduleDaysBtn.getAttribute('data-schedule-days'));
+            fetchSchedule();
+        }
+
+        // Dashboard: shift the month window, drill into a cell, print a patient's monthly report
+        const dashboardNavBtn = e.target.closest('[data-dashboard-nav]');
+        if (dashboardNavBtn) {
+            const step = parseInt(dashboardNavBtn.getAttribute('data-dashboard-nav'));
+            const [year, month] = state.dashboard.to.split('-').map(Number);
+            state.dashboard.to = step === 0
+                ? new Date().toISOString().substring(0, 7)
+                : new Date(Date.UTC(year, month - 1 + step, 1)).toISOString().substring(0, 7);
+            state.dashboard.drilldown = null;
+            fetchDashboard();
+        }
+        const dashboardCell = e.target.closest('[data-dashboard-cell]');
+        if (dashboardCell) {
+            state.dashboard.drilldown = { metric: dashboardCell.getAttribute('data-dashboard-cell'), month: dashboardCell.getAttribute('data-month') };
+            renderApp();
+        }
+        const monthlyReportBtn = e.target.closest('[data-monthly-report]');
+        if (monthlyReportBtn) {
+            const patient = { id: parseInt(monthlyReportBtn.getAttribute('data-monthly-report')), familyname: monthlyReportBtn.getAttribute('data-patient-name') };
+            openDocumentPdf('monthly', { month: monthlyReportBtn.getAttribute('data-month') }, patient);
+        }
+
+        // Vascular Access Status Change (matured, or abandoned/removed today)
+        const accessStatusBtn = e.target.closest('[data-access-status]');
+        if (accessStatusBtn && state.currentPatient) {
+            const access = state.currentPatient.accesses.find(a => a.id === parseInt(accessStatusBtn.getAttribute('data-access-id')));
+            const status = accessStatusBtn.getAttribute('data-access-status');
+            if (access) {
+                const { id, patient_id, created_at, catheter_days, events, ...values } = access;
+                updatePatientRecord(state.currentPatient.id, 'accesses', id, { ...values, status, ended_on: status === 'active' ? null : new Date().toISOString().substring(0, 10) });
+            }
+        }
+        const deleteAccessEventBtn = e.target.closest('[data-delete-access-event]');
+        if (deleteAccessEventBtn && state.currentPatient && confirm("Delete this entry?")) {
+            deleteAccessEvent(parseInt(deleteAccessEventBtn.getAttribute('data-access-id')), parseInt(deleteAccessEventBtn.getAttribute('data-delete-access-event')));
+        }
+
+        // Record a Hospital Discharge Today
+        const dischargeBtn = e.target.closest('[data-discharge-hospitalization]');
+        if (dischargeBtn && state.currentPatient) {
+            const hospitalization = state.currentPatient.hospitalizations.find(h => h.id === parseInt(dischargeBtn.getAttribute('data-discharge-hospitalization')));
+            if (hospitalization) updatePatientRecord(state.currentPatient.id, 'hospitalizations', hospitalization.id, { ...hospitalization, discharged_on: new Date().toISOString().substring(0, 10) });
+        }
+
+        // End a Schedule Assignment Today
+        const endAssignmentBtn = e.target.closest('[data-end-assignment]');
+        if (endAssignmentBtn && state.currentPatient) {
+            updatePatientRecord(state.currentPatient.id, 'schedule', parseInt(endAssignmentBtn.getAttribute('data-end-assignment')), { end_date: new Date().toISOString().substring(0, 10) });
+        }
+
+        // Session Sheet Toggle
+        const sheetBtn = e.target.closest('[data-session-sheet]');
+        if (sheetBtn && state.currentPatient) {
+            const sessionId = parseInt(sheetBtn.getAttribute('data-session-sheet'));
+            if (state.currentPatient.sessionSheet?.sessionId === sessionId) {
+                state.currentPatient.sessionSheet = null;
+                renderApp();
+            } else {
+                fetchSessionSheet(state.currentPatient.id, sessionId);
+            }
+        }
+
+        // Delete Intradialytic Reading/Event
+        const deleteEntryBtn = e.target.closest('[data-delete-monitoring]');
+        if (deleteEntryBtn && state.currentPatient?.sessionSheet && confirm("Delete this entry?")) {
+            deleteSessionEntry(deleteEntryBtn.getAttribute('data-delete-monitoring'), parseInt(deleteEntryBtn.getAttribute('data-entry-id')));
+        }
+
+        // Compare Protocol Versions Button Click
+        const diffBtn = e.target.closest('#protocol-diff-btn');
+        if (diffBtn && state.currentPatient) {
+            const from = parseInt(document.getElementById('protocol-diff-from').value);
+            const to = parseInt(document.getElementById('protocol-diff-to').value);
+            compareProtocolVersions(state.currentPatient.id, Math.min(from, to), Math.max(from, to));
         }
 
         // --- NEW: Print Button Click ---
         const printBtn = e.target.closest('[data-print-type]');
         if (printBtn) {
             const printType = printBtn.getAttribute('data-print-type');
-            generatePrintableDocument(printType);
+            openDocumentPdf(printType, printBtn.hasAttribute('data-record-id') ? { id: printBtn.getAttribute('data-record-id') } : {});
+        }
+
+        // Ordonnance / lab demand: pick the lines, then save & print
+        const prescriptionBtn = e.target.closest('[data-prescription-type]');
+        if (prescriptionBtn) {
+            openPrescriptionForm(prescriptionBtn.getAttribute('data-prescription-type'));
+        }
+
+        const reprintBtn = e.target.closest('[data-reprint-prescription]');
+        if (reprintBtn && state.currentPatient) {
+            const prescription = state.currentPatient.prescriptions.find(rx => rx.id === parseInt(reprintBtn.getAttribute('data-reprint-prescription')));
+            if (prescription) openDocumentPdf(prescription.type === 'labs' ? 'lab-demand' : 'prescription', { id: prescription.id });
+        }
+    });
+
+    // 6b. Roster search (debounced) and filters
+    document.getElementById('content-container')?.addEventListener('input', (e) => {
+        if (e.target.id !== 'roster-search') return;
+        clearTimeout(rosterSearchTimer);
+        rosterSearchTimer = setTimeout(() => {
+            state.roster.q = e.target.value.trim();
+            fetchPatients();
+        }, ROSTER_SEARCH_DELAY_MS);
+    });
+    document.getElementById('content-container')?.addEventListener('change', (e) => {
+        const filter = e.target.getAttribute('data-roster-filter');
+        if (!filter) return;
+        state.roster[filter] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        fetchPatients();
+    });
+
+    // 7. Delegation for forms rendered inside the content (live session sheet, schedule)
+    document.getElementById('content-container')?.addEventListener('submit', (e) => {
+        if (e.target.id === 'assignment-form' && state.currentPatient) {
+            e.preventDefault();
+            addPatientRecord(state.currentPatient.id, 'schedule', Object.fromEntries(new FormData(e.target).entries()));
+            return;
+        }
+        if (e.target.id === 'mar-form' && state.currentPatient) {
+            e.preventDefault();
+            const administration = Object.fromEntries(new FormData(e.target).entries());
+            if (administration.status !== 'given' && !administration.reason.trim()) {
+                showMessage(`A reason is required when a dose is ${administration.status}.`, 'error');
+                return;
+            }
+            addPatientRecord(state.currentPatient.id, 'mar', { ...administration, session_id: e.target.getAttribute('data-session-id') });
+            return;
+        }
+        if (e.target.id === 'access-form' && state.currentPatient) {
+            e.preventDefault();
+            addPatientRecord(state.currentPatient.id, 'accesses', Object.fromEntries(new FormData(e.target).entries()));
+            return;
+        }
+        if (e.target.hasAttribute('data-access-event-form') && state.currentPatient) {
+            e.preventDefault();
+            const { event, ...entry } = Object.fromEntries(new FormData(e.target).entries());
+            const [category, event_type] = event.split(':');
+            addAccessEvent(parseInt(e.target.getAttribute('data-access-event-form')), { ...entry, category, event_type });
+            return;
+        }
+        if (e.target.id === 'hospitalization-form' && state.currentPatient) {
+            e.preventDefault();
+            addPatientRecord(state.currentPatient.id, 'hospitalizations', Object.fromEntries(new FormData(e.target).entries()));
+            return;
+        }
+        if (e.target.id === 'monthly-report-form' && state.currentPatient) {
+            e.preventDefault();
+            openDocumentPdf('monthly', { month: new FormData(e.target).get('month') });
+            return;
         }
+        if (e.target.id === 'station-form') {
+            e.preventDefault();
+            addStation(Object.fromEntries(new FormData(e.target).entries()));
+            return;
+        }
+        const kind = { 'reading-form': 'readings', 'event-form': 'events' }[e.target.id];
+        if (!kind || !state.currentPatient?.sessionSheet) return;
+        e.preventDefault();
+        const errors = validateForm(e.target);
+        if (errors.length > 0) {
+            showMessage(errors.join('<br>'), 'error');
+            return;
+        }
+        addSessionEntry(kind, Object.fromEntries(new FormData(e.target).entries()));
     });
 }
 
 // --- INITIALIZATION ---
 // VITAL FIX: Ensure all DOM elements are loaded before running initialization.
 window.onload = function() {
-    updateStatusIndicator(`Connecting to: ${API_BASE}`);
+    // App shell cache, so the page still opens without network (patient data is handled by apiFetch)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.warn('Service worker not registered:', error));
+    }
+    window.addEventListener('online', () => setOnline(true));
+    window.addEventListener('offline', () => setOnline(false));
+    setInterval(() => syncQueue(), SYNC_INTERVAL_MS);
+
     setupEventListeners(); // Binds the buttons, including "New Patient"
+    renderUserBadge();
+    if (!state.auth) {
+        showLoginScreen();
+        renderApp();
+        return;
+    }
+    fetchLabTests();
+    fetchDrugs();
+    fetchStations();
     fetchPatients(); // Fetches data and calls renderApp()
+    syncQueue();
 };
 
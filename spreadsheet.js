@@ -0,0 +1,302 @@
+/**
+ * MedProSana spreadsheet files (worker side)
+ * CSV (RFC 4180, comma, semicolon or tab separated) and XLSX (Office Open XML) reading and
+ * writing for bulk imports and exports. XLSX files are zip archives: they are written without
+ * compression and read with the runtime's DecompressionStream.
+ */
+
+// --- CSV ---
+
+/**
+ * Parses CSV text into rows of strings. The separator is taken from the header line
+ * (spreadsheets set to a French locale export with semicolons).
+ * @param {string} text - The file content.
+ * @returns {string[][]} - Rows, blank lines dropped.
+ */
+export function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = [',', ';', '\t'].reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Writes rows as CSV, with a byte order mark so spreadsheet programs read it as UTF-8.
+ * @param {Array<Array<string|number|null>>} rows - The first row is the header.
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    const cell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return `\uFEFF${rows.map(row => row.map(cell).join(',')).join('\r\n')}\r\n`;
+}
+
+// --- ZIP container ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Stored (uncompressed) zip archive of { name, data } entries.
+function zip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(local.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        out.set(part, position);
+        position += part.length;
+    }
+    return out;
+}
+
+// Reads a zip archive into a Map of name -> bytes (stored and deflated entries).
+async function unzip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const files = new Map();
+    const decoder = new TextDecoder();
+    let position = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        if (view.getUint32(position, true) !== 0x02014b50) throw new Error('Corrupt zip directory');
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        } else {
+            throw new Error(`Unsupported zip compression method ${method}`);
+        }
+    }
+    return files;
+}
+
+// --- XLSX ---
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const escapeXml = text => String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const unescapeXml = text => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+}
+
+function columnIndex(reference) {
+    const letters = /^[A-Z]+/.exec(reference)[0];
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Writes a workbook. Numbers are stored as numbers, everything else as inline strings;
+ * the header row of each sheet is frozen.
+ * @param {{ name: string, rows: Array<Array<string|number|null>> }[]} sheets
+ * @returns {Uint8Array} - The .xlsx file.
+ */
+export function writeXlsx(sheets) {
+    const sheetXml = rows => `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}">`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => {
+            const reference = `${columnName(c)}${r + 1}`;
+            if (value === null || value === undefined || value === '') return '';
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`;
+            return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('')}</row>`).join('')}</sheetData></worksheet>`;
+
+    // Sheet names: at most 31 characters, none of []:*?/\
+    const names = sheets.map(sheet => sheet.name.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31));
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIPS_NS}"><sheets>`
+                + names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                + '</sheets></workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIPS_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                + '</Relationships>',
+        },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet.rows) })),
+    ]);
+}
+
+/**
+ * Reads the first worksheet of a workbook. Numbers come back as numbers (dates included:
+ * they are day counts, see excelSerialToDate), text as strings, empty cells as ''.
+ * @param {Uint8Array} bytes - The .xlsx file.
+ * @returns {Promise<Array<Array<string|number>>>} - Rows, blank lines dropped.
+ */
+export async function readXlsx(bytes) {
+    const files = await unzip(bytes);
+    const text = name => {
+        const data = files.get(name);
+        return data ? new TextDecoder().decode(data) : null;
+    };
+    const workbook = text('xl/workbook.xml');
+    if (!workbook) throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+
+    const sheetId = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook)?.[1];
+    const relationships = text('xl/_rels/workbook.xml.rels') || '';
+    const target = [...relationships.matchAll(/<Relationship\b[^>]*>/g)].map(m => m[0])
+        .find(tag => tag.includes(`Id="${sheetId}"`))?.match(/Target="([^"]+)"/)?.[1];
+    const sheetPath = target ? (target.startsWith('/') ? target.substring(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml';
+    const sheet = text(sheetPath);
+    if (!sheet) throw new Error('The workbook has no worksheet');
+
+    const runs = xml => [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => unescapeXml(m[1])).join('');
+    const sharedStrings = [...(text('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => runs(m[1]));
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const row = [];
+        for (const cell of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const reference = /\br="([A-Z]+)\d+"/.exec(cell[1])?.[1];
+            const type = /\bt="([^"]+)"/.exec(cell[1])?.[1] || 'n';
+            const body = cell[2] || '';
+            const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+            let value = '';
+            if (type === 's') value = sharedStrings[parseInt(raw)] ?? '';
+            else if (type === 'inlineStr') value = runs(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw !== undefined) value = type === 'n' ? Number(raw) : unescapeXml(raw);
+            const index = reference ? columnIndex(reference) : row.length;
+            while (row.length < index) row.push('');
+            row[index] = value;
+        }
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => String(value).trim() !== ''));
+}
+
+/**
+ * Converts an Excel date serial (days since 1899-12-30, the 1900 leap-year bug included) to YYYY-MM-DD.
+ * @param {number} serial
+ * @returns {string}
+ */
+export function excelSerialToDate(serial) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000).toISOString().substring(0, 10);
+}
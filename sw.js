@@ -0,0 +1,56 @@
+/**
+ * MedProSana service worker
+ * Keeps the app shell (page, script, styles) cached so the app still opens when the dialysis
+ * room Wi-Fi is down. API calls are not intercepted: script.js keeps patient data in IndexedDB
+ * and queues offline writes itself.
+ */
+
+// Bump when the shell changes so clients drop the previous cache.
+const SHELL_CACHE = 'medprosana-shell-v5';
+const SHELL_FILES = ['./', 'index.html', 'script.js'];
+// Cross-origin shell dependencies, cached as opaque responses.
+const SHELL_CDN = ['https://cdn.tailwindcss.com', 'https://fonts.googleapis.com/css2?family=Inter:wght@100..900&display=swap'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(async (cache) => {
+            await cache.addAll(SHELL_FILES);
+            // The CDN may be unreachable at install time; the page then works without it once online
+            await Promise.all(SHELL_CDN.map(url => cache.add(new Request(url, { mode: 'no-cors' })).catch(() => {})));
+        }).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('medprosana-shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Shell requests: answer from the cache at once and refresh it in the background (stale-while-revalidate).
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin || SHELL_CDN.some(cdn => request.url.startsWith(cdn));
+    if (!isShell) return;
+
+    event.respondWith(
+        caches.open(SHELL_CACHE).then(async (cache) => {
+            const cached = await cache.match(request, { ignoreSearch: url.origin === self.location.origin });
+            const refresh = fetch(request)
+                .then((response) => {
+                    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached || Response.error());
+            if (cached) {
+                event.waitUntil(refresh.then(() => {}));
+                return cached;
+            }
+            return refresh;
+        })
+    );
+});
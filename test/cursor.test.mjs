@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor } from '../cursor.js';
+
+test('cursors give back the sort values they were made from', () => {
+    for (const values of [[42], ['Benali', 'Ali', 7], ['2026-10-01 08:00:00', 3], [null, 'x', 0]]) {
+        assert.deepEqual(decodeCursor(encodeCursor(values)), values);
+    }
+});
+
+test('names outside ASCII survive the base64 encoding', () => {
+    const cursor = encodeCursor(['Benali-Saïd', 'Zoé', 12]);
+    assert.match(cursor, /^[A-Za-z0-9+/]+=*$/);
+    assert.deepEqual(decodeCursor(cursor), ['Benali-Saïd', 'Zoé', 12]);
+});
+
+test('unreadable cursors decode to null', () => {
+    assert.equal(decodeCursor('not a cursor!'), null);
+    assert.equal(decodeCursor(btoa('{"id":')), null);
+    assert.equal(decodeCursor(''), null);
+});
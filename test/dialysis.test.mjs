@@ -0,0 +1,86 @@
+// Run with: node --test (from the repository root)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDurationMinutes, computeAdequacy, ufRate, suggestUfGoal } from '../dialysis.js';
+
+test('protocol durations are read in hours, hours and minutes, or minutes', () => {
+    assert.equal(parseDurationMinutes('4 hours'), 240);
+    assert.equal(parseDurationMinutes('4h30'), 270);
+    assert.equal(parseDurationMinutes('4 h 15'), 255);
+    assert.equal(parseDurationMinutes('3.5 h'), 210);
+    assert.equal(parseDurationMinutes('4,5h'), 270);
+    assert.equal(parseDurationMinutes('240 min'), 240);
+});
+
+test('durations without a number and unit are not guessed', () => {
+    assert.equal(parseDurationMinutes(''), null);
+    assert.equal(parseDurationMinutes(null), null);
+    assert.equal(parseDurationMinutes('four'), null);
+});
+
+test('URR and Daugirdas spKt/V for a complete session', () => {
+    // R = 1/3, t = 4 h, 2 kg removed down to 70 kg
+    assert.deepEqual(computeAdequacy({ pre_urea: 150, post_urea: 50, pre_weight: 72, post_weight: 70, duration_minutes: 240 }), { urr: 66.7, ktv: 1.28 });
+    // R = 0.35, t = 3.5 h, 2 kg removed down to 58 kg
+    assert.deepEqual(computeAdequacy({ pre_urea: 20, post_urea: 7, pre_weight: 60, post_weight: 58, duration_minutes: 210 }), { urr: 65, ktv: 1.23 });
+});
+
+test('no Kt/V without a duration, a post weight or a usable urea ratio', () => {
+    const session = { pre_urea: 150, post_urea: 50, pre_weight: 72, post_weight: 70 };
+    assert.deepEqual(computeAdequacy({ ...session, duration_minutes: null }), { urr: 66.7, ktv: null });
+    assert.deepEqual(computeAdequacy({ ...session, post_weight: null, duration_minutes: 240 }), { urr: 66.7, ktv: null });
+    // R - 0.008 t <= 0: the logarithm is undefined
+    assert.deepEqual(computeAdequacy({ ...session, post_urea: 0, duration_minutes: 240 }), { urr: 100, ktv: null });
+});
+
+test('no adequacy at all without both urea values', () => {
+    assert.deepEqual(computeAdequacy({ pre_urea: null, post_urea: 50 }), { urr: null, ktv: null });
+    assert.deepEqual(computeAdequacy({ pre_urea: 150, post_urea: undefined }), { urr: null, ktv: null });
+});
+
+test('UF rate is taken against the post-dialysis weight', () => {
+    // 2 L over 4 h from 72 kg: 2000 / 70 / 4
+    assert.equal(ufRate(2000, 72, 240), 7.1);
+    assert.equal(ufRate(3500, 60, 180), 20.6);
+});
+
+test('no UF rate without a volume, a weight or a duration, or past the whole body weight', () => {
+    assert.equal(ufRate(0, 70, 240), null);
+    assert.equal(ufRate(2000, null, 240), null);
+    assert.equal(ufRate(2000, 70, null), null);
+    assert.equal(ufRate(80000, 70, 240), null);
+});
+
+const settings = { maxRate: 13, allowanceMl: 500 };
+
+test('suggested UF goal is the gain over dry weight plus the allowance, at the rate of the same basis', () => {
+    const suggestion = suggestUfGoal({ dry_weight: 70, dry_weight_date: '2026-09-01', duration: '4h' }, 72.5, { post_weight: 70.2 }, settings);
+    assert.deepEqual(suggestion, {
+        dry_weight: 70,
+        dry_weight_date: '2026-09-01',
+        allowance_ml: 500,
+        uf_goal_ml: 3000,
+        duration_minutes: 240,
+        uf_rate: ufRate(3000, 72.5, 240),
+        max_uf_rate: 13,
+        uf_rate_exceeded: false,
+        idwg: 2.3,
+    });
+    assert.equal(suggestion.uf_rate, 10.8);
+});
+
+test('a goal above the rate limit is flagged', () => {
+    const suggestion = suggestUfGoal({ dry_weight: 70, duration: '3h' }, 75, null, settings);
+    assert.equal(suggestion.uf_goal_ml, 5500);
+    assert.equal(suggestion.uf_rate, 26.4);
+    assert.equal(suggestion.uf_rate_exceeded, true);
+    assert.equal(suggestion.idwg, null);
+});
+
+test('no goal below dry weight or without one', () => {
+    assert.equal(suggestUfGoal({ dry_weight: 70, duration: '4h' }, 69, null, settings).uf_goal_ml, 0);
+    const none = suggestUfGoal(null, 72, null, settings);
+    assert.equal(none.uf_goal_ml, null);
+    assert.equal(none.uf_rate, null);
+    assert.equal(none.uf_rate_exceeded, false);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHl7, hl7Value, hl7Date, hl7Timestamp, formatHl7 } from '../hl7.js';
+
+const ORU = [
+    'MSH|^~\\&|LIS|HOSP|MEDPROSANA|UNIT|20261001083000||ORU^R01|MSG0001|P|2.5.1',
+    'PID|1||12^^^MEDPROSANA^PI~1234567^^^DZ^NI||Benali^Ali^^^^^L||19600201|M',
+    'OBR|1||LAB77|LAB^Monthly panel',
+    'OBX|1|NM|718-7^Hemoglobin^LN||10.2|g/dL|11.5-15|L|||F|||20261001080000',
+    'NTE|1||Repeat \\F\\ confirm\\.br\\in 1 week\\X41\\',
+].join('\r');
+
+test('fields are numbered as in the specification, MSH included', () => {
+    const { segments, delimiters } = parseHl7(ORU);
+    assert.deepEqual(segments.map(s => s.name), ['MSH', 'PID', 'OBR', 'OBX', 'NTE']);
+    assert.equal(delimiters.component, '^');
+    const [msh, pid, , obx] = segments;
+    assert.equal(hl7Value(msh, 1), '|');
+    assert.equal(hl7Value(msh, 2), '^~\\&');
+    assert.equal(hl7Value(msh, 9), 'ORU');
+    assert.equal(hl7Value(msh, 9, 2), 'R01');
+    assert.equal(hl7Value(msh, 10), 'MSG0001');
+    assert.equal(hl7Value(pid, 5, 2), 'Ali');
+    assert.equal(hl7Value(pid, 5), 'Benali');
+    assert.equal(hl7Value(obx, 5), '10.2');
+    assert.equal(hl7Value(obx, 3, 3), 'LN');
+});
+
+test('repetitions, absent components and absent fields', () => {
+    const pid = parseHl7(ORU).segments[1];
+    assert.equal(hl7Value(pid, 3, 1, 0), '12');
+    assert.equal(hl7Value(pid, 3, 5, 1), 'NI');
+    assert.equal(hl7Value(pid, 3, 1, 2), '');
+    assert.equal(hl7Value(pid, 5, 9), '');
+    assert.equal(hl7Value(pid, 40), '');
+    assert.equal(hl7Value(undefined, 1), '');
+});
+
+test('escape sequences are decoded', () => {
+    const nte = parseHl7(ORU).segments[4];
+    assert.equal(hl7Value(nte, 3), 'Repeat | confirm\nin 1 weekA');
+});
+
+test('delimiters are read from MSH, framing and newlines are tolerated', () => {
+    const message = '\x0bMSH#:~!&#LIS#HOSP#MEDPROSANA#UNIT#20261001##ORU:R01#M2#P#2.5\nPID#1##12:!F!:x\n\x1c\r';
+    const { segments, delimiters } = parseHl7(message);
+    assert.deepEqual(delimiters, { field: '#', component: ':', repetition: '~', escape: '!', subcomponent: '&' });
+    assert.equal(hl7Value(segments[0], 9, 2), 'R01');
+    assert.equal(hl7Value(segments[1], 3, 2), '#');
+    assert.equal(hl7Value(segments[1], 3, 3), 'x');
+});
+
+test('messages that do not start with MSH are refused', () => {
+    assert.throws(() => parseHl7('PID|1||12'), /must start with an MSH segment/);
+    assert.throws(() => parseHl7(''), /must start with an MSH segment/);
+});
+
+test('HL7 dates and timestamps', () => {
+    assert.equal(hl7Date('19600201'), '1960-02-01');
+    assert.equal(hl7Date('20261001083000+0100'), '2026-10-01');
+    assert.equal(hl7Date('2026'), null);
+    assert.equal(hl7Date(''), null);
+    assert.equal(hl7Timestamp(new Date('2026-10-01T08:30:05.123Z')), '20261001083005');
+});
+
+test('written messages escape delimiters and read back', () => {
+    const text = formatHl7([
+        ['MSH', 'MEDPROSANA', '', 'LIS', 'HOSP', '20261001083000', '', ['ACK', 'R01', 'ACK'], 'ACK1', 'P', '2.5.1'],
+        ['MSA', 'AE', 'MSG0001', 'Rejected 718-7: a|b^c~d\\e&f\nnext'],
+    ]);
+    assert.ok(text.startsWith('MSH|^~\\&|MEDPROSANA||LIS|'));
+    assert.ok(text.endsWith('\r'));
+    const [msh, msa] = parseHl7(text).segments;
+    assert.equal(hl7Value(msh, 3), 'MEDPROSANA');
+    assert.equal(hl7Value(msh, 9, 2), 'R01');
+    assert.equal(hl7Value(msa, 3), 'Rejected 718-7: a|b^c~d\\e&f\nnext');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { confirmInboundPatient } from '../matching.js';
+
+const ali = { id: 1, name: 'Ali', familyname: 'Benali-Saïd', birthdate: '1960-02-01' };
+const sent = { name: 'ALI', familyname: 'Benali Said', birthdate: '1960-02-01' };
+
+test('a single patient whose name and birthdate agree is matched', () => {
+    assert.deepEqual(confirmInboundPatient([ali], ['1'], sent), { patient: ali, reason: null });
+});
+
+test('names are compared without case, accents, spaces or punctuation', () => {
+    assert.equal(confirmInboundPatient([ali], ['1'], { ...sent, familyname: 'benalisaid' }).patient, ali);
+    assert.equal(confirmInboundPatient([ali], ['1'], { ...sent, familyname: "Benali-Saïd'" }).patient, ali);
+});
+
+test('no candidate: the reason says whether an identifier of ours was sent', () => {
+    assert.deepEqual(confirmInboundPatient([], ['99', '7654321'], sent), { patient: null, reason: 'No patient matches identifier(s) 99, 7654321' });
+    assert.deepEqual(confirmInboundPatient([], [], sent), { patient: null, reason: 'No MedProSana patient ID or national ID sent' });
+});
+
+test('identifiers pointing at several patients are not resolved', () => {
+    const other = { ...ali, id: 2 };
+    assert.deepEqual(confirmInboundPatient([ali, other], ['1', '1234567'], sent),
+        { patient: null, reason: 'The identifiers match several patients (IDs 1, 2)' });
+});
+
+test('a missing or different birthdate needs review', () => {
+    assert.equal(confirmInboundPatient([ali], ['1'], { ...sent, birthdate: null }).reason, 'No birthdate sent to confirm the patient');
+    assert.equal(confirmInboundPatient([ali], ['1'], { ...sent, birthdate: '1961-02-01' }).reason, "Birthdate 1961-02-01 differs from patient ID 1's");
+});
+
+test('a missing or different name needs review', () => {
+    assert.equal(confirmInboundPatient([ali], ['1'], { ...sent, name: 'Omar' }).reason, "Name Omar Benali Said differs from patient ID 1's");
+    assert.equal(confirmInboundPatient([ali], ['1'], { ...sent, familyname: '' }).reason, "Name ALI differs from patient ID 1's");
+    assert.equal(confirmInboundPatient([ali], ['1'], { birthdate: '1960-02-01' }).reason, "Name (none sent) differs from patient ID 1's");
+    // punctuation alone is not a name
+    assert.equal(confirmInboundPatient([{ ...ali, name: '-' }], ['1'], { ...sent, name: '.' }).patient, null);
+});
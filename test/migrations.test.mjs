@@ -0,0 +1,106 @@
+// The schema checks need node:sqlite (Node 22.5+) and are skipped without it.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+
+const sqlite = await import('node:sqlite').catch(() => null);
+const skip = sqlite ? false : 'node:sqlite is not available (Node 22.5+)';
+
+const root = new URL('../', import.meta.url);
+const read = path => readFileSync(new URL(path, root), 'utf8');
+const migrations = readdirSync(new URL('migrations/', root)).filter(file => /^\d{4}_[\w-]+\.sql$/.test(file)).sort()
+    .map(file => ({ version: parseInt(file), name: file.replace(/\.sql$/, ''), sql: read(`migrations/${file}`) }));
+
+// Rows a database could hold before the migrations: free-text doses and lab results, some unreadable.
+const ORIGINAL_ROWS = `
+INSERT INTO Patients (name, familyname, birthdate) VALUES ('Ana', 'Lopez', '1960-02-03'), ('Bo', 'Kim', '1970-05-06');
+INSERT INTO Protocols (patient_id, dialyzer, access, dialysateFlow, bloodFlow, duration, updated_at)
+    VALUES (1, 'FX80', 'AVF', '500', '300', '4h', '2025-03-01 10:00:00');
+INSERT INTO Medications (patient_id, name, dosage, created_at)
+    VALUES (1, 'Epoetin alfa', '4000 UI 3x/week', '2025-01-02 09:00:00'), (2, 'Heparin', 'per protocol', '2025-02-02 08:00:00');
+INSERT INTO LabResults (patient_id, name, result, created_at) VALUES
+    (1, 'Potassium', '6.8', '2025-01-05 08:00:00'), (1, 'hb', '10,2', '2025-01-05 08:00:00'),
+    (1, 'Hb', '9.1 g/dL', '2025-01-06 08:00:00'), (2, 'CRP', '12', '2025-01-07 08:00:00');
+INSERT INTO Sessions (patient_id, date, pre_weight, post_weight, pre_bp, post_bp, access_condition, notes)
+    VALUES (1, '2025-01-05', 72.5, 70.1, '140/80', '120/70', 'ok', 'fine');
+`;
+
+// What migrate.mjs --baseline 0 does: create schema_migrations, then apply and record each file in order.
+function migratedDatabase() {
+    const db = new sqlite.DatabaseSync(':memory:');
+    db.exec(read('test/fixtures/original_schema.sql'));
+    db.exec(ORIGINAL_ROWS);
+    db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP);');
+    for (const { version, name, sql } of migrations) {
+        db.exec(`${sql}\n\nINSERT INTO schema_migrations (version, name) VALUES (${version}, '${name}');`);
+    }
+    return db;
+}
+
+// Tables with their columns (type, NOT NULL, default, key) and foreign keys, and indexes with their columns.
+function schemaOf(db) {
+    const shape = {};
+    for (const { type, name } of db.prepare("SELECT type, name FROM sqlite_master WHERE type IN ('table', 'index') AND name NOT LIKE 'sqlite_%'").all()) {
+        shape[`${type} ${name}`] = type === 'table'
+            ? {
+                columns: db.prepare(`SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info('${name}')`).all()
+                    .map(c => `${c.name} ${c.type}${c.notnull ? ' NOT NULL' : ''}${c.dflt_value !== null ? ` DEFAULT ${c.dflt_value}` : ''}${c.pk ? ' KEY' : ''}`)
+                    .sort(),
+                foreignKeys: db.prepare(`SELECT "from", "table", "to", on_delete FROM pragma_foreign_key_list('${name}')`).all()
+                    .map(f => `${f.from} -> ${f.table}.${f.to} ON DELETE ${f.on_delete}`)
+                    .sort(),
+            }
+            : db.prepare(`SELECT name FROM pragma_index_info('${name}')`).all().map(c => c.name).join(', ');
+    }
+    return shape;
+}
+
+test('migrations are numbered 1 to SCHEMA_VERSION without gaps, and db.sql records them all', () => {
+    assert.deepEqual(migrations.map(m => m.version), migrations.map((_, i) => i + 1));
+    const schemaVersion = parseInt(/const SCHEMA_VERSION = (\d+);/.exec(read('worker.js'))[1]);
+    assert.equal(migrations.length, schemaVersion);
+    const recorded = [...read('db.sql').matchAll(/\((\d+), '(\d{4}_[\w-]+)'\)/g)].map(m => `${m[1]} ${m[2]}`);
+    assert.deepEqual(recorded, migrations.map(m => `${m.version} ${m.name}`));
+});
+
+test('the original schema migrated in order matches a database created from db.sql', { skip }, () => {
+    const fresh = new sqlite.DatabaseSync(':memory:');
+    fresh.exec(read('db.sql'));
+    const expected = schemaOf(fresh);
+    // ALTER TABLE cannot add a CURRENT_TIMESTAMP default (see 0008_row_versions); the worker stamps these
+    for (const table of ['Medications', 'LabResults', 'Sessions']) {
+        expected[`table ${table}`].columns = expected[`table ${table}`].columns
+            .map(column => (column === 'updated_at DATETIME DEFAULT CURRENT_TIMESTAMP' ? 'updated_at DATETIME' : column));
+    }
+    assert.deepEqual(schemaOf(migratedDatabase()), expected);
+});
+
+test('db.sql can be run again on a database it created', { skip }, () => {
+    const db = new sqlite.DatabaseSync(':memory:');
+    db.exec(read('db.sql'));
+    db.exec(read('db.sql'));
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM schema_migrations').get().n, migrations.length);
+});
+
+test('rows from the original schema are carried over', { skip }, () => {
+    const db = migratedDatabase();
+    const rows = sql => db.prepare(sql).all().map(row => ({ ...row }));
+    assert.deepEqual(rows('SELECT version FROM schema_migrations ORDER BY version').map(r => r.version), migrations.map(m => m.version));
+    assert.deepEqual(rows('SELECT patient_id, version, dialyzer, duration, created_at FROM Protocols'),
+        [{ patient_id: 1, version: 1, dialyzer: 'FX80', duration: '4h', created_at: '2025-03-01 10:00:00' }]);
+    assert.deepEqual(rows('SELECT name, dose, unit, frequency, start_date FROM Medications ORDER BY id'), [
+        { name: 'Epoetin alfa', dose: 4000, unit: 'UI', frequency: '3x/week', start_date: '2025-01-02' },
+        { name: 'Heparin', dose: 0, unit: '', frequency: 'per protocol', start_date: '2025-02-02' },
+    ]);
+    // Readable results join the catalog; the rest are kept as they were typed
+    assert.deepEqual(rows('SELECT id, test_code, value, collected_at, flag FROM LabResults ORDER BY id'), [
+        { id: 1, test_code: 'K', value: 6.8, collected_at: '2025-01-05', flag: 'critical' },
+        { id: 2, test_code: 'HB', value: 10.2, collected_at: '2025-01-05', flag: 'normal' },
+    ]);
+    assert.deepEqual(rows('SELECT id, name, result FROM LegacyLabResults ORDER BY id'), [
+        { id: 3, name: 'Hb', result: '9.1 g/dL' },
+        { id: 4, name: 'CRP', result: '12' },
+    ]);
+    assert.deepEqual(rows('SELECT date, pre_weight, post_weight, notes FROM Sessions'),
+        [{ date: '2025-01-05', pre_weight: 72.5, post_weight: 70.1, notes: 'fine' }]);
+});
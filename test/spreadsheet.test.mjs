@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { parseCsv, toCsv, readXlsx, writeXlsx, excelSerialToDate } from '../spreadsheet.js';
+
+test('CSV separator is taken from the header line', () => {
+    assert.deepEqual(parseCsv('name,familyname\nAli,Benali\n'), [['name', 'familyname'], ['Ali', 'Benali']]);
+    assert.deepEqual(parseCsv('name;birthdate\r\nAli;01/02/1960\r\n'), [['name', 'birthdate'], ['Ali', '01/02/1960']]);
+    assert.deepEqual(parseCsv('name\tnotes\nAli\t1,5 g; twice\n'), [['name', 'notes'], ['Ali', '1,5 g; twice']]);
+});
+
+test('CSV quoted fields keep separators, quotes and line breaks', () => {
+    const rows = parseCsv('\uFEFFname;notes\nAli;"dose ""1,5 g""; on\nsession days"\n\n;\nSara;\n');
+    assert.deepEqual(rows, [['name', 'notes'], ['Ali', 'dose "1,5 g"; on\nsession days'], ['Sara', '']]);
+});
+
+test('CSV written by toCsv reads back to the same rows', () => {
+    const rows = [['name', 'notes', 'dry_weight'], ['Saïd', 'says "ok"; fine', 68.5], ['Zoé', 'line\nbreak', null]];
+    const text = toCsv(rows);
+    assert.ok(text.startsWith('\uFEFF'));
+    assert.deepEqual(parseCsv(text), [['name', 'notes', 'dry_weight'], ['Saïd', 'says "ok"; fine', '68.5'], ['Zoé', 'line\nbreak', '']]);
+});
+
+test('XLSX written by writeXlsx reads back with numbers as numbers', async () => {
+    const bytes = writeXlsx([{ name: 'Patients: all', rows: [['name', 'birthdate', 'dry_weight'], ['Saïd & Co <x>', '1960-02-01', 68.5], ['', null, 70]] }]);
+    assert.deepEqual(await readXlsx(bytes), [['name', 'birthdate', 'dry_weight'], ['Saïd & Co <x>', '1960-02-01', 68.5], ['', '', 70]]);
+});
+
+// Deflated zip archive, as spreadsheet programs write workbooks (writeXlsx only stores). CRCs are left
+// at 0: unzip does not check them.
+function deflatedZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const [fileName, text] of Object.entries(files)) {
+        const name = encoder.encode(fileName);
+        const raw = encoder.encode(text);
+        const data = deflateRawSync(raw);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        parts.push(local, name, data);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(raw.length, 24);
+        entry.writeUInt16LE(name.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, name);
+        offset += 30 + name.length + data.length;
+    }
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return new Uint8Array(Buffer.concat([...parts, directory, end]));
+}
+
+test('XLSX from a spreadsheet program: deflated, shared strings, date serials, gaps', async () => {
+    const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+    const bytes = deflatedZip({
+        'xl/workbook.xml': `<workbook ${ns} xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Feuil1" sheetId="1" r:id="rId3"/></sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId3" Target="worksheets/data.xml"/></Relationships>',
+        'xl/sharedStrings.xml': `<sst ${ns}><si><t>name</t></si><si><t>birthdate</t></si><si><r><t>Ben</t></r><r><t>ali &amp; fils</t></r></si></sst>`,
+        'xl/worksheets/data.xml': `<worksheet ${ns}><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>`
+            + '<row r="2"/><row r="3"><c r="A3" t="s"><v>2</v></c><c r="C3" s="1"><v>21947</v></c></row></sheetData></worksheet>',
+    });
+    const rows = await readXlsx(bytes);
+    assert.deepEqual(rows, [['name', '', 'birthdate'], ['Benali & fils', '', 21947]]);
+    assert.equal(excelSerialToDate(rows[1][2]), '1960-02-01');
+});
+
+test('Excel date serials count from 1899-12-30 and drop the time of day', () => {
+    assert.equal(excelSerialToDate(1), '1899-12-31');
+    assert.equal(excelSerialToDate(61), '1900-03-01');
+    assert.equal(excelSerialToDate(46295.75), '2026-09-30');
+});
+
+test('files that are not workbooks are refused', async () => {
+    await assert.rejects(readXlsx(new TextEncoder().encode('name,familyname\n')), /Not a zip archive/);
+    await assert.rejects(readXlsx(deflatedZip({ 'word/document.xml': '<w/>' })), /Not an Excel workbook/);
+});
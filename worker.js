@@ -3,11 +3,20 @@
  * Fixed Version: Handles /api routing correctly and uses created_at timestamps.
  */
 
+import DRUG_CATALOG from './drugs.json';
+import { createPdf } from './pdf.js';
+import { encodeQrCode } from './qrcode.js';
+import { parseCsv, toCsv, readXlsx, writeXlsx, excelSerialToDate } from './spreadsheet.js';
+import { parseHl7, hl7Value, hl7Date, hl7Timestamp, formatHl7 } from './hl7.js';
+import { parseDurationMinutes, computeAdequacy, ufRate, suggestUfGoal } from './dialysis.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+import { confirmInboundPatient } from './matching.js';
+
 const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   };
   
   const DEFAULT_PROTOCOL = {
@@ -17,17 +26,2721 @@ const headers = {
     bloodFlow: "300 ml/min",
     duration: "4 hours"
   };
-  
-  async function executeQuery(db, sql, params = []) {
-    try {
-        const stmt = db.prepare(sql).bind(...params);
-        return await stmt.all();
-    } catch (error) {
-        console.error("D1 Query Error:", error);
-        throw new Error(`Database error: ${error.message}`);
+  
+  async function executeQuery(db, sql, params = []) {
+    try {
+        const stmt = db.prepare(sql).bind(...params);
+        return await stmt.all();
+    } catch (error) {
+        console.error("D1 Query Error:", error);
+        throw new Error(`Database error: ${error.message}`);
+    }
+  }
+
+  // Runs the statements in one D1 batch: a single transaction, rolled back entirely if any statement fails.
+  async function executeBatch(db, statements) {
+    try {
+        return await db.batch(statements.map(({ sql, params = [] }) => db.prepare(sql).bind(...params)));
+    } catch (error) {
+        console.error("D1 Batch Error:", error);
+        throw new Error(`Database error: ${error.message}`);
+    }
+  }
+
+  // --- Schema version ---
+
+  // Latest file in migrations/ this code relies on. Bump it with each new migration (and record
+  // that migration at the end of db.sql).
+  const SCHEMA_VERSION = 9;
+  let schemaReady = false; // once the database has caught up, this isolate stops checking
+
+  /**
+   * Returns null when the database has every migration up to SCHEMA_VERSION, otherwise why
+   * requests must be refused: running on an older schema fails half-way through writes.
+   */
+  async function checkSchema(db) {
+    if (schemaReady) return null;
+    const tracked = await executeQuery(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    const version = tracked.results.length > 0
+        ? (await executeQuery(db, 'SELECT MAX(version) AS version FROM schema_migrations')).results[0].version || 0
+        : 0;
+    if (version < SCHEMA_VERSION) {
+        return `Database schema is at version ${version} but this version of MedProSana needs ${SCHEMA_VERSION}: run node migrate.mjs`;
+    }
+    schemaReady = true;
+    return null;
+  }
+
+  // --- Audit trail ---
+
+  // Primary-key column of every table whose writes are audited.
+  const AUDITED_ENTITIES = {
+    Patients: 'id',
+    Protocols: 'id',
+    Medications: 'id',
+    MedicationAdministrations: 'id',
+    LabResults: 'id',
+    Prescriptions: 'id',
+    Hospitalizations: 'id',
+    VascularAccesses: 'id',
+    AccessEvents: 'id',
+    Sessions: 'id',
+    SessionReadings: 'id',
+    SessionEvents: 'id',
+    ScheduleAssignments: 'id',
+  };
+
+  // Rows removed with a deleted parent by ON DELETE CASCADE: [entity, condition on the parent id].
+  // Each is audited as a DELETE of its own, in the same batch as the parent's.
+  const AUDITED_CASCADES = {
+    Patients: [
+        ['SessionReadings', 'session_id IN (SELECT id FROM Sessions WHERE patient_id = ?)'],
+        ['SessionEvents', 'session_id IN (SELECT id FROM Sessions WHERE patient_id = ?)'],
+        ['MedicationAdministrations', 'session_id IN (SELECT id FROM Sessions WHERE patient_id = ?)'],
+        ...['Sessions', 'AccessEvents', 'VascularAccesses', 'ScheduleAssignments', 'Hospitalizations', 'Prescriptions',
+            'LabResults', 'Medications', 'Protocols'].map(entity => [entity, 'patient_id = ?']),
+    ],
+    Sessions: ['SessionReadings', 'SessionEvents', 'MedicationAdministrations'].map(entity => [entity, 'session_id = ?']),
+    Medications: [['MedicationAdministrations', 'medication_id = ?']],
+    VascularAccesses: [['AccessEvents', 'access_id = ?']],
+  };
+
+  async function fetchAuditedRow(db, entity, entityId) {
+    const result = await executeQuery(db, `SELECT * FROM ${entity} WHERE ${AUDITED_ENTITIES[entity]} = ?`, [entityId]);
+    return result.results[0] || null;
+  }
+
+  // json_object() of every column of an audited table, so SQLite takes the snapshot inside the write's batch.
+  async function auditSnapshotSql(db, entity) {
+    const columns = (await executeQuery(db, 'SELECT name FROM pragma_table_info(?)', [entity])).results.map(c => c.name);
+    return `json_object(${columns.map(c => `'${c}', ${c}`).join(', ')})`;
+  }
+
+  const AUDIT_INSERT = 'INSERT INTO AuditLog (actor_id, actor_username, action, entity, entity_id, patient_id, before_json, after_json)';
+
+  /**
+   * Runs a clinical INSERT/UPDATE/DELETE and its AuditLog row (actor, before/after snapshot of the
+   * affected row) in one D1 batch, so a change is never stored without its entry. The entry is only
+   * written when the statement changed a row. Deleting a row also audits the rows cascaded with it.
+   * @param {object} actor - The authenticated user ({ id, username, role }).
+   * @param {{ entity: string, id?: number, patientId?: number }} target - Audited table and row.
+   *   For INSERTs without an explicit id, the new row is found through last_insert_rowid().
+   */
+  async function executeAudited(db, actor, target, sql, params = []) {
+    const action = sql.trim().split(/\s+/)[0].toUpperCase();
+    const { entity } = target;
+    const key = AUDITED_ENTITIES[entity];
+    const before = action === 'INSERT' ? null : await fetchAuditedRow(db, entity, target.id);
+    const beforeJson = before && JSON.stringify(before);
+    const patientId = target.patientId ?? (entity === 'Patients' ? target.id ?? null : null);
+
+    const statements = [];
+    // Checked against the snapshot so a DELETE that will match nothing (wrong patient) audits no children
+    if (action === 'DELETE' && before && (before.patient_id === undefined || target.patientId == null || before.patient_id === target.patientId)) {
+        for (const [child, condition] of AUDITED_CASCADES[entity] || []) {
+            statements.push({
+                sql: `${AUDIT_INSERT} SELECT ?, ?, 'DELETE', '${child}', id, ?, ${await auditSnapshotSql(db, child)}, NULL FROM ${child} WHERE ${condition}`,
+                params: [actor.id, actor.username, patientId, target.id],
+            });
+        }
+    }
+    const writeIndex = statements.push({ sql, params }) - 1;
+    if (action === 'DELETE') {
+        statements.push({
+            sql: `${AUDIT_INSERT} SELECT ?, ?, 'DELETE', '${entity}', ?, ?, ?, NULL WHERE changes() > 0`,
+            params: [actor.id, actor.username, target.id, patientId, beforeJson],
+        });
+    } else {
+        const insertedId = action === 'INSERT' && target.id === undefined;
+        statements.push({
+            sql: `${AUDIT_INSERT} SELECT ?, ?, '${action}', '${entity}', ${key}, ${entity === 'Patients' ? key : '?'}, ?, ${await auditSnapshotSql(db, entity)}
+                FROM ${entity} WHERE ${key} = ${insertedId ? 'last_insert_rowid()' : '?'} AND changes() > 0`,
+            params: [actor.id, actor.username, ...(entity === 'Patients' ? [] : [patientId]), beforeJson, ...(insertedId ? [] : [target.id])],
+        });
+    }
+    return (await executeBatch(db, statements))[writeIndex];
+  }
+
+  const AUDIT_FILTERS = {
+    entity: 'entity = ?',
+    entity_id: 'entity_id = ?',
+    patient_id: 'patient_id = ?',
+    actor: 'actor_username = ?',
+    action: 'action = ?',
+    from: 'date(created_at) >= ?',
+    to: 'date(created_at) <= ?',
+  };
+
+  /**
+   * GET /api/audit?entity=&entity_id=&patient_id=&actor=&action=&from=&to=&limit=
+   */
+  async function listAuditLog(db, searchParams) {
+    const clauses = [];
+    const params = [];
+    for (const [key, clause] of Object.entries(AUDIT_FILTERS)) {
+        const value = searchParams.get(key);
+        if (value === null || value === '') continue;
+        clauses.push(clause);
+        params.push(key === 'action' ? value.toUpperCase() : value);
+    }
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || 100, 1), 500);
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const result = await executeQuery(db, `SELECT * FROM AuditLog ${where} ORDER BY created_at DESC, id DESC LIMIT ${limit}`, params);
+    return result.results.map(({ before_json, after_json, ...row }) => ({
+        ...row,
+        before: before_json ? JSON.parse(before_json) : null,
+        after: after_json ? JSON.parse(after_json) : null,
+    }));
+  }
+
+  // --- Row versions (offline edits) ---
+
+  // Stamped into updated_at on every write; milliseconds so two saves within a second still differ.
+  const ROW_VERSION_SQL = "strftime('%Y-%m-%d %H:%M:%f', 'now')";
+
+  /**
+   * Optimistic concurrency for Medications, LabResults and Sessions: a PUT may carry the updated_at
+   * the client last saw (an edit made offline, replayed later) and then only applies while the row
+   * still has it. Without updated_at the update is unconditional.
+   * @returns {{ clause: string, params: Array }} - Appended to the UPDATE's WHERE clause.
+   */
+  function versionGuard(data) {
+    const expected = data.updated_at ?? null;
+    return { clause: 'AND (? IS NULL OR updated_at = ?)', params: [expected, expected] };
+  }
+
+  // For a guarded UPDATE that changed nothing: the row is gone (404) or was saved by someone else (409).
+  async function staleWriteResponse(db, table, recordId, patientId, notFound) {
+    const result = await executeQuery(db, `SELECT * FROM ${table} WHERE id = ? AND patient_id = ?`, [recordId, patientId]);
+    if (result.results.length === 0) return jsonResponse({ error: notFound }, 404);
+    return jsonResponse({ error: 'This record was changed by someone else since it was loaded', current: result.results[0] }, 409);
+  }
+
+  // --- Medications ---
+
+  const MEDICATION_CATEGORIES = ['esa', 'iron', 'anticoagulant', 'vitamin_d', 'phosphate_binder', 'antihypertensive', 'other'];
+  const MEDICATION_ROUTES = ['IV', 'SC', 'IM', 'PO'];
+  // Writable Medications columns, in INSERT/UPDATE order.
+  const MEDICATION_COLUMNS = ['name', 'drug_code', 'category', 'dose', 'unit', 'route', 'frequency', 'start_date', 'stop_date', 'stop_reason', 'notes'];
+  const ADMINISTRATION_STATUSES = ['given', 'held', 'refused'];
+
+  function validateMedication(data) {
+    const errors = [];
+    const text = field => String(data[field] ?? '').trim();
+    const values = {
+        name: text('name'),
+        drug_code: findCatalogDrug(data.drug_code || data.name)?.code ?? null,
+        category: data.category || 'other',
+        dose: parseFloat(String(data.dose ?? '').replace(',', '.')),
+        unit: text('unit'),
+        route: text('route').toUpperCase(),
+        frequency: text('frequency'),
+        start_date: data.start_date || new Date().toISOString().substring(0, 10),
+        stop_date: data.stop_date || null,
+        stop_reason: text('stop_reason') || null,
+        notes: text('notes') || null,
+    };
+    if (!values.name || values.name.length > 100) errors.push('name is required (max 100 characters)');
+    if (!MEDICATION_CATEGORIES.includes(values.category)) errors.push(`category must be one of: ${MEDICATION_CATEGORIES.join(', ')}`);
+    if (isNaN(values.dose) || values.dose <= 0) errors.push('dose must be a positive number');
+    if (!values.unit || values.unit.length > 20) errors.push('unit is required (max 20 characters)');
+    if (!MEDICATION_ROUTES.includes(values.route)) errors.push(`route must be one of: ${MEDICATION_ROUTES.join(', ')}`);
+    if (!values.frequency || values.frequency.length > 100) errors.push('frequency is required (max 100 characters)');
+    if (!isCalendarDate(values.start_date)) errors.push('start_date must be a valid YYYY-MM-DD date');
+    if (values.stop_date !== null && (!isCalendarDate(values.stop_date) || values.stop_date < values.start_date)) {
+        errors.push('stop_date must be a valid YYYY-MM-DD date, not before start_date');
+    }
+    return { errors, values };
+  }
+
+  // --- Drug catalog (drugs.json) ---
+
+  const SEVERITY_LEVELS = ['minor', 'moderate', 'major'];
+
+  // Looks a drug up by catalog code, name or brand alias (case-insensitive).
+  function findCatalogDrug(nameOrCode) {
+    const key = String(nameOrCode ?? '').trim().toLowerCase();
+    if (!key) return null;
+    return DRUG_CATALOG.drugs.find(drug => drug.code.toLowerCase() === key
+        || drug.name.toLowerCase() === key
+        || drug.aliases.some(alias => alias.toLowerCase() === key)) || null;
+  }
+
+  // An interaction term names either a drug code or a pharmacological class.
+  function drugMatches(drug, term) {
+    return drug.code === term || drug.classes.includes(term);
+  }
+
+  /**
+   * Checks a new prescription against the patient's active medications (catalog interactions)
+   * and against ESRD contraindications and maximum doses. Warnings below INTERACTION_MIN_SEVERITY
+   * (worker var: minor, moderate or major; default minor) are dropped.
+   */
+  function checkPrescription(values, activeMedications, env) {
+    const drug = findCatalogDrug(values.drug_code || values.name);
+    if (!drug) return [];
+    const warnings = [];
+
+    if (drug.esrd === 'contraindicated') {
+        warnings.push({ type: 'esrd', severity: 'major', message: `${drug.name} is contraindicated in ESRD. ${drug.dialysis_notes}` });
+    } else if (drug.esrd === 'caution') {
+        warnings.push({ type: 'esrd', severity: 'moderate', message: `${drug.name} needs caution in ESRD. ${drug.dialysis_notes}` });
+    }
+    if (drug.max_dose_esrd && values.unit === drug.unit && values.dose > drug.max_dose_esrd) {
+        warnings.push({ type: 'dose', severity: 'major', message: `${values.dose} ${values.unit} exceeds the ESRD maximum of ${drug.max_dose_esrd} ${drug.unit} for ${drug.name}.` });
+    }
+
+    for (const medication of activeMedications) {
+        const other = findCatalogDrug(medication.drug_code || medication.name);
+        if (!other) continue;
+        for (const interaction of DRUG_CATALOG.interactions) {
+            const [a, b] = interaction.between;
+            if ((drugMatches(drug, a) && drugMatches(other, b)) || (drugMatches(drug, b) && drugMatches(other, a))) {
+                warnings.push({ type: 'interaction', severity: interaction.severity, with: medication.name, message: `${drug.name} + ${medication.name}: ${interaction.message}` });
+            }
+        }
+    }
+
+    const minLevel = Math.max(0, SEVERITY_LEVELS.indexOf(env.INTERACTION_MIN_SEVERITY));
+    return warnings.filter(w => SEVERITY_LEVELS.indexOf(w.severity) >= minLevel);
+  }
+
+  // The patient's prescriptions active on `date`, less the one being edited (excludeId).
+  async function fetchActiveMedications(db, patientId, date, excludeId = null) {
+    const result = await executeQuery(db, 'SELECT * FROM Medications WHERE patient_id = ? AND id IS NOT ?', [patientId, excludeId]);
+    return result.results.filter(m => isMedicationActive(m, date));
+  }
+
+  // A prescription is active from its start date until (excluding) its stop date.
+  function isMedicationActive(medication, date) {
+    return medication.start_date <= date && (medication.stop_date === null || medication.stop_date > date);
+  }
+
+  /**
+   * Validates a per-session administration. Held and refused doses need a reason;
+   * a given dose defaults to the prescribed one.
+   */
+  function validateAdministration(data, medication) {
+    const errors = [];
+    const values = {
+        session_id: parseInt(data.session_id),
+        medication_id: parseInt(data.medication_id),
+        status: data.status,
+        dose_given: null,
+        reason: String(data.reason ?? '').trim() || null,
+    };
+    if (isNaN(values.session_id)) errors.push('session_id is required');
+    if (isNaN(values.medication_id)) errors.push('medication_id is required');
+    if (!ADMINISTRATION_STATUSES.includes(values.status)) errors.push(`status must be one of: ${ADMINISTRATION_STATUSES.join(', ')}`);
+    if (values.status === 'given') {
+        values.dose_given = data.dose_given === undefined || data.dose_given === '' ? medication?.dose ?? null : parseFloat(String(data.dose_given).replace(',', '.'));
+        if (values.dose_given === null || isNaN(values.dose_given) || values.dose_given <= 0) errors.push('dose_given must be a positive number');
+    } else if (values.status && !values.reason) {
+        errors.push(`A reason is required when a dose is ${values.status}`);
+    }
+    return { errors, values };
+  }
+
+  const MAR_SELECT = `SELECT a.*, m.name, m.category, m.unit, m.route, m.dose AS prescribed_dose, s.date AS session_date
+    FROM MedicationAdministrations a
+    JOIN Medications m ON m.id = a.medication_id
+    JOIN Sessions s ON s.id = a.session_id`;
+
+  // --- Lab results ---
+
+  /**
+   * Flags a numeric result against its LabTests catalog entry:
+   * 'critical' outside the critical limits, otherwise 'low'/'high' outside the reference range.
+   */
+  function flagLabValue(test, value) {
+    if ((test.critical_low !== null && value < test.critical_low) || (test.critical_high !== null && value > test.critical_high)) return 'critical';
+    if (test.ref_low !== null && value < test.ref_low) return 'low';
+    if (test.ref_high !== null && value > test.ref_high) return 'high';
+    return 'normal';
+  }
+
+  /**
+   * Validates a lab result payload ({ test_code, value, collected_at }) against the catalog.
+   * Returns { errors, values } where values includes the computed flag.
+   */
+  async function validateLabResult(db, data) {
+    const errors = [];
+    const result = await executeQuery(db, 'SELECT * FROM LabTests WHERE code = ?', [String(data.test_code ?? '').trim().toUpperCase()]);
+    const test = result.results[0];
+    if (!test) errors.push('test_code must reference the lab test catalog');
+
+    const value = parseFloat(String(data.value ?? '').replace(',', '.'));
+    if (isNaN(value) || value < 0) errors.push('value must be a non-negative number');
+
+    const collectedAt = data.collected_at || new Date().toISOString().substring(0, 10);
+    if (!isCalendarDate(collectedAt)) errors.push('collected_at must be a valid YYYY-MM-DD date');
+
+    if (errors.length > 0) return { errors, values: null };
+    return { errors, values: { test_code: test.code, value, collected_at: collectedAt, flag: flagLabValue(test, value) } };
+  }
+
+  // Lab rows joined with their catalog entry so clients get name, unit and ranges alongside the value.
+  const LAB_RESULTS_SELECT = `SELECT r.*, t.name, t.unit, t.ref_low, t.ref_high, t.critical_low, t.critical_high, t.loinc
+    FROM LabResults r JOIN LabTests t ON t.code = r.test_code`;
+
+  const LAB_RESULT_INSERT_SQL = `INSERT INTO LabResults (patient_id, test_code, value, collected_at, flag, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ${ROW_VERSION_SQL})`;
+
+  // --- Printed prescriptions (ordonnances & lab demands) ---
+
+  const PRESCRIPTION_TYPES = ['medications', 'labs'];
+  const MAX_PRESCRIPTION_DAYS = 365;
+
+  // Letterhead printed on ordonnances and lab demands, configured per deployment through worker vars.
+  function letterheadSettings(env) {
+    return {
+        clinic_name: env.CLINIC_NAME || 'MedProSana Clinic',
+        clinic_address: env.CLINIC_ADDRESS || '',
+        clinic_phone: env.CLINIC_PHONE || '',
+        doctor_name: env.DOCTOR_NAME || '',
+        doctor_registration: env.DOCTOR_REGISTRATION || '',
+    };
+  }
+
+  /**
+   * Validates a prescription payload ({ type, items, notes }) and snapshots its lines, so a reprint
+   * shows exactly what was handed to the patient even after the medication list changed.
+   * Medication lines are { medication_id, duration_days, quantity } and must be active today;
+   * lab lines are { test_code } and must reference the catalog.
+   */
+  async function validatePrescription(db, patientId, data) {
+    const errors = [];
+    const lines = Array.isArray(data.items) ? data.items : [];
+    if (!PRESCRIPTION_TYPES.includes(data.type)) errors.push(`type must be one of: ${PRESCRIPTION_TYPES.join(', ')}`);
+    if (lines.length === 0) errors.push('items must list at least one medication or test');
+    if (errors.length > 0) return { errors, values: null };
+
+    const items = [];
+    if (data.type === 'medications') {
+        const today = new Date().toISOString().substring(0, 10);
+        const active = await fetchActiveMedications(db, patientId, today);
+        for (const line of lines) {
+            const medication = active.find(m => m.id === parseInt(line.medication_id));
+            const durationDays = parseInt(line.duration_days);
+            const quantity = String(line.quantity ?? '').trim();
+            if (!medication) {
+                errors.push(`medication ${line.medication_id} is not an active prescription of this patient`);
+                continue;
+            }
+            if (isNaN(durationDays) || durationDays < 1 || durationDays > MAX_PRESCRIPTION_DAYS) {
+                errors.push(`${medication.name}: duration_days must be between 1 and ${MAX_PRESCRIPTION_DAYS}`);
+            }
+            if (quantity.length > 50) errors.push(`${medication.name}: quantity must be at most 50 characters`);
+            const { id, name, dose, unit, route, frequency } = medication;
+            items.push({ medication_id: id, name, dose, unit, route, frequency, duration_days: durationDays, quantity: quantity || null });
+        }
+    } else {
+        const catalog = (await executeQuery(db, 'SELECT * FROM LabTests')).results;
+        for (const line of lines) {
+            const test = catalog.find(t => t.code === String(line.test_code ?? '').trim().toUpperCase());
+            if (!test) {
+                errors.push(`test_code ${line.test_code} must reference the lab test catalog`);
+                continue;
+            }
+            if (!items.some(item => item.test_code === test.code)) items.push({ test_code: test.code, name: test.name, unit: test.unit });
+        }
+    }
+
+    const notes = String(data.notes ?? '').trim() || null;
+    if (notes !== null && notes.length > 500) errors.push('notes must be at most 500 characters');
+    return { errors, values: errors.length > 0 ? null : { type: data.type, items, notes } };
+  }
+
+  // Stored rows carry their lines as JSON; clients get them parsed.
+  function parsePrescription({ items_json, ...row }) {
+    return { ...row, items: JSON.parse(items_json) };
+  }
+
+  // --- Protocol versions ---
+
+  const PROTOCOL_FIELDS = ['dialyzer', 'access', 'dialysateFlow', 'bloodFlow', 'duration', 'dry_weight', 'dry_weight_date'];
+
+  const BLOOD_FLOW_RANGE = { min: 100, max: 600 }; // Qb, mL/min
+  const DIALYSATE_FLOW_RANGE = { min: 300, max: 1000 }; // Qd, mL/min
+  const SESSION_DURATION_RANGE = { min: 60, max: 720 }; // minutes
+
+  // "300", "300 ml/min" -> 300; null when the text is not a flow rate
+  function parseFlowRate(value) {
+    const match = /^\s*(\d+(?:[.,]\d+)?)\s*(?:ml\s*\/\s*min)?\s*$/i.exec(String(value ?? ''));
+    return match ? parseFloat(match[1].replace(',', '.')) : null;
+  }
+
+  /**
+   * Builds the next protocol version from the current one and the fields sent. Flows and duration
+   * feed the Kt/V and UF-rate calculations, so they must parse within range; a value carried over
+   * unchanged from the current version is not checked again. A new dry weight is dated today
+   * unless the prescriber gives the assessment date, which cannot be in the future.
+   */
+  function validateProtocol(data, current) {
+    const errors = [];
+    const today = new Date().toISOString().substring(0, 10);
+    const values = { ...current };
+    for (const field of PROTOCOL_FIELDS) {
+        const value = data[field] === undefined ? current?.[field] : data[field];
+        values[field] = typeof value === 'string' ? value.trim() || null : value ?? null;
+    }
+    const changed = field => values[field] !== (current?.[field] ?? null);
+
+    for (const field of ['dialyzer', 'access']) {
+        if (changed(field) && values[field] !== null && String(values[field]).length > 100) errors.push(`${field} must be at most 100 characters`);
+    }
+    for (const [field, range] of [['bloodFlow', BLOOD_FLOW_RANGE], ['dialysateFlow', DIALYSATE_FLOW_RANGE]]) {
+        if (!changed(field) || values[field] === null) continue;
+        const rate = parseFlowRate(values[field]);
+        if (rate === null || rate < range.min || rate > range.max) errors.push(`${field} must be a rate between ${range.min} and ${range.max} ml/min`);
+        else values[field] = `${rate} ml/min`;
+    }
+    if (changed('duration') && values.duration !== null) {
+        const minutes = parseDurationMinutes(values.duration);
+        if (minutes === null || minutes < SESSION_DURATION_RANGE.min || minutes > SESSION_DURATION_RANGE.max) {
+            errors.push(`duration must be between ${SESSION_DURATION_RANGE.min} and ${SESSION_DURATION_RANGE.max} minutes, e.g. "4 hours", "4h30" or "240 min"`);
+        }
+    }
+
+    if (values.dry_weight === null) {
+        values.dry_weight_date = null;
+    } else {
+        if (changed('dry_weight')) {
+            values.dry_weight = parseWeight(values.dry_weight);
+            if (values.dry_weight === null) errors.push(`dry_weight must be a number between ${WEIGHT_RANGE.min} and ${WEIGHT_RANGE.max} kg`);
+        }
+        if (changed('dry_weight') && (data.dry_weight_date === undefined || values.dry_weight_date === null)) {
+            values.dry_weight_date = today;
+        } else if (changed('dry_weight_date') && values.dry_weight_date !== null && (!isCalendarDate(values.dry_weight_date) || values.dry_weight_date > today)) {
+            errors.push('dry_weight_date must be a valid YYYY-MM-DD date, not in the future');
+        }
+    }
+    return { errors, values };
+  }
+
+  /**
+   * Lists the prescription fields that differ between two protocol versions.
+   * @returns {{ field: string, from: any, to: any }[]}
+   */
+  function diffProtocols(from, to) {
+    return PROTOCOL_FIELDS
+        .filter(field => (from?.[field] ?? null) !== (to?.[field] ?? null))
+        .map(field => ({ field, from: from?.[field] ?? null, to: to?.[field] ?? null }));
+  }
+
+  /**
+   * Appends a new protocol version. The version number is allocated inside the INSERT
+   * so two concurrent edits cannot claim the same one (UNIQUE(patient_id, version) backs this up).
+   */
+  async function insertProtocolVersion(db, actor, patientId, protocol, reason) {
+    const sql = `INSERT INTO Protocols (patient_id, version, ${PROTOCOL_FIELDS.join(', ')}, reason, prescribed_by, prescriber_name)
+        SELECT ?, COALESCE(MAX(version), 0) + 1, ${PROTOCOL_FIELDS.map(() => '?').join(', ')}, ?, ?, ? FROM Protocols WHERE patient_id = ?`;
+    const params = [patientId, ...PROTOCOL_FIELDS.map(field => protocol[field] ?? null), reason, actor.id, actor.username, patientId];
+    return executeAudited(db, actor, { entity: 'Protocols', patientId }, sql, params);
+  }
+
+  /**
+   * Batch statements that register a patient with DEFAULT_PROTOCOL as its version 1, each row with
+   * its audit entry: run them in one executeBatch so a patient never exists without a protocol.
+   * The protocol reads its patient from the audit entry just written (last_insert_rowid()).
+   */
+  async function newPatientStatements(db, actor, values) {
+    const actorParams = [actor.id, actor.username];
+    return [
+        { sql: `INSERT INTO Patients (${PATIENT_COLUMNS.join(', ')}) VALUES (${PATIENT_COLUMNS.map(() => '?').join(', ')})`, params: PATIENT_COLUMNS.map(c => values[c]) },
+        { sql: await batchAuditSql(db, 'Patients'), params: actorParams },
+        {
+            sql: `INSERT INTO Protocols (patient_id, version, ${PROTOCOL_FIELDS.join(', ')}, reason, prescribed_by, prescriber_name)
+                SELECT entity_id, 1, ${PROTOCOL_FIELDS.map(() => '?').join(', ')}, 'Initial protocol', ?, ? FROM AuditLog WHERE id = last_insert_rowid()`,
+            params: [...PROTOCOL_FIELDS.map(field => DEFAULT_PROTOCOL[field] ?? null), ...actorParams],
+        },
+        { sql: await batchAuditSql(db, 'Protocols'), params: actorParams },
+    ];
+  }
+
+  async function fetchCurrentProtocol(db, patientId) {
+    const result = await executeQuery(db, 'SELECT * FROM Protocols WHERE patient_id = ? ORDER BY version DESC LIMIT 1', [patientId]);
+    return result.results[0] || null;
+  }
+
+  function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers });
+  }
+
+  // --- Session validation & metrics ---
+
+  const WEIGHT_RANGE = { min: 20, max: 300 }; // kg
+  const SYSTOLIC_RANGE = { min: 50, max: 260 }; // mmHg
+  const DIASTOLIC_RANGE = { min: 20, max: 160 }; // mmHg
+  const BP_PATTERN = /^\s*(\d{2,3})\s*\/\s*(\d{2,3})\s*$/;
+  const PULSE_RANGE = { min: 30, max: 200 }; // bpm
+  const TEMPERATURE_RANGE = { min: 34, max: 42 }; // °C
+  const SESSION_COMPLICATIONS = ['hypotension', 'cramps', 'nausea', 'headache', 'chest_pain', 'fever', 'access_bleeding', 'clotting'];
+
+  /**
+   * Parses a "systolic/diastolic" string. Returns null when the value is malformed
+   * or outside physiological bounds (e.g. "13/8" entered in cmHg).
+   */
+  function parseBloodPressure(value) {
+    const match = BP_PATTERN.exec(String(value));
+    if (!match) return null;
+    const systolic = parseInt(match[1]);
+    const diastolic = parseInt(match[2]);
+    if (systolic < SYSTOLIC_RANGE.min || systolic > SYSTOLIC_RANGE.max) return null;
+    if (diastolic < DIASTOLIC_RANGE.min || diastolic > DIASTOLIC_RANGE.max) return null;
+    if (diastolic >= systolic) return null;
+    return { systolic, diastolic };
+  }
+
+  function parseWeight(value) {
+    const weight = parseFloat(String(value).replace(',', '.'));
+    if (isNaN(weight) || weight < WEIGHT_RANGE.min || weight > WEIGHT_RANGE.max) return null;
+    return Math.round(weight * 10) / 10;
+  }
+
+  // Writable Sessions columns, in INSERT/UPDATE order.
+  const SESSION_COLUMNS = ['date', 'pre_weight', 'post_weight', 'pre_bp', 'post_bp', 'access_condition', 'notes',
+    'duration_minutes', 'pre_urea', 'post_urea', 'urr', 'ktv', 'uf_goal_ml',
+    'pre_pulse', 'post_pulse', 'pre_temperature', 'post_temperature', 'complications', 'schedule_id', 'access_id'];
+
+  const ADEQUACY_TARGETS = { ktv: 1.2, urr: 65 }; // spKt/V, URR %
+
+  // Any of these in a session payload means the session is over (see validateSession).
+  const POST_DIALYSIS_FIELDS = ['post_weight', 'post_bp', 'post_systolic', 'post_diastolic', 'post_pulse', 'post_temperature', 'post_urea'];
+
+  // YYYY-MM-DD naming a day that exists: 2026-02-30 has the right shape but is not a date.
+  function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().substring(0, 10) === value;
+  }
+
+  function parseOptionalNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(String(value).replace(',', '.'));
+    return isNaN(number) ? NaN : number;
+  }
+
+  /**
+   * Validates a session payload. Returns { errors, values } where values holds the
+   * normalized columns ready for INSERT/UPDATE.
+   */
+  function validateSession(data) {
+    const errors = [];
+    const values = {
+        date: data.date || new Date().toISOString().substring(0, 10),
+        access_condition: data.access_condition || null,
+        notes: data.notes || null,
+    };
+
+    if (!isCalendarDate(values.date)) errors.push('date must be a valid YYYY-MM-DD date');
+
+    // A session is opened with the pre-dialysis values; it is completed once any post-dialysis value
+    // is recorded, and from then on needs the post-dialysis weight and blood pressure as well.
+    const completed = POST_DIALYSIS_FIELDS.some(field => data[field] !== undefined && data[field] !== null && data[field] !== '');
+    for (const field of ['pre_weight', 'post_weight']) {
+        values[field] = parseWeight(data[field]);
+        if (values[field] === null && (field === 'pre_weight' || completed)) {
+            errors.push(`${field} must be a number between ${WEIGHT_RANGE.min} and ${WEIGHT_RANGE.max} kg`);
+        }
+    }
+    for (const field of ['pre_bp', 'post_bp']) {
+        // Accept either "130/80" or separate pre_systolic/pre_diastolic fields
+        const prefix = field.replace('_bp', '');
+        const raw = data[`${prefix}_systolic`] !== undefined ? `${data[`${prefix}_systolic`]}/${data[`${prefix}_diastolic`]}` : data[field];
+        const bp = parseBloodPressure(raw);
+        if (!bp && (field === 'pre_bp' || completed)) errors.push(`${field} must look like 130/80 (mmHg)`);
+        values[field] = bp ? `${bp.systolic}/${bp.diastolic}` : null;
+    }
+
+    values.pre_urea = parseOptionalNumber(data.pre_urea);
+    values.post_urea = parseOptionalNumber(data.post_urea);
+    if ((values.pre_urea === null) !== (values.post_urea === null)) errors.push('pre_urea and post_urea must be given together');
+    if (Number.isNaN(values.pre_urea) || Number.isNaN(values.post_urea)) {
+        errors.push('pre_urea and post_urea must be positive numbers (mmol/L)');
+    } else if (values.pre_urea !== null && values.post_urea !== null) {
+        if (values.pre_urea <= 0 || values.post_urea < 0) errors.push('pre_urea and post_urea must be positive numbers (mmol/L)');
+        else if (values.post_urea >= values.pre_urea) errors.push('post_urea must be lower than pre_urea');
+    }
+
+    for (const field of ['pre_pulse', 'post_pulse']) {
+        values[field] = parseOptionalNumber(data[field]);
+        if (Number.isNaN(values[field]) || (values[field] !== null && (values[field] < PULSE_RANGE.min || values[field] > PULSE_RANGE.max))) {
+            errors.push(`${field} must be between ${PULSE_RANGE.min} and ${PULSE_RANGE.max} bpm`);
+        }
+    }
+    for (const field of ['pre_temperature', 'post_temperature']) {
+        values[field] = parseOptionalNumber(data[field]);
+        if (Number.isNaN(values[field]) || (values[field] !== null && (values[field] < TEMPERATURE_RANGE.min || values[field] > TEMPERATURE_RANGE.max))) {
+            errors.push(`${field} must be between ${TEMPERATURE_RANGE.min} and ${TEMPERATURE_RANGE.max} °C`);
+        }
+    }
+
+    const complications = Array.isArray(data.complications)
+        ? data.complications
+        : String(data.complications || '').split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = complications.filter(c => !SESSION_COMPLICATIONS.includes(c));
+    if (unknown.length > 0) errors.push(`Unknown complications: ${unknown.join(', ')}`);
+    values.complications = complications.length > 0 ? complications.join(',') : null;
+
+    values.uf_goal_ml = parseOptionalNumber(data.uf_goal_ml);
+    if (Number.isNaN(values.uf_goal_ml) || values.uf_goal_ml < 0 || values.uf_goal_ml > 6000) errors.push('uf_goal_ml must be between 0 and 6000');
+
+    values.duration_minutes = parseOptionalNumber(data.duration_minutes);
+    if (values.duration_minutes !== null && (Number.isNaN(values.duration_minutes) || values.duration_minutes < 60 || values.duration_minutes > 480)) {
+        errors.push('duration_minutes must be between 60 and 480');
+    }
+
+    return { errors, values };
+  }
+
+  /**
+   * Validates a session and completes it with server-side values: the duration defaults
+   * to the current protocol's, URR/Kt/V are computed from it, and the session is attached
+   * to the patient's scheduled slot for that day and, unless access_id is given, to the access in use.
+   */
+  async function prepareSession(db, patientId, data) {
+    const { errors, values } = validateSession(data);
+    if (errors.length > 0) return { errors, values };
+    if (values.duration_minutes === null) {
+        values.duration_minutes = parseDurationMinutes((await fetchCurrentProtocol(db, patientId))?.duration);
+    }
+    values.schedule_id = await findScheduledSlot(db, patientId, values.date);
+    if (data.access_id === undefined || data.access_id === null || data.access_id === '') {
+        values.access_id = await findAccessInUse(db, patientId, values.date);
+    } else {
+        const access = await executeQuery(db, 'SELECT id FROM VascularAccesses WHERE id = ? AND patient_id = ?', [parseInt(data.access_id), patientId]);
+        if (access.results.length === 0) return { errors: ['access_id must be one of the patient\'s vascular accesses'], values };
+        values.access_id = access.results[0].id;
+    }
+    return { errors, values: { ...values, ...computeAdequacy(values) } };
+  }
+
+  // --- Dry weight & ultrafiltration goal ---
+
+  /**
+   * UF settings, configurable per deployment through worker vars:
+   * UF_RATE_LIMIT (mL/kg/h, default 13) and UF_ALLOWANCE_ML (rinse-back + intake during the session, default 500).
+   */
+  function ufSettings(env) {
+    return {
+        maxRate: parseFloat(env.UF_RATE_LIMIT) || 13,
+        allowanceMl: parseFloat(env.UF_ALLOWANCE_ML) || 500,
+    };
+  }
+
+  /**
+   * Adds server-computed weight loss (kg), ultrafiltration volume (mL) and hourly UF rate
+   * (mL/kg/h, see ufRate) to a session row.
+   * 1 kg of weight removed is taken as 1000 mL of ultrafiltrate.
+   */
+  function withSessionMetrics(session, settings) {
+    const pre = parseFloat(session.pre_weight);
+    const post = parseFloat(session.post_weight);
+    const hasWeights = !isNaN(pre) && !isNaN(post);
+    const weightLoss = hasWeights ? Math.round((pre - post) * 100) / 100 : null;
+    const ultrafiltration = weightLoss !== null ? Math.round(weightLoss * 1000) : null;
+    const rate = ufRate(ultrafiltration, pre, session.duration_minutes);
+    return {
+        ...session,
+        weight_loss: weightLoss,
+        ultrafiltration,
+        uf_rate: rate,
+        uf_rate_exceeded: rate !== null && rate > settings.maxRate,
+        below_target: (session.ktv !== null && session.ktv !== undefined && session.ktv < ADEQUACY_TARGETS.ktv)
+            || (session.urr !== null && session.urr !== undefined && session.urr < ADEQUACY_TARGETS.urr),
+    };
+  }
+
+  // --- Intradialytic monitoring ---
+
+  // Numeric SessionReadings columns and their accepted ranges.
+  const READING_RANGES = {
+    systolic: SYSTOLIC_RANGE,
+    diastolic: DIASTOLIC_RANGE,
+    pulse: PULSE_RANGE,
+    blood_flow: { min: 0, max: 600 },          // Qb, mL/min
+    venous_pressure: { min: -100, max: 500 },  // mmHg
+    arterial_pressure: { min: -400, max: 100 }, // mmHg, negative pre-pump
+    tmp: { min: -100, max: 600 },              // transmembrane pressure, mmHg
+    uf_volume: { min: 0, max: 6000 },          // mL removed so far
+  };
+  const READING_COLUMNS = ['recorded_at', ...Object.keys(READING_RANGES), 'notes'];
+
+  const SESSION_INTERVENTIONS = ['none', 'saline_bolus', 'uf_reduced', 'uf_stopped', 'blood_flow_reduced', 'trendelenburg', 'medication', 'circuit_changed', 'session_stopped'];
+  const EVENT_COLUMNS = ['occurred_at', 'event_type', 'intervention', 'notes'];
+
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  /**
+   * Intradialytic hypotension alert thresholds, configurable through worker vars:
+   * SBP_DROP_ALERT (fall from pre-dialysis systolic, mmHg, default 20) and SBP_NADIR_ALERT (mmHg, default 90).
+   */
+  function monitoringSettings(env) {
+    return {
+        sbpDrop: parseFloat(env.SBP_DROP_ALERT) || 20,
+        sbpNadir: parseFloat(env.SBP_NADIR_ALERT) || 90,
+    };
+  }
+
+  function validateReading(data) {
+    const errors = [];
+    const values = { recorded_at: String(data.recorded_at ?? '').trim(), notes: data.notes || null };
+    if (!TIME_PATTERN.test(values.recorded_at)) errors.push('recorded_at must be HH:MM');
+
+    for (const [field, range] of Object.entries(READING_RANGES)) {
+        values[field] = parseOptionalNumber(data[field]);
+        if (Number.isNaN(values[field]) || (values[field] !== null && (values[field] < range.min || values[field] > range.max))) {
+            errors.push(`${field} must be between ${range.min} and ${range.max}`);
+        }
+    }
+    if ((values.systolic === null) !== (values.diastolic === null)) errors.push('systolic and diastolic must be given together');
+    else if (values.systolic !== null && values.diastolic >= values.systolic) errors.push('diastolic must be lower than systolic');
+    if (Object.keys(READING_RANGES).every(field => values[field] === null)) errors.push('At least one measurement is required');
+    return { errors, values };
+  }
+
+  function validateSessionEvent(data) {
+    const errors = [];
+    const values = {
+        occurred_at: String(data.occurred_at ?? '').trim(),
+        event_type: data.event_type,
+        intervention: data.intervention || 'none',
+        notes: data.notes || null,
+    };
+    if (!TIME_PATTERN.test(values.occurred_at)) errors.push('occurred_at must be HH:MM');
+    if (!SESSION_COMPLICATIONS.includes(values.event_type)) errors.push(`event_type must be one of: ${SESSION_COMPLICATIONS.join(', ')}`);
+    if (!SESSION_INTERVENTIONS.includes(values.intervention)) errors.push(`intervention must be one of: ${SESSION_INTERVENTIONS.join(', ')}`);
+    return { errors, values };
+  }
+
+  /**
+   * Flags a reading whose systolic fell by at least sbpDrop mmHg from the session's
+   * pre-dialysis systolic, or below the sbpNadir floor.
+   */
+  function withReadingFlags(reading, session, settings) {
+    const preSystolic = parseBloodPressure(session.pre_bp)?.systolic ?? null;
+    const drop = reading.systolic !== null && preSystolic !== null ? preSystolic - reading.systolic : null;
+    return {
+        ...reading,
+        systolic_drop: drop,
+        hypotension_alert: reading.systolic !== null && ((drop !== null && drop >= settings.sbpDrop) || reading.systolic < settings.sbpNadir),
+    };
+  }
+
+  // --- Scheduling ---
+
+  const SHIFTS = ['morning', 'afternoon', 'evening'];
+  // Recurring treatment patterns as UTC weekday numbers (Sunday = 0)
+  const SCHEDULE_PATTERNS = { MWF: [1, 3, 5], TTS: [2, 4, 6] };
+  const MAX_BOARD_DAYS = 92;
+
+  function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+  }
+
+  function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().substring(0, 10);
+  }
+
+  function validateAssignment(data) {
+    const errors = [];
+    const values = {
+        station_id: parseInt(data.station_id),
+        shift: data.shift,
+        pattern: data.pattern,
+        start_date: data.start_date || new Date().toISOString().substring(0, 10),
+        end_date: data.end_date || null,
+    };
+    if (isNaN(values.station_id)) errors.push('station_id is required');
+    if (!SHIFTS.includes(values.shift)) errors.push(`shift must be one of: ${SHIFTS.join(', ')}`);
+    if (!SCHEDULE_PATTERNS[values.pattern]) errors.push(`pattern must be one of: ${Object.keys(SCHEDULE_PATTERNS).join(', ')}`);
+    if (!isCalendarDate(values.start_date)) errors.push('start_date must be a valid YYYY-MM-DD date');
+    if (values.end_date !== null && (!isCalendarDate(values.end_date) || values.end_date < values.start_date)) {
+        errors.push('end_date must be a valid YYYY-MM-DD date, not before start_date');
+    }
+    return { errors, values };
+  }
+
+  /**
+   * Validates an assignment and checks that its station exists, so an unknown chair is a
+   * validation error rather than a failed foreign key.
+   */
+  async function prepareAssignment(db, data) {
+    const { errors, values } = validateAssignment(data);
+    if (errors.length > 0) return { errors, values };
+    const station = await executeQuery(db, 'SELECT id FROM Stations WHERE id = ?', [values.station_id]);
+    if (station.results.length === 0) return { errors: ['station_id must be one of the stations'], values };
+    return { errors, values };
+  }
+
+  /**
+   * Finds an assignment that would share a slot with `values`: same chair and shift, or the
+   * same patient, on a common weekday while both are active.
+   */
+  async function findScheduleConflict(db, patientId, values, excludeId = null) {
+    const sql = `SELECT a.*, s.name AS station_name FROM ScheduleAssignments a JOIN Stations s ON s.id = a.station_id
+        WHERE a.id IS NOT ? AND ((a.station_id = ? AND a.shift = ?) OR a.patient_id = ?)
+        AND (a.end_date IS NULL OR a.end_date >= ?) AND (? IS NULL OR a.start_date <= ?)`;
+    const result = await executeQuery(db, sql, [excludeId, values.station_id, values.shift, patientId, values.start_date, values.end_date, values.end_date]);
+    const days = SCHEDULE_PATTERNS[values.pattern];
+    return result.results.find(a => SCHEDULE_PATTERNS[a.pattern].some(day => days.includes(day))) || null;
+  }
+
+  /**
+   * The assignment a session on `date` belongs to, if the patient is scheduled that weekday.
+   */
+  async function findScheduledSlot(db, patientId, date) {
+    const result = await executeQuery(db,
+        'SELECT * FROM ScheduleAssignments WHERE patient_id = ? AND start_date <= ? AND (end_date IS NULL OR end_date >= ?)',
+        [patientId, date, date]);
+    const assignment = result.results.find(a => SCHEDULE_PATTERNS[a.pattern].includes(weekdayOf(date)));
+    return assignment ? assignment.id : null;
+  }
+
+  /**
+   * Expands recurring assignments into dated slots from `from` for `days` days. Each slot is
+   * 'done' when the patient has a session that day, 'missed' once the day has passed without one,
+   * otherwise 'expected'.
+   */
+  async function buildScheduleBoard(db, from, days) {
+    const to = addDays(from, days - 1);
+    const [assignments, sessions] = await Promise.all([
+        executeQuery(db, `SELECT a.*, s.name AS station_name, p.name, p.familyname
+            FROM ScheduleAssignments a JOIN Stations s ON s.id = a.station_id JOIN Patients p ON p.id = a.patient_id
+            WHERE a.start_date <= ? AND (a.end_date IS NULL OR a.end_date >= ?)`, [to, from]),
+        executeQuery(db, 'SELECT id, patient_id, date FROM Sessions WHERE date BETWEEN ? AND ?', [from, to]),
+    ]);
+    const sessionByDay = new Map(sessions.results.map(s => [`${s.patient_id}|${s.date}`, s.id]));
+    const today = new Date().toISOString().substring(0, 10);
+
+    const board = [];
+    for (let i = 0; i < days; i++) {
+        const date = addDays(from, i);
+        const slots = assignments.results
+            .filter(a => a.start_date <= date && (a.end_date === null || a.end_date >= date) && SCHEDULE_PATTERNS[a.pattern].includes(weekdayOf(date)))
+            .map(a => {
+                const sessionId = sessionByDay.get(`${a.patient_id}|${date}`) ?? null;
+                return {
+                    assignment_id: a.id,
+                    shift: a.shift,
+                    station_id: a.station_id,
+                    station_name: a.station_name,
+                    patient_id: a.patient_id,
+                    patient_name: `${a.name} ${a.familyname}`,
+                    session_id: sessionId,
+                    status: sessionId !== null ? 'done' : (date < today ? 'missed' : 'expected'),
+                };
+            })
+            .sort((a, b) => SHIFTS.indexOf(a.shift) - SHIFTS.indexOf(b.shift) || a.station_name.localeCompare(b.station_name));
+        board.push({ date, weekday: weekdayOf(date), slots });
+    }
+    return board;
+  }
+
+  // --- Patient demographics & clinical profile ---
+
+  const SEXES = ['M', 'F'];
+  const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+  const SEROLOGY_STATUSES = ['negative', 'positive', 'unknown'];
+  const SEROLOGIES = { hbv_status: 'HBV', hcv_status: 'HCV', hiv_status: 'HIV' };
+  const CKD_ETIOLOGIES = ['diabetic_nephropathy', 'hypertensive_nephrosclerosis', 'glomerulonephritis', 'polycystic_kidney_disease',
+      'interstitial_nephritis', 'obstructive_uropathy', 'hereditary', 'other', 'unknown'];
+  const PHONE_PATTERN = /^\+?[0-9][0-9 ().-]{5,19}$/;
+  const PATIENT_COLUMNS = ['name', 'familyname', 'birthdate', 'sex', 'national_id', 'phone', 'address', 'emergency_contact_name',
+      'emergency_contact_phone', 'blood_group', 'hbv_status', 'hcv_status', 'hiv_status', 'serology_date', 'ckd_etiology',
+      'dialysis_start_date', 'allergies', 'comorbidities'];
+
+  // Positive serologies, e.g. ['HBV+']: any of them means dialysis in the isolation room.
+  function isolationMarkers(patient) {
+    return Object.entries(SEROLOGIES).filter(([column]) => patient[column] === 'positive').map(([, label]) => `${label}+`);
+  }
+
+  function validatePatient(data) {
+    const errors = [];
+    const today = new Date().toISOString().substring(0, 10);
+    const text = field => String(data[field] ?? '').trim();
+    const values = {
+        name: text('name'),
+        familyname: text('familyname'),
+        birthdate: data.birthdate || '',
+        sex: data.sex || null,
+        national_id: text('national_id') || null,
+        phone: text('phone') || null,
+        address: text('address') || null,
+        emergency_contact_name: text('emergency_contact_name') || null,
+        emergency_contact_phone: text('emergency_contact_phone') || null,
+        blood_group: data.blood_group || null,
+        hbv_status: data.hbv_status || 'unknown',
+        hcv_status: data.hcv_status || 'unknown',
+        hiv_status: data.hiv_status || 'unknown',
+        serology_date: data.serology_date || null,
+        ckd_etiology: data.ckd_etiology || null,
+        dialysis_start_date: data.dialysis_start_date || null,
+        allergies: text('allergies') || null,
+        comorbidities: text('comorbidities') || null,
+    };
+    if (!values.name || values.name.length > 100) errors.push('name is required (max 100 characters)');
+    if (!values.familyname || values.familyname.length > 100) errors.push('familyname is required (max 100 characters)');
+    if (!isCalendarDate(values.birthdate) || values.birthdate > today) errors.push('birthdate must be a valid YYYY-MM-DD date, not in the future');
+    if (values.sex !== null && !SEXES.includes(values.sex)) errors.push(`sex must be one of: ${SEXES.join(', ')}`);
+    if (values.national_id !== null && values.national_id.length > 30) errors.push('national_id must be at most 30 characters');
+    for (const field of ['phone', 'emergency_contact_phone']) {
+        if (values[field] !== null && !PHONE_PATTERN.test(values[field])) errors.push(`${field} must be a phone number (digits, spaces, + ( ) . -)`);
+    }
+    if (values.address !== null && values.address.length > 200) errors.push('address must be at most 200 characters');
+    if (values.emergency_contact_name !== null && values.emergency_contact_name.length > 100) errors.push('emergency_contact_name must be at most 100 characters');
+    if (values.blood_group !== null && !BLOOD_GROUPS.includes(values.blood_group)) errors.push(`blood_group must be one of: ${BLOOD_GROUPS.join(', ')}`);
+    for (const column of Object.keys(SEROLOGIES)) {
+        if (!SEROLOGY_STATUSES.includes(values[column])) errors.push(`${column} must be one of: ${SEROLOGY_STATUSES.join(', ')}`);
+    }
+    for (const field of ['serology_date', 'dialysis_start_date']) {
+        if (values[field] !== null && (!isCalendarDate(values[field]) || values[field] > today || values[field] < values.birthdate)) {
+            errors.push(`${field} must be a valid YYYY-MM-DD date, between the birthdate and today`);
+        }
+    }
+    if (values.ckd_etiology !== null && !CKD_ETIOLOGIES.includes(values.ckd_etiology)) errors.push(`ckd_etiology must be one of: ${CKD_ETIOLOGIES.join(', ')}`);
+    if (values.allergies !== null && values.allergies.length > 500) errors.push('allergies must be at most 500 characters');
+    if (values.comorbidities !== null && values.comorbidities.length > 1000) errors.push('comorbidities must be at most 1000 characters');
+    return { errors, values };
+  }
+
+  // The national ID is unique when given; returns the patient already holding it, if any.
+  async function findNationalIdHolder(db, nationalId, excludeId = null) {
+    if (nationalId === null) return null;
+    const result = await executeQuery(db, 'SELECT id, name, familyname FROM Patients WHERE national_id = ? AND id != ?', [nationalId, excludeId ?? 0]);
+    return result.results[0] || null;
+  }
+
+  // --- Hospitalizations ---
+
+  const HOSPITALIZATION_COLUMNS = ['admitted_on', 'discharged_on', 'reason', 'hospital'];
+
+  function validateHospitalization(data) {
+    const errors = [];
+    const text = field => String(data[field] ?? '').trim();
+    const values = {
+        admitted_on: data.admitted_on || '',
+        discharged_on: data.discharged_on || null,
+        reason: text('reason'),
+        hospital: text('hospital') || null,
+    };
+    if (!isCalendarDate(values.admitted_on)) errors.push('admitted_on must be a valid YYYY-MM-DD date');
+    if (values.discharged_on !== null && (!isCalendarDate(values.discharged_on) || values.discharged_on < values.admitted_on)) {
+        errors.push('discharged_on must be a valid YYYY-MM-DD date, not before admitted_on');
+    }
+    if (!values.reason || values.reason.length > 200) errors.push('reason is required (max 200 characters)');
+    if (values.hospital !== null && values.hospital.length > 100) errors.push('hospital must be at most 100 characters');
+    return { errors, values };
+  }
+
+  // --- Vascular access registry ---
+
+  const ACCESS_TYPES = ['avf', 'avg', 'tunneled_catheter', 'temporary_catheter'];
+  const CATHETER_TYPES = ['tunneled_catheter', 'temporary_catheter'];
+  // maturing: created but not yet cannulated; abandoned/removed accesses carry an ended_on date
+  const ACCESS_STATUSES = ['maturing', 'active', 'abandoned', 'removed'];
+  const ENDED_ACCESS_STATUSES = ['abandoned', 'removed'];
+  const ACCESS_COMPLICATIONS = ['thrombosis', 'infection', 'stenosis', 'poor_flow', 'bleeding', 'aneurysm', 'other'];
+  const ACCESS_INTERVENTIONS = ['angioplasty', 'thrombectomy', 'surgical_revision', 'catheter_exchange', 'lock_therapy', 'antibiotics', 'other'];
+  const ACCESS_EVENT_TYPES = { complication: ACCESS_COMPLICATIONS, intervention: ACCESS_INTERVENTIONS };
+  const ACCESS_TYPE_LABELS = { avf: 'AVF', avg: 'AV graft', tunneled_catheter: 'Tunneled catheter', temporary_catheter: 'Temporary catheter' };
+
+  function describeAccess(access) {
+    return `${ACCESS_TYPE_LABELS[access.type]} (${access.site})`;
+  }
+
+  // Writable VascularAccesses columns, in INSERT/UPDATE order.
+  const ACCESS_COLUMNS = ['type', 'site', 'placed_on', 'surgeon', 'status', 'ended_on', 'notes'];
+
+  function validateVascularAccess(data) {
+    const errors = [];
+    const text = field => String(data[field] ?? '').trim();
+    const values = {
+        type: data.type,
+        site: text('site'),
+        placed_on: data.placed_on || '',
+        surgeon: text('surgeon') || null,
+        status: data.status || 'active',
+        ended_on: data.ended_on || null,
+        notes: text('notes') || null,
+    };
+    if (!ACCESS_TYPES.includes(values.type)) errors.push(`type must be one of: ${ACCESS_TYPES.join(', ')}`);
+    if (!values.site || values.site.length > 100) errors.push('site is required (max 100 characters)');
+    if (!isCalendarDate(values.placed_on)) errors.push('placed_on must be a valid YYYY-MM-DD date');
+    if (values.surgeon !== null && values.surgeon.length > 100) errors.push('surgeon must be at most 100 characters');
+    if (!ACCESS_STATUSES.includes(values.status)) errors.push(`status must be one of: ${ACCESS_STATUSES.join(', ')}`);
+    if (ENDED_ACCESS_STATUSES.includes(values.status)) {
+        if (!isCalendarDate(values.ended_on) || values.ended_on < values.placed_on) {
+            errors.push(`ended_on must be a valid YYYY-MM-DD date, not before placed_on when the access is ${values.status}`);
+        }
+    } else if (values.ended_on !== null) {
+        errors.push('ended_on is only set once the access is abandoned or removed');
+    }
+    if (values.notes !== null && values.notes.length > 500) errors.push('notes must be at most 500 characters');
+    return { errors, values };
+  }
+
+  function validateAccessEvent(data, access) {
+    const errors = [];
+    const values = {
+        category: data.category,
+        event_type: data.event_type,
+        occurred_on: data.occurred_on || new Date().toISOString().substring(0, 10),
+        notes: String(data.notes ?? '').trim() || null,
+    };
+    const types = ACCESS_EVENT_TYPES[values.category];
+    if (!types) errors.push(`category must be one of: ${Object.keys(ACCESS_EVENT_TYPES).join(', ')}`);
+    else if (!types.includes(values.event_type)) errors.push(`event_type must be one of: ${types.join(', ')}`);
+    if (!isCalendarDate(values.occurred_on) || values.occurred_on < access.placed_on) {
+        errors.push(`occurred_on must be a valid YYYY-MM-DD date, on or after the access was placed (${access.placed_on})`);
+    }
+    if (values.notes !== null && values.notes.length > 500) errors.push('notes must be at most 500 characters');
+    return { errors, values };
+  }
+
+  // Days a catheter has been (or was) in place, counting the insertion day; null for AVF/AVG.
+  function catheterDays(access, today) {
+    if (!CATHETER_TYPES.includes(access.type)) return null;
+    const end = access.ended_on || today;
+    return Math.max(0, Math.round((new Date(end) - new Date(access.placed_on)) / 86400000)) + 1;
+  }
+
+  /**
+   * The patient's accesses, oldest first, each with its complications/interventions and catheter days.
+   */
+  async function fetchAccessRegistry(db, patientId) {
+    const today = new Date().toISOString().substring(0, 10);
+    const [accesses, events] = await Promise.all([
+        executeQuery(db, 'SELECT * FROM VascularAccesses WHERE patient_id = ? ORDER BY placed_on, id', [patientId]),
+        executeQuery(db, 'SELECT * FROM AccessEvents WHERE patient_id = ? ORDER BY occurred_on, id', [patientId]),
+    ]);
+    return accesses.results.map(access => ({
+        ...access,
+        catheter_days: catheterDays(access, today),
+        events: events.results.filter(e => e.access_id === access.id),
+    }));
+  }
+
+  /**
+   * The access a session on `date` was most likely done with: placed by then, not ended before,
+   * and no longer maturing; the most recently placed one wins.
+   */
+  async function findAccessInUse(db, patientId, date) {
+    const result = await executeQuery(db,
+        `SELECT id FROM VascularAccesses WHERE patient_id = ? AND status != 'maturing' AND placed_on <= ? AND (ended_on IS NULL OR ended_on >= ?)
+            ORDER BY placed_on DESC, id DESC LIMIT 1`,
+        [patientId, date, date]);
+    return result.results[0]?.id ?? null;
+  }
+
+  // --- Patient roster: search, filters, sorting & cursor pagination ---
+
+  const ROSTER_PAGE_SIZE = 50;
+  const MAX_ROSTER_PAGE_SIZE = 200;
+  // Keyset order per sort: the cursor carries the last row's values for `fields`.
+  const ROSTER_SORTS = {
+    name: { keys: ['familyname COLLATE NOCASE', 'name COLLATE NOCASE', 'id'], fields: ['familyname', 'name', 'id'], direction: 'ASC' },
+    recent: { keys: ['created_at', 'id'], fields: ['created_at', 'id'], direction: 'DESC' },
+    id: { keys: ['id'], fields: ['id'], direction: 'ASC' },
+  };
+
+  // Patients with their current shift, the access in use and how many tests have an abnormal latest result.
+  // Takes today's date twice.
+  const ROSTER_SELECT = `SELECT p.*,
+        (SELECT a.shift FROM ScheduleAssignments a WHERE a.patient_id = p.id AND a.start_date <= ? AND (a.end_date IS NULL OR a.end_date >= ?)
+            ORDER BY a.start_date DESC LIMIT 1) AS current_shift,
+        (SELECT v.type FROM VascularAccesses v WHERE v.patient_id = p.id AND v.status = 'active' ORDER BY v.placed_on DESC, v.id DESC LIMIT 1) AS access_type,
+        (SELECT COUNT(*) FROM LabResults r WHERE r.patient_id = p.id AND r.flag != 'normal' AND NOT EXISTS (
+            SELECT 1 FROM LabResults n WHERE n.patient_id = r.patient_id AND n.test_code = r.test_code
+                AND (n.collected_at > r.collected_at OR (n.collected_at = r.collected_at AND n.id > r.id)))) AS abnormal_labs
+    FROM Patients p`;
+
+  /**
+   * Turns the roster query string into SQL conditions:
+   *   q        - words matched against name/family name, or a patient ID
+   *   shift    - has an ongoing schedule assignment on that shift
+   *   access   - has an access of that type in use
+   *   status   - active (ongoing schedule assignment) or inactive
+   *   abnormal - 1: at least one test whose latest result is flagged
+   *   sort     - name (default), recent or id; limit (default 50); cursor from the previous page
+   */
+  function parseRosterQuery(searchParams) {
+    const errors = [];
+    const where = [];
+    const params = [];
+    const today = new Date().toISOString().substring(0, 10);
+
+    const q = (searchParams.get('q') || '').trim();
+    if (/^\d+$/.test(q)) {
+        where.push("(id = ? OR name LIKE ? ESCAPE '\\' OR familyname LIKE ? ESCAPE '\\')");
+        params.push(parseInt(q), `%${q}%`, `%${q}%`);
+    } else {
+        for (const word of q.split(/\s+/).filter(Boolean)) {
+            const pattern = `%${word.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+            where.push("(name LIKE ? ESCAPE '\\' OR familyname LIKE ? ESCAPE '\\')");
+            params.push(pattern, pattern);
+        }
+    }
+
+    const shift = searchParams.get('shift');
+    if (shift) {
+        if (!SHIFTS.includes(shift)) errors.push(`shift must be one of: ${SHIFTS.join(', ')}`);
+        where.push('EXISTS (SELECT 1 FROM ScheduleAssignments a WHERE a.patient_id = roster.id AND a.shift = ? AND a.start_date <= ? AND (a.end_date IS NULL OR a.end_date >= ?))');
+        params.push(shift, today, today);
+    }
+    const access = searchParams.get('access');
+    if (access) {
+        if (!ACCESS_TYPES.includes(access)) errors.push(`access must be one of: ${ACCESS_TYPES.join(', ')}`);
+        where.push("EXISTS (SELECT 1 FROM VascularAccesses v WHERE v.patient_id = roster.id AND v.type = ? AND v.status = 'active')");
+        params.push(access);
+    }
+    const status = searchParams.get('status');
+    if (status) {
+        if (!['active', 'inactive'].includes(status)) errors.push('status must be active or inactive');
+        where.push(status === 'active' ? 'current_shift IS NOT NULL' : 'current_shift IS NULL');
+    }
+    if (searchParams.get('abnormal') === '1') where.push('abnormal_labs > 0');
+
+    const sortName = searchParams.get('sort') || 'name';
+    const sort = ROSTER_SORTS[sortName];
+    if (!sort) errors.push(`sort must be one of: ${Object.keys(ROSTER_SORTS).join(', ')}`);
+    const limit = searchParams.has('limit') ? parseInt(searchParams.get('limit')) : ROSTER_PAGE_SIZE;
+    if (!(limit >= 1 && limit <= MAX_ROSTER_PAGE_SIZE)) errors.push(`limit must be between 1 and ${MAX_ROSTER_PAGE_SIZE}`);
+
+    let after = null;
+    if (searchParams.get('cursor')) {
+        after = decodeCursor(searchParams.get('cursor'));
+        if (!sort || !Array.isArray(after) || after.length !== sort.fields.length) errors.push('cursor is invalid for this sort');
+    }
+    return { errors, where, params, sort, limit, after, today };
+  }
+
+  /**
+   * One page of the roster. The total counts every patient matching the filters.
+   * @returns {Promise<{ patients: object[], total: number, next_cursor: string|null }>}
+   */
+  async function searchPatients(db, { where, params, sort, limit, after, today }) {
+    const from = `FROM (${ROSTER_SELECT}) AS roster WHERE ${where.join(' AND ') || '1 = 1'}`;
+    const comparison = sort.direction === 'ASC' ? '>' : '<';
+    const page = after ? ` AND (${sort.keys.join(', ')}) ${comparison} (${sort.keys.map(() => '?').join(', ')})` : '';
+    const order = sort.keys.map(key => `${key} ${sort.direction}`).join(', ');
+
+    const [rows, count] = await Promise.all([
+        executeQuery(db, `SELECT * ${from}${page} ORDER BY ${order} LIMIT ?`, [today, today, ...params, ...(after || []), limit + 1]),
+        executeQuery(db, `SELECT COUNT(*) AS total ${from}`, [today, today, ...params]),
+    ]);
+    const patients = rows.results.slice(0, limit);
+    const last = patients[patients.length - 1];
+    return {
+        patients: patients.map(p => ({ ...p, isolation: isolationMarkers(p) })),
+        total: count.results[0].total,
+        next_cursor: rows.results.length > limit ? encodeCursor(sort.fields.map(field => last[field])) : null,
+    };
+  }
+
+  // --- Unit quality dashboard ---
+
+  const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+  const MAX_DASHBOARD_MONTHS = 12;
+  // Monthly lab indicators: met when the month's latest result is inside the catalog reference range.
+  const QUALITY_LAB_TESTS = { hb: 'HB', phos: 'PHOS', alb: 'ALB' };
+  const ACCESS_GROUPS = ['fistula', 'graft', 'catheter', 'other'];
+
+  function monthEnd(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthIndex, 0)).toISOString().substring(0, 10);
+  }
+
+  function addMonths(month, count) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthIndex - 1 + count, 1)).toISOString().substring(0, 7);
+  }
+
+  // Registry access types by dashboard group
+  const ACCESS_TYPE_GROUPS = { avf: 'fistula', avg: 'graft', tunneled_catheter: 'catheter', temporary_catheter: 'catheter' };
+
+  // Fallback for patients not in the access registry yet: the protocol's access is free text ("FAV gauche", "KT jugulaire", ...).
+  function classifyAccess(access) {
+    const value = String(access || '').toLowerCase();
+    if (/fistul|avf|fav/.test(value)) return 'fistula';
+    if (/graft|prosth|proth|ptfe/.test(value)) return 'graft';
+    if (/cath|cvc|\bkt\b|permcath|tunnel/.test(value)) return 'catheter';
+    return 'other';
+  }
+
+  const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  function summarizeIndicator(rows) {
+    const met = rows.filter(row => row.met).length;
+    return { met, total: rows.length, rate: rows.length > 0 ? round(met * 100 / rows.length, 1) : null, patients: rows };
+  }
+
+  /**
+   * Quality indicators for one calendar month (YYYY-MM). The cohort is every patient with a session
+   * or a scheduled slot that month, or just `patientId` (whatever its activity) for a patient's monthly report.
+   * Each indicator lists the patients behind it so the dashboard can drill down.
+   */
+  async function computeMonthlyQuality(db, month, patientId = null) {
+    const from = `${month}-01`;
+    const to = monthEnd(month);
+    const scope = patientId === null ? '' : ' AND patient_id = ?';
+    const scoped = params => (patientId === null ? params : [...params, patientId]);
+
+    const [sessions, labs, protocols, registry, hospitalizations, patients, board] = await Promise.all([
+        // From a week before the month, so the month's first session has a previous post-weight
+        executeQuery(db, `SELECT id, patient_id, date, pre_weight, post_weight, ktv FROM Sessions WHERE date BETWEEN ? AND ?${scope} ORDER BY patient_id, date, id`, scoped([addDays(from, -7), to])),
+        executeQuery(db, `SELECT r.patient_id, r.test_code, r.value, r.collected_at, t.ref_low, t.ref_high FROM LabResults r JOIN LabTests t ON t.code = r.test_code
+            WHERE r.collected_at BETWEEN ? AND ?${scope.replace('patient_id', 'r.patient_id')} ORDER BY r.collected_at, r.id`, scoped([from, to])),
+        executeQuery(db, `SELECT patient_id, version, access FROM Protocols WHERE date(created_at) <= ?${scope} ORDER BY version`, scoped([to])),
+        executeQuery(db, `SELECT * FROM VascularAccesses WHERE status != 'maturing' AND placed_on <= ? AND (ended_on IS NULL OR ended_on > ?)${scope} ORDER BY placed_on, id`, scoped([to, to])),
+        executeQuery(db, `SELECT * FROM Hospitalizations WHERE admitted_on BETWEEN ? AND ?${scope} ORDER BY admitted_on`, scoped([from, to])),
+        executeQuery(db, `SELECT id, name, familyname FROM Patients WHERE 1 = 1${scope.replace('patient_id', 'id')}`, scoped([])),
+        buildScheduleBoard(db, from, Math.round((new Date(to) - new Date(from)) / 86400000) + 1),
+    ]);
+
+    const names = new Map(patients.results.map(p => [p.id, `${p.name} ${p.familyname}`]));
+    const inMonth = sessions.results.filter(s => s.date >= from);
+    const slots = board.flatMap(day => day.slots).filter(slot => names.has(slot.patient_id));
+    const cohort = patientId !== null
+        ? [...names.keys()]
+        : [...new Set([...inMonth.map(s => s.patient_id), ...slots.map(slot => slot.patient_id)])].filter(id => names.has(id));
+    const row = (id, value, met, extra = {}) => ({ patient_id: id, patient_name: names.get(id), value, met, ...extra });
+    const sessionsOf = id => sessions.results.filter(s => s.patient_id === id);
+
+    const ktv = cohort.map(id => {
+        const values = inMonth.filter(s => s.patient_id === id && s.ktv !== null).map(s => s.ktv);
+        return values.length > 0 ? row(id, round(mean(values), 2), mean(values) >= ADEQUACY_TARGETS.ktv) : null;
+    }).filter(Boolean);
+
+    const labIndicators = Object.fromEntries(Object.entries(QUALITY_LAB_TESTS).map(([key, code]) => [key, cohort.map(id => {
+        const latest = labs.results.filter(r => r.patient_id === id && r.test_code === code).pop();
+        if (!latest) return null;
+        const met = (latest.ref_low === null || latest.value >= latest.ref_low) && (latest.ref_high === null || latest.value <= latest.ref_high);
+        return row(id, latest.value, met, { collected_at: latest.collected_at });
+    }).filter(Boolean)]));
+
+    // Interdialytic weight gain: pre-weight minus the previous session's post-weight
+    const idwg = cohort.map(id => {
+        const own = sessionsOf(id);
+        const gains = own.map((s, i) => (s.date >= from && i > 0 && s.pre_weight !== null && own[i - 1].post_weight !== null ? s.pre_weight - own[i - 1].post_weight : null))
+            .filter(gain => gain !== null);
+        return gains.length > 0 ? row(id, round(mean(gains), 1), null, { sessions: gains.length }) : null;
+    }).filter(Boolean);
+
+    // Access in use at the end of the month, from the registry, else the latest protocol
+    const access = cohort.map(id => {
+        const inUse = registry.results.filter(a => a.patient_id === id).pop();
+        if (inUse) return row(id, describeAccess(inUse), null, { type: ACCESS_TYPE_GROUPS[inUse.type], access_id: inUse.id });
+        const current = protocols.results.filter(p => p.patient_id === id).pop();
+        return row(id, current?.access ?? null, null, { type: classifyAccess(current?.access) });
+    });
+
+    const missedByPatient = new Map();
+    slots.filter(slot => slot.status === 'missed').forEach(slot => missedByPatient.set(slot.patient_id, (missedByPatient.get(slot.patient_id) || 0) + 1));
+
+    return {
+        month,
+        patients: cohort.length,
+        targets: { ktv: ADEQUACY_TARGETS.ktv },
+        ktv: summarizeIndicator(ktv),
+        ...Object.fromEntries(Object.entries(labIndicators).map(([key, rows]) => [key, summarizeIndicator(rows)])),
+        idwg: { average: idwg.length > 0 ? round(mean(idwg.map(r => r.value)), 1) : null, patients: idwg },
+        access: { counts: Object.fromEntries(ACCESS_GROUPS.map(group => [group, access.filter(r => r.type === group).length])), patients: access },
+        hospitalizations: {
+            count: hospitalizations.results.length,
+            patients: hospitalizations.results.filter(h => names.has(h.patient_id)).map(h => row(h.patient_id, h.reason, null, { admitted_on: h.admitted_on, discharged_on: h.discharged_on })),
+        },
+        missed: {
+            count: [...missedByPatient.values()].reduce((sum, n) => sum + n, 0),
+            patients: [...missedByPatient.entries()].map(([id, count]) => row(id, count, null)),
+        },
+    };
+  }
+
+  // --- Bulk import & export (CSV / XLSX) ---
+
+  // Each import runs its validation queries per row and commits in one D1 batch; bigger files are split by the user.
+  const MAX_IMPORT_ROWS = 200;
+  // Columns identifying an existing patient on lab and session rows, tried in this order.
+  const PATIENT_KEY_COLUMNS = ['patient_id', 'national_id', 'familyname', 'name', 'birthdate'];
+  const IMPORT_KINDS = {
+    patients: { entity: 'Patients', columns: PATIENT_COLUMNS, required: ['name', 'familyname', 'birthdate'] },
+    labs: { entity: 'LabResults', columns: [...PATIENT_KEY_COLUMNS, 'test_code', 'value', 'collected_at'], required: ['test_code', 'value', 'collected_at'] },
+    sessions: {
+        entity: 'Sessions',
+        // URR and Kt/V are recomputed; the schedule slot and vascular access are attached as for a new session
+        columns: [...PATIENT_KEY_COLUMNS, ...SESSION_COLUMNS.filter(c => !['urr', 'ktv', 'schedule_id', 'access_id'].includes(c))],
+        required: ['date', 'pre_weight', 'post_weight', 'pre_bp', 'post_bp'],
+    },
+  };
+
+  // Header spellings recognised besides the column name itself (compared without case, accents or punctuation).
+  const IMPORT_HEADER_ALIASES = {
+    name: ['prenom', 'firstname', 'givenname'],
+    familyname: ['nom', 'lastname', 'surname', 'nomdefamille'],
+    birthdate: ['datedenaissance', 'dateofbirth', 'dob', 'ddn', 'naissance'],
+    sex: ['sexe', 'gender', 'genre'],
+    national_id: ['nin', 'cin', 'nationalid', 'numeroidentite'],
+    phone: ['telephone', 'tel', 'mobile'],
+    address: ['adresse'],
+    emergency_contact_name: ['contacturgence', 'personneaprevenir'],
+    emergency_contact_phone: ['telephoneurgence', 'telurgence'],
+    blood_group: ['groupesanguin', 'groupage', 'bloodtype'],
+    hbv_status: ['hbv', 'vhb', 'aghbs'],
+    hcv_status: ['hcv', 'vhc'],
+    hiv_status: ['hiv', 'vih'],
+    serology_date: ['dateserologie'],
+    ckd_etiology: ['etiology', 'etiologie', 'nephropathie'],
+    dialysis_start_date: ['debutdialyse', 'datedebutdialyse', 'dialysisstart'],
+    allergies: ['allergie'],
+    comorbidities: ['comorbidites', 'antecedents'],
+    patient_id: ['idpatient'],
+    test_code: ['test', 'code', 'analyse', 'examen'],
+    value: ['valeur', 'result', 'resultat'],
+    collected_at: ['date', 'dateprelevement', 'datedeprelevement', 'collected'],
+    pre_weight: ['poidsavant', 'poidspre'],
+    post_weight: ['poidsapres', 'poidspost'],
+    pre_bp: ['taavant', 'tapre'],
+    post_bp: ['taapres', 'tapost'],
+    duration_minutes: ['duree', 'duration'],
+    notes: ['remarques', 'observations'],
+  };
+
+  const IMPORT_DATE_COLUMNS = ['birthdate', 'serology_date', 'dialysis_start_date', 'collected_at', 'date'];
+  const IMPORT_SEXES = { m: 'M', h: 'M', homme: 'M', male: 'M', masculin: 'M', f: 'F', femme: 'F', female: 'F', feminin: 'F' };
+  const IMPORT_SEROLOGIES = {
+    negative: 'negative', negatif: 'negative', neg: 'negative', '-': 'negative',
+    positive: 'positive', positif: 'positive', pos: 'positive', '+': 'positive',
+    unknown: 'unknown', inconnu: 'unknown', '?': 'unknown',
+  };
+
+  const foldText = text => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const normalizeHeader = header => foldText(header).replace(/[^a-z0-9]/g, '');
+
+  // Spreadsheet dates come as DD/MM/YYYY (also with - or .), ISO dates or datetimes, or Excel day serials.
+  function normalizeImportDate(value) {
+    if (typeof value === 'number') return excelSerialToDate(value);
+    const dmy = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+    if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+    const ymd = /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?:[T ].*)?$/.exec(value);
+    if (ymd) return `${ymd[1]}-${ymd[2].padStart(2, '0')}-${ymd[3].padStart(2, '0')}`;
+    return value;
+  }
+
+  // Brings a cell to the format the validators expect; anything unrecognised is passed on for them to reject.
+  function normalizeImportValue(column, cell) {
+    if (cell === undefined || cell === null || cell === '') return '';
+    if (IMPORT_DATE_COLUMNS.includes(column)) return normalizeImportDate(typeof cell === 'number' ? cell : String(cell).trim());
+    const value = String(cell).trim();
+    if (column === 'sex') return IMPORT_SEXES[foldText(value)] ?? value;
+    if (SEROLOGIES[column]) return IMPORT_SEROLOGIES[foldText(value)] ?? value;
+    if (column === 'blood_group') return value.toUpperCase().replace(/\s+/g, '').replace(/^0/, 'O');
+    return value;
+  }
+
+  /**
+   * Column -> index of the file column it is read from (null when unmapped). An explicit mapping
+   * from the client wins; otherwise headers are matched on the column name, then its aliases.
+   */
+  function resolveImportMapping(columns, headers, mapping) {
+    const normalized = headers.map(normalizeHeader);
+    return Object.fromEntries(columns.map((column) => {
+        if (mapping && column in mapping) {
+            const index = mapping[column] === null || mapping[column] === '' ? null : parseInt(mapping[column]);
+            return [column, index !== null && index >= 0 && index < headers.length ? index : null];
+        }
+        const exact = normalized.indexOf(normalizeHeader(column));
+        if (exact !== -1) return [column, exact];
+        const alias = normalized.findIndex(header => (IMPORT_HEADER_ALIASES[column] || []).includes(header));
+        return [column, alias === -1 ? null : alias];
+    }));
+  }
+
+  // Rows of the uploaded file: CSV as text, XLSX base64-encoded (first sheet only).
+  async function readImportTable({ format, content }) {
+    if (typeof content !== 'string' || content === '') throw new Error('content is empty');
+    if (format === 'csv') return parseCsv(content);
+    if (format === 'xlsx') return readXlsx(Uint8Array.from(atob(content), c => c.charCodeAt(0)));
+    throw new Error('format must be csv or xlsx');
+  }
+
+  const patientKey = p => `${String(p.name).trim().toLowerCase()}|${String(p.familyname).trim().toLowerCase()}|${p.birthdate}`;
+
+  async function loadPatientIndex(db) {
+    const result = await executeQuery(db, 'SELECT id, name, familyname, birthdate, national_id FROM Patients');
+    const index = { byId: new Map(), byNationalId: new Map(), byKey: new Map() };
+    for (const patient of result.results) {
+        index.byId.set(patient.id, patient);
+        if (patient.national_id) index.byNationalId.set(patient.national_id, patient);
+        index.byKey.set(patientKey(patient), patient);
+    }
+    return index;
+  }
+
+  // Lab and session rows name an existing patient by ID, national ID, or name + family name + birthdate.
+  function resolveImportPatient(data, index) {
+    if (data.patient_id !== '') return index.byId.get(parseInt(data.patient_id)) || null;
+    if (data.national_id !== '') return index.byNationalId.get(data.national_id) || null;
+    return index.byKey.get(patientKey(data)) || null;
+  }
+
+  /**
+   * Validates every row of an import without writing anything. Duplicates are patients with the same
+   * name, family name and birthdate, lab results with the same patient, test and collection date, and
+   * sessions with the same patient and date, whether already recorded or repeated in the file.
+   * @returns {Promise<{ error?: string, report?: object }>} - report.rows[i].values holds what would be inserted.
+   */
+  async function buildImportReport(db, kind, table, mapping) {
+    const spec = IMPORT_KINDS[kind];
+    const [headerRow = [], ...dataRows] = table;
+    if (dataRows.length === 0) return { error: 'The file has no data rows below its header row' };
+    if (dataRows.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once; split the file` };
+    const headers = headerRow.map(header => String(header).trim());
+    const columnMap = resolveImportMapping(spec.columns, headers, mapping);
+    const patients = await loadPatientIndex(db);
+
+    const rows = [];
+    for (const [i, cells] of dataRows.entries()) {
+        const data = Object.fromEntries(spec.columns.map(column => [column, columnMap[column] === null ? '' : normalizeImportValue(column, cells[columnMap[column]])]));
+        const row = { row: i + 2, data, errors: spec.required.filter(column => data[column] === '').map(column => `${column} is required`), duplicate: null, values: null };
+        rows.push(row);
+        if (row.errors.length > 0) continue;
+
+        let checked;
+        if (kind === 'patients') {
+            checked = validatePatient(data);
+        } else {
+            const patient = resolveImportPatient(data, patients);
+            if (!patient) {
+                row.errors.push('No patient matches patient_id, national_id, or name + familyname + birthdate');
+                continue;
+            }
+            checked = kind === 'labs' ? await validateLabResult(db, data) : await prepareSession(db, patient.id, data);
+            if (checked.values) checked.values.patient_id = patient.id;
+        }
+        row.errors.push(...checked.errors);
+        if (row.errors.length === 0) row.values = checked.values;
+    }
+
+    await markImportDuplicates(db, kind, rows.filter(row => row.values), patients);
+    return {
+        report: {
+            kind,
+            headers,
+            columns: spec.columns,
+            required: spec.required,
+            mapping: columnMap,
+            rows,
+            summary: {
+                total: rows.length,
+                valid: rows.filter(row => row.errors.length === 0).length,
+                invalid: rows.filter(row => row.errors.length > 0).length,
+                duplicates: rows.filter(row => row.duplicate).length,
+            },
+        },
+    };
+  }
+
+  async function markImportDuplicates(db, kind, rows, patients) {
+    const seen = new Map();
+    let existing = new Set();
+    let keyOf;
+    if (kind === 'patients') {
+        keyOf = patientKey;
+    } else {
+        const table = kind === 'labs' ? 'LabResults' : 'Sessions';
+        const dateColumn = kind === 'labs' ? 'collected_at' : 'date';
+        keyOf = kind === 'labs' ? v => `${v.patient_id}|${v.test_code}|${v.collected_at}` : v => `${v.patient_id}|${v.date}`;
+        const dates = rows.map(row => row.values[dateColumn]).sort();
+        if (dates.length > 0) {
+            const result = await executeQuery(db, `SELECT * FROM ${table} WHERE ${dateColumn} BETWEEN ? AND ?`, [dates[0], dates[dates.length - 1]]);
+            existing = new Set(result.results.map(keyOf));
+        }
+    }
+
+    const nationalIds = new Map();
+    for (const row of rows) {
+        const key = keyOf(row.values);
+        const match = kind === 'patients' ? patients.byKey.get(key) : null;
+        if (match) row.duplicate = `Already registered (patient ID ${match.id})`;
+        else if (existing.has(key)) row.duplicate = 'Already recorded';
+        else if (seen.has(key)) row.duplicate = `Repeats row ${seen.get(key)}`;
+        else seen.set(key, row.row);
+
+        // A national ID held by another patient is a conflict, not a duplicate
+        const nationalId = kind === 'patients' ? row.values.national_id : null;
+        if (nationalId === null || match) continue;
+        const holder = patients.byNationalId.get(nationalId);
+        if (holder) row.errors.push(`National ID already registered for ${holder.name} ${holder.familyname} (ID ${holder.id})`);
+        else if (nationalIds.has(nationalId) && !row.duplicate) row.errors.push(`National ID repeats row ${nationalIds.get(nationalId)}`);
+        else nationalIds.set(nationalId, row.row);
+    }
+    for (const row of rows) if (row.errors.length > 0) row.values = null;
+  }
+
+  /**
+   * AuditLog INSERT for the row inserted by the statement just before it in a batch, for writes
+   * batched together (executeAudited runs a batch of its own per write).
+   */
+  async function batchAuditSql(db, entity) {
+    const patientColumn = entity === 'Patients' ? 'id' : 'patient_id';
+    return `${AUDIT_INSERT}
+        SELECT ?, ?, 'INSERT', '${entity}', id, ${patientColumn}, NULL, ${await auditSnapshotSql(db, entity)}
+        FROM ${entity} WHERE ${AUDITED_ENTITIES[entity]} = last_insert_rowid()`;
+  }
+
+  /**
+   * Inserts the validated rows of an import in one D1 batch, which runs as a single transaction:
+   * either every row (with its audit entry, and for patients the initial protocol) is written or none is.
+   */
+  async function commitImport(db, actor, kind, rows) {
+    const spec = IMPORT_KINDS[kind];
+    const audit = await batchAuditSql(db, spec.entity);
+    const actorParams = [actor.id, actor.username];
+    const statements = [];
+    for (const { values } of rows) {
+        if (kind === 'patients') {
+            statements.push(...await newPatientStatements(db, actor, values));
+        } else if (kind === 'labs') {
+            statements.push({
+                sql: LAB_RESULT_INSERT_SQL,
+                params: [values.patient_id, values.test_code, values.value, values.collected_at, values.flag],
+            });
+            statements.push({ sql: audit, params: actorParams });
+        } else {
+            statements.push({
+                sql: `INSERT INTO Sessions (patient_id, ${SESSION_COLUMNS.join(', ')}, updated_at) VALUES (?, ${SESSION_COLUMNS.map(() => '?').join(', ')}, ${ROW_VERSION_SQL})`,
+                params: [values.patient_id, ...SESSION_COLUMNS.map(column => values[column])],
+            });
+            statements.push({ sql: audit, params: actorParams });
+        }
+    }
+    await executeBatch(db, statements);
+    return rows.length;
+  }
+
+  // Export sheets use the import column names, so an exported file can be edited and imported back.
+  const EXPORT_SHEETS = {
+    patients: {
+        title: 'Patients',
+        columns: ['id', ...PATIENT_COLUMNS],
+        sql: `SELECT id, ${PATIENT_COLUMNS.join(', ')} FROM Patients p WHERE (? IS NULL OR p.id = ?)
+            ORDER BY familyname COLLATE NOCASE, name COLLATE NOCASE, id`,
+    },
+    labs: {
+        title: 'Lab Results',
+        columns: [...PATIENT_KEY_COLUMNS, 'test_code', 'value', 'unit', 'flag', 'collected_at'],
+        sql: `SELECT r.patient_id, p.national_id, p.familyname, p.name, p.birthdate, r.test_code, r.value, t.unit, r.flag, r.collected_at
+            FROM LabResults r JOIN Patients p ON p.id = r.patient_id JOIN LabTests t ON t.code = r.test_code WHERE (? IS NULL OR p.id = ?)
+            ORDER BY p.familyname COLLATE NOCASE, p.name COLLATE NOCASE, p.id, r.collected_at, r.test_code`,
+    },
+    sessions: {
+        title: 'Sessions',
+        columns: [...PATIENT_KEY_COLUMNS, ...SESSION_COLUMNS.filter(c => !['schedule_id', 'access_id'].includes(c))],
+        sql: `SELECT s.patient_id, p.national_id, p.familyname, p.name, p.birthdate, ${SESSION_COLUMNS.filter(c => !['schedule_id', 'access_id'].includes(c)).map(c => `s.${c}`).join(', ')}
+            FROM Sessions s JOIN Patients p ON p.id = s.patient_id WHERE (? IS NULL OR p.id = ?)
+            ORDER BY p.familyname COLLATE NOCASE, p.name COLLATE NOCASE, p.id, s.date`,
+    },
+  };
+
+  const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  };
+
+  /**
+   * Builds /api/export/<patients|labs|sessions|all>.<csv|xlsx>, for the whole unit or one patient.
+   * "all" is one workbook with a sheet per dataset, so it is only available as XLSX.
+   */
+  async function buildExport(db, dataset, format, patientId) {
+    const names = dataset === 'all' ? Object.keys(EXPORT_SHEETS) : [dataset];
+    const sheets = [];
+    for (const name of names) {
+        const { title, columns, sql } = EXPORT_SHEETS[name];
+        const result = await executeQuery(db, sql, [patientId, patientId]);
+        sheets.push({ name: title, rows: [columns, ...result.results.map(row => columns.map(column => row[column] ?? ''))] });
+    }
+    const today = new Date().toISOString().substring(0, 10);
+    const filename = `${patientId ? `patient-${patientId}` : 'unit'}-${dataset}-${today}.${format}`;
+    return { body: format === 'csv' ? toCsv(sheets[0].rows) : writeXlsx(sheets), filename };
+  }
+
+  // --- Lab interface: HL7 v2 ORU^R01 & FHIR ---
+
+  // Identifier and code systems of the FHIR resources served here, also used to match inbound results.
+  const FHIR_SYSTEMS = {
+    patientId: 'urn:medprosana:patient-id',
+    nationalId: 'urn:medprosana:national-id',
+    labTest: 'urn:medprosana:lab-test',
+    drug: 'urn:medprosana:drug',
+    loinc: 'http://loinc.org',
+    observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  };
+  // Assigning authority (PID-3.4) of MedProSana patient IDs in HL7 messages. National IDs are the PID-3
+  // identifiers typed (PID-3.5) NI or NN; any other identifier is the sender's own and is not matched on.
+  const HL7_PATIENT_ID_AUTHORITY = 'MEDPROSANA';
+  const HL7_NATIONAL_ID_TYPES = ['NI', 'NN'];
+  // Only final results are filed: HL7 OBX-11 F (final) / C (corrected), FHIR Observation.status.
+  const FILED_RESULT_STATUSES = ['F', 'C', 'final', 'amended', 'corrected'];
+  const LAB_FLAG_INTERPRETATIONS = { normal: 'N', low: 'L', high: 'H' };
+
+  /**
+   * Lab systems authenticate with the INTERFACE_API_KEY secret rather than a user login (tokens expire
+   * after TOKEN_TTL_HOURS). They get the 'interface' role, which only the HL7 and FHIR endpoints grant.
+   */
+  function authenticateInterface(request, env) {
+    const match = /^Bearer\s+(\S+)$/.exec(request.headers.get('Authorization') || '');
+    if (!env.INTERFACE_API_KEY || !match || match[1] !== env.INTERFACE_API_KEY) return null;
+    return { id: null, username: 'lab-interface', role: 'interface' };
+  }
+
+  /**
+   * Reads an ORU^R01 message into the shape shared with FHIR bundles:
+   * { message_id, sender, patient: { identifiers, name, familyname, birthdate }, observations }
+   * where each observation is { code, display, value, unit, collected_at, status } as sent.
+   */
+  function readOruMessage(text) {
+    const { segments } = parseHl7(text);
+    const msh = segments[0];
+    if (hl7Value(msh, 9) !== 'ORU' || hl7Value(msh, 9, 2) !== 'R01') throw new Error(`expected an ORU^R01 message, got ${hl7Value(msh, 9)}^${hl7Value(msh, 9, 2)}`);
+    const pids = segments.filter(segment => segment.name === 'PID');
+    if (pids.length !== 1) throw new Error('the message must be about exactly one patient (one PID segment)');
+    const [pid] = pids;
+
+    let collectedAt = hl7Date(hl7Value(msh, 7));
+    const observations = [];
+    for (const segment of segments) {
+        // OBR-7 is the specimen collection time; OBX-14, when sent, is more precise
+        if (segment.name === 'OBR') collectedAt = hl7Date(hl7Value(segment, 7)) || collectedAt;
+        if (segment.name !== 'OBX') continue;
+        // SN (structured numeric) is comparator^number: "<^5" stays "<5" and is refused as not a plain number
+        const comparator = hl7Value(segment, 2) === 'SN' ? hl7Value(segment, 5) : null;
+        observations.push({
+            code: hl7Value(segment, 3),
+            display: hl7Value(segment, 3, 2),
+            value: comparator === null ? hl7Value(segment, 5) : `${comparator === '=' ? '' : comparator}${hl7Value(segment, 5, 2)}`,
+            unit: hl7Value(segment, 6),
+            collected_at: hl7Date(hl7Value(segment, 14)) || collectedAt,
+            status: hl7Value(segment, 11),
+        });
+    }
+
+    return {
+        message_id: hl7Value(msh, 10) || null,
+        sender: [hl7Value(msh, 3), hl7Value(msh, 4)].filter(Boolean).join('@') || null,
+        patient: {
+            identifiers: (pid.fields[3] || []).filter(cx => cx[0]).map(cx => ({
+                system: cx[3] === HL7_PATIENT_ID_AUTHORITY ? FHIR_SYSTEMS.patientId
+                    : HL7_NATIONAL_ID_TYPES.includes(cx[4]) ? FHIR_SYSTEMS.nationalId : cx[3] || null,
+                value: cx[0],
+            })),
+            name: hl7Value(pid, 5, 2),
+            familyname: hl7Value(pid, 5),
+            birthdate: hl7Date(hl7Value(pid, 7)),
+        },
+        observations,
+    };
+  }
+
+  // Identity of an Observation's subject: the Patient entry it references, or the identifier it carries.
+  // A bare "Patient/12" reference with no entry in the bundle names a resource on the sender's server,
+  // not one of our patients, and identifies no one.
+  function readFhirSubject(subject, patientEntry) {
+    const identifiers = patientEntry?.identifier || (subject?.identifier ? [subject.identifier] : []);
+    const name = patientEntry?.name?.[0];
+    return {
+        identifiers: identifiers.filter(id => id?.value).map(({ system, value }) => ({ system: system || null, value: String(value) })),
+        name: name?.given?.[0] || '',
+        familyname: name?.family || '',
+        birthdate: patientEntry?.birthDate || null,
+    };
+  }
+
+  /**
+   * Reads a FHIR Bundle of lab Observations (Patient entries may be included for their identifiers)
+   * into one message per patient. Observations keep their entry index for the batch response.
+   */
+  function readFhirBundle(bundle) {
+    if (bundle?.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) throw new Error('expected a Bundle resource with entries');
+    const patientEntries = new Map();
+    for (const { fullUrl, resource } of bundle.entry) {
+        if (resource?.resourceType !== 'Patient') continue;
+        if (fullUrl) patientEntries.set(fullUrl, resource);
+        if (resource.id) patientEntries.set(`Patient/${resource.id}`, resource);
+    }
+
+    const messages = new Map();
+    bundle.entry.forEach(({ resource }, entry) => {
+        if (resource?.resourceType !== 'Observation') return;
+        const reference = resource.subject?.reference || JSON.stringify(resource.subject?.identifier ?? null);
+        if (!messages.has(reference)) {
+            messages.set(reference, {
+                message_id: bundle.id || null,
+                sender: bundle.meta?.source || null,
+                patient: readFhirSubject(resource.subject, patientEntries.get(resource.subject?.reference)),
+                observations: [],
+            });
+        }
+        const codings = resource.code?.coding || [];
+        const coding = codings.find(c => c.system === FHIR_SYSTEMS.labTest) || codings.find(c => c.system === FHIR_SYSTEMS.loinc) || codings[0] || {};
+        const quantity = resource.valueQuantity;
+        messages.get(reference).observations.push({
+            entry,
+            code: coding.code || '',
+            display: coding.display || resource.code?.text || '',
+            value: quantity?.value ?? null,
+            unit: quantity?.unit || quantity?.code || '',
+            collected_at: String(resource.effectiveDateTime || resource.effectivePeriod?.start || '').substring(0, 10) || null,
+            status: resource.status || '',
+        });
+    });
+    return [...messages.values()];
+  }
+
+  /**
+   * Finds the patient a message is about, by MedProSana patient ID or national ID; identifiers from
+   * other systems (the lab's own record numbers) are not ours to match. The patient found must then
+   * be confirmed by the message's name and birthdate (see confirmInboundPatient).
+   * @returns {Promise<{ patient: object|null, reason: string|null }>}
+   */
+  async function matchInboundPatient(db, sent) {
+    const candidates = new Map();
+    const ours = [];
+    for (const { system, value } of sent.identifiers) {
+        let result;
+        if (system === FHIR_SYSTEMS.patientId) result = await executeQuery(db, 'SELECT * FROM Patients WHERE id = ?', [parseInt(value) || 0]);
+        else if (system === FHIR_SYSTEMS.nationalId) result = await executeQuery(db, 'SELECT * FROM Patients WHERE national_id = ?', [value]);
+        else continue;
+        ours.push(value);
+        for (const patient of result.results) candidates.set(patient.id, patient);
+    }
+    return confirmInboundPatient([...candidates.values()], ours, sent);
+  }
+
+  const normalizeUnit = unit => String(unit ?? '').toLowerCase().replace(/[µμ]/g, 'u').replace(/\s+/g, '');
+
+  /**
+   * Files inbound results to a patient as LabResults rows. Tests are looked up by LOINC or catalog code,
+   * and results in another unit than the catalog's are refused rather than converted. Each observation
+   * comes back with status 'created' (and id), 'duplicate' (same test, date and value on file) or 'rejected' (and reason).
+   */
+  async function fileInboundResults(db, actor, patientId, observations) {
+    const catalog = (await executeQuery(db, 'SELECT * FROM LabTests')).results;
+    const outcomes = [];
+    for (const observation of observations) {
+        const code = String(observation.code ?? '').trim();
+        const test = catalog.find(t => t.loinc === code) || catalog.find(t => t.code === code.toUpperCase());
+        let reason = null;
+        if (!test) reason = `Unknown test ${code}${observation.display ? ` (${observation.display})` : ''}`;
+        else if (!FILED_RESULT_STATUSES.includes(observation.status)) reason = `Result status '${observation.status}' is not final`;
+        else if (observation.unit && normalizeUnit(observation.unit) !== normalizeUnit(test.unit)) reason = `Unit ${observation.unit} is not the catalog unit ${test.unit}`;
+        else if (!observation.collected_at) reason = 'Collection date missing';
+        if (reason) {
+            outcomes.push({ ...observation, status: 'rejected', reason });
+            continue;
+        }
+
+        const { errors, values } = await validateLabResult(db, { test_code: test.code, value: observation.value, collected_at: observation.collected_at });
+        if (errors.length > 0) {
+            outcomes.push({ ...observation, status: 'rejected', reason: errors.join('; ') });
+            continue;
+        }
+        const existing = await executeQuery(db, 'SELECT id FROM LabResults WHERE patient_id = ? AND test_code = ? AND collected_at = ? AND value = ?',
+            [patientId, values.test_code, values.collected_at, values.value]);
+        if (existing.results.length > 0) {
+            outcomes.push({ ...observation, status: 'duplicate', id: existing.results[0].id });
+            continue;
+        }
+        const result = await executeAudited(db, actor, { entity: 'LabResults', patientId }, LAB_RESULT_INSERT_SQL,
+            [patientId, values.test_code, values.value, values.collected_at, values.flag]);
+        outcomes.push({ ...observation, status: 'created', id: result.meta.last_row_id, test_code: values.test_code, flag: values.flag });
+    }
+    return outcomes;
+  }
+
+  /**
+   * Files one inbound message, or queues it in LabInbox for review when its patient cannot be matched.
+   * A retransmission of a message already in the inbox (same sender, message ID, patient and results)
+   * is not queued again: the outcome names the entry it repeats.
+   * @returns {Promise<{ status: 'filed', patient_id: number, results: object[] } | { status: 'queued', inbox_id: number, reason: string, duplicate?: boolean }>}
+   */
+  async function receiveLabMessage(db, actor, format, message, raw) {
+    const { patient, reason } = await matchInboundPatient(db, message.patient);
+    if (patient) return { status: 'filed', patient_id: patient.id, results: await fileInboundResults(db, actor, patient.id, message.observations) };
+    const row = [format, message.message_id, message.sender, JSON.stringify(message.patient), JSON.stringify(message.observations)];
+    const queued = await executeQuery(db,
+        'SELECT id, reason FROM LabInbox WHERE format = ? AND message_id IS ? AND sender IS ? AND patient_json = ? AND observations_json = ? ORDER BY id LIMIT 1', row);
+    if (queued.results.length > 0) return { status: 'queued', inbox_id: queued.results[0].id, reason: queued.results[0].reason, duplicate: true };
+    const result = await executeQuery(db,
+        'INSERT INTO LabInbox (format, message_id, sender, patient_json, observations_json, reason, raw) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [...row, reason, raw]);
+    return { status: 'queued', inbox_id: result.meta.last_row_id, reason };
+  }
+
+  function parseInboxRow({ patient_json, observations_json, raw, ...row }) {
+    return { ...row, patient: JSON.parse(patient_json), observations: JSON.parse(observations_json) };
+  }
+
+  // HL7 acknowledgement: AA accepted (filed or queued for review), AE filed with errors, AR rejected.
+  function hl7AckResponse(msh, code, text, status = 200) {
+    const ack = formatHl7([
+        ['MSH', 'MEDPROSANA', '', hl7Value(msh, 3), hl7Value(msh, 4), hl7Timestamp(), '', ['ACK', hl7Value(msh, 9, 2), 'ACK'],
+            `ACK${Date.now()}`, hl7Value(msh, 11) || 'P', hl7Value(msh, 12) || '2.5.1'],
+        ['MSA', code, hl7Value(msh, 10), text],
+    ]);
+    return new Response(ack, { status, headers: { ...headers, 'Content-Type': 'x-application/hl7-v2+er7' } });
+  }
+
+  function describeFiling(outcome) {
+    if (outcome.status === 'queued') return outcome.duplicate ? `Already received (lab inbox message ${outcome.inbox_id})` : `Queued for review: ${outcome.reason}`;
+    const count = status => outcome.results.filter(r => r.status === status).length;
+    const rejected = outcome.results.filter(r => r.status === 'rejected').map(r => `${r.code}: ${r.reason}`);
+    return `Filed ${count('created')} result(s) for patient ${outcome.patient_id}` +
+        (count('duplicate') > 0 ? `, ${count('duplicate')} already on file` : '') +
+        (rejected.length > 0 ? `; rejected ${rejected.join('; ')}` : '');
+  }
+
+  // --- FHIR R4 resources (read-only) ---
+
+  function fhirResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { ...headers, 'Content-Type': 'application/fhir+json' } });
+  }
+
+  function fhirError(status, code, diagnostics) {
+    return fhirResponse({ resourceType: 'OperationOutcome', issue: [{ severity: 'error', code, diagnostics }] }, status);
+  }
+
+  function fhirPatient(p) {
+    const contact = p.emergency_contact_name || p.emergency_contact_phone;
+    return {
+        resourceType: 'Patient',
+        id: String(p.id),
+        identifier: [
+            { system: FHIR_SYSTEMS.patientId, value: String(p.id) },
+            ...(p.national_id ? [{ system: FHIR_SYSTEMS.nationalId, value: p.national_id }] : []),
+        ],
+        name: [{ family: p.familyname, given: [p.name] }],
+        gender: { M: 'male', F: 'female' }[p.sex] || 'unknown',
+        birthDate: p.birthdate,
+        ...(p.phone ? { telecom: [{ system: 'phone', value: p.phone }] } : {}),
+        ...(p.address ? { address: [{ text: p.address }] } : {}),
+        ...(contact ? {
+            contact: [{
+                ...(p.emergency_contact_name ? { name: { text: p.emergency_contact_name } } : {}),
+                ...(p.emergency_contact_phone ? { telecom: [{ system: 'phone', value: p.emergency_contact_phone }] } : {}),
+            }],
+        } : {}),
+    };
+  }
+
+  // r is a LAB_RESULTS_SELECT row: the result joined with its catalog entry.
+  function fhirObservation(r) {
+    const range = {
+        ...(r.ref_low !== null ? { low: { value: r.ref_low, unit: r.unit } } : {}),
+        ...(r.ref_high !== null ? { high: { value: r.ref_high, unit: r.unit } } : {}),
+    };
+    const critical = r.ref_low !== null && r.value < r.ref_low ? 'LL' : 'HH';
+    return {
+        resourceType: 'Observation',
+        id: String(r.id),
+        meta: { lastUpdated: r.updated_at || r.created_at },
+        status: 'final',
+        category: [{ coding: [{ system: FHIR_SYSTEMS.observationCategory, code: 'laboratory' }] }],
+        code: {
+            coding: [
+                ...(r.loinc ? [{ system: FHIR_SYSTEMS.loinc, code: r.loinc, display: r.name }] : []),
+                { system: FHIR_SYSTEMS.labTest, code: r.test_code, display: r.name },
+            ],
+            text: r.name,
+        },
+        subject: { reference: `Patient/${r.patient_id}` },
+        effectiveDateTime: r.collected_at,
+        valueQuantity: { value: r.value, unit: r.unit },
+        interpretation: [{ coding: [{ system: FHIR_SYSTEMS.interpretation, code: r.flag === 'critical' ? critical : LAB_FLAG_INTERPRETATIONS[r.flag] }] }],
+        ...(Object.keys(range).length > 0 ? { referenceRange: [range] } : {}),
+    };
+  }
+
+  function fhirMedicationRequest(m, today) {
+    return {
+        resourceType: 'MedicationRequest',
+        id: String(m.id),
+        meta: { lastUpdated: m.updated_at || m.created_at },
+        status: isMedicationActive(m, today) ? 'active' : m.start_date > today ? 'draft' : 'stopped',
+        intent: 'order',
+        medicationCodeableConcept: {
+            ...(m.drug_code ? { coding: [{ system: FHIR_SYSTEMS.drug, code: m.drug_code, display: m.name }] } : {}),
+            text: m.name,
+        },
+        subject: { reference: `Patient/${m.patient_id}` },
+        authoredOn: m.start_date,
+        dosageInstruction: [{
+            text: `${m.dose} ${m.unit} ${m.route} ${m.frequency}`,
+            route: { text: m.route },
+            timing: { code: { text: m.frequency } },
+            doseAndRate: [{ doseQuantity: { value: m.dose, unit: m.unit } }],
+        }],
+        dispenseRequest: { validityPeriod: { start: m.start_date, ...(m.stop_date ? { end: m.stop_date } : {}) } },
+        ...(m.stop_reason ? { statusReason: { text: m.stop_reason } } : {}),
+        ...(m.notes ? { note: [{ text: m.notes }] } : {}),
+    };
+  }
+
+  // Search parameter "patient" (or "subject") as "12" or "Patient/12".
+  function fhirPatientParam(searchParams) {
+    const value = searchParams.get('patient') || searchParams.get('subject') || '';
+    const match = /^(?:Patient\/)?(\d+)$/.exec(value);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  // FHIR date search: "2026-01-01" or with a ge/gt/le/lt/eq prefix; the parameter may repeat for a range.
+  const FHIR_DATE_PREFIXES = { eq: '=', ge: '>=', gt: '>', le: '<=', lt: '<' };
+
+  /**
+   * Resource types served under /api/fhir: how to read one by id and how to search them.
+   * search() returns { sql, params } or { error } for a missing or malformed parameter.
+   */
+  const FHIR_RESOURCES = {
+    Patient: {
+        read: 'SELECT * FROM Patients WHERE id = ?',
+        toResource: fhirPatient,
+        search(searchParams) {
+            const clauses = [];
+            const params = [];
+            if (searchParams.get('_id')) {
+                clauses.push('id = ?');
+                params.push(parseInt(searchParams.get('_id')) || 0);
+            }
+            const identifier = searchParams.get('identifier');
+            if (identifier) {
+                const [system, value] = identifier.includes('|') ? identifier.split('|') : [null, identifier];
+                clauses.push(system === FHIR_SYSTEMS.patientId ? 'id = ?' : system === FHIR_SYSTEMS.nationalId ? 'national_id = ?' : '(national_id = ? OR CAST(id AS TEXT) = ?)');
+                params.push(value, ...(system ? [] : [value]));
+            }
+            return { sql: `SELECT * FROM Patients WHERE ${clauses.join(' AND ') || '1 = 1'} ORDER BY familyname COLLATE NOCASE, name COLLATE NOCASE, id`, params };
+        },
+    },
+    Observation: {
+        read: `${LAB_RESULTS_SELECT} WHERE r.id = ?`,
+        toResource: fhirObservation,
+        search(searchParams) {
+            const patientId = fhirPatientParam(searchParams);
+            if (patientId === null) return { error: 'Observation searches need patient=<id>' };
+            const clauses = ['r.patient_id = ?'];
+            const params = [patientId];
+            const code = searchParams.get('code');
+            if (code) {
+                const value = code.split('|').pop();
+                clauses.push('(t.loinc = ? OR r.test_code = ?)');
+                params.push(value, value.toUpperCase());
+            }
+            for (const date of searchParams.getAll('date')) {
+                const match = /^(eq|ge|gt|le|lt)?(\d{4}-\d{2}-\d{2})$/.exec(date);
+                if (!match || !isCalendarDate(match[2])) return { error: 'date must be YYYY-MM-DD, optionally prefixed with eq, ge, gt, le or lt' };
+                clauses.push(`r.collected_at ${FHIR_DATE_PREFIXES[match[1] || 'eq']} ?`);
+                params.push(match[2]);
+            }
+            return { sql: `${LAB_RESULTS_SELECT} WHERE ${clauses.join(' AND ')} ORDER BY r.collected_at DESC, r.id DESC`, params };
+        },
+    },
+    MedicationRequest: {
+        read: 'SELECT * FROM Medications WHERE id = ?',
+        toResource: fhirMedicationRequest,
+        search(searchParams) {
+            const patientId = fhirPatientParam(searchParams);
+            if (patientId === null) return { error: 'MedicationRequest searches need patient=<id>' };
+            return { sql: 'SELECT * FROM Medications WHERE patient_id = ? ORDER BY start_date DESC, id DESC', params: [patientId] };
+        },
+    },
+  };
+
+  function fhirCapabilityStatement() {
+    return {
+        resourceType: 'CapabilityStatement',
+        status: 'active',
+        date: new Date().toISOString().substring(0, 10),
+        kind: 'instance',
+        fhirVersion: '4.0.1',
+        format: ['json'],
+        rest: [{
+            mode: 'server',
+            resource: [
+                { type: 'Patient', interaction: [{ code: 'read' }, { code: 'search-type' }], searchParam: [{ name: '_id', type: 'token' }, { name: 'identifier', type: 'token' }] },
+                { type: 'Observation', interaction: [{ code: 'read' }, { code: 'search-type' }], searchParam: [{ name: 'patient', type: 'reference' }, { name: 'code', type: 'token' }, { name: 'date', type: 'date' }] },
+                { type: 'MedicationRequest', interaction: [{ code: 'read' }, { code: 'search-type' }], searchParam: [{ name: 'patient', type: 'reference' }, { name: 'status', type: 'token' }] },
+            ],
+            interaction: [{ code: 'batch' }],
+        }],
+    };
+  }
+
+  /**
+   * /api/fhir/metadata, /api/fhir/<Patient|Observation|MedicationRequest>[/:id] and POST /api/fhir
+   * (a Bundle of lab Observations, answered with a batch-response Bundle).
+   */
+  async function handleFhir(request, env, user, url, [type, id, ...rest]) {
+    const base = `${url.origin}/api/fhir`;
+    if (request.method === 'POST' && type === undefined) {
+        const raw = await request.text();
+        let bundle;
+        let messages;
+        try {
+            bundle = JSON.parse(raw);
+            messages = readFhirBundle(bundle);
+        } catch (error) {
+            return fhirError(400, 'invalid', `Could not read the bundle: ${error.message}`);
+        }
+        const outcome = (severity, code, diagnostics) => ({ resourceType: 'OperationOutcome', issue: [{ severity, code, diagnostics }] });
+        // One response per entry, in order; Patient entries only serve to identify the Observations' subjects
+        const entries = bundle.entry.map(({ resource }) => ({ response: resource?.resourceType === 'Patient'
+            ? { status: '200 OK' }
+            : { status: '422 Unprocessable Entity', outcome: outcome('error', 'not-supported', 'Only lab Observations (and the Patients they reference) are accepted') } }));
+        for (const message of messages) {
+            const filing = await receiveLabMessage(env.DB, user, 'fhir', message, raw);
+            message.observations.forEach((observation, i) => {
+                const result = filing.status === 'filed' ? filing.results[i] : null;
+                entries[observation.entry] = { response: !result
+                    ? { status: '202 Accepted', outcome: outcome('information', 'informational', `Queued for review: ${filing.reason}`) }
+                    : result.status === 'rejected'
+                        ? { status: '422 Unprocessable Entity', outcome: outcome('error', 'processing', result.reason) }
+                        : { status: result.status === 'created' ? '201 Created' : '200 OK', location: `Observation/${result.id}` } };
+            });
+        }
+        return fhirResponse({ resourceType: 'Bundle', type: 'batch-response', entry: entries });
+    }
+    if (request.method !== 'GET') return fhirError(405, 'not-supported', 'This FHIR endpoint is read-only; POST a Bundle of lab Observations to /api/fhir');
+    if (type === 'metadata' && id === undefined) return fhirResponse(fhirCapabilityStatement());
+
+    const resource = FHIR_RESOURCES[type];
+    if (!resource || rest.length > 0) return fhirError(404, 'not-found', `Resource type must be one of: ${Object.keys(FHIR_RESOURCES).join(', ')}`);
+    const today = new Date().toISOString().substring(0, 10);
+    if (id !== undefined) {
+        const result = await executeQuery(env.DB, resource.read, [parseInt(id) || 0]);
+        if (result.results.length === 0) return fhirError(404, 'not-found', `${type}/${id} not found`);
+        return fhirResponse(resource.toResource(result.results[0], today));
+    }
+
+    const query = resource.search(url.searchParams);
+    if (query.error) return fhirError(400, 'required', query.error);
+    let resources = (await executeQuery(env.DB, query.sql, query.params)).results.map(row => resource.toResource(row, today));
+    if (type === 'MedicationRequest' && url.searchParams.get('status')) resources = resources.filter(r => r.status === url.searchParams.get('status'));
+    return fhirResponse({
+        resourceType: 'Bundle',
+        type: 'searchset',
+        total: resources.length,
+        link: [{ relation: 'self', url: url.href }],
+        entry: resources.map(r => ({ fullUrl: `${base}/${type}/${r.id}`, resource: r, search: { mode: 'match' } })),
+    });
+  }
+
+  // --- Printable documents (PDF) ---
+
+  const DOCUMENT_TITLES = {
+    demographics: 'Patient Demographics & Basic Information',
+    protocol: 'Hemodialysis Prescription Protocol',
+    labs: 'Lab Results History',
+    prescription: 'ORDONNANCE',
+    'lab-demand': 'LAB DEMAND',
+    session: 'Dialysis Session Sheet',
+    monthly: 'Monthly Patient Report',
+    trends: 'Lab Results & Dialysis Session Trends',
+  };
+
+  const humanize = code => String(code).replace(/_/g, ' ');
+
+  function ageInYears(birthdate, today) {
+    const [by, bm, bd] = birthdate.split('-').map(Number);
+    const [ty, tm, td] = today.split('-').map(Number);
+    return ty - by - (tm < bm || (tm === bm && td < bd) ? 1 : 0);
+  }
+
+  // Reference printed on a prescription and encoded in its QR code, e.g. "RX-000042" (same as the frontend).
+  function prescriptionReference(prescription) {
+    return `${prescription.type === 'labs' ? 'LAB' : 'RX'}-${String(prescription.id).padStart(6, '0')}`;
+  }
+
+  function drawLetterhead(doc, env) {
+    const l = letterheadSettings(env);
+    doc.row([
+        { text: l.clinic_name, width: 0.6, size: 18, bold: true, color: '#059669' },
+        { text: l.doctor_name ? `Dr. ${l.doctor_name}` : '', x: 0.6, bold: true, align: 'right' },
+    ]);
+    doc.row([
+        { text: [l.clinic_address, l.clinic_phone && `Tel: ${l.clinic_phone}`].filter(Boolean).join('\n'), width: 0.6, size: 9, color: '#4b5563' },
+        { text: l.doctor_registration ? `Registration No. ${l.doctor_registration}` : '', x: 0.6, size: 9, align: 'right' },
+    ]);
+    doc.rule({ color: '#059669', thickness: 1.5, gap: 14 });
+  }
+
+  /**
+   * Lays out one printable document for a patient. Prescriptions and session sheets take the
+   * record to print from ?id=, the monthly report its month from ?month=YYYY-MM.
+   * @returns {Promise<{ pdf?: Uint8Array, filename?: string, error?: string, status?: number }>}
+   */
+  async function buildPatientDocument(env, patient, type, searchParams) {
+    const db = env.DB;
+    const recordId = parseInt(searchParams.get('id'));
+    const month = searchParams.get('month');
+    if (type === 'monthly' && !MONTH_PATTERN.test(month || '')) return { error: 'month must be YYYY-MM', status: 400 };
+    const today = new Date().toISOString().substring(0, 10);
+    const fullName = `${patient.name} ${patient.familyname}`;
+    const age = ageInYears(patient.birthdate, today);
+    let record = null;
+
+    if (type === 'prescription' || type === 'lab-demand') {
+        const result = await executeQuery(db, 'SELECT * FROM Prescriptions WHERE id = ? AND patient_id = ? AND type = ?', [recordId, patient.id, type === 'lab-demand' ? 'labs' : 'medications']);
+        if (result.results.length === 0) return { error: 'Prescription not found', status: 404 };
+        record = parsePrescription(result.results[0]);
+    } else if (type === 'session') {
+        const result = await executeQuery(db, 'SELECT * FROM Sessions WHERE id = ? AND patient_id = ?', [recordId, patient.id]);
+        if (result.results.length === 0) return { error: 'Session not found', status: 404 };
+        record = result.results[0];
+    }
+
+    const reference = record && type !== 'session' ? prescriptionReference(record) : null;
+    const doc = createPdf({ title: `${DOCUMENT_TITLES[type]} - ${fullName}`, footer: `${fullName} (ID ${patient.id})${reference ? ` - ${reference}` : ''}` });
+    drawLetterhead(doc, env);
+
+    if (reference) {
+        // Ordonnance / lab demand: reference and date on the left, patient identifiers boxed on the right
+        doc.row([
+            { text: `${DOCUMENT_TITLES[type]}\nNo. ${reference} - ${record.created_at.substring(0, 10)}`, width: 0.5, size: 14, bold: true },
+            { text: `Patient: ${fullName}\nPatient ID: ${patient.id}\nAge: ${age} years (born ${patient.birthdate})${patient.allergies ? `\nAllergies: ${patient.allergies}` : ''}`, x: 0.55 },
+        ], { gap: 16 });
+    } else {
+        doc.text(`${DOCUMENT_TITLES[type]}${type === 'monthly' ? ` - ${month}` : ''}`, { size: 14, bold: true });
+        doc.text(`Patient: ${fullName} (ID: ${patient.id}) | Age: ${age} years | Date: ${today}`, { size: 9, color: '#6b7280', gap: 14 });
+    }
+
+    if (type === 'monthly') {
+        const quality = await computeMonthlyQuality(db, month, patient.id);
+        const [sessions, labs, medications] = await Promise.all([
+            executeQuery(db, 'SELECT * FROM Sessions WHERE patient_id = ? AND date BETWEEN ? AND ? ORDER BY date, id', [patient.id, `${month}-01`, monthEnd(month)]),
+            executeQuery(db, `${LAB_RESULTS_SELECT} WHERE r.patient_id = ? AND r.collected_at BETWEEN ? AND ? ORDER BY r.collected_at, r.id`, [patient.id, `${month}-01`, monthEnd(month)]),
+            fetchActiveMedications(db, patient.id, monthEnd(month)),
+        ]);
+        const labLine = key => {
+            const result = quality[key].patients[0];
+            return result ? `${result.value} (${result.collected_at}) - ${result.met ? 'on target' : 'OFF TARGET'}` : 'Not measured';
+        };
+        const ktv = quality.ktv.patients[0];
+        const access = quality.access.patients[0];
+        doc.text('Summary', { bold: true, size: 12 });
+        doc.fields([
+            ['Sessions', `${sessions.results.length} done, ${quality.missed.count} missed`],
+            ['Mean spKt/V', ktv ? `${ktv.value} (target >= ${ADEQUACY_TARGETS.ktv}) - ${ktv.met ? 'on target' : 'BELOW TARGET'}` : 'Not measured'],
+            ['Mean IDWG', quality.idwg.average !== null ? `${quality.idwg.average} kg` : null],
+            ['Hemoglobin', labLine('hb')],
+            ['Phosphorus', labLine('phos')],
+            ['Albumin', labLine('alb')],
+            ['Vascular Access', access?.value ? `${access.value} (${access.type})` : null],
+            ['Hospitalizations', quality.hospitalizations.patients.map(h => `${h.admitted_on}: ${h.value}`).join('; ') || 'None'],
+        ]);
+        doc.space(10);
+        doc.text('Sessions', { bold: true, size: 12 });
+        if (sessions.results.length === 0) doc.text('No sessions this month.', { color: '#6b7280' });
+        else doc.table(
+            [{ label: 'Date', width: 0.15 }, { label: 'Weight pre/post', width: 0.17 }, { label: 'BP pre/post', width: 0.2 }, { label: 'Kt/V', width: 0.1 },
+                { label: 'URR', width: 0.1 }, { label: 'Complications', width: 0.28 }],
+            sessions.results.map(s => [s.date, `${s.pre_weight ?? '-'} / ${s.post_weight ?? '-'}`, `${s.pre_bp ?? '-'} / ${s.post_bp ?? '-'}`,
+                String(s.ktv ?? '-'), s.urr !== null ? `${s.urr}%` : '-', s.complications ? s.complications.split(',').map(humanize).join(', ') : ''])
+        );
+        doc.space(10);
+        doc.text('Lab Results', { bold: true, size: 12 });
+        if (labs.results.length === 0) doc.text('No lab results this month.', { color: '#6b7280' });
+        else doc.table(
+            [{ label: 'Date', width: 0.2 }, { label: 'Test', width: 0.4 }, { label: 'Result', width: 0.4 }],
+            labs.results.map(l => [l.collected_at, l.name, `${l.value} ${l.unit}${l.flag !== 'normal' ? ` (${l.flag.toUpperCase()})` : ''}`])
+        );
+        doc.space(10);
+        doc.text(`Medications at ${monthEnd(month)}`, { bold: true, size: 12 });
+        if (medications.length === 0) doc.text('No active medications.', { color: '#6b7280' });
+        medications.forEach(m => doc.text(`${m.name} - ${m.dose} ${m.unit} ${m.route} - ${m.frequency}`, { gap: 2 }));
+    }
+
+    if (type === 'demographics') {
+        const protocol = await fetchCurrentProtocol(db, patient.id) || {};
+        const isolation = isolationMarkers(patient);
+        const emergency = [patient.emergency_contact_name, patient.emergency_contact_phone].filter(Boolean).join(' - ');
+        doc.fields([
+            ['Full Name', fullName],
+            ['Date of Birth', `${patient.birthdate} (${age} years)`],
+            ['Sex', patient.sex === 'M' ? 'Male' : patient.sex === 'F' ? 'Female' : null],
+            ['National ID', patient.national_id],
+            ['Phone', patient.phone],
+            ['Address', patient.address],
+            ['Emergency Contact', emergency || null],
+        ]);
+        doc.space(12);
+        doc.text('Clinical Profile', { bold: true, size: 12 });
+        doc.fields([
+            ['Blood Group', patient.blood_group],
+            ['Serologies', `${Object.entries(SEROLOGIES).map(([column, label]) => `${label} ${patient[column]}`).join(', ')}${patient.serology_date ? ` (${patient.serology_date})` : ''}`],
+            ['Isolation', isolation.length > 0 ? `YES - isolation room (${isolation.join(', ')})` : 'No'],
+            ['Kidney Disease', patient.ckd_etiology ? humanize(patient.ckd_etiology) : null],
+            ['Dialysis Since', patient.dialysis_start_date],
+            ['Allergies', patient.allergies || 'None known'],
+            ['Comorbidities', patient.comorbidities],
+        ]);
+        doc.space(12);
+        doc.text('Hemodialysis Protocol Summary', { bold: true, size: 12 });
+        doc.fields([['Dialyzer', protocol.dialyzer], ['Vascular Access', protocol.access], ['Duration', protocol.duration]]);
+    }
+
+    if (type === 'protocol') {
+        const protocol = await fetchCurrentProtocol(db, patient.id) || {};
+        if (protocol.version) {
+            doc.text(`Protocol version ${protocol.version} in effect since ${protocol.created_at.substring(0, 10)}${protocol.prescriber_name ? ` - prescribed by ${protocol.prescriber_name}` : ''}`, { size: 9, color: '#4b5563', gap: 10 });
+        }
+        doc.fields([
+            ['Dialyzer Model', protocol.dialyzer],
+            ['Vascular Access', protocol.access],
+            ['Dialysate Flow Rate', protocol.dialysateFlow],
+            ['Blood Flow Rate', protocol.bloodFlow],
+            ['Duration per Session', protocol.duration],
+            ['Target Dry Weight', protocol.dry_weight ? `${protocol.dry_weight} kg (assessed ${protocol.dry_weight_date || 'N/A'})` : null],
+        ]);
+    }
+
+    if (type === 'labs') {
+        const result = await executeQuery(db, `${LAB_RESULTS_SELECT} WHERE r.patient_id = ? ORDER BY r.collected_at DESC, r.created_at DESC`, [patient.id]);
+        const range = t => (t.ref_low !== null && t.ref_high !== null ? `${t.ref_low} - ${t.ref_high} ${t.unit}`
+            : t.ref_low !== null ? `>= ${t.ref_low} ${t.unit}` : t.ref_high !== null ? `<= ${t.ref_high} ${t.unit}` : '-');
+        if (result.results.length === 0) doc.text('No lab results recorded.', { color: '#6b7280' });
+        else doc.table(
+            [{ label: 'Date', width: 0.18 }, { label: 'Test', width: 0.32 }, { label: 'Result', width: 0.25 }, { label: 'Reference', width: 0.25 }],
+            result.results.map(l => [l.collected_at, l.name, `${l.value} ${l.unit}${l.flag !== 'normal' ? ` (${l.flag.toUpperCase()})` : ''}`, range(l)])
+        );
+    }
+
+    if (type === 'trends') {
+        // The charts of the patient's Trends tab: one per analyte, then session weights and blood pressures
+        const [labs, sessions] = await Promise.all([
+            executeQuery(db, `${LAB_RESULTS_SELECT} WHERE r.patient_id = ? ORDER BY r.collected_at, r.id`, [patient.id]),
+            executeQuery(db, 'SELECT * FROM Sessions WHERE patient_id = ? AND date IS NOT NULL ORDER BY date, id', [patient.id]),
+        ]);
+        const byTest = {};
+        labs.results.forEach(l => (byTest[l.test_code] = byTest[l.test_code] || []).push(l));
+        const charts = Object.values(byTest).map(results => ({
+            title: results[0].name,
+            unit: results[0].unit,
+            band: { low: results[0].ref_low, high: results[0].ref_high },
+            series: [{ label: results[0].name, color: '#10b981', points: results.map(l => ({ date: l.collected_at, value: l.value, flag: l.flag })) }],
+        }));
+        const sessionPoints = (field, parse = Number) => sessions.results
+            .filter(s => s[field] !== null)
+            .map(s => ({ date: s.date, value: parse(s[field]) }))
+            .filter(pt => !isNaN(pt.value));
+        const bpPart = index => bp => parseInt(String(bp).split('/')[index]);
+        if (sessions.results.length > 0) {
+            charts.push({ title: 'Session Weight', unit: 'kg', series: [
+                { label: 'Pre', color: '#2563eb', points: sessionPoints('pre_weight') },
+                { label: 'Post', color: '#10b981', points: sessionPoints('post_weight') },
+            ] });
+            charts.push({ title: 'Blood Pressure', unit: 'mmHg', series: [
+                { label: 'Pre SBP', color: '#dc2626', points: sessionPoints('pre_bp', bpPart(0)) },
+                { label: 'Post SBP', color: '#f97316', points: sessionPoints('post_bp', bpPart(0)) },
+                { label: 'Pre DBP', color: '#2563eb', points: sessionPoints('pre_bp', bpPart(1)) },
+                { label: 'Post DBP', color: '#06b6d4', points: sessionPoints('post_bp', bpPart(1)) },
+            ] });
+        }
+        if (charts.length === 0) doc.text('No data to chart yet.', { color: '#6b7280' });
+        charts.forEach(chart => doc.chart(chart));
+    }
+
+    if (type === 'prescription') {
+        record.items.forEach((m, i) => {
+            doc.text(`${i + 1}. ${m.name}`, { bold: true, size: 11, gap: 1 });
+            doc.text(`${m.dose} ${m.unit} ${m.route} - ${m.frequency}`, { x: 0.04, gap: 1 });
+            doc.text(`Duration: ${m.duration_days} days${m.quantity ? ` - Quantity: ${m.quantity}` : ''}`, { x: 0.04, size: 9, color: '#4b5563', gap: 8 });
+        });
+    }
+
+    if (type === 'lab-demand') {
+        doc.text('Tests requested:', { bold: true, gap: 6 });
+        for (let i = 0; i < record.items.length; i += 2) {
+            doc.row(record.items.slice(i, i + 2).map((t, j) => ({ text: `[  ]  ${t.name} (${t.test_code})`, x: j * 0.5, width: 0.5 })));
+        }
+    }
+
+    if (type === 'session') {
+        const [readings, events, mar, access] = await Promise.all([
+            executeQuery(db, 'SELECT * FROM SessionReadings WHERE session_id = ? ORDER BY recorded_at ASC, id ASC', [record.id]),
+            executeQuery(db, 'SELECT * FROM SessionEvents WHERE session_id = ? ORDER BY occurred_at ASC, id ASC', [record.id]),
+            executeQuery(db, `${MAR_SELECT} WHERE a.session_id = ? ORDER BY a.id ASC`, [record.id]),
+            executeQuery(db, 'SELECT * FROM VascularAccesses WHERE id = ?', [record.access_id]),
+        ]);
+        const settings = monitoringSettings(env);
+        const prePost = (pre, post, unit) => (pre === null && post === null ? null : `${pre ?? '-'} / ${post ?? '-'}${unit}`);
+        doc.fields([
+            ['Session Date', record.date],
+            ['Weight (pre / post)', prePost(record.pre_weight, record.post_weight, ' kg')],
+            ['Blood Pressure (pre / post)', prePost(record.pre_bp, record.post_bp, '')],
+            ['Pulse (pre / post)', prePost(record.pre_pulse, record.post_pulse, ' bpm')],
+            ['Temperature (pre / post)', prePost(record.pre_temperature, record.post_temperature, ' °C')],
+            ['UF Goal', record.uf_goal_ml !== null ? `${record.uf_goal_ml} mL` : null],
+            ['Duration', record.duration_minutes !== null ? `${record.duration_minutes} min` : null],
+            ['Kt/V / URR', record.ktv !== null ? `${record.ktv} / ${record.urr}%` : null],
+            ['Vascular Access', access.results[0] ? describeAccess(access.results[0]) : null],
+            ['Access Condition', record.access_condition],
+            ['Complications', record.complications ? record.complications.split(',').map(humanize).join(', ') : 'None'],
+            ['Notes', record.notes],
+        ]);
+        doc.space(10);
+        doc.text('Intradialytic Readings', { bold: true, size: 12 });
+        if (readings.results.length === 0) doc.text('No readings recorded.', { color: '#6b7280' });
+        else doc.table(
+            [{ label: 'Time', width: 0.1 }, { label: 'BP', width: 0.12 }, { label: 'Pulse', width: 0.09 }, { label: 'Qb', width: 0.09 },
+                { label: 'VP', width: 0.09 }, { label: 'AP', width: 0.09 }, { label: 'TMP', width: 0.09 }, { label: 'Notes', width: 0.33 }],
+            readings.results.map(r => withReadingFlags(r, record, settings)).map(r => [
+                r.recorded_at, r.systolic !== null ? `${r.systolic}/${r.diastolic ?? '-'}` : '-', r.pulse ?? '-', r.blood_flow ?? '-',
+                r.venous_pressure ?? '-', r.arterial_pressure ?? '-', r.tmp ?? '-', [r.hypotension_alert ? 'HYPOTENSION ALERT' : '', r.notes].filter(Boolean).join(' - '),
+            ].map(String))
+        );
+        doc.space(10);
+        doc.text('Events & Interventions', { bold: true, size: 12 });
+        if (events.results.length === 0) doc.text('No events recorded.', { color: '#6b7280' });
+        else doc.table(
+            [{ label: 'Time', width: 0.1 }, { label: 'Event', width: 0.25 }, { label: 'Intervention', width: 0.25 }, { label: 'Notes', width: 0.4 }],
+            events.results.map(e => [e.occurred_at, humanize(e.event_type), humanize(e.intervention), e.notes || ''])
+        );
+        doc.space(10);
+        doc.text('Medications Administered', { bold: true, size: 12 });
+        if (mar.results.length === 0) doc.text('No administrations recorded.', { color: '#6b7280' });
+        else doc.table(
+            [{ label: 'Medication', width: 0.3 }, { label: 'Status', width: 0.15 }, { label: 'Dose', width: 0.2 }, { label: 'Recorded by', width: 0.35 }],
+            mar.results.map(a => [a.name, a.status, a.dose_given !== null ? `${a.dose_given} ${a.unit} ${a.route}` : (a.reason || '-'), a.recorded_by_name])
+        );
+    }
+
+    if (reference) {
+        if (record.notes) doc.text(`Notes: ${record.notes}`, { gap: 10 });
+        // QR code on the left, signature block on the right
+        doc.space(20);
+        doc.ensureSpace(110);
+        const top = doc.cursor;
+        doc.qrCode(encodeQrCode(reference), { size: 80 });
+        const l = letterheadSettings(env);
+        doc.text(`Dr. ${l.doctor_name || record.issued_by_name}`, { x: 0.6, bold: true, align: 'center' });
+        if (l.doctor_registration) doc.text(`Registration No. ${l.doctor_registration}`, { x: 0.6, size: 9, align: 'center' });
+        doc.space(40);
+        doc.rule({ x: 0.6 });
+        doc.text('Signature & stamp', { x: 0.6, size: 8, color: '#6b7280', align: 'center' });
+        doc.space(Math.max(0, doc.cursor - (top - 84)));
+        doc.text(reference, { width: 0.2, size: 8, color: '#6b7280' });
+    }
+
+    const suffix = record ? `-${reference || record.id}` : (type === 'monthly' ? `-${month}` : '');
+    return { pdf: doc.render(), filename: `${type}${suffix}-${patient.familyname}.pdf`.replace(/[^\w.-]+/g, '_') };
+  }
+
+  // --- Backup & restore ---
+
+  const BACKUP_FORMAT = 'medprosana-backup';
+  const BACKUP_VERSION = 1;
+  const BACKUP_CONTENT_TYPE = 'application/vnd.medprosana.backup+json';
+
+  // Every table in a backup, parents before children: restore inserts in this order and deletes in
+  // the reverse one. AuthTokens are left out (a restore signs everyone out); AuditLog is append-only,
+  // so a restore adds the archived entries it lacks and never removes any.
+  const BACKUP_TABLES = [
+    'Users', 'Patients', 'Protocols', 'Medications', 'LabTests', 'LabResults', 'LegacyLabResults', 'LabInbox', 'Prescriptions',
+    'Hospitalizations', 'Stations', 'ScheduleAssignments', 'VascularAccesses', 'AccessEvents', 'Sessions',
+    'MedicationAdministrations', 'SessionReadings', 'SessionEvents', 'AuditLog',
+  ];
+  // Tables added after the backup format: an archive from before them restores them empty.
+  const BACKUP_OPTIONAL_TABLES = ['LegacyLabResults'];
+  // A restore inserts each table's rows a chunk at a time, each chunk one statement carrying its rows
+  // as a single JSON parameter (D1 caps bound parameters and value size per statement). The whole
+  // restore is still one batch, hence one transaction, and D1 caps the statements per invocation.
+  const RESTORE_CHUNK_CHARS = 500000;
+  const MAX_RESTORE_STATEMENTS = 800;
+
+  async function backupChecksum(content) {
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(content))));
+  }
+
+  async function tableColumns(db, table) {
+    return (await executeQuery(db, 'SELECT name FROM pragma_table_info(?) ORDER BY cid', [table])).results.map(c => c.name);
+  }
+
+  /**
+   * Reads every table into a versioned archive: per table its column names and rows (as arrays in
+   * column order), then a SHA-256 checksum of everything before it.
+   */
+  async function buildBackup(db, actor) {
+    const tables = {};
+    for (const table of BACKUP_TABLES) {
+        const columns = await tableColumns(db, table);
+        const result = await executeQuery(db, `SELECT * FROM ${table} ORDER BY rowid`);
+        tables[table] = { columns, rows: result.results.map(row => columns.map(c => row[c])) };
+    }
+    const content = { format: BACKUP_FORMAT, version: BACKUP_VERSION, created_at: new Date().toISOString(), created_by: actor.username, tables };
+    return { ...content, checksum: { algorithm: 'SHA-256', value: await backupChecksum(content) } };
+  }
+
+  /**
+   * Checks an uploaded archive before anything is touched: format and version, checksum, every
+   * table present, columns known to the current schema, rows of the right shape and a size that
+   * fits in one restore batch. Archives from before a column (or an optional table) was added
+   * restore with that column's default (or the table empty).
+   * @returns {Promise<{ errors: string[], counts: Object<string, number> }>}
+   */
+  async function validateBackup(db, archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+        return { errors: ['Not a MedProSana backup file'], counts: {} };
+    }
+    if (archive.version !== BACKUP_VERSION) {
+        return { errors: [`Backup version ${archive.version} is not supported (expected ${BACKUP_VERSION})`], counts: {} };
+    }
+    const { checksum, ...content } = archive;
+    if (checksum?.algorithm !== 'SHA-256' || checksum.value !== await backupChecksum(content)) {
+        return { errors: ['Checksum mismatch: the file is damaged or was edited'], counts: {} };
+    }
+
+    const errors = [];
+    const counts = {};
+    const tables = archive.tables || {};
+    const unknown = Object.keys(tables).filter(table => !BACKUP_TABLES.includes(table));
+    if (unknown.length > 0) errors.push(`Unknown table(s): ${unknown.join(', ')}`);
+    for (const table of BACKUP_TABLES) {
+        const data = tables[table];
+        if (!data && BACKUP_OPTIONAL_TABLES.includes(table)) {
+            counts[table] = 0;
+            continue;
+        }
+        if (!data || !Array.isArray(data.columns) || !Array.isArray(data.rows)) {
+            errors.push(`${table}: missing from the backup`);
+            continue;
+        }
+        const current = await tableColumns(db, table);
+        const extra = data.columns.filter(c => !current.includes(c));
+        if (extra.length > 0) errors.push(`${table}: column(s) ${extra.join(', ')} do not exist in this database (backup from a newer version?)`);
+        const bad = data.rows.findIndex(row => !Array.isArray(row) || row.length !== data.columns.length
+            || row.some(value => value !== null && !['string', 'number'].includes(typeof value)));
+        if (bad !== -1) errors.push(`${table}: row ${bad + 1} does not match the ${data.columns.length} columns`);
+        counts[table] = data.rows.length;
+    }
+    if (errors.length === 0) {
+        const statements = restoreStatements(archive).length + 1;
+        if (statements > MAX_RESTORE_STATEMENTS) {
+            errors.push(`Backup too large to restore in one transaction (${statements} statements, at most ${MAX_RESTORE_STATEMENTS})`);
+        }
+    }
+    return { errors, counts };
+  }
+
+  // Splits rows into runs whose JSON stays under RESTORE_CHUNK_CHARS.
+  function chunkRows(rows) {
+    const chunks = [];
+    let chunk = [];
+    let size = 0;
+    for (const row of rows) {
+        const length = JSON.stringify(row).length + 1;
+        if (chunk.length > 0 && size + length > RESTORE_CHUNK_CHARS) {
+            chunks.push(chunk);
+            chunk = [];
+            size = 0;
+        }
+        chunk.push(row);
+        size += length;
+    }
+    if (chunk.length > 0) chunks.push(chunk);
+    return chunks;
+  }
+
+  // The DELETEs and chunked INSERTs of a restore, in batch order (see restoreBackup).
+  function restoreStatements(archive) {
+    const statements = [{ sql: 'DELETE FROM AuthTokens' }];
+    for (const table of [...BACKUP_TABLES].reverse()) {
+        if (table !== 'AuditLog') statements.push({ sql: `DELETE FROM ${table}` });
+    }
+    for (const table of BACKUP_TABLES) {
+        if (!archive.tables[table]) continue;
+        const { columns, rows } = archive.tables[table];
+        const sql = `INSERT ${table === 'AuditLog' ? 'OR IGNORE ' : ''}INTO ${table} (${columns.join(', ')})
+            SELECT ${columns.map((c, i) => `json_extract(value, '$[${i}]')`).join(', ')} FROM json_each(?) ORDER BY key`;
+        for (const chunk of chunkRows(rows)) statements.push({ sql, params: [JSON.stringify(chunk)] });
+    }
+    return statements;
+  }
+
+  /**
+   * Replaces the database content with a validated archive in one D1 batch (a single transaction):
+   * children are emptied before parents, then rows are inserted with their original ids, parents first.
+   * If any row is refused (constraint, foreign key) nothing is changed. The restore itself is audited
+   * last, in the same batch, so it follows the archived entries; the archive it came from is
+   * identified by its checksum, and entity_id is 0 as no single row is concerned.
+   */
+  async function restoreBackup(db, actor, archive) {
+    const statements = restoreStatements(archive);
+    statements.push({
+        sql: `${AUDIT_INSERT} VALUES (?, ?, 'INSERT', 'Restore', 0, NULL, NULL, json_object('checksum', ?, 'archive_created_at', ?, 'archive_created_by', ?))`,
+        params: [actor.id, actor.username, archive.checksum.value, archive.created_at, archive.created_by ?? null],
+    });
+    await executeBatch(db, statements);
+  }
+
+  async function tableCounts(db) {
+    const counts = {};
+    for (const table of BACKUP_TABLES) {
+        counts[table] = (await executeQuery(db, `SELECT COUNT(*) AS n FROM ${table}`)).results[0].n;
+    }
+    return counts;
+  }
+
+  // --- Authentication & roles ---
+
+  const ROLES = ['doctor', 'nurse', 'admin'];
+  const TOKEN_TTL_HOURS = 12;
+  const PBKDF2_ITERATIONS = 100000; // Workers cap PBKDF2 at 100k iterations
+
+  /**
+   * Role permissions per resource, keyed by HTTP method. GET on clinical data is open
+   * to every signed-in role; writes are limited to the roles that own them clinically.
+   */
+  const PERMISSIONS = {
+    patients: { GET: ROLES, POST: ['doctor', 'nurse', 'admin'], PUT: ['doctor', 'nurse', 'admin'], DELETE: ['doctor', 'admin'] },
+    protocol: { GET: ROLES, PUT: ['doctor'] },
+    medications: { GET: ROLES, POST: ['doctor'], PUT: ['doctor'], DELETE: ['doctor'] },
+    drugs: { GET: ROLES },
+    mar: { GET: ROLES, POST: ['doctor', 'nurse'], DELETE: ['doctor', 'nurse'] },
+    labs: { GET: ROLES, POST: ['doctor', 'nurse'], PUT: ['doctor', 'nurse'], DELETE: ['doctor'] },
+    'lab-tests': { GET: ROLES },
+    prescriptions: { GET: ROLES, POST: ['doctor'] },
+    documents: { GET: ROLES },
+    letterhead: { GET: ROLES },
+    sessions: { GET: ROLES, POST: ['doctor', 'nurse'], PUT: ['doctor', 'nurse'], DELETE: ['doctor'] },
+    adequacy: { GET: ROLES },
+    hospitalizations: { GET: ROLES, POST: ['doctor', 'nurse'], PUT: ['doctor', 'nurse'], DELETE: ['doctor'] },
+    accesses: { GET: ROLES, POST: ['doctor', 'nurse'], PUT: ['doctor', 'nurse'], DELETE: ['doctor'] },
+    dashboard: { GET: ROLES },
+    stations: { GET: ROLES, POST: ['admin'], PUT: ['admin'], DELETE: ['admin'] },
+    schedule: { GET: ROLES, POST: ['doctor', 'nurse', 'admin'], PUT: ['doctor', 'nurse', 'admin'], DELETE: ['doctor', 'nurse', 'admin'] },
+    users: { GET: ['admin'], POST: ['admin'], DELETE: ['admin'] },
+    audit: { GET: ['doctor', 'admin'] },
+    import: { POST: ['doctor', 'admin'] },
+    export: { GET: ['doctor', 'admin'] },
+    // Lab interface: inbound results from the lab system (INTERFACE_API_KEY), read-only FHIR for other systems
+    hl7: { POST: ['interface'] },
+    fhir: { GET: [...ROLES, 'interface'], POST: ['interface'] },
+    'lab-inbox': { GET: ROLES, POST: ['doctor', 'nurse'] },
+    backup: { GET: ['admin'] },
+    restore: { POST: ['admin'] },
+  };
+
+  function canAccess(role, resource, method) {
+    const allowed = PERMISSIONS[resource]?.[method];
+    return Boolean(allowed && allowed.includes(role));
+  }
+
+  /**
+   * Lists "resource:METHOD" pairs a role may use, so the frontend can hide actions
+   * the worker would reject anyway.
+   */
+  function permissionsFor(role) {
+    return Object.entries(PERMISSIONS).flatMap(([resource, methods]) =>
+        Object.entries(methods).filter(([, roles]) => roles.includes(role)).map(([method]) => `${resource}:${method}`)
+    );
+  }
+
+  function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(hex) {
+    return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+  }
+
+  async function hashPassword(password, saltHex) {
+    const salt = saltHex ? fromHex(saltHex) : crypto.getRandomValues(new Uint8Array(16));
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' }, key, 256);
+    return { hash: toHex(bits), salt: toHex(salt) };
+  }
+
+  // Session tokens are only stored as SHA-256 digests, never in clear.
+  async function hashToken(token) {
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+  }
+
+  /**
+   * Resolves the bearer token on the request to { id, username, role }, or null
+   * when the token is missing, unknown or expired.
+   */
+  async function authenticate(request, env) {
+    const match = /^Bearer\s+(\S+)$/.exec(request.headers.get('Authorization') || '');
+    if (!match) return null;
+    const sql = `SELECT u.id, u.username, u.role FROM AuthTokens t JOIN Users u ON u.id = t.user_id
+        WHERE t.token_hash = ? AND t.expires_at > CURRENT_TIMESTAMP`;
+    const result = await executeQuery(env.DB, sql, [await hashToken(match[1])]);
+    return result.results[0] || null;
+  }
+
+  async function issueToken(env, user) {
+    const token = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    await executeQuery(env.DB,
+        `INSERT INTO AuthTokens (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', '+${TOKEN_TTL_HOURS} hours'))`,
+        [await hashToken(token), user.id]
+    );
+    return jsonResponse({ token, user, permissions: permissionsFor(user.role) });
+  }
+
+  async function createUser(env, data) {
+    const { username, password, role } = data;
+    if (!username || !password || !role) return jsonResponse({ error: 'Missing fields' }, 400);
+    if (!ROLES.includes(role)) return jsonResponse({ error: `role must be one of ${ROLES.join(', ')}` }, 400);
+    if (String(password).length < 8) return jsonResponse({ error: 'Password must be at least 8 characters' }, 400);
+
+    const existing = await executeQuery(env.DB, 'SELECT id FROM Users WHERE username = ?', [username]);
+    if (existing.results.length > 0) return jsonResponse({ error: 'Username already taken' }, 409);
+
+    const { hash, salt } = await hashPassword(password);
+    const result = await executeQuery(env.DB, 'INSERT INTO Users (username, password_hash, salt, role) VALUES (?, ?, ?, ?)', [username, hash, salt, role]);
+    return jsonResponse({ user: { id: result.meta.last_row_id, username, role } }, 201);
+  }
+
+  /**
+   * /api/auth/* routes. These are the only routes reachable without a token.
+   */
+  async function handleAuth(request, env, action) {
+    if (action === 'login' && request.method === 'POST') {
+        const { username, password } = await request.json();
+        if (!username || !password) return jsonResponse({ error: 'Missing fields' }, 400);
+        const result = await executeQuery(env.DB, 'SELECT * FROM Users WHERE username = ?', [username]);
+        const row = result.results[0];
+        const { hash } = await hashPassword(String(password), row ? row.salt : null);
+        if (!row || hash !== row.password_hash) return jsonResponse({ error: 'Invalid username or password' }, 401);
+        return issueToken(env, { id: row.id, username: row.username, role: row.role });
+    }
+
+    // First-run bootstrap: creates the initial admin while the Users table is empty.
+    if (action === 'setup' && request.method === 'POST') {
+        const count = await executeQuery(env.DB, 'SELECT COUNT(*) AS n FROM Users');
+        if (count.results[0].n > 0) return jsonResponse({ error: 'Setup already completed' }, 403);
+        const data = await request.json();
+        return createUser(env, { ...data, role: 'admin' });
+    }
+
+    const user = await authenticate(request, env);
+    if (!user) return jsonResponse({ error: 'Unauthorized' }, 401);
+
+    if (action === 'me' && request.method === 'GET') {
+        return jsonResponse({ user, permissions: permissionsFor(user.role) });
+    }
+    if (action === 'logout' && request.method === 'POST') {
+        const token = request.headers.get('Authorization').replace(/^Bearer\s+/, '');
+        await executeQuery(env.DB, 'DELETE FROM AuthTokens WHERE token_hash = ?', [await hashToken(token)]);
+        return new Response(null, { status: 204, headers });
     }
+    return jsonResponse({ error: 'Route not found' }, 404);
   }
-  
+
   async function handleRequest(request, env) {
     const url = new URL(request.url);
     let pathSegments = url.pathname.split('/').filter(Boolean);
@@ -45,26 +2758,291 @@ const headers = {
     // ----------------------------------
   
     try {
-        // 1. /api/patients
+        // Checked before any route, sign-in included, as they all read migrated tables. The versions
+        // go to the log only: the caller may not be signed in.
+        const schemaError = await checkSchema(env.DB);
+        if (schemaError) {
+            console.error(schemaError);
+            return jsonResponse({ error: 'Service unavailable: the database needs to be migrated' }, 503);
+        }
+
+        if (pathSegments[0] === 'auth') {
+            return await handleAuth(request, env, pathSegments[1]);
+        }
+
+        const user = await authenticate(request, env) || authenticateInterface(request, env);
+        if (!user) return jsonResponse({ error: 'Unauthorized' }, 401);
+
+        // /api/patients/:id/<resource>/... is checked against <resource>, everything else against its first segment.
+        // The lab interface only gets what PERMISSIONS grants it explicitly.
+        const resource = pathSegments[0] === 'patients' && pathSegments.length >= 3 ? pathSegments[2] : pathSegments[0];
+        if ((PERMISSIONS[resource] || user.role === 'interface') && !canAccess(user.role, resource, request.method)) {
+            return jsonResponse({ error: 'Forbidden', message: `Role '${user.role}' cannot ${request.method} ${resource}` }, 403);
+        }
+
+        // 0. /api/users (admin only)
+        if (pathSegments[0] === 'users') {
+            if (pathSegments.length === 1 && request.method === 'GET') {
+                const result = await executeQuery(env.DB, 'SELECT id, username, role, created_at FROM Users ORDER BY username ASC');
+                return jsonResponse({ users: result.results });
+            }
+            if (pathSegments.length === 1 && request.method === 'POST') {
+                return await createUser(env, await request.json());
+            }
+            const userId = parseInt(pathSegments[1]);
+            if (pathSegments.length === 2 && request.method === 'DELETE' && !isNaN(userId)) {
+                if (userId === user.id) return jsonResponse({ error: 'You cannot delete your own account' }, 400);
+                await executeQuery(env.DB, 'DELETE FROM Users WHERE id = ?', [userId]);
+                return new Response(null, { status: 204, headers });
+            }
+        }
+
+        // 0b. /api/audit (read-only)
+        if (pathSegments.length === 1 && pathSegments[0] === 'audit' && request.method === 'GET') {
+            return jsonResponse({ entries: await listAuditLog(env.DB, url.searchParams) });
+        }
+
+        // 0c. /api/lab-tests (catalog)
+        if (pathSegments.length === 1 && pathSegments[0] === 'lab-tests' && request.method === 'GET') {
+            const result = await executeQuery(env.DB, 'SELECT * FROM LabTests ORDER BY name ASC');
+            return jsonResponse({ labTests: result.results });
+        }
+
+        // 0d. /api/drugs?q=epo (catalog search for autocomplete)
+        if (pathSegments.length === 1 && pathSegments[0] === 'drugs' && request.method === 'GET') {
+            const q = (url.searchParams.get('q') || '').trim().toLowerCase();
+            const drugs = DRUG_CATALOG.drugs.filter(drug => !q
+                || drug.name.toLowerCase().includes(q)
+                || drug.code.toLowerCase().includes(q)
+                || drug.aliases.some(alias => alias.toLowerCase().includes(q)));
+            return jsonResponse({ drugs });
+        }
+
+        // 0e. /api/stations (dialysis chairs)
+        if (pathSegments[0] === 'stations') {
+            if (pathSegments.length === 1 && request.method === 'GET') {
+                const result = await executeQuery(env.DB, 'SELECT * FROM Stations ORDER BY name ASC');
+                return jsonResponse({ stations: result.results });
+            }
+            const stationId = parseInt(pathSegments[1]);
+            if ((pathSegments.length === 1 && request.method === 'POST') || (pathSegments.length === 2 && request.method === 'PUT' && !isNaN(stationId))) {
+                const { name, room } = await request.json();
+                if (!name || !String(name).trim()) return jsonResponse({ error: 'name is required' }, 400);
+                const duplicate = await executeQuery(env.DB, 'SELECT id FROM Stations WHERE name = ? AND id IS NOT ?', [String(name).trim(), isNaN(stationId) ? null : stationId]);
+                if (duplicate.results.length > 0) return jsonResponse({ error: 'A station with this name already exists' }, 409);
+                if (request.method === 'POST') {
+                    const result = await executeQuery(env.DB, 'INSERT INTO Stations (name, room) VALUES (?, ?)', [String(name).trim(), room || null]);
+                    return jsonResponse({ success: true, station: { id: result.meta.last_row_id, name: String(name).trim(), room: room || null } }, 201);
+                }
+                const result = await executeQuery(env.DB, 'UPDATE Stations SET name = ?, room = ? WHERE id = ?', [String(name).trim(), room || null, stationId]);
+                if (result.meta.changes === 0) return jsonResponse({ error: 'Station not found' }, 404);
+                return new Response(null, { status: 204, headers });
+            }
+            if (pathSegments.length === 2 && request.method === 'DELETE' && !isNaN(stationId)) {
+                const inUse = await executeQuery(env.DB, 'SELECT COUNT(*) AS n FROM ScheduleAssignments WHERE station_id = ?', [stationId]);
+                if (inUse.results[0].n > 0) return jsonResponse({ error: 'Station is used by schedule assignments' }, 409);
+                await executeQuery(env.DB, 'DELETE FROM Stations WHERE id = ?', [stationId]);
+                return new Response(null, { status: 204, headers });
+            }
+        }
+
+        // 0f. /api/schedule?from=YYYY-MM-DD&days=7 (board) and /api/schedule/missed?from=&to= (report)
+        if (pathSegments[0] === 'schedule' && request.method === 'GET') {
+            const today = new Date().toISOString().substring(0, 10);
+            if (pathSegments.length === 1) {
+                const from = url.searchParams.get('from') || today;
+                const days = parseInt(url.searchParams.get('days')) || 1;
+                if (!isCalendarDate(from) || days < 1 || days > MAX_BOARD_DAYS) {
+                    return jsonResponse({ error: `from must be a valid YYYY-MM-DD date and days between 1 and ${MAX_BOARD_DAYS}` }, 400);
+                }
+                return jsonResponse({ from, days: await buildScheduleBoard(env.DB, from, days) });
+            }
+            if (pathSegments.length === 2 && pathSegments[1] === 'missed') {
+                // Defaults to the last 30 days, today excluded (today's slots may still be pending)
+                const to = url.searchParams.get('to') || addDays(today, -1);
+                const from = url.searchParams.get('from') || (isCalendarDate(to) ? addDays(to, -29) : null);
+                if (!isCalendarDate(from) || !isCalendarDate(to)) return jsonResponse({ error: 'from/to must be valid YYYY-MM-DD dates' }, 400);
+                const days = Math.round((new Date(to) - new Date(from)) / 86400000) + 1;
+                if (days < 1 || days > MAX_BOARD_DAYS) {
+                    return jsonResponse({ error: `from/to must span 1 to ${MAX_BOARD_DAYS} days` }, 400);
+                }
+                const board = await buildScheduleBoard(env.DB, from, days);
+                const missed = board.flatMap(day => day.slots.filter(slot => slot.status === 'missed').map(slot => ({ date: day.date, ...slot })));
+                return jsonResponse({ from, to, missed });
+            }
+        }
+
+        // 0g. /api/letterhead (clinic header for printed documents)
+        if (pathSegments.length === 1 && pathSegments[0] === 'letterhead' && request.method === 'GET') {
+            return jsonResponse({ letterhead: letterheadSettings(env) });
+        }
+
+        // 0h. /api/dashboard?to=YYYY-MM&months=6 (unit quality indicators, oldest month first)
+        if (pathSegments.length === 1 && pathSegments[0] === 'dashboard' && request.method === 'GET') {
+            const to = url.searchParams.get('to') || new Date().toISOString().substring(0, 7);
+            const months = parseInt(url.searchParams.get('months')) || 6;
+            if (!MONTH_PATTERN.test(to) || months < 1 || months > MAX_DASHBOARD_MONTHS) {
+                return jsonResponse({ error: `to must be YYYY-MM and months between 1 and ${MAX_DASHBOARD_MONTHS}` }, 400);
+            }
+            const list = Array.from({ length: months }, (_, i) => addMonths(to, i - months + 1));
+            const results = [];
+            for (const month of list) results.push(await computeMonthlyQuality(env.DB, month));
+            return jsonResponse({ months: results });
+        }
+
+        // 0i. /api/import/<patients|labs|sessions>: { format: 'csv'|'xlsx', content, mapping?, skip_duplicates?, dry_run? }
+        if (pathSegments.length === 2 && pathSegments[0] === 'import' && request.method === 'POST') {
+            const kind = pathSegments[1];
+            if (!IMPORT_KINDS[kind]) return jsonResponse({ error: `Import must be one of: ${Object.keys(IMPORT_KINDS).join(', ')}` }, 404);
+            // Importing writes the records themselves, so the role must also be allowed to create them
+            if (!canAccess(user.role, kind, 'POST')) {
+                return jsonResponse({ error: 'Forbidden', message: `Role '${user.role}' cannot POST ${kind}` }, 403);
+            }
+            const body = await request.json();
+            let table;
+            try {
+                table = await readImportTable(body);
+            } catch (error) {
+                return jsonResponse({ error: `Could not read the file: ${error.message}` }, 400);
+            }
+            const { error, report } = await buildImportReport(env.DB, kind, table, body.mapping);
+            if (error) return jsonResponse({ error }, 400);
+            if (body.dry_run) return jsonResponse(report);
+
+            const skip = body.skip_duplicates === true;
+            const blocking = report.rows.filter(row => (row.errors.length > 0 || row.duplicate) && !(row.duplicate && skip));
+            if (blocking.length > 0) {
+                return jsonResponse({ error: `${blocking.length} row(s) have errors or are duplicates; nothing was imported`, ...report }, 400);
+            }
+            const rows = report.rows.filter(row => !row.duplicate);
+            if (rows.length === 0) return jsonResponse({ error: 'Every row is a duplicate; nothing to import' }, 400);
+            const imported = await commitImport(env.DB, user, kind, rows);
+            return jsonResponse({ success: true, imported, skipped: report.rows.length - imported }, 201);
+        }
+
+        // 0j. /api/export/<patients|labs|sessions|all>.<csv|xlsx>?patient_id= (whole unit without patient_id)
+        if (pathSegments.length === 2 && pathSegments[0] === 'export' && request.method === 'GET') {
+            const match = /^(patients|labs|sessions|all)\.(csv|xlsx)$/.exec(pathSegments[1]);
+            if (!match) return jsonResponse({ error: 'Export must be <patients|labs|sessions|all>.<csv|xlsx>' }, 404);
+            const [, dataset, format] = match;
+            if (dataset === 'all' && format === 'csv') return jsonResponse({ error: 'all is one workbook with a sheet per dataset: use all.xlsx' }, 400);
+            const patientId = url.searchParams.get('patient_id') ? parseInt(url.searchParams.get('patient_id')) : null;
+            if (patientId !== null) {
+                const patient = await executeQuery(env.DB, 'SELECT id FROM Patients WHERE id = ?', [patientId || 0]);
+                if (patient.results.length === 0) return jsonResponse({ error: 'Patient not found' }, 404);
+            }
+            const { body, filename } = await buildExport(env.DB, dataset, format, patientId);
+            return new Response(body, { status: 200, headers: { ...headers, 'Content-Type': EXPORT_CONTENT_TYPES[format], 'Content-Disposition': `attachment; filename="${filename}"` } });
+        }
+
+        // 0k. /api/hl7: ORU^R01 lab results from the lab system, answered with an HL7 ACK
+        if (pathSegments.length === 1 && pathSegments[0] === 'hl7' && request.method === 'POST') {
+            const raw = await request.text();
+            let msh = null;
+            let message;
+            try {
+                msh = parseHl7(raw).segments[0];
+                message = readOruMessage(raw);
+            } catch (error) {
+                return hl7AckResponse(msh, 'AR', `Rejected: ${error.message}`, 400);
+            }
+            const outcome = await receiveLabMessage(env.DB, user, 'hl7v2', message, raw);
+            const errors = outcome.status === 'filed' && outcome.results.some(r => r.status === 'rejected');
+            return hl7AckResponse(msh, errors ? 'AE' : 'AA', describeFiling(outcome));
+        }
+
+        // 0l. /api/fhir: read-only FHIR R4 Patient, Observation and MedicationRequest; POST a Bundle of lab Observations
+        if (pathSegments[0] === 'fhir') {
+            return await handleFhir(request, env, user, url, pathSegments.slice(1));
+        }
+
+        // 0m. /api/lab-inbox?status=pending: lab messages no patient was matched to;
+        //     POST /lab-inbox/:id/file { patient_id } files the results, POST /lab-inbox/:id/dismiss drops them
+        if (pathSegments[0] === 'lab-inbox') {
+            if (pathSegments.length === 1 && request.method === 'GET') {
+                const status = url.searchParams.get('status') || 'pending';
+                const result = await executeQuery(env.DB, 'SELECT * FROM LabInbox WHERE status = ? ORDER BY received_at DESC, id DESC LIMIT 200', [status]);
+                return jsonResponse({ messages: result.results.map(parseInboxRow) });
+            }
+            const inboxId = parseInt(pathSegments[1]);
+            if (pathSegments.length === 3 && !isNaN(inboxId) && ['file', 'dismiss'].includes(pathSegments[2]) && request.method === 'POST') {
+                const result = await executeQuery(env.DB, 'SELECT * FROM LabInbox WHERE id = ?', [inboxId]);
+                const message = result.results[0];
+                if (!message) return jsonResponse({ error: 'Lab message not found' }, 404);
+                const alreadyResolved = async () => {
+                    const current = await executeQuery(env.DB, 'SELECT status FROM LabInbox WHERE id = ?', [inboxId]);
+                    return jsonResponse({ error: `This lab message was already ${current.results[0]?.status ?? 'removed'}` }, 409);
+                };
+                if (message.status !== 'pending') return alreadyResolved();
+                // Claims the message: of two reviewers resolving it at once, only the first changes the row
+                const resolve = (status, patientId) => executeQuery(env.DB,
+                    "UPDATE LabInbox SET status = ?, patient_id = ?, resolved_by = ?, resolved_by_name = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+                    [status, patientId, user.id, user.username, inboxId]);
+
+                if (pathSegments[2] === 'dismiss') {
+                    if ((await resolve('dismissed', null)).meta.changes === 0) return alreadyResolved();
+                    return new Response(null, { status: 204, headers });
+                }
+                const patientId = parseInt((await request.json()).patient_id);
+                const patient = await executeQuery(env.DB, 'SELECT id FROM Patients WHERE id = ?', [patientId || 0]);
+                if (patient.results.length === 0) return jsonResponse({ error: 'patient_id must be an existing patient' }, 400);
+                if ((await resolve('filed', patientId)).meta.changes === 0) return alreadyResolved();
+                let results;
+                try {
+                    results = await fileInboundResults(env.DB, user, patientId, JSON.parse(message.observations_json));
+                } catch (error) {
+                    // Back to the inbox so the filing can be retried; results written before the error are found as duplicates then
+                    await executeQuery(env.DB, "UPDATE LabInbox SET status = 'pending', patient_id = NULL, resolved_by = NULL, resolved_by_name = NULL, resolved_at = NULL WHERE id = ?", [inboxId]);
+                    throw error;
+                }
+                return jsonResponse({ success: true, patient_id: patientId, results });
+            }
+        }
+
+        // 0n. /api/backup: the whole database as a versioned JSON archive with a SHA-256 checksum
+        if (pathSegments.length === 1 && pathSegments[0] === 'backup' && request.method === 'GET') {
+            const archive = await buildBackup(env.DB, user);
+            const filename = `medprosana-backup-${archive.created_at.substring(0, 10)}.json`;
+            return new Response(JSON.stringify(archive), { status: 200, headers: { ...headers, 'Content-Type': BACKUP_CONTENT_TYPE, 'Content-Disposition': `attachment; filename="${filename}"` } });
+        }
+
+        // 0o. /api/restore?dry_run=1: body is a backup archive. The dry run only validates it and compares row counts;
+        //     a restore replaces every table in one transaction, is audited in the same one, and signs everyone out.
+        if (pathSegments.length === 1 && pathSegments[0] === 'restore' && request.method === 'POST') {
+            let archive;
+            try {
+                archive = await request.json();
+            } catch (error) {
+                return jsonResponse({ error: 'Not a MedProSana backup file' }, 400);
+            }
+            const { errors, counts } = await validateBackup(env.DB, archive);
+            if (errors.length > 0) return jsonResponse({ error: 'Invalid backup', details: errors }, 400);
+            const summary = { created_at: archive.created_at, created_by: archive.created_by, backup: counts, current: await tableCounts(env.DB) };
+            if (url.searchParams.get('dry_run') === '1') return jsonResponse(summary);
+            try {
+                await restoreBackup(env.DB, user, archive);
+            } catch (error) {
+                return jsonResponse({ error: `Restore failed, nothing was changed: ${error.message}` }, 400);
+            }
+            return jsonResponse({ success: true, ...summary, current: await tableCounts(env.DB) });
+        }
+
+        // 1. /api/patients?q=&shift=&access=&status=&abnormal=1&sort=name&limit=50&cursor=
         if (pathSegments.length === 1 && pathSegments[0] === 'patients') {
             if (request.method === 'GET') {
-                const result = await executeQuery(env.DB, 'SELECT * FROM Patients ORDER BY familyname ASC');
-                return new Response(JSON.stringify({ patients: result.results }), { status: 200, headers });
+                const query = parseRosterQuery(url.searchParams);
+                if (query.errors.length > 0) return jsonResponse({ error: 'Invalid roster query', details: query.errors }, 400);
+                return jsonResponse(await searchPatients(env.DB, query));
             }
             if (request.method === 'POST') {
-                const data = await request.json();
-                const { name, familyname, birthdate } = data;
-                if (!name || !familyname || !birthdate) return new Response(JSON.stringify({ error: 'Missing fields' }), { status: 400, headers });
-  
-                const sql = 'INSERT INTO Patients (name, familyname, birthdate) VALUES (?, ?, ?)';
-                const result = await executeQuery(env.DB, sql, [name, familyname, birthdate]);
-                const patientId = result.meta.last_row_id;
+                const { errors, values } = validatePatient(await request.json());
+                if (errors.length > 0) return jsonResponse({ error: 'Invalid patient', details: errors }, 400);
+                const holder = await findNationalIdHolder(env.DB, values.national_id);
+                if (holder) return jsonResponse({ error: `National ID already registered for ${holder.name} ${holder.familyname} (ID ${holder.id})` }, 409);
   
-                await executeQuery(env.DB, 
-                    'INSERT INTO Protocols (patient_id, dialyzer, access, dialysateFlow, bloodFlow, duration, updated_at) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                    [patientId, DEFAULT_PROTOCOL.dialyzer, DEFAULT_PROTOCOL.access, DEFAULT_PROTOCOL.dialysateFlow, DEFAULT_PROTOCOL.bloodFlow, DEFAULT_PROTOCOL.duration]
-                );
-                return new Response(JSON.stringify({ patient: { id: patientId, name, familyname, birthdate } }), { status: 201, headers });
+                const results = await executeBatch(env.DB, await newPatientStatements(env.DB, user, values));
+                const patientId = results[0].meta.last_row_id;
+                return new Response(JSON.stringify({ patient: { id: patientId, ...values, isolation: isolationMarkers(values) } }), { status: 201, headers });
             }
         }
   
@@ -76,47 +3054,482 @@ const headers = {
             if (pathSegments.length === 2 && request.method === 'GET') {
                 const result = await executeQuery(env.DB, 'SELECT * FROM Patients WHERE id = ?', [id]);
                 if (result.results.length === 0) return new Response(JSON.stringify({ error: 'Patient not found' }), { status: 404, headers });
-                return new Response(JSON.stringify({ patient: result.results[0] }), { status: 200, headers });
+                const patient = result.results[0];
+                return new Response(JSON.stringify({ patient: { ...patient, isolation: isolationMarkers(patient) } }), { status: 200, headers });
+            }
+
+            if (pathSegments.length === 2 && request.method === 'PUT') {
+                const { errors, values } = validatePatient(await request.json());
+                if (errors.length > 0) return jsonResponse({ error: 'Invalid patient', details: errors }, 400);
+                const holder = await findNationalIdHolder(env.DB, values.national_id, id);
+                if (holder) return jsonResponse({ error: `National ID already registered for ${holder.name} ${holder.familyname} (ID ${holder.id})` }, 409);
+                const sql = `UPDATE Patients SET ${PATIENT_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`;
+                const result = await executeAudited(env.DB, user, { entity: 'Patients', id }, sql, [...PATIENT_COLUMNS.map(c => values[c]), id]);
+                if (result.meta.changes === 0) return jsonResponse({ error: 'Patient not found' }, 404);
+                return new Response(null, { status: 204, headers });
+            }
+
+            if (pathSegments.length === 2 && request.method === 'DELETE') {
+                // Protocols, Medications, LabResults and Sessions are removed by ON DELETE CASCADE
+                const result = await executeAudited(env.DB, user, { entity: 'Patients', id }, 'DELETE FROM Patients WHERE id = ?', [id]);
+                if (result.meta.changes === 0) return jsonResponse({ error: 'Patient not found' }, 404);
+                return new Response(null, { status: 204, headers });
             }
   
             // Medications
             if (pathSegments.length === 3 && pathSegments[2] === 'medications') {
                 if (request.method === 'GET') {
-                    const result = await executeQuery(env.DB, 'SELECT * FROM Medications WHERE patient_id = ? ORDER BY created_at DESC', [id]);
-                    return new Response(JSON.stringify({ medications: result.results }), { status: 200, headers });
+                    const result = await executeQuery(env.DB, 'SELECT * FROM Medications WHERE patient_id = ? ORDER BY start_date DESC, created_at DESC', [id]);
+                    const today = new Date().toISOString().substring(0, 10);
+                    const medications = result.results.map(m => ({ ...m, active: isMedicationActive(m, today) }));
+                    return new Response(JSON.stringify({ medications }), { status: 200, headers });
                 }
                 if (request.method === 'POST') {
                     const data = await request.json();
-                    if (!data.name || !data.dosage) return new Response(JSON.stringify({ error: 'Missing fields' }), { status: 400, headers });
-                    await executeQuery(env.DB, 'INSERT INTO Medications (patient_id, name, dosage, created_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)', [id, data.name, data.dosage]);
-                    return new Response(JSON.stringify({ success: true }), { status: 201, headers });
+                    const { errors, values } = validateMedication(data);
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid medication', details: errors }, 400);
+                    // Warnings must have been shown to (and accepted by) the prescriber before saving
+                    const warnings = checkPrescription(values, await fetchActiveMedications(env.DB, id, values.start_date), env);
+                    if (warnings.length > 0 && data.acknowledge_warnings !== true) {
+                        return jsonResponse({ error: 'Prescription warnings must be acknowledged', warnings }, 409);
+                    }
+                    const sql = `INSERT INTO Medications (patient_id, ${MEDICATION_COLUMNS.join(', ')}, updated_at) VALUES (?, ${MEDICATION_COLUMNS.map(() => '?').join(', ')}, ${ROW_VERSION_SQL})`;
+                    await executeAudited(env.DB, user, { entity: 'Medications', patientId: id }, sql, [id, ...MEDICATION_COLUMNS.map(column => values[column])]);
+                    return new Response(JSON.stringify({ success: true, warnings }), { status: 201, headers });
+                }
+            }
+
+            // Dry run of the prescription checks, so the prescriber sees warnings before saving (id: the medication being edited)
+            if (pathSegments.length === 4 && pathSegments[2] === 'medications' && pathSegments[3] === 'check' && request.method === 'POST') {
+                const data = await request.json();
+                const { errors, values } = validateMedication(data);
+                if (errors.length > 0) return jsonResponse({ error: 'Invalid medication', details: errors }, 400);
+                const drug = findCatalogDrug(values.drug_code);
+                const editedId = parseInt(data.id);
+                return jsonResponse({ drug, warnings: checkPrescription(values, await fetchActiveMedications(env.DB, id, values.start_date, isNaN(editedId) ? null : editedId), env) });
+            }
+
+            // Single medication
+            const recordId = parseInt(pathSegments[3]);
+            if (pathSegments.length === 4 && pathSegments[2] === 'medications' && !isNaN(recordId)) {
+                if (request.method === 'PUT') {
+                    const data = await request.json();
+                    const { errors, values } = validateMedication(data);
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid medication', details: errors }, 400);
+                    // A change of drug, dose or dates is checked like a new prescription, against the others
+                    const warnings = checkPrescription(values, await fetchActiveMedications(env.DB, id, values.start_date, recordId), env);
+                    if (warnings.length > 0 && data.acknowledge_warnings !== true) {
+                        return jsonResponse({ error: 'Prescription warnings must be acknowledged', warnings }, 409);
+                    }
+                    const guard = versionGuard(data);
+                    const sql = `UPDATE Medications SET ${MEDICATION_COLUMNS.map(column => `${column} = ?`).join(', ')}, updated_at = ${ROW_VERSION_SQL} WHERE id = ? AND patient_id = ? ${guard.clause}`;
+                    const result = await executeAudited(env.DB, user, { entity: 'Medications', id: recordId, patientId: id }, sql, [...MEDICATION_COLUMNS.map(column => values[column]), recordId, id, ...guard.params]);
+                    if (result.meta.changes === 0) return staleWriteResponse(env.DB, 'Medications', recordId, id, 'Medication not found');
+                    // The saved row carries the new updated_at, which the client's next edit must send
+                    return jsonResponse({ success: true, medication: await fetchAuditedRow(env.DB, 'Medications', recordId) });
+                }
+                if (request.method === 'DELETE') {
+                    // Deleting would cascade away the administration record: discontinue instead
+                    const given = await executeQuery(env.DB, 'SELECT COUNT(*) AS n FROM MedicationAdministrations WHERE medication_id = ?', [recordId]);
+                    if (given.results[0].n > 0) return jsonResponse({ error: 'Medication has administrations on record; set a stop date instead' }, 409);
+                    const result = await executeAudited(env.DB, user, { entity: 'Medications', id: recordId, patientId: id }, 'DELETE FROM Medications WHERE id = ? AND patient_id = ?', [recordId, id]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Medication not found' }, 404);
+                    return new Response(null, { status: 204, headers });
                 }
             }
   
+            // Medication administration record: /mar?session_id=&category=
+            if (pathSegments.length === 3 && pathSegments[2] === 'mar') {
+                if (request.method === 'GET') {
+                    const conditions = ['m.patient_id = ?'];
+                    const params = [id];
+                    if (url.searchParams.get('session_id')) { conditions.push('a.session_id = ?'); params.push(parseInt(url.searchParams.get('session_id'))); }
+                    if (url.searchParams.get('category')) { conditions.push('m.category = ?'); params.push(url.searchParams.get('category')); }
+                    const result = await executeQuery(env.DB, `${MAR_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY s.date DESC, a.id DESC`, params);
+                    return jsonResponse({ administrations: result.results });
+                }
+                if (request.method === 'POST') {
+                    const data = await request.json();
+                    const [medication, session] = await Promise.all([
+                        executeQuery(env.DB, 'SELECT * FROM Medications WHERE id = ? AND patient_id = ?', [parseInt(data.medication_id), id]).then(r => r.results[0]),
+                        executeQuery(env.DB, 'SELECT * FROM Sessions WHERE id = ? AND patient_id = ?', [parseInt(data.session_id), id]).then(r => r.results[0]),
+                    ]);
+                    const { errors, values } = validateAdministration(data, medication);
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid administration', details: errors }, 400);
+                    if (!medication || !session) return jsonResponse({ error: 'Medication or session not found' }, 404);
+                    if (!isMedicationActive(medication, session.date)) return jsonResponse({ error: `${medication.name} is not prescribed on ${session.date}` }, 400);
+                    const duplicate = await executeQuery(env.DB, 'SELECT id FROM MedicationAdministrations WHERE medication_id = ? AND session_id = ?', [values.medication_id, values.session_id]);
+                    if (duplicate.results.length > 0) return jsonResponse({ error: `${medication.name} is already recorded for this session` }, 409);
+                    const result = await executeAudited(env.DB, user, { entity: 'MedicationAdministrations', patientId: id },
+                        'INSERT INTO MedicationAdministrations (session_id, medication_id, status, dose_given, reason, recorded_by, recorded_by_name) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                        [values.session_id, values.medication_id, values.status, values.dose_given, values.reason, user.id, user.username]);
+                    return jsonResponse({ success: true, administration: { id: result.meta.last_row_id, ...values, recorded_by_name: user.username } }, 201);
+                }
+            }
+
+            if (pathSegments.length === 4 && pathSegments[2] === 'mar' && !isNaN(recordId) && request.method === 'DELETE') {
+                // Scoped to the patient through the prescription
+                const owned = await executeQuery(env.DB, `${MAR_SELECT} WHERE a.id = ? AND m.patient_id = ?`, [recordId, id]);
+                if (owned.results.length === 0) return jsonResponse({ error: 'Administration not found' }, 404);
+                await executeAudited(env.DB, user, { entity: 'MedicationAdministrations', id: recordId, patientId: id }, 'DELETE FROM MedicationAdministrations WHERE id = ?', [recordId]);
+                return new Response(null, { status: 204, headers });
+            }
+
+            // Printed prescriptions: the ordonnance or lab demand is stored first so its ID can go on the paper
+            if (pathSegments.length === 3 && pathSegments[2] === 'prescriptions') {
+                if (request.method === 'GET') {
+                    const result = await executeQuery(env.DB, 'SELECT * FROM Prescriptions WHERE patient_id = ? ORDER BY created_at DESC, id DESC', [id]);
+                    return jsonResponse({ prescriptions: result.results.map(parsePrescription) });
+                }
+                if (request.method === 'POST') {
+                    const { errors, values } = await validatePrescription(env.DB, id, await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid prescription', details: errors }, 400);
+                    const result = await executeAudited(env.DB, user, { entity: 'Prescriptions', patientId: id },
+                        'INSERT INTO Prescriptions (patient_id, type, items_json, notes, issued_by, issued_by_name) VALUES (?, ?, ?, ?, ?, ?)',
+                        [id, values.type, JSON.stringify(values.items), values.notes, user.id, user.username]);
+                    const stored = await executeQuery(env.DB, 'SELECT * FROM Prescriptions WHERE id = ?', [result.meta.last_row_id]);
+                    return jsonResponse({ success: true, prescription: parsePrescription(stored.results[0]) }, 201);
+                }
+            }
+
+            if (pathSegments.length === 4 && pathSegments[2] === 'prescriptions' && !isNaN(recordId) && request.method === 'GET') {
+                const result = await executeQuery(env.DB, 'SELECT * FROM Prescriptions WHERE id = ? AND patient_id = ?', [recordId, id]);
+                if (result.results.length === 0) return jsonResponse({ error: 'Prescription not found' }, 404);
+                return jsonResponse({ prescription: parsePrescription(result.results[0]) });
+            }
+
+            // Printable documents: /documents/<type>.pdf, with ?id= for prescriptions and session sheets, ?month= for the monthly report
+            const documentMatch = /^([a-z-]+)\.pdf$/.exec(pathSegments[3] || '');
+            if (pathSegments.length === 4 && pathSegments[2] === 'documents' && request.method === 'GET') {
+                if (!documentMatch || !DOCUMENT_TITLES[documentMatch[1]]) {
+                    return jsonResponse({ error: `Document must be one of: ${Object.keys(DOCUMENT_TITLES).map(type => `${type}.pdf`).join(', ')}` }, 404);
+                }
+                const patient = await executeQuery(env.DB, 'SELECT * FROM Patients WHERE id = ?', [id]);
+                if (patient.results.length === 0) return jsonResponse({ error: 'Patient not found' }, 404);
+                const { pdf, filename, error, status } = await buildPatientDocument(env, patient.results[0], documentMatch[1], url.searchParams);
+                if (error) return jsonResponse({ error }, status);
+                return new Response(pdf, { status: 200, headers: { ...headers, 'Content-Type': 'application/pdf', 'Content-Disposition': `inline; filename="${filename}"` } });
+            }
+
             // Labs
             if (pathSegments.length === 3 && pathSegments[2] === 'labs') {
                 if (request.method === 'GET') {
-                    const result = await executeQuery(env.DB, 'SELECT * FROM LabResults WHERE patient_id = ? ORDER BY created_at DESC', [id]);
-                    return new Response(JSON.stringify({ labResults: result.results }), { status: 200, headers });
+                    const result = await executeQuery(env.DB, `${LAB_RESULTS_SELECT} WHERE r.patient_id = ? ORDER BY r.collected_at DESC, r.created_at DESC`, [id]);
+                    return jsonResponse({ labResults: result.results });
                 }
                 if (request.method === 'POST') {
+                    const { errors, values } = await validateLabResult(env.DB, await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid lab result', details: errors }, 400);
+                    const result = await executeAudited(env.DB, user, { entity: 'LabResults', patientId: id }, LAB_RESULT_INSERT_SQL, [id, values.test_code, values.value, values.collected_at, values.flag]);
+                    return jsonResponse({ success: true, labResult: { id: result.meta.last_row_id, patient_id: id, ...values } }, 201);
+                }
+            }
+
+            // Single lab result
+            if (pathSegments.length === 4 && pathSegments[2] === 'labs' && !isNaN(recordId)) {
+                if (request.method === 'PUT') {
                     const data = await request.json();
-                    if (!data.name || !data.result) return new Response(JSON.stringify({ error: 'Missing fields' }), { status: 400, headers });
-                    await executeQuery(env.DB, 'INSERT INTO LabResults (patient_id, name, result, created_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)', [id, data.name, data.result]);
-                    return new Response(JSON.stringify({ success: true }), { status: 201, headers });
+                    const { errors, values } = await validateLabResult(env.DB, data);
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid lab result', details: errors }, 400);
+                    const guard = versionGuard(data);
+                    const sql = `UPDATE LabResults SET test_code = ?, value = ?, collected_at = ?, flag = ?, updated_at = ${ROW_VERSION_SQL} WHERE id = ? AND patient_id = ? ${guard.clause}`;
+                    const result = await executeAudited(env.DB, user, { entity: 'LabResults', id: recordId, patientId: id }, sql, [values.test_code, values.value, values.collected_at, values.flag, recordId, id, ...guard.params]);
+                    if (result.meta.changes === 0) return staleWriteResponse(env.DB, 'LabResults', recordId, id, 'Lab result not found');
+                    return jsonResponse({ success: true, labResult: await fetchAuditedRow(env.DB, 'LabResults', recordId) });
+                }
+                if (request.method === 'DELETE') {
+                    const result = await executeAudited(env.DB, user, { entity: 'LabResults', id: recordId, patientId: id }, 'DELETE FROM LabResults WHERE id = ? AND patient_id = ?', [recordId, id]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Lab result not found' }, 404);
+                    return new Response(null, { status: 204, headers });
+                }
+            }
+
+            // Vascular access registry
+            if (pathSegments.length === 3 && pathSegments[2] === 'accesses') {
+                if (request.method === 'GET') {
+                    const accesses = await fetchAccessRegistry(env.DB, id);
+                    const catheterDaysTotal = accesses.reduce((sum, a) => sum + (a.catheter_days || 0), 0);
+                    return jsonResponse({ accesses, catheter_days: catheterDaysTotal });
+                }
+                if (request.method === 'POST') {
+                    const { errors, values } = validateVascularAccess(await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid vascular access', details: errors }, 400);
+                    const sql = `INSERT INTO VascularAccesses (patient_id, ${ACCESS_COLUMNS.join(', ')}, created_at) VALUES (?, ${ACCESS_COLUMNS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)`;
+                    const result = await executeAudited(env.DB, user, { entity: 'VascularAccesses', patientId: id }, sql, [id, ...ACCESS_COLUMNS.map(c => values[c])]);
+                    return jsonResponse({ success: true, access: { id: result.meta.last_row_id, patient_id: id, ...values } }, 201);
+                }
+            }
+
+            // Single vascular access
+            if (pathSegments.length === 4 && pathSegments[2] === 'accesses' && !isNaN(recordId)) {
+                if (request.method === 'PUT') {
+                    const { errors, values } = validateVascularAccess(await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid vascular access', details: errors }, 400);
+                    const sql = `UPDATE VascularAccesses SET ${ACCESS_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND patient_id = ?`;
+                    const result = await executeAudited(env.DB, user, { entity: 'VascularAccesses', id: recordId, patientId: id }, sql, [...ACCESS_COLUMNS.map(c => values[c]), recordId, id]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Vascular access not found' }, 404);
+                    return new Response(null, { status: 204, headers });
+                }
+                if (request.method === 'DELETE') {
+                    const result = await executeAudited(env.DB, user, { entity: 'VascularAccesses', id: recordId, patientId: id }, 'DELETE FROM VascularAccesses WHERE id = ? AND patient_id = ?', [recordId, id]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Vascular access not found' }, 404);
+                    return new Response(null, { status: 204, headers });
+                }
+            }
+
+            // Access complications & interventions: /accesses/:aid/events[/:eid]
+            if (pathSegments.length >= 5 && pathSegments[2] === 'accesses' && !isNaN(recordId) && pathSegments[4] === 'events') {
+                const access = await executeQuery(env.DB, 'SELECT * FROM VascularAccesses WHERE id = ? AND patient_id = ?', [recordId, id]);
+                if (access.results.length === 0) return jsonResponse({ error: 'Vascular access not found' }, 404);
+                const eventId = parseInt(pathSegments[5]);
+
+                if (pathSegments.length === 5 && request.method === 'POST') {
+                    const { errors, values } = validateAccessEvent(await request.json(), access.results[0]);
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid access event', details: errors }, 400);
+                    const sql = 'INSERT INTO AccessEvents (access_id, patient_id, category, event_type, occurred_on, notes, created_at) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)';
+                    const result = await executeAudited(env.DB, user, { entity: 'AccessEvents', patientId: id }, sql, [recordId, id, values.category, values.event_type, values.occurred_on, values.notes]);
+                    return jsonResponse({ success: true, event: { id: result.meta.last_row_id, access_id: recordId, ...values } }, 201);
+                }
+                if (pathSegments.length === 6 && !isNaN(eventId) && request.method === 'DELETE') {
+                    const result = await executeAudited(env.DB, user, { entity: 'AccessEvents', id: eventId, patientId: id }, 'DELETE FROM AccessEvents WHERE id = ? AND access_id = ?', [eventId, recordId]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Access event not found' }, 404);
+                    return new Response(null, { status: 204, headers });
+                }
+            }
+
+            // Hospitalizations
+            if (pathSegments.length === 3 && pathSegments[2] === 'hospitalizations') {
+                if (request.method === 'GET') {
+                    const result = await executeQuery(env.DB, 'SELECT * FROM Hospitalizations WHERE patient_id = ? ORDER BY admitted_on DESC, id DESC', [id]);
+                    return jsonResponse({ hospitalizations: result.results });
+                }
+                if (request.method === 'POST') {
+                    const { errors, values } = validateHospitalization(await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid hospitalization', details: errors }, 400);
+                    const sql = `INSERT INTO Hospitalizations (patient_id, ${HOSPITALIZATION_COLUMNS.join(', ')}, created_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+                    const result = await executeAudited(env.DB, user, { entity: 'Hospitalizations', patientId: id }, sql, [id, ...HOSPITALIZATION_COLUMNS.map(c => values[c])]);
+                    return jsonResponse({ success: true, hospitalization: { id: result.meta.last_row_id, patient_id: id, ...values } }, 201);
+                }
+            }
+
+            // Single hospitalization
+            if (pathSegments.length === 4 && pathSegments[2] === 'hospitalizations' && !isNaN(recordId)) {
+                if (request.method === 'PUT') {
+                    const { errors, values } = validateHospitalization(await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid hospitalization', details: errors }, 400);
+                    const sql = `UPDATE Hospitalizations SET ${HOSPITALIZATION_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND patient_id = ?`;
+                    const result = await executeAudited(env.DB, user, { entity: 'Hospitalizations', id: recordId, patientId: id }, sql, [...HOSPITALIZATION_COLUMNS.map(c => values[c]), recordId, id]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Hospitalization not found' }, 404);
+                    return new Response(null, { status: 204, headers });
+                }
+                if (request.method === 'DELETE') {
+                    const result = await executeAudited(env.DB, user, { entity: 'Hospitalizations', id: recordId, patientId: id }, 'DELETE FROM Hospitalizations WHERE id = ? AND patient_id = ?', [recordId, id]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Hospitalization not found' }, 404);
+                    return new Response(null, { status: 204, headers });
                 }
             }
   
-            // Protocol
+            // Protocol (current version). PUT never overwrites: it appends a new version.
             if (pathSegments.length === 3 && pathSegments[2] === 'protocol') {
                 if (request.method === 'GET') {
-                    const result = await executeQuery(env.DB, 'SELECT * FROM Protocols WHERE patient_id = ?', [id]);
-                    return new Response(JSON.stringify({ protocol: result.results[0] || {} }), { status: 200, headers });
+                    return jsonResponse({ protocol: await fetchCurrentProtocol(env.DB, id) || {} });
+                }
+                if (request.method === 'PUT') {
+                    const data = await request.json();
+                    if (!data.reason || !String(data.reason).trim()) return jsonResponse({ error: 'A reason for the protocol change is required' }, 400);
+
+                    const current = await fetchCurrentProtocol(env.DB, id);
+                    const { errors, values: next } = validateProtocol(data, current);
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid protocol', details: errors }, 400);
+                    if (current && diffProtocols(current, next).length === 0) return jsonResponse({ error: 'Protocol unchanged' }, 400);
+
+                    const result = await insertProtocolVersion(env.DB, user, id, next, String(data.reason).trim());
+                    const protocol = await fetchAuditedRow(env.DB, 'Protocols', result.meta.last_row_id);
+                    return jsonResponse({ protocol, changes: diffProtocols(current, protocol) });
+                }
+            }
+
+            // Protocol history: every version, each with its changes against the previous one
+            if (pathSegments.length === 4 && pathSegments[2] === 'protocol' && pathSegments[3] === 'versions' && request.method === 'GET') {
+                const result = await executeQuery(env.DB, 'SELECT * FROM Protocols WHERE patient_id = ? ORDER BY version ASC', [id]);
+                const versions = result.results.map((version, i) => ({ ...version, changes: i > 0 ? diffProtocols(result.results[i - 1], version) : [] }));
+                return jsonResponse({ versions: versions.reverse() });
+            }
+
+            const versionNumber = parseInt(pathSegments[4]);
+            if (pathSegments.length === 5 && pathSegments[2] === 'protocol' && pathSegments[3] === 'versions' && !isNaN(versionNumber) && request.method === 'GET') {
+                const result = await executeQuery(env.DB, 'SELECT * FROM Protocols WHERE patient_id = ? AND version = ?', [id, versionNumber]);
+                if (result.results.length === 0) return jsonResponse({ error: 'Protocol version not found' }, 404);
+                return jsonResponse({ protocol: result.results[0] });
+            }
+
+            // /protocol/diff?from=1&to=3 (to defaults to the current version)
+            if (pathSegments.length === 4 && pathSegments[2] === 'protocol' && pathSegments[3] === 'diff' && request.method === 'GET') {
+                const fromVersion = parseInt(url.searchParams.get('from'));
+                if (isNaN(fromVersion)) return jsonResponse({ error: 'from must be a version number' }, 400);
+                const toVersion = parseInt(url.searchParams.get('to'));
+                const [fromResult, to] = await Promise.all([
+                    executeQuery(env.DB, 'SELECT * FROM Protocols WHERE patient_id = ? AND version = ?', [id, fromVersion]),
+                    isNaN(toVersion)
+                        ? fetchCurrentProtocol(env.DB, id)
+                        : executeQuery(env.DB, 'SELECT * FROM Protocols WHERE patient_id = ? AND version = ?', [id, toVersion]).then(r => r.results[0] || null),
+                ]);
+                const from = fromResult.results[0];
+                if (!from || !to) return jsonResponse({ error: 'Protocol version not found' }, 404);
+                return jsonResponse({ from, to, changes: diffProtocols(from, to) });
+            }
+
+            // Sessions
+            if (pathSegments.length === 3 && pathSegments[2] === 'sessions') {
+                if (request.method === 'GET') {
+                    const result = await executeQuery(env.DB, 'SELECT * FROM Sessions WHERE patient_id = ? ORDER BY date DESC, created_at DESC', [id]);
+                    // Interdialytic weight gain: this pre-weight minus the previous session's post-weight
+                    const settings = ufSettings(env);
+                    const sessions = result.results.map((session, i) => {
+                        const previous = result.results[i + 1];
+                        const idwg = previous && previous.post_weight && session.pre_weight ? Math.round((session.pre_weight - previous.post_weight) * 10) / 10 : null;
+                        return { ...withSessionMetrics(session, settings), idwg };
+                    });
+                    return jsonResponse({ sessions, max_uf_rate: settings.maxRate });
+                }
+                if (request.method === 'POST') {
+                    const { errors, values } = await prepareSession(env.DB, id, await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid session', details: errors }, 400);
+                    const sql = `INSERT INTO Sessions (patient_id, ${SESSION_COLUMNS.join(', ')}, updated_at) VALUES (?, ${SESSION_COLUMNS.map(() => '?').join(', ')}, ${ROW_VERSION_SQL})`;
+                    const result = await executeAudited(env.DB, user, { entity: 'Sessions', patientId: id }, sql, [id, ...SESSION_COLUMNS.map(column => values[column])]);
+                    const session = withSessionMetrics({ id: result.meta.last_row_id, patient_id: id, ...values }, ufSettings(env));
+                    return jsonResponse({ success: true, session }, 201);
+                }
+            }
+
+            // UF goal suggestion for a session about to start: /sessions/uf-goal?pre_weight=72.4
+            if (pathSegments.length === 4 && pathSegments[2] === 'sessions' && pathSegments[3] === 'uf-goal' && request.method === 'GET') {
+                const preWeight = parseWeight(url.searchParams.get('pre_weight'));
+                if (preWeight === null) return jsonResponse({ error: `pre_weight must be a number between ${WEIGHT_RANGE.min} and ${WEIGHT_RANGE.max} kg` }, 400);
+                const [protocol, previous] = await Promise.all([
+                    fetchCurrentProtocol(env.DB, id),
+                    executeQuery(env.DB, 'SELECT * FROM Sessions WHERE patient_id = ? ORDER BY date DESC, created_at DESC LIMIT 1', [id]),
+                ]);
+                return jsonResponse(suggestUfGoal(protocol, preWeight, previous.results[0], ufSettings(env)));
+            }
+
+            // Recurring schedule assignments
+            if (pathSegments.length === 3 && pathSegments[2] === 'schedule') {
+                if (request.method === 'GET') {
+                    const result = await executeQuery(env.DB, `SELECT a.*, s.name AS station_name FROM ScheduleAssignments a
+                        JOIN Stations s ON s.id = a.station_id WHERE a.patient_id = ? ORDER BY a.start_date DESC`, [id]);
+                    return jsonResponse({ assignments: result.results });
+                }
+                if (request.method === 'POST') {
+                    const { errors, values } = await prepareAssignment(env.DB, await request.json());
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid assignment', details: errors }, 400);
+                    const conflict = await findScheduleConflict(env.DB, id, values);
+                    if (conflict) return jsonResponse({ error: `Slot already taken: ${conflict.station_name}, ${conflict.shift}, ${conflict.pattern} from ${conflict.start_date}`, conflict }, 409);
+                    const result = await executeAudited(env.DB, user, { entity: 'ScheduleAssignments', patientId: id },
+                        'INSERT INTO ScheduleAssignments (patient_id, station_id, shift, pattern, start_date, end_date) VALUES (?, ?, ?, ?, ?, ?)',
+                        [id, values.station_id, values.shift, values.pattern, values.start_date, values.end_date]);
+                    return jsonResponse({ success: true, assignment: { id: result.meta.last_row_id, patient_id: id, ...values } }, 201);
+                }
+            }
+
+            if (pathSegments.length === 4 && pathSegments[2] === 'schedule' && !isNaN(recordId)) {
+                const existing = await executeQuery(env.DB, 'SELECT * FROM ScheduleAssignments WHERE id = ? AND patient_id = ?', [recordId, id]);
+                if (existing.results.length === 0) return jsonResponse({ error: 'Assignment not found' }, 404);
+
+                if (request.method === 'PUT') {
+                    const { errors, values } = await prepareAssignment(env.DB, { ...existing.results[0], ...(await request.json()) });
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid assignment', details: errors }, 400);
+                    const conflict = await findScheduleConflict(env.DB, id, values, recordId);
+                    if (conflict) return jsonResponse({ error: `Slot already taken: ${conflict.station_name}, ${conflict.shift}, ${conflict.pattern} from ${conflict.start_date}`, conflict }, 409);
+                    await executeAudited(env.DB, user, { entity: 'ScheduleAssignments', id: recordId, patientId: id },
+                        'UPDATE ScheduleAssignments SET station_id = ?, shift = ?, pattern = ?, start_date = ?, end_date = ? WHERE id = ? AND patient_id = ?',
+                        [values.station_id, values.shift, values.pattern, values.start_date, values.end_date, recordId, id]);
+                    return new Response(null, { status: 204, headers });
+                }
+                if (request.method === 'DELETE') {
+                    await executeAudited(env.DB, user, { entity: 'ScheduleAssignments', id: recordId, patientId: id }, 'DELETE FROM ScheduleAssignments WHERE id = ? AND patient_id = ?', [recordId, id]);
+                    return new Response(null, { status: 204, headers });
+                }
+            }
+
+            // Monthly adequacy trend
+            if (pathSegments.length === 3 && pathSegments[2] === 'adequacy' && request.method === 'GET') {
+                const sql = `SELECT strftime('%Y-%m', date) AS month, COUNT(ktv) AS measured_sessions,
+                        ROUND(AVG(ktv), 2) AS avg_ktv, ROUND(AVG(urr), 1) AS avg_urr, MIN(ktv) AS min_ktv,
+                        SUM(CASE WHEN ktv < ? OR urr < ? THEN 1 ELSE 0 END) AS below_target
+                    FROM Sessions WHERE patient_id = ? AND (ktv IS NOT NULL OR urr IS NOT NULL)
+                    GROUP BY month ORDER BY month ASC`;
+                const result = await executeQuery(env.DB, sql, [ADEQUACY_TARGETS.ktv, ADEQUACY_TARGETS.urr, id]);
+                return jsonResponse({ targets: ADEQUACY_TARGETS, months: result.results });
+            }
+
+            // Single session
+            if (pathSegments.length === 4 && pathSegments[2] === 'sessions' && !isNaN(recordId)) {
+                const existing = await executeQuery(env.DB, 'SELECT * FROM Sessions WHERE id = ? AND patient_id = ?', [recordId, id]);
+                if (existing.results.length === 0) return jsonResponse({ error: 'Session not found' }, 404);
+
+                if (request.method === 'GET') {
+                    return jsonResponse({ session: withSessionMetrics(existing.results[0], ufSettings(env)) });
                 }
                 if (request.method === 'PUT') {
                     const data = await request.json();
-                    const sql = `UPDATE Protocols SET dialyzer = ?, access = ?, dialysateFlow = ?, bloodFlow = ?, duration = ?, updated_at = CURRENT_TIMESTAMP WHERE patient_id = ?`;
-                    await executeQuery(env.DB, sql, [data.dialyzer, data.access, data.dialysateFlow, data.bloodFlow, data.duration, id]);
+                    const { errors, values } = await prepareSession(env.DB, id, data);
+                    if (errors.length > 0) return jsonResponse({ error: 'Invalid session', details: errors }, 400);
+                    const guard = versionGuard(data);
+                    const sql = `UPDATE Sessions SET ${SESSION_COLUMNS.map(column => `${column} = ?`).join(', ')}, updated_at = ${ROW_VERSION_SQL} WHERE id = ? AND patient_id = ? ${guard.clause}`;
+                    const result = await executeAudited(env.DB, user, { entity: 'Sessions', id: recordId, patientId: id }, sql, [...SESSION_COLUMNS.map(column => values[column]), recordId, id, ...guard.params]);
+                    if (result.meta.changes === 0) return staleWriteResponse(env.DB, 'Sessions', recordId, id, 'Session not found');
+                    return jsonResponse({ success: true, session: withSessionMetrics(await fetchAuditedRow(env.DB, 'Sessions', recordId), ufSettings(env)) });
+                }
+                if (request.method === 'DELETE') {
+                    await executeAudited(env.DB, user, { entity: 'Sessions', id: recordId, patientId: id }, 'DELETE FROM Sessions WHERE id = ? AND patient_id = ?', [recordId, id]);
+                    return new Response(null, { status: 204, headers });
+                }
+            }
+
+            // Intradialytic monitoring: /sessions/:sid/readings[/:rid] and /sessions/:sid/events[/:eid]
+            if (pathSegments.length >= 5 && pathSegments[2] === 'sessions' && !isNaN(recordId) && ['readings', 'events'].includes(pathSegments[4])) {
+                const existing = await executeQuery(env.DB, 'SELECT * FROM Sessions WHERE id = ? AND patient_id = ?', [recordId, id]);
+                if (existing.results.length === 0) return jsonResponse({ error: 'Session not found' }, 404);
+                const session = existing.results[0];
+                const settings = monitoringSettings(env);
+                const childId = parseInt(pathSegments[5]);
+
+                if (pathSegments[4] === 'readings' && pathSegments.length === 5) {
+                    if (request.method === 'GET') {
+                        const result = await executeQuery(env.DB, 'SELECT * FROM SessionReadings WHERE session_id = ? ORDER BY recorded_at ASC, id ASC', [recordId]);
+                        return jsonResponse({
+                            readings: result.results.map(reading => withReadingFlags(reading, session, settings)),
+                            sbp_drop_alert: settings.sbpDrop,
+                            sbp_nadir_alert: settings.sbpNadir,
+                        });
+                    }
+                    if (request.method === 'POST') {
+                        const { errors, values } = validateReading(await request.json());
+                        if (errors.length > 0) return jsonResponse({ error: 'Invalid reading', details: errors }, 400);
+                        const sql = `INSERT INTO SessionReadings (session_id, ${READING_COLUMNS.join(', ')}) VALUES (?, ${READING_COLUMNS.map(() => '?').join(', ')})`;
+                        const result = await executeAudited(env.DB, user, { entity: 'SessionReadings', patientId: id }, sql, [recordId, ...READING_COLUMNS.map(column => values[column])]);
+                        const reading = withReadingFlags({ id: result.meta.last_row_id, session_id: recordId, ...values }, session, settings);
+                        return jsonResponse({ success: true, reading }, 201);
+                    }
+                }
+                if (pathSegments[4] === 'events' && pathSegments.length === 5) {
+                    if (request.method === 'GET') {
+                        const result = await executeQuery(env.DB, 'SELECT * FROM SessionEvents WHERE session_id = ? ORDER BY occurred_at ASC, id ASC', [recordId]);
+                        return jsonResponse({ events: result.results });
+                    }
+                    if (request.method === 'POST') {
+                        const { errors, values } = validateSessionEvent(await request.json());
+                        if (errors.length > 0) return jsonResponse({ error: 'Invalid event', details: errors }, 400);
+                        const sql = `INSERT INTO SessionEvents (session_id, ${EVENT_COLUMNS.join(', ')}) VALUES (?, ${EVENT_COLUMNS.map(() => '?').join(', ')})`;
+                        const result = await executeAudited(env.DB, user, { entity: 'SessionEvents', patientId: id }, sql, [recordId, ...EVENT_COLUMNS.map(column => values[column])]);
+                        return jsonResponse({ success: true, event: { id: result.meta.last_row_id, session_id: recordId, ...values } }, 201);
+                    }
+                }
+                if (pathSegments.length === 6 && !isNaN(childId) && request.method === 'DELETE') {
+                    const entity = pathSegments[4] === 'readings' ? 'SessionReadings' : 'SessionEvents';
+                    const result = await executeAudited(env.DB, user, { entity, id: childId, patientId: id }, `DELETE FROM ${entity} WHERE id = ? AND session_id = ?`, [childId, recordId]);
+                    if (result.meta.changes === 0) return jsonResponse({ error: 'Entry not found' }, 404);
                     return new Response(null, { status: 204, headers });
                 }
             }